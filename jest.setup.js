@@ -0,0 +1,19 @@
+'use strict';
+
+// Runs before every spec (package.json → jest.setupFilesAfterEnv). Each test
+// starts with empty in-memory Firestore and Redis and a quiet console, and
+// every spy is undone afterwards.
+//
+// jest.requireMock() returns the same instance a spec gets after
+// jest.mock('../config/firebase'), and never loads the real clients for
+// specs that don't mock them.
+
+beforeEach(() => {
+    jest.requireMock('./src/config/firebase')._reset();
+    jest.requireMock('./src/config/redis')._reset();
+    for (const method of ['error', 'log', 'warn']) jest.spyOn(console, method).mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
@@ -0,0 +1,455 @@
+/**
+ * scripts/fake-providers/paystack.js
+ *
+ * The Paystack endpoints paystack.service.js calls, mounted at /paystack,
+ * plus the control helpers that make Paystack "do" something on its own
+ * (a card payment, a bank transfer into a DVA, a refund, a chargeback).
+ * Amounts are kobo, as on the real API.
+ */
+
+const express = require('express');
+const scenarios = require('./scenarios');
+const webhooks = require('./webhooks');
+const { state, nextId, code } = require('./state');
+
+const PUBLIC_URL = () => process.env.FAKE_PROVIDERS_URL || `http://localhost:${process.env.FAKE_PROVIDERS_PORT || 4010}`;
+
+const BANKS = [
+  { name: 'Access Bank', code: '044', slug: 'access-bank' },
+  { name: 'First Bank of Nigeria', code: '011', slug: 'first-bank-of-nigeria' },
+  { name: 'Guaranty Trust Bank', code: '058', slug: 'guaranty-trust-bank' },
+  { name: 'Kuda Bank', code: '50211', slug: 'kuda-bank' },
+  { name: 'Opay', code: '999992', slug: 'paycom' },
+  { name: 'Test Bank', code: '001', slug: 'test-bank' },
+  { name: 'Wema Bank', code: '035', slug: 'wema-bank' },
+  { name: 'Zenith Bank', code: '057', slug: 'zenith-bank' },
+];
+
+const ok = (message, data) => ({ status: true, message, data });
+const fail = (message) => ({ status: false, message });
+
+/**
+ * Runs one fake endpoint under the scenario for `operation`.
+ * handler(mode) → { status?, body } and may queue webhooks.
+ */
+function endpoint(operation, handler) {
+  return (req, res) => {
+    const mode = scenarios.next(`paystack.${operation}`);
+    if (scenarios.interceptTransport(mode, res)) return;
+
+    try {
+      const { status = 200, body } = handler(req, mode);
+      if (mode === 'lost') {
+        return res.status(502).json(fail('Fake provider: response lost after processing'));
+      }
+      res.status(status).json(body);
+    } catch (error) {
+      res.status(400).json(fail(error.message));
+    }
+  };
+}
+
+function requireAuth(req, res, next) {
+  if (!/^Bearer\s+\S+/.test(req.headers.authorization || '')) {
+    return res.status(401).json(fail('Invalid key'));
+  }
+  next();
+}
+
+function accountName(accountNumber) {
+  const names = ['ADA OKAFOR', 'BAYO ADEYEMI', 'CHIDI EZE', 'FATIMA BELLO', 'TUNDE BAKARE'];
+  return names[Number(accountNumber.slice(-1)) % names.length];
+}
+
+function customerPayload(customer) {
+  return {
+    id: customer.id,
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    email: customer.email,
+    phone: customer.phone,
+    customer_code: customer.customer_code,
+  };
+}
+
+// ─── Charges ──────────────────────────────────────────────────────────────────
+
+function chargeData(charge) {
+  return {
+    id: charge.id,
+    domain: 'test',
+    status: charge.status,
+    reference: charge.reference,
+    amount: charge.amount,
+    gateway_response: charge.status === 'success' ? 'Successful' : 'Declined',
+    paid_at: charge.paidAt,
+    channel: charge.channel,
+    currency: 'NGN',
+    metadata: charge.metadata,
+    customer: charge.customer,
+    authorization: charge.authorization,
+  };
+}
+
+function completeCharge(reference, outcome = 'success') {
+  const charge = state.paystack.transactions.get(reference);
+  if (!charge) throw new Error(`Transaction ${reference} not found`);
+  if (charge.status !== 'pending') return charge;
+
+  charge.status = outcome === 'success' ? 'success' : 'failed';
+  charge.paidAt = new Date().toISOString();
+  if (charge.status === 'success') webhooks.sendPaystack('charge.success', chargeData(charge));
+  return charge;
+}
+
+// ─── Transfers ────────────────────────────────────────────────────────────────
+
+function transferData(transfer) {
+  const recipient = state.paystack.recipients.get(transfer.recipient) || {};
+  return {
+    id: transfer.id,
+    amount: transfer.amount,
+    currency: 'NGN',
+    reason: transfer.reason,
+    reference: transfer.reference,
+    transfer_code: transfer.transfer_code,
+    status: transfer.status,
+    recipient: { recipient_code: transfer.recipient, details: recipient.details || {} },
+  };
+}
+
+/**
+ * @param {'success'|'failed'|'reversed'} outcome
+ */
+function settleTransfer(transfer, outcome, { delayMs } = {}) {
+  if (outcome === 'failed') {
+    transfer.status = 'failed';
+    webhooks.sendPaystack('transfer.failed', transferData(transfer), { delayMs });
+    return;
+  }
+
+  transfer.status = 'success';
+  webhooks.sendPaystack('transfer.success', transferData(transfer), { delayMs });
+  if (outcome === 'reversed') {
+    const reversed = { ...transferData(transfer), status: 'reversed' };
+    transfer.status = 'reversed';
+    webhooks.sendPaystack('transfer.reversed', reversed, { delayMs: (delayMs ?? 1500) + 1500 });
+  }
+}
+
+// ─── Router ───────────────────────────────────────────────────────────────────
+
+const router = express.Router();
+
+// Browser step of the card flow — opening authorization_url "pays"
+router.get('/checkout/:reference', (req, res) => {
+  const outcome = scenarios.next('paystack.checkout') === 'failed' ? 'failed' : 'success';
+  try {
+    const charge = completeCharge(req.params.reference, outcome);
+    res.send(`<h2>Fake Paystack</h2><p>Payment ${charge.reference}: <b>${charge.status}</b></p>`);
+  } catch (error) {
+    res.status(404).send(error.message);
+  }
+});
+
+router.use(requireAuth);
+
+router.post('/transaction/initialize', endpoint('initialize', (req) => {
+  const { email, amount, metadata = {} } = req.body;
+  if (!email || !Number.isInteger(amount) || amount <= 0) throw new Error('Invalid email or amount');
+
+  const reference = code('fake').toLowerCase();
+  state.paystack.transactions.set(reference, {
+    id: nextId(),
+    reference,
+    amount,
+    status: 'pending',
+    channel: 'card',
+    metadata,
+    customer: { email, first_name: metadata.customerName || 'Test', last_name: 'Customer' },
+    authorization: { channel: 'card', card_type: 'visa', last4: '4081', bank: 'TEST BANK' },
+    createdAt: Date.now(),
+  });
+
+  return {
+    body: ok('Authorization URL created', {
+      authorization_url: `${PUBLIC_URL()}/paystack/checkout/${reference}`,
+      access_code: code('ac'),
+      reference,
+    }),
+  };
+}));
+
+router.get('/transaction/verify/:reference', endpoint('verify', (req) => {
+  const charge = state.paystack.transactions.get(req.params.reference);
+  if (!charge) return { status: 400, body: fail('Transaction reference not found') };
+  return { body: ok('Verification successful', chargeData(charge)) };
+}));
+
+router.get('/bank', endpoint('banks', () => ({
+  body: ok('Banks retrieved', BANKS.map((bank, i) => ({ id: i + 1, ...bank, active: true, type: 'nuban' }))),
+})));
+
+router.get('/bank/resolve', endpoint('resolve', (req) => {
+  const { account_number: accountNumber = '', bank_code: bankCode } = req.query;
+  if (!/^\d{10}$/.test(accountNumber) || accountNumber.startsWith('000') || !bankCode) {
+    return { status: 422, body: fail('Could not resolve account name. Check parameters or try again.') };
+  }
+  return {
+    body: ok('Account number resolved', { account_number: accountNumber, account_name: accountName(accountNumber) }),
+  };
+}));
+
+router.post('/transferrecipient', endpoint('recipient', (req) => {
+  const { name, account_number: accountNumber, bank_code: bankCode } = req.body;
+  const bank = BANKS.find(b => b.code === bankCode);
+  if (!bank || !/^\d{10}$/.test(accountNumber || '')) throw new Error('Cannot resolve account');
+
+  const recipient = {
+    recipient_code: code('RCP'),
+    name,
+    details: { account_number: accountNumber, account_name: name, bank_code: bankCode, bank_name: bank.name },
+  };
+  state.paystack.recipients.set(recipient.recipient_code, recipient);
+  return { body: ok('Transfer recipient created successfully', recipient) };
+}));
+
+router.post('/transfer', endpoint('transfer', (req, mode) => {
+  const { amount, recipient, reason, reference = code('trf').toLowerCase() } = req.body;
+  if (!state.paystack.recipients.has(recipient)) throw new Error('Recipient specified is invalid');
+  if (!Number.isInteger(amount) || amount <= 0) throw new Error('Invalid amount');
+  if (state.paystack.transfers.has(reference)) throw new Error('Duplicate Transfer Reference');
+
+  const transfer = {
+    id: nextId(),
+    amount,
+    recipient,
+    reason,
+    reference,
+    transfer_code: code('TRF'),
+    status: 'pending',
+    createdAt: Date.now(),
+  };
+  state.paystack.transfers.set(reference, transfer);
+
+  if (mode === 'failed' || mode === 'reversed') settleTransfer(transfer, mode);
+  else if (mode !== 'pending') settleTransfer(transfer, 'success');
+
+  return { body: ok('Transfer has been queued', { ...transferData(transfer), status: 'pending' }) };
+}));
+
+router.get('/transfer/verify/:reference', endpoint('transfer_verify', (req) => {
+  const transfer = state.paystack.transfers.get(req.params.reference);
+  if (!transfer) return { status: 404, body: fail('Transfer not found') };
+  return { body: ok('Transfer retrieved', transferData(transfer)) };
+}));
+
+router.get('/transfer/:idOrCode', endpoint('transfer_fetch', (req) => {
+  const transfer = [...state.paystack.transfers.values()].find(t =>
+    t.transfer_code === req.params.idOrCode || String(t.id) === req.params.idOrCode);
+  if (!transfer) return { status: 404, body: fail('Transfer not found') };
+  return { body: ok('Transfer retrieved', transferData(transfer)) };
+}));
+
+router.post('/customer', endpoint('customer', (req) => {
+  const { email, first_name: firstName, last_name: lastName, phone, metadata } = req.body;
+  if (!email) throw new Error('Email is required');
+
+  const existing = [...state.paystack.customers.values()].find(c => c.email === email);
+  if (existing) return { body: ok('Customer created', customerPayload(existing)) };
+
+  const customer = {
+    id: nextId(),
+    customer_code: code('CUS'),
+    email,
+    first_name: firstName,
+    last_name: lastName,
+    phone,
+    metadata,
+  };
+  state.paystack.customers.set(customer.customer_code, customer);
+  return { body: ok('Customer created', customerPayload(customer)) };
+}));
+
+router.post('/dedicated_account', endpoint('dedicated_account', (req, mode) => {
+  const customer = state.paystack.customers.get(req.body.customer);
+  if (!customer) throw new Error('Customer not found');
+  if (!customer.phone) throw new Error('Customer phone number is required');
+
+  const account = {
+    id: nextId(),
+    account_number: `9${String(Math.floor(Math.random() * 1e9)).padStart(9, '0')}`,
+    account_name: `ELITEHUB/${`${customer.first_name || ''} ${customer.last_name || ''}`.trim().toUpperCase()}`,
+    bank: { id: 1, name: 'Test Bank', slug: req.body.preferred_bank || 'test-bank' },
+    customer_code: customer.customer_code,
+    active: true,
+    assigned: true,
+  };
+  const assignment = {
+    customer: customerPayload(customer),
+    dedicated_account: { ...account, customer_code: undefined },
+    identification: { status: mode === 'failed' ? 'failed' : 'success' },
+  };
+
+  if (mode === 'failed') {
+    webhooks.sendPaystack('dedicatedaccount.assign.failed', { ...assignment, dedicated_account: null });
+    return { body: ok('Assign dedicated account in progress', { assigned: false, active: false }) };
+  }
+
+  state.paystack.dedicatedAccounts.set(account.account_number, account);
+  if (mode === 'pending') {
+    webhooks.sendPaystack('dedicatedaccount.assign.success', assignment);
+    return { body: ok('Assign dedicated account in progress', { id: account.id, assigned: false, active: false }) };
+  }
+  return { body: ok('NUBAN successfully created', account) };
+}));
+
+// ─── Control: things Paystack does on its own ─────────────────────────────────
+
+const control = express.Router();
+
+/**
+ * POST /__control/paystack/charges/:reference  { outcome: 'success'|'failed' }
+ * Same as opening the checkout link.
+ */
+control.post('/charges/:reference', (req, res) => {
+  const charge = completeCharge(req.params.reference, req.body.outcome || 'success');
+  res.json({ success: true, charge });
+});
+
+/**
+ * POST /__control/paystack/transfers/:reference  { outcome: 'success'|'failed'|'reversed' }
+ * Resolves a transfer left pending (or reverses a completed one).
+ */
+control.post('/transfers/:reference', (req, res) => {
+  const transfer = state.paystack.transfers.get(req.params.reference);
+  if (!transfer) return res.status(404).json({ success: false, message: 'Transfer not found' });
+
+  const outcome = req.body.outcome || 'success';
+  if (outcome === 'reversed' && transfer.status === 'success') {
+    transfer.status = 'reversed';
+    webhooks.sendPaystack('transfer.reversed', transferData(transfer));
+  } else {
+    settleTransfer(transfer, outcome);
+  }
+  res.json({ success: true, transfer });
+});
+
+/**
+ * POST /__control/paystack/bank-transfer
+ * { accountNumber, amount (kobo), senderName?, senderBank? }
+ * Someone pays into a dedicated account → charge.success (dedicated_nuban).
+ */
+control.post('/bank-transfer', (req, res) => {
+  const { accountNumber, amount, senderName = 'JOHN DOE', senderBank = 'Access Bank' } = req.body;
+  const account = state.paystack.dedicatedAccounts.get(String(accountNumber));
+  if (!account) return res.status(404).json({ success: false, message: 'Dedicated account not found' });
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ success: false, message: 'amount must be a positive integer (kobo)' });
+  }
+
+  const customer = state.paystack.customers.get(account.customer_code);
+  const reference = code('dva').toLowerCase();
+  const charge = {
+    id: nextId(),
+    reference,
+    amount,
+    status: 'success',
+    paidAt: new Date().toISOString(),
+    channel: 'dedicated_nuban',
+    metadata: { receiver_account_number: account.account_number, receiver_bank: account.bank.name },
+    customer: customerPayload(customer),
+    authorization: {
+      channel: 'dedicated_nuban',
+      sender_name: senderName,
+      sender_bank: senderBank,
+      sender_bank_account_number: '0123456789',
+      receiver_bank_account_number: account.account_number,
+      receiver_bank: account.bank.name,
+      narration: `Transfer to ${account.account_name}`,
+    },
+  };
+  state.paystack.transactions.set(reference, charge);
+  webhooks.sendPaystack('charge.success', chargeData(charge));
+  res.json({ success: true, charge });
+});
+
+/**
+ * POST /__control/paystack/refunds
+ * { reference, amount? (kobo, default full), outcome: 'processed'|'failed'|'pending' }
+ * Sends refund.pending, then the outcome event.
+ */
+control.post('/refunds', (req, res) => {
+  const { reference, outcome = 'processed' } = req.body;
+  const charge = state.paystack.transactions.get(reference);
+  const amount = req.body.amount || charge?.amount;
+  if (!amount) return res.status(400).json({ success: false, message: 'Unknown reference — pass amount' });
+
+  const refund = {
+    id: nextId(),
+    transaction_reference: reference,
+    refund_reference: code('rfd').toLowerCase(),
+    amount,
+    currency: 'NGN',
+    status: 'pending',
+    customer: charge?.customer || {},
+  };
+  state.paystack.refunds.set(refund.id, refund);
+  webhooks.sendPaystack('refund.pending', { ...refund });
+
+  if (outcome !== 'pending') {
+    refund.status = outcome;
+    webhooks.sendPaystack(`refund.${outcome}`, { ...refund }, { delayMs: 3000 });
+  }
+  res.json({ success: true, refund });
+});
+
+/**
+ * POST /__control/paystack/disputes
+ *   { reference, refundAmount? }                                  → charge.dispute.create
+ *   { disputeId, resolution: 'declined'|'merchant-accepted' }     → charge.dispute.resolve
+ */
+control.post('/disputes', (req, res) => {
+  const { disputeId, reference, resolution, refundAmount } = req.body;
+
+  if (disputeId) {
+    const dispute = state.paystack.disputes.get(Number(disputeId));
+    if (!dispute) return res.status(404).json({ success: false, message: 'Dispute not found' });
+    Object.assign(dispute, { status: 'resolved', resolution: resolution || 'merchant-accepted', resolvedAt: new Date().toISOString() });
+    webhooks.sendPaystack('charge.dispute.resolve', { ...dispute });
+    return res.json({ success: true, dispute });
+  }
+
+  const charge = state.paystack.transactions.get(reference);
+  if (!charge) return res.status(404).json({ success: false, message: 'Transaction not found' });
+
+  const dispute = {
+    id: nextId(),
+    refund_amount: refundAmount || charge.amount,
+    currency: 'NGN',
+    status: 'awaiting-merchant-feedback',
+    resolution: null,
+    category: 'chargeback',
+    domain: 'test',
+    transaction: { id: charge.id, reference: charge.reference, amount: charge.amount },
+    customer: charge.customer,
+    dueAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(),
+    createdAt: new Date().toISOString(),
+  };
+  state.paystack.disputes.set(dispute.id, dispute);
+  webhooks.sendPaystack('charge.dispute.create', { ...dispute });
+  res.json({ success: true, dispute });
+});
+
+/**
+ * POST /__control/paystack/webhook  { event, data }
+ * Anything else — signed and delivered as-is.
+ */
+control.post('/webhook', (req, res) => {
+  const { event, data = {} } = req.body;
+  if (!event) return res.status(400).json({ success: false, message: 'event is required' });
+  webhooks.sendPaystack(event, data, { delayMs: 0 });
+  res.json({ success: true });
+});
+
+module.exports = { router, control };
@@ -0,0 +1,83 @@
+/**
+ * scripts/fake-providers/scenarios.js
+ *
+ * Scriptable outcomes for the fake provider endpoints. Each operation
+ * ("paystack.transfer", "vtpass.pay", …) answers `success` unless told
+ * otherwise, either for the next N calls or until reset:
+ *
+ *   POST /__control/scenario { operation: 'paystack.transfer', mode: 'timeout', times: 1 }
+ *   POST /__control/scenario { operation: 'vtpass.pay', mode: 'pending', times: 0 }   // sticky
+ *
+ * Modes
+ *   success   normal answer
+ *   failed    provider-level failure (failed transfer, VTPass 016, …)
+ *   pending   accepted but unresolved — no webhook, VTPass 099
+ *   reversed  transfers only: success webhook, then transfer.reversed
+ *   timeout   hold the response for FAKE_TIMEOUT_MS, then drop the socket
+ *   error     HTTP 500 before doing anything
+ *   lost      do the work, then answer 502 — the response "never arrived"
+ *
+ * Defaults can also come from the environment, e.g.
+ *   FAKE_SCENARIO_PAYSTACK_TRANSFER=pending
+ */
+
+const MODES = ['success', 'failed', 'pending', 'reversed', 'timeout', 'error', 'lost'];
+
+const queued = new Map();   // operation → [mode, mode, …] consumed one per call
+const sticky = new Map();   // operation → mode, until reset
+
+function envDefault(operation) {
+  const key = `FAKE_SCENARIO_${operation.replace(/\W/g, '_').toUpperCase()}`;
+  return MODES.includes(process.env[key]) ? process.env[key] : null;
+}
+
+function set(operation, mode, times = 1) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown mode "${mode}". Use one of: ${MODES.join(', ')}`);
+  }
+  if (times === 0) {
+    sticky.set(operation, mode);
+    queued.delete(operation);
+    return;
+  }
+  const queue = queued.get(operation) || [];
+  for (let i = 0; i < times; i++) queue.push(mode);
+  queued.set(operation, queue);
+}
+
+function next(operation) {
+  const queue = queued.get(operation);
+  if (queue && queue.length) return queue.shift();
+  return sticky.get(operation) || envDefault(operation) || 'success';
+}
+
+function reset() {
+  queued.clear();
+  sticky.clear();
+}
+
+function snapshot() {
+  return {
+    queued: Object.fromEntries(queued),
+    sticky: Object.fromEntries(sticky),
+  };
+}
+
+/**
+ * Handles the transport-level modes (timeout / error) for a request.
+ * Returns true when the response has been taken care of.
+ */
+function interceptTransport(mode, res) {
+  if (mode === 'error') {
+    res.status(500).json({ status: false, message: 'Fake provider: internal error' });
+    return true;
+  }
+  if (mode === 'timeout') {
+    const holdMs = parseInt(process.env.FAKE_TIMEOUT_MS, 10) || 60000;
+    setTimeout(() => res.socket?.destroy(), holdMs);
+    return true;
+  }
+  return false;
+}
+
+module.exports = { MODES, set, next, reset, snapshot, interceptTransport };
@@ -0,0 +1,93 @@
+/**
+ * scripts/fake-providers/server.js
+ *
+ * Local stand-in for Paystack and VTPass so wallet funding, withdrawals and
+ * bill payments can be exercised end to end without sandbox keys or network.
+ *
+ *   npm run providers:fake                 (port FAKE_PROVIDERS_PORT, default 4010)
+ *   PROVIDERS_MODE=fake npm run dev        (API talks to it — see src/config/providers.js)
+ *
+ * Webhooks are signed with the API's PAYSTACK_SECRET_KEY, so run both with the
+ * same .env. Control endpoints (not part of either real API):
+ *
+ *   GET  /__control/state
+ *   POST /__control/reset
+ *   POST /__control/scenario                       { operation, mode, times? }
+ *   POST /__control/paystack/charges/:reference    { outcome }
+ *   POST /__control/paystack/transfers/:reference  { outcome: success|failed|reversed }
+ *   POST /__control/paystack/bank-transfer         { accountNumber, amount (kobo), senderName? }
+ *   POST /__control/paystack/refunds               { reference, amount?, outcome? }
+ *   POST /__control/paystack/disputes              { reference } | { disputeId, resolution }
+ *   POST /__control/paystack/webhook               { event, data }
+ *   POST /__control/vtpass/transactions/:requestId { status: delivered|failed }
+ */
+
+require('dotenv').config();
+const express = require('express');
+const scenarios = require('./scenarios');
+const webhooks = require('./webhooks');
+const store = require('./state');
+const paystack = require('./paystack');
+const vtpass = require('./vtpass');
+
+function createFakeProviders() {
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    console.log(`🧪 ${req.method} ${req.originalUrl}`);
+    next();
+  });
+
+  app.use('/paystack', paystack.router);
+  app.use('/vtpass', vtpass.router);
+
+  const control = express.Router();
+
+  control.get('/state', (req, res) => {
+    res.json({ ...store.snapshot(), scenarios: scenarios.snapshot(), webhooks: webhooks.sent });
+  });
+
+  control.post('/reset', (req, res) => {
+    store.reset();
+    scenarios.reset();
+    webhooks.sent.length = 0;
+    res.json({ success: true });
+  });
+
+  control.post('/scenario', (req, res) => {
+    const { operation, mode, times = 1 } = req.body;
+    if (!operation) return res.status(400).json({ success: false, message: 'operation is required' });
+    try {
+      scenarios.set(operation, mode, Number(times));
+      res.json({ success: true, scenarios: scenarios.snapshot() });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
+  control.use('/paystack', paystack.control);
+  control.use('/vtpass', vtpass.control);
+  app.use('/__control', control);
+
+  app.use((req, res) => {
+    res.status(404).json({ status: false, message: `Fake providers: no route for ${req.method} ${req.path}` });
+  });
+
+  app.use((err, req, res, next) => {
+    console.error('❌ Fake providers error:', err);
+    res.status(500).json({ status: false, message: err.message });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.FAKE_PROVIDERS_PORT || 4010;
+  createFakeProviders().listen(port, () => {
+    console.log(`🧪 Fake Paystack + VTPass listening on http://localhost:${port}`);
+    console.log(`   Webhooks → ${process.env.FAKE_PAYSTACK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/v1/webhooks/paystack`}`);
+  });
+}
+
+module.exports = { createFakeProviders };
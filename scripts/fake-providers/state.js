@@ -0,0 +1,51 @@
+/**
+ * scripts/fake-providers/state.js
+ *
+ * In-memory records for the fake providers. Nothing survives a restart;
+ * POST /__control/reset clears it all.
+ */
+
+const crypto = require('crypto');
+
+const state = {
+  paystack: {
+    transactions: new Map(),      // reference → charge
+    recipients: new Map(),        // recipient_code → recipient
+    transfers: new Map(),         // reference → transfer
+    customers: new Map(),         // customer_code → customer
+    dedicatedAccounts: new Map(), // account_number → { customer_code, … }
+    refunds: new Map(),           // id → refund
+    disputes: new Map(),          // id → dispute
+  },
+  vtpass: {
+    transactions: new Map(),      // request_id → transaction
+  },
+};
+
+let sequence = 1000;
+
+function nextId() {
+  sequence += 1;
+  return sequence;
+}
+
+function code(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function reset() {
+  for (const provider of Object.values(state)) {
+    for (const map of Object.values(provider)) map.clear();
+  }
+}
+
+function snapshot() {
+  const out = {};
+  for (const [provider, maps] of Object.entries(state)) {
+    out[provider] = {};
+    for (const [name, map] of Object.entries(maps)) out[provider][name] = [...map.values()];
+  }
+  return out;
+}
+
+module.exports = { state, nextId, code, reset, snapshot };
@@ -0,0 +1,286 @@
+/**
+ * scripts/fake-providers/vtpass.js
+ *
+ * The VTPass endpoints, mounted at /vtpass. Amounts are naira, as on the
+ * real API. Response codes follow the VTPass docs:
+ *
+ *   000  transaction processed (check content.transactions.status)
+ *   099  transaction is processing — requery later
+ *   016  transaction failed
+ *   019  duplicate request_id
+ *   015  invalid request_id (requery of an unknown transaction)
+ *   012  product does not exist
+ *
+ * Meter / smartcard numbers and JAMB profile IDs ending in 0000 fail
+ * merchant-verify. Exam purchases return PINs (`cards` for WAEC / NECO, `Pin`
+ * for JAMB); insurance returns a certificate link.
+ */
+
+const express = require('express');
+const scenarios = require('./scenarios');
+const webhooks = require('./webhooks');
+const { state, nextId } = require('./state');
+
+const VARIATIONS = {
+  'mtn-data': [
+    { variation_code: 'mtn-10mb-100', name: 'N100 100MB - 24 hrs', variation_amount: '100.00', fixedPrice: 'Yes' },
+    { variation_code: 'mtn-50mb-200', name: 'N200 200MB - 2 days', variation_amount: '200.00', fixedPrice: 'Yes' },
+    { variation_code: 'mtn-1gb-1000', name: 'N1000 1.5GB - 30 days', variation_amount: '1000.00', fixedPrice: 'Yes' },
+  ],
+  'airtel-data': [
+    { variation_code: 'airt-100', name: 'Airtel Data Bundle - 100 Naira - 75MB - 1Day', variation_amount: '100.00', fixedPrice: 'Yes' },
+    { variation_code: 'airt-1000', name: 'Airtel Data Bundle - 1,000 Naira - 1.5GB - 30 Days', variation_amount: '1000.00', fixedPrice: 'Yes' },
+  ],
+  'glo-data': [
+    { variation_code: 'glo100', name: 'Glo Data N100 -  105MB - 2 day', variation_amount: '100.00', fixedPrice: 'Yes' },
+    { variation_code: 'glo1000', name: 'Glo Data N1000 -  2.5GB - 30 days', variation_amount: '1000.00', fixedPrice: 'Yes' },
+  ],
+  'etisalat-data': [
+    { variation_code: 'eti-100', name: '9mobile 100MB - 1 day', variation_amount: '100.00', fixedPrice: 'Yes' },
+    { variation_code: 'eti-1000', name: '9mobile 1.5GB - 30 days', variation_amount: '1000.00', fixedPrice: 'Yes' },
+  ],
+  dstv: [
+    { variation_code: 'dstv-padi', name: 'DStv Padi N2,950', variation_amount: '2950.00', fixedPrice: 'Yes' },
+    { variation_code: 'dstv-yanga', name: 'DStv Yanga N4,200', variation_amount: '4200.00', fixedPrice: 'Yes' },
+    { variation_code: 'dstv-confam', name: 'Dstv Confam N7,400', variation_amount: '7400.00', fixedPrice: 'Yes' },
+  ],
+  gotv: [
+    { variation_code: 'gotv-smallie', name: 'GOtv Smallie N1,575', variation_amount: '1575.00', fixedPrice: 'Yes' },
+    { variation_code: 'gotv-jinja', name: 'GOtv Jinja N3,300', variation_amount: '3300.00', fixedPrice: 'Yes' },
+  ],
+  startimes: [
+    { variation_code: 'nova', name: 'Nova - 1,200 Naira - 1 Month', variation_amount: '1200.00', fixedPrice: 'Yes' },
+    { variation_code: 'basic', name: 'Basic - 2,100 Naira - 1 Month', variation_amount: '2100.00', fixedPrice: 'Yes' },
+  ],
+  waec: [
+    { variation_code: 'waecdirect', name: 'WAEC Result Checker PIN', variation_amount: '3900.00', fixedPrice: 'Yes' },
+  ],
+  neco: [
+    { variation_code: 'neco-result', name: 'NECO Result Checker Token', variation_amount: '1300.00', fixedPrice: 'Yes' },
+  ],
+  jamb: [
+    { variation_code: 'utme-mock', name: 'UTME PIN (with mock)', variation_amount: '7700.00', fixedPrice: 'Yes' },
+    { variation_code: 'utme-no-mock', name: 'UTME PIN (without mock)', variation_amount: '6200.00', fixedPrice: 'Yes' },
+    { variation_code: 'de', name: 'Direct Entry (DE)', variation_amount: '6200.00', fixedPrice: 'Yes' },
+  ],
+  'ui-insure': [
+    { variation_code: '1', name: 'Private', variation_amount: '3000.00', fixedPrice: 'Yes' },
+    { variation_code: '2', name: 'Commercial', variation_amount: '5000.00', fixedPrice: 'Yes' },
+    { variation_code: '3', name: 'Tricycles', variation_amount: '1500.00', fixedPrice: 'Yes' },
+    { variation_code: '4', name: 'Motorcycle', variation_amount: '3000.00', fixedPrice: 'Yes' },
+  ],
+};
+
+const AIRTIME = ['mtn', 'airtel', 'glo', 'etisalat'];
+const ELECTRICITY = ['ikeja-electric', 'eko-electric', 'abuja-electric', 'kano-electric', 'portharcourt-electric', 'ibadan-electric', 'kaduna-electric', 'jos-electric', 'enugu-electric', 'benin-electric'];
+const TV = ['dstv', 'gotv', 'startimes', 'showmax'];
+const EXAMS = ['waec', 'neco', 'jamb'];
+
+function productExists(serviceID) {
+  return AIRTIME.includes(serviceID) || ELECTRICITY.includes(serviceID) || TV.includes(serviceID) || !!VARIATIONS[serviceID];
+}
+
+function requireKeys(req, res, next) {
+  const hasGetKeys = req.method === 'GET' && req.headers['api-key'] && req.headers['public-key'];
+  const hasPostKeys = req.method === 'POST' && req.headers['api-key'] && req.headers['secret-key'];
+  if (!hasGetKeys && !hasPostKeys) {
+    return res.status(401).json({ code: '087', response_description: 'INVALID CREDENTIALS' });
+  }
+  next();
+}
+
+function lagosTimestamp() {
+  return new Date().toLocaleString('sv-SE', { timeZone: 'Africa/Lagos' });
+}
+
+function digits(length) {
+  return Array.from({ length }, () => Math.floor(Math.random() * 10)).join('');
+}
+
+function token() {
+  return digits(20).match(/.{4}/g).join('-');
+}
+
+function payload(txn) {
+  const body = {
+    code: { delivered: '000', pending: '099', failed: '016' }[txn.status],
+    content: {
+      transactions: {
+        status: txn.status,
+        product_name: txn.productName,
+        unique_element: txn.billersCode || txn.phone,
+        unit_price: txn.amount,
+        quantity: txn.quantity || 1,
+        commission: Number((txn.amount * 0.02).toFixed(2)),
+        total_amount: Number((txn.amount * 0.98).toFixed(2)),
+        type: txn.type,
+        phone: txn.phone,
+        transactionId: txn.transactionId,
+      },
+    },
+    response_description: { delivered: 'TRANSACTION SUCCESSFUL', pending: 'TRANSACTION PROCESSING', failed: 'TRANSACTION FAILED' }[txn.status],
+    requestId: txn.requestId,
+    amount: txn.amount,
+    transaction_date: txn.transactionDate,
+    purchased_code: txn.purchasedCode || '',
+  };
+  if (txn.token) {
+    Object.assign(body, { token: txn.token, units: txn.units, customerName: txn.customerName });
+  }
+  if (txn.cards) body.cards = txn.cards;
+  if (txn.pin) body.Pin = `Pin : ${txn.pin}`;
+  if (txn.certUrl) body.certUrl = txn.certUrl;
+  return body;
+}
+
+function describe(serviceID) {
+  if (AIRTIME.includes(serviceID)) return { type: 'Airtime Recharge', productName: `${serviceID.toUpperCase()} Airtime VTU` };
+  if (ELECTRICITY.includes(serviceID)) return { type: 'Electricity Bill', productName: `${serviceID} Payment` };
+  if (TV.includes(serviceID)) return { type: 'TV Subscription', productName: `${serviceID.toUpperCase()} Subscription` };
+  if (EXAMS.includes(serviceID)) return { type: 'Education', productName: `${serviceID.toUpperCase()} PIN` };
+  if (serviceID === 'ui-insure') return { type: 'Insurance', productName: 'Third Party Motor Insurance - Universal Insurance' };
+  return { type: 'Data Services', productName: `${serviceID.replace('-data', '').toUpperCase()} Data` };
+}
+
+/**
+ * Moves a pending transaction to its final status and fires the callback.
+ */
+function settle(txn, status) {
+  txn.status = status;
+  if (status === 'delivered' && ELECTRICITY.includes(txn.serviceID) && txn.variationCode === 'prepaid') {
+    txn.token = token();
+    txn.units = `${(txn.amount / 68).toFixed(1)} kWh`;
+    txn.purchasedCode = `Token : ${txn.token}`;
+  }
+  if (status === 'delivered' && txn.serviceID === 'jamb') {
+    txn.pin = digits(15);
+    txn.purchasedCode = `Pin : ${txn.pin}`;
+  } else if (status === 'delivered' && EXAMS.includes(txn.serviceID)) {
+    txn.cards = Array.from({ length: txn.quantity || 1 }, () => ({ Serial: `WRN${digits(9)}`, Pin: digits(12) }));
+    txn.purchasedCode = txn.cards.map(c => `Serial No:${c.Serial}, pin: ${c.Pin}`).join(' || ');
+  }
+  if (status === 'delivered' && txn.serviceID === 'ui-insure') {
+    txn.certUrl = `https://sandbox.vtpass.com/certificates/${txn.requestId}.pdf`;
+    txn.purchasedCode = `Download Certificate : ${txn.certUrl}`;
+  }
+  webhooks.sendVtpass(payload(txn));
+}
+
+const router = express.Router();
+router.use(requireKeys);
+
+router.get('/service-variations', (req, res) => {
+  const mode = scenarios.next('vtpass.variations');
+  if (scenarios.interceptTransport(mode, res)) return;
+
+  const variations = VARIATIONS[req.query.serviceID];
+  if (!variations) return res.json({ response_description: '012', content: { errors: 'PRODUCT DOES NOT EXIST' } });
+  res.json({
+    response_description: '000',
+    content: {
+      ServiceName: describe(req.query.serviceID).productName,
+      serviceID: req.query.serviceID,
+      convinience_fee: '0 %',
+      variations,
+    },
+  });
+});
+
+router.post('/merchant-verify', (req, res) => {
+  const mode = scenarios.next('vtpass.verify');
+  if (scenarios.interceptTransport(mode, res)) return;
+
+  const { billersCode = '', serviceID, type } = req.body;
+  if (!productExists(serviceID)) return res.json({ code: '012', response_description: 'PRODUCT DOES NOT EXIST' });
+  if (mode === 'failed' || billersCode.endsWith('0000')) {
+    const error = serviceID === 'jamb'
+      ? 'This profile ID is invalid. Please check and try again.'
+      : 'This meter/smartcard number is invalid. Please check and try again.';
+    return res.json({ code: '000', content: { error } });
+  }
+
+  const content = {
+    Customer_Name: 'TEST CUSTOMER',
+    Address: '12 Allen Avenue, Ikeja, Lagos',
+    WrongBillersCode: false,
+    commission_details: { amount: null, rate: '1.50', rate_type: 'percent', computation_type: 'default' },
+  };
+  if (ELECTRICITY.includes(serviceID)) {
+    Object.assign(content, { Meter_Number: billersCode, Meter_Type: (type || 'prepaid').toUpperCase(), Min_Purchase_Amount: 500 });
+  } else if (serviceID === 'jamb') {
+    return res.json({ code: '000', content: { Customer_Name: 'TEST CANDIDATE' } });
+  } else {
+    Object.assign(content, { Status: 'ACTIVE', Due_Date: '2026-12-31T00:00:00', Customer_Number: billersCode, Current_Bouquet: 'GOtv Jinja N3,300', Renewal_Amount: 3300 });
+  }
+  res.json({ code: '000', content });
+});
+
+router.post('/pay', (req, res) => {
+  const mode = scenarios.next('vtpass.pay');
+  if (scenarios.interceptTransport(mode, res)) return;
+
+  const { request_id: requestId, serviceID, billersCode, variation_code: variationCode, amount, phone, quantity } = req.body;
+  if (!requestId) return res.json({ code: '011', response_description: 'INVALID ARGUMENTS' });
+  if (state.vtpass.transactions.has(requestId)) {
+    return res.json({ code: '019', response_description: 'LIKELY DUPLICATE TRANSACTION' });
+  }
+  if (!productExists(serviceID)) return res.json({ code: '012', response_description: 'PRODUCT DOES NOT EXIST' });
+
+  const variation = (VARIATIONS[serviceID] || []).find(v => v.variation_code === variationCode);
+  const count = Math.max(1, parseInt(quantity, 10) || 1);
+  const price = variation ? Number(variation.variation_amount) * count : Number(amount);
+  if (!price || price <= 0) return res.json({ code: '011', response_description: 'INVALID ARGUMENTS' });
+
+  const txn = {
+    requestId,
+    transactionId: String(Date.now()) + nextId(),
+    serviceID,
+    billersCode,
+    variationCode,
+    phone,
+    quantity: count,
+    amount: price,
+    status: 'pending',
+    transactionDate: lagosTimestamp(),
+    ...describe(serviceID),
+  };
+  state.vtpass.transactions.set(requestId, txn);
+
+  if (mode === 'failed') txn.status = 'failed';
+  else if (mode !== 'pending') settle(txn, 'delivered');
+  if (txn.status === 'failed') webhooks.sendVtpass(payload(txn));
+
+  if (mode === 'lost') return res.status(502).json({ code: '099', response_description: 'Fake provider: response lost' });
+  if (mode === 'failed') {
+    return res.json({ ...payload(txn), code: '016', response_description: 'TRANSACTION FAILED' });
+  }
+  res.json(payload(txn));
+});
+
+router.post('/requery', (req, res) => {
+  const mode = scenarios.next('vtpass.requery');
+  if (scenarios.interceptTransport(mode, res)) return;
+
+  const txn = state.vtpass.transactions.get(req.body.request_id);
+  if (!txn) return res.json({ code: '015', response_description: 'INVALID REQUEST ID' });
+  res.json(payload(txn));
+});
+
+// ─── Control ──────────────────────────────────────────────────────────────────
+
+const control = express.Router();
+
+/**
+ * POST /__control/vtpass/transactions/:requestId  { status: 'delivered'|'failed' }
+ * Resolves a transaction left at 099 and fires the callback.
+ */
+control.post('/transactions/:requestId', (req, res) => {
+  const txn = state.vtpass.transactions.get(req.params.requestId);
+  if (!txn) return res.status(404).json({ success: false, message: 'Transaction not found' });
+
+  const status = req.body.status === 'failed' ? 'failed' : 'delivered';
+  settle(txn, status);
+  res.json({ success: true, transaction: txn });
+});
+
+module.exports = { router, control };
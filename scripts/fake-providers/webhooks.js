@@ -0,0 +1,76 @@
+/**
+ * scripts/fake-providers/webhooks.js
+ *
+ * Outgoing webhooks from the fake providers, signed the way the real ones are
+ * so the API's verification runs unchanged.
+ *
+ *   Paystack  x-paystack-signature = HMAC-SHA512(raw body, PAYSTACK_SECRET_KEY)
+ *             → FAKE_PAYSTACK_WEBHOOK_URL
+ *   VTPass    { type: 'transaction-update', data } → FAKE_VTPASS_CALLBACK_URL
+ *             (skipped when unset)
+ *
+ * Delivery is delayed by FAKE_WEBHOOK_DELAY_MS (default 1.5 s) so the API has
+ * answered the original request first, as in production. Every delivery is
+ * kept in `sent` for GET /__control/state.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_URL = process.env.FAKE_API_URL || `http://localhost:${process.env.PORT || 3000}`;
+const PAYSTACK_WEBHOOK_URL = process.env.FAKE_PAYSTACK_WEBHOOK_URL || `${API_URL}/api/v1/webhooks/paystack`;
+const VTPASS_CALLBACK_URL = process.env.FAKE_VTPASS_CALLBACK_URL || null;
+const DELAY_MS = parseInt(process.env.FAKE_WEBHOOK_DELAY_MS, 10);
+const WEBHOOK_DELAY_MS = Number.isFinite(DELAY_MS) ? DELAY_MS : 1500;
+const MAX_LOG = 200;
+
+const sent = [];
+
+function log(entry) {
+  sent.unshift({ ...entry, at: new Date().toISOString() });
+  sent.length = Math.min(sent.length, MAX_LOG);
+}
+
+function signPaystack(rawBody) {
+  return crypto
+    .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY || '')
+    .update(rawBody)
+    .digest('hex');
+}
+
+async function deliver(provider, url, body, headers = {}, rawBody = JSON.stringify(body)) {
+  try {
+    const response = await axios.post(url, rawBody, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    log({ provider, url, event: body.event || body.type, status: response.status });
+    console.log(`📤 [fake ${provider}] ${body.event || body.type} → ${response.status}`);
+  } catch (error) {
+    log({ provider, url, event: body.event || body.type, error: error.message });
+    console.warn(`📤 [fake ${provider}] ${body.event || body.type} failed: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} event  e.g. 'charge.success'
+ * @param {object} data   Paystack `data` object
+ * @param {{ delayMs?: number }} [options]
+ */
+function sendPaystack(event, data, { delayMs = WEBHOOK_DELAY_MS } = {}) {
+  const body = { event, data };
+  const rawBody = JSON.stringify(body);
+  setTimeout(() => {
+    deliver('paystack', PAYSTACK_WEBHOOK_URL, body, { 'x-paystack-signature': signPaystack(rawBody) }, rawBody);
+  }, delayMs);
+}
+
+function sendVtpass(data, { delayMs = WEBHOOK_DELAY_MS } = {}) {
+  if (!VTPASS_CALLBACK_URL) return;
+  setTimeout(() => {
+    deliver('vtpass', VTPASS_CALLBACK_URL, { type: 'transaction-update', data });
+  }, delayMs);
+}
+
+module.exports = { sendPaystack, sendVtpass, signPaystack, sent };
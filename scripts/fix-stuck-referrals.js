@@ -1,7 +1,7 @@
 /**
  * scripts/fix-stuck-referrals.js
  *
- * Self-contained — no dependency on walletService.
+ * Self-contained — no dependency on walletService (only the journal in ledger.service).
  *
  * Root cause of the stuck state:
  *   hasCompletedFirstPurchase is only set BY the referral bonus processing.
@@ -23,8 +23,10 @@ require('dotenv').config();
 
 const { db, admin }            = require('../src/config/firebase');
 const { client, connectRedis } = require('../src/config/redis');
+const ledgerService            = require('../src/services/ledger.service');
+const { formatNaira }          = require('../src/utils/money');
 
-const REFERRAL_BONUS = 500;
+const REFERRAL_BONUS_KOBO = 50_000; // ₦500
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Check if a user has at least one delivered order, and return its ID.
@@ -95,7 +97,7 @@ async function creditReferralBonus(referrerId, refereeId, refereeOrderId) {
 
     // 2. Credit ₦500 to referrer wallet
     t.update(referrerWalletRef, {
-      balance: admin.firestore.FieldValue.increment(REFERRAL_BONUS),
+      balance: admin.firestore.FieldValue.increment(REFERRAL_BONUS_KOBO),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
 
@@ -105,7 +107,7 @@ async function creditReferralBonus(referrerId, refereeId, refereeOrderId) {
       userId: referrerId,
       type: 'credit',
       category: 'referral_bonus',
-      amount: REFERRAL_BONUS,
+      amount: REFERRAL_BONUS_KOBO,
       description: `Referral Bonus — ${refereeData.name || 'New User'} completed first purchase`,
       timestamp: Date.now(),
       status: 'completed',
@@ -119,12 +121,24 @@ async function creditReferralBonus(referrerId, refereeId, refereeOrderId) {
 
     // 4. Increment referrer's referralBonus counter (used by /stats endpoint)
     t.update(referrerUserRef, {
-      referralBonus: admin.firestore.FieldValue.increment(REFERRAL_BONUS),
+      referralBonus: admin.firestore.FieldValue.increment(REFERRAL_BONUS_KOBO),
       updatedAt: Date.now(),
     });
 
     // 5. Delete the pending referral doc — atomically, only on successful credit
     t.delete(referralDocRef);
+
+    // 6. Journal: same entry id as routes/referral.routes.js so the two can't both post
+    ledgerService.postAtomic(t, {
+      id: `referral_${refereeId}`,
+      type: 'referral_bonus',
+      reference: txnId,
+      lines: [
+        ledgerService.debit(ledgerService.ACCOUNTS.REFERRALS, REFERRAL_BONUS_KOBO),
+        ledgerService.credit(ledgerService.ACCOUNTS.user(referrerId), REFERRAL_BONUS_KOBO),
+      ],
+      metadata: { referrerId, refereeId, refereeOrderId, source: 'fix-stuck-referrals' },
+    });
   });
 
   // Seal Redis lock for 24h
@@ -198,7 +212,7 @@ async function main() {
         console.log(`     ℹ️  Already processed — skipping`);
         skipped++;
       } else {
-        console.log(`     ✅ ₦${REFERRAL_BONUS} credited to ${referrerId}`);
+        console.log(`     ✅ ${formatNaira(REFERRAL_BONUS_KOBO)} credited to ${referrerId}`);
         credited++;
       }
     } catch (err) {
@@ -0,0 +1,201 @@
+/**
+ * scripts/migrate-to-kobo.js
+ *
+ * One-off: rewrites every stored naira amount as integer kobo (utils/money.js).
+ *
+ *   wallets                 balance, pendingBalance
+ *   transactions (all)      amount, fee, totalDebit — wallet subcollections and
+ *                           the top-level collection, via collectionGroup
+ *   orders                  totalAmount, commission, deliveryFee, discount,
+ *                           products[].price
+ *   stateCommissions        orderAmount, platformCommission, managerCommission
+ *   users                   referralBonus, subscriptionPrice
+ *   journalEntries          total, lines[].amount
+ *   ledgerAccounts          balance; entries/{id} delta, lines[].amount
+ *   reconciliationReports   totalBalanceDrift; drifts/{userId} money fields
+ *
+ * Conversion is toKobo() — half away from zero to the nearest kobo.
+ * Each converted document is stamped `moneyUnit: 'kobo'` and skipped on re-run,
+ * so the script is safe to resume after a crash. A finished run writes
+ * system/money_migration; once that exists the script refuses to run again,
+ * because documents written by the new code are kobo but carry no stamp.
+ *
+ * Money must not move while this runs: turn maintenance mode on first
+ * (POST /api/v1/admin/system/maintenance { enabled: true }). The script refuses
+ * to start otherwise. Wallet / order caches are flushed at the end.
+ *
+ * Usage (from project root):
+ *   node scripts/migrate-to-kobo.js            # migrate
+ *   node scripts/migrate-to-kobo.js --dry-run  # count only, no writes
+ */
+
+require('dotenv').config();
+
+const { db }                   = require('../src/config/firebase');
+const { client, connectRedis, deleteCachePattern } = require('../src/config/redis');
+const {
+  toKobo, WALLET_MONEY_FIELDS, TRANSACTION_MONEY_FIELDS, ORDER_MONEY_FIELDS, DRIFT_MONEY_FIELDS,
+} = require('../src/utils/money');
+
+const DRY_RUN    = process.argv.includes('--dry-run');
+const BATCH_SIZE = 400; // Firestore hard limit is 500 writes per batch
+
+// Kobo values for whichever of `fields` are numbers on `data`
+function convertFields(data, fields) {
+  const update = {};
+  for (const field of fields) {
+    if (typeof data[field] === 'number') update[field] = toKobo(data[field]);
+  }
+  return update;
+}
+
+function convertLines(lines) {
+  return lines.map(line => (typeof line.amount === 'number'
+    ? { ...line, amount: toKobo(line.amount) }
+    : line));
+}
+
+const TARGETS = [
+  {
+    label: 'wallets',
+    query: () => db.collection('wallets'),
+    convert: (d) => convertFields(d, WALLET_MONEY_FIELDS),
+  },
+  {
+    label: 'transactions',
+    query: () => db.collectionGroup('transactions'),
+    convert: (d) => convertFields(d, TRANSACTION_MONEY_FIELDS),
+  },
+  {
+    label: 'orders',
+    query: () => db.collection('orders'),
+    convert: (d) => {
+      const update = convertFields(d, ORDER_MONEY_FIELDS);
+      if (Array.isArray(d.products)) {
+        update.products = d.products.map(p => (typeof p.price === 'number'
+          ? { ...p, price: toKobo(p.price) }
+          : p));
+      }
+      return update;
+    },
+  },
+  {
+    label: 'stateCommissions',
+    query: () => db.collection('stateCommissions'),
+    convert: (d) => convertFields(d, ['orderAmount', 'platformCommission', 'managerCommission']),
+  },
+  {
+    label: 'users',
+    query: () => db.collection('users'),
+    convert: (d) => convertFields(d, ['referralBonus', 'subscriptionPrice']),
+  },
+  {
+    label: 'journalEntries',
+    query: () => db.collection('journalEntries'),
+    convert: (d) => ({
+      ...convertFields(d, ['total']),
+      ...(Array.isArray(d.lines) ? { lines: convertLines(d.lines) } : {}),
+    }),
+  },
+  {
+    label: 'ledgerAccounts',
+    query: () => db.collection('ledgerAccounts'),
+    convert: (d) => convertFields(d, ['balance']),
+  },
+  {
+    label: 'ledger entries',
+    query: () => db.collectionGroup('entries'),
+    convert: (d) => ({
+      ...convertFields(d, ['delta']),
+      ...(Array.isArray(d.lines) ? { lines: convertLines(d.lines) } : {}),
+    }),
+  },
+  {
+    label: 'reconciliationReports',
+    query: () => db.collection('reconciliationReports'),
+    convert: (d) => convertFields(d, DRIFT_MONEY_FIELDS),
+  },
+  {
+    label: 'reconciliation drifts',
+    query: () => db.collectionGroup('drifts'),
+    convert: (d) => convertFields(d, DRIFT_MONEY_FIELDS),
+  },
+];
+
+async function migrateTarget({ label, query, convert }) {
+  const snap = await query().get();
+  let converted = 0;
+  let skipped = 0;
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const doc of snap.docs) {
+    const data = doc.data();
+    if (data.moneyUnit === 'kobo') { skipped++; continue; }
+
+    const update = convert(data);
+    converted++;
+    if (DRY_RUN) continue;
+
+    batch.update(doc.ref, { ...update, moneyUnit: 'kobo' });
+    if (++pending >= BATCH_SIZE) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (!DRY_RUN && pending > 0) await batch.commit();
+
+  console.log(`  ${DRY_RUN ? '🔎' : '✅'} ${label.padEnd(22)} converted ${converted} (skipped ${skipped})`);
+  return { converted, skipped };
+}
+
+async function flushMoneyCaches() {
+  const patterns = [
+    'wallet:cache:*', 'wallet:balance:*',
+    'orders:*', 'order:*', 'order_full:*',
+    'referrals:stats:*',
+  ];
+  for (const pattern of patterns) await deleteCachePattern(pattern);
+}
+
+async function main() {
+  await connectRedis();
+
+  const markerRef = db.collection('system').doc('money_migration');
+  const marker = await markerRef.get();
+  if (marker.exists) {
+    throw new Error(`Already migrated at ${new Date(marker.data().completedAt).toISOString()} — refusing to convert twice.`);
+  }
+
+  const maintenance = await client.get('system:maintenance_mode');
+  if (!DRY_RUN && maintenance !== 'true') {
+    throw new Error('Maintenance mode is off — enable it before migrating money fields.');
+  }
+
+  console.log(`🔍 Migrating stored amounts to kobo${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  let total = 0;
+  for (const target of TARGETS) {
+    const { converted } = await migrateTarget(target);
+    total += converted;
+  }
+
+  if (!DRY_RUN) {
+    await markerRef.set({ unit: 'kobo', documentsConverted: total, completedAt: Date.now() });
+    await flushMoneyCaches();
+  }
+
+  console.log('\n─────────────────────────────────');
+  console.log(`✅ Documents ${DRY_RUN ? 'to convert' : 'converted'}: ${total}`);
+  if (!DRY_RUN) console.log('   Caches flushed — turn maintenance mode off when ready.');
+  console.log('─────────────────────────────────\n');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('💥 Fatal:', err);
+    process.exit(1);
+  });
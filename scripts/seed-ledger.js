@@ -0,0 +1,108 @@
+/**
+ * scripts/seed-ledger.js
+ *
+ * Brings wallets that pre-date the double-entry journal onto the ledger.
+ *
+ *   1. Every wallet's current `balance` is posted against platform:opening
+ *      (entry id `opening_{userId}`).
+ *   2. Every running order's escrow is posted as `escrow_hold_{orderId}` against
+ *      platform:opening, so the eventual release/refund debits a funded escrow
+ *      account instead of driving it negative.
+ *
+ * Seller `pendingBalance` is not seeded — on the journal it is a receivable
+ * that only becomes money when the buyer's escrow is released.
+ *
+ * Usage (from project root):
+ *   node scripts/seed-ledger.js
+ *
+ * Run AFTER scripts/migrate-to-kobo.js — journal lines must be integer kobo.
+ *
+ * Safe to re-run — entry ids are deterministic and already-posted ones are skipped.
+ */
+
+require('dotenv').config();
+
+const { db }          = require('../src/config/firebase');
+const ledgerService   = require('../src/services/ledger.service');
+const { formatNaira } = require('../src/utils/money');
+
+const { ACCOUNTS } = ledgerService;
+
+async function seedWallets() {
+  const walletsSnap = await db.collection('wallets').get();
+  let seeded = 0;
+  let skipped = 0;
+
+  for (const walletDoc of walletsSnap.docs) {
+    try {
+      const result = await ledgerService.seedOpeningBalance(walletDoc.id);
+      if (result.skipped) {
+        skipped++;
+      } else {
+        console.log(`  💳 ${walletDoc.id} — opening balance ${formatNaira(result.balance)}`);
+        seeded++;
+      }
+    } catch (err) {
+      console.error(`  ❌ ${walletDoc.id}: ${err.message}`);
+    }
+  }
+
+  return { seeded, skipped };
+}
+
+async function seedRunningEscrow() {
+  const ordersSnap = await db.collection('orders').where('status', '==', 'running').get();
+  let seeded = 0;
+  let skipped = 0;
+
+  for (const orderDoc of ordersSnap.docs) {
+    const order = orderDoc.data();
+    const entryId = `escrow_hold_${orderDoc.id}`;
+
+    try {
+      const posted = await db.runTransaction(async (t) => {
+        const existing = await t.get(db.collection('journalEntries').doc(entryId));
+        if (existing.exists) return false;
+
+        ledgerService.postAtomic(t, {
+          id: entryId,
+          type: 'opening_escrow',
+          reference: orderDoc.id,
+          lines: [
+            ledgerService.debit(ACCOUNTS.OPENING, order.totalAmount),
+            ledgerService.credit(ACCOUNTS.escrow(order.buyerId), order.totalAmount),
+          ],
+          metadata: { orderId: orderDoc.id, buyerId: order.buyerId, sellerId: order.sellerId },
+        });
+        return true;
+      });
+
+      if (posted) seeded++;
+      else skipped++;
+    } catch (err) {
+      console.error(`  ❌ Order ${orderDoc.id}: ${err.message}`);
+    }
+  }
+
+  return { seeded, skipped };
+}
+
+async function main() {
+  console.log('🔍 Seeding opening balances...\n');
+  const wallets = await seedWallets();
+
+  console.log('\n🔍 Seeding escrow for running orders...\n');
+  const escrow = await seedRunningEscrow();
+
+  console.log('\n─────────────────────────────────');
+  console.log(`✅ Wallets seeded : ${wallets.seeded} (skipped ${wallets.skipped})`);
+  console.log(`✅ Escrow seeded  : ${escrow.seeded} (skipped ${escrow.skipped})`);
+  console.log('─────────────────────────────────\n');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('💥 Fatal:', err);
+    process.exit(1);
+  });
@@ -26,6 +26,12 @@ require('./src/jobs/keepAlive');
 require('./src/jobs/cartReminder'); 
 require('./src/jobs/disputeCleanup');
 require('./src/jobs/subscriptionReminders');
+require('./src/jobs/walletReconciliation');
+require('./src/jobs/withdrawalStatus');
+require('./src/jobs/walletHolds');
+require('./src/jobs/webhookRetry');
+require('./src/jobs/billRequery');
+require('./src/jobs/scheduledBills');
 
 const xss = require('xss-clean');
 const hpp = require('hpp');
@@ -36,11 +42,14 @@ const maintenanceGuard = require('./src/middleware/maintenance');
 // Route Imports
 const adminRoutes = require('./src/routes/admin.routes');
 const walletRoutes = require('./src/routes/wallet.routes');
+const pinRoutes = require('./src/routes/pin.routes');
 const webhookRoutes = require('./src/routes/webhook.routes');
 const uploadRoutes = require('./src/routes/upload.routes');
 const userRoutes = require('./src/routes/user.routes');
 const productRoutes = require('./src/routes/product.routes');
 const orderRoutes = require('./src/routes/order.routes');
+const cartRoutes = require('./src/routes/cart.routes');
+const couponRoutes = require('./src/routes/coupon.routes');
 const billRoutes = require('./src/routes/bill.routes');
 const paymentRoutes = require('./src/routes/payment.routes');
 const sellerReviewRoutes = require('./src/routes/seller-review.routes');
@@ -114,7 +123,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'x-cache']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'x-cache', 'Idempotency-Key', 'X-Transaction-PIN'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 app.use(compression());
@@ -202,12 +212,15 @@ app.get('/api/v1/health', async (req, res) => {
 // --- 6. API Routes ---
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/wallet/pin', pinRoutes);
 app.use('/api/v1/wallet', walletRoutes);
 app.use('/api/v1/webhooks', webhookRoutes);
 app.use('/api/v1/upload', uploadRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/orders', orderRoutes);
+app.use('/api/v1/cart', cartRoutes);
+app.use('/api/v1/coupons', couponRoutes);
 app.use('/api/v1/bills', billRoutes);
 app.use('/api/v1/payments', paymentRoutes);
 app.use('/api/v1/seller-reviews', sellerReviewRoutes);
@@ -0,0 +1,419 @@
+'use strict';
+
+// ─── __mocks__/firebase.js ────────────────────────────────────────────────────
+// In-memory stand-in for config/firebase.js, picked up by
+// jest.mock('../config/firebase'). Covers the slice of the Admin SDK the
+// services use: docs and sub-collections, queries (where / orderBy / limit /
+// startAfter / count), batches, transactions and the FieldValue sentinels.
+//
+// Transactions behave like Firestore's: reads see committed data only, every
+// read must come before the first write, and writes land together on commit
+// (or not at all when the callback throws).
+//
+// Tests reset between cases with `_reset()` and seed / inspect with
+// `_seed(path, data)` and `_read(path)`.
+
+const docs = new Map(); // 'coll/id/sub/id' → data
+let autoId = 0;
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+class Timestamp {
+    constructor(millis) {
+        this._millis = millis;
+        this.seconds = Math.floor(millis / 1000);
+        this.nanoseconds = (millis % 1000) * 1e6;
+    }
+
+    toMillis() { return this._millis; }
+    toDate() { return new Date(this._millis); }
+    valueOf() { return this._millis; }
+    static now() { return new Timestamp(Date.now()); }
+    static fromMillis(millis) { return new Timestamp(millis); }
+    static fromDate(date) { return new Timestamp(date.getTime()); }
+}
+
+class Sentinel {
+    constructor(kind, value) {
+        this.kind = kind;
+        this.value = value;
+    }
+}
+
+const FieldValue = {
+    serverTimestamp: () => new Sentinel('serverTimestamp'),
+    increment: (n) => new Sentinel('increment', n),
+    arrayUnion: (...items) => new Sentinel('arrayUnion', items),
+    arrayRemove: (...items) => new Sentinel('arrayRemove', items),
+    delete: () => new Sentinel('delete')
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+    && Object.getPrototypeOf(value) === Object.prototype;
+
+function clone(value) {
+    if (value instanceof Timestamp) return value;
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        const out = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (item !== undefined) out[key] = clone(item);
+        }
+        return out;
+    }
+    return value;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function resolve(sentinel, current) {
+    switch (sentinel.kind) {
+        case 'serverTimestamp': return Timestamp.now();
+        case 'increment': return (typeof current === 'number' ? current : 0) + sentinel.value;
+        case 'arrayUnion': {
+            const list = Array.isArray(current) ? [...current] : [];
+            sentinel.value.forEach(item => { if (!list.some(x => sameValue(x, item))) list.push(clone(item)); });
+            return list;
+        }
+        case 'arrayRemove':
+            return (Array.isArray(current) ? current : []).filter(x => !sentinel.value.some(item => sameValue(x, item)));
+        default: throw new Error(`Unknown FieldValue ${sentinel.kind}`);
+    }
+}
+
+// Write `value` into `target` at `key`, resolving sentinels against what's
+// there. `merge` merges nested maps instead of replacing them.
+function put(target, key, value, merge) {
+    if (value === undefined) return;
+    if (value instanceof Sentinel) {
+        if (value.kind === 'delete') delete target[key];
+        else target[key] = resolve(value, target[key]);
+        return;
+    }
+    if (isPlainObject(value)) {
+        const base = merge && isPlainObject(target[key]) ? target[key] : {};
+        target[key] = base;
+        for (const [k, v] of Object.entries(value)) put(base, k, v, merge);
+        return;
+    }
+    target[key] = clone(value);
+}
+
+function getField(data, field) {
+    return String(field).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setField(data, field, value) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    let target = data;
+    for (const key of keys) {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+    }
+    put(target, last, value, true);
+}
+
+function firestoreError(code, status, message) {
+    const err = new Error(`${code} ${status}: ${message}`);
+    err.code = code;
+    return err;
+}
+
+// ─── Snapshots ────────────────────────────────────────────────────────────────
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() { return this.exists ? clone(this._data) : undefined; }
+    get(field) { return this.exists ? clone(getField(this._data, field)) : undefined; }
+}
+
+class QuerySnapshot {
+    constructor(docSnaps) {
+        this.docs = docSnaps;
+        this.size = docSnaps.length;
+        this.empty = docSnaps.length === 0;
+    }
+
+    forEach(fn) { this.docs.forEach(fn); }
+}
+
+// ─── References and queries ───────────────────────────────────────────────────
+
+const compare = (a, b) => {
+    const norm = (v) => (v instanceof Timestamp ? v.toMillis() : v instanceof Date ? v.getTime() : v);
+    a = norm(a); b = norm(b);
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : 1;
+};
+
+const OPERATORS = {
+    '==': (v, x) => v !== undefined && compare(v, x) === 0,
+    '!=': (v, x) => v !== undefined && compare(v, x) !== 0,
+    '<': (v, x) => v !== undefined && v !== null && compare(v, x) < 0,
+    '<=': (v, x) => v !== undefined && v !== null && compare(v, x) <= 0,
+    '>': (v, x) => v !== undefined && v !== null && compare(v, x) > 0,
+    '>=': (v, x) => v !== undefined && v !== null && compare(v, x) >= 0,
+    'in': (v, x) => x.some(item => compare(v, item) === 0),
+    'not-in': (v, x) => v !== undefined && !x.some(item => compare(v, item) === 0),
+    'array-contains': (v, x) => Array.isArray(v) && v.some(item => sameValue(item, x)),
+    'array-contains-any': (v, x) => Array.isArray(v) && v.some(item => x.some(y => sameValue(item, y)))
+};
+
+class Query {
+    constructor(source, { filters = [], orders = [], max = null, after = null } = {}) {
+        this._source = source; // { path } for a collection, { group } for a collection group
+        this._filters = filters;
+        this._orders = orders;
+        this._max = max;
+        this._after = after;
+    }
+
+    _with(changes) {
+        return new Query(this._source, {
+            filters: this._filters, orders: this._orders, max: this._max, after: this._after, ...changes
+        });
+    }
+
+    where(field, op, value) {
+        if (!OPERATORS[op]) throw new Error(`Unsupported where operator ${op}`);
+        return this._with({ filters: [...this._filters, { field, op, value }] });
+    }
+
+    orderBy(field, direction = 'asc') {
+        return this._with({ orders: [...this._orders, { field, direction }] });
+    }
+
+    limit(n) { return this._with({ max: n }); }
+    select() { return this; }
+
+    startAfter(...values) {
+        const cursor = values[0] instanceof DocumentSnapshot
+            ? this._orders.map(o => values[0].get(o.field))
+            : values;
+        return this._with({ after: cursor });
+    }
+
+    _matches(path) {
+        const parts = path.split('/');
+        if (this._source.group) return parts[parts.length - 2] === this._source.group;
+        return parts.length === this._source.path.split('/').length + 1
+            && path.startsWith(`${this._source.path}/`);
+    }
+
+    _run() {
+        let rows = [...docs.entries()]
+            .filter(([path]) => this._matches(path))
+            .filter(([, data]) => this._filters.every(f => OPERATORS[f.op](getField(data, f.field), f.value)));
+
+        const order = (a, b) => {
+            for (const { field, direction } of this._orders) {
+                const diff = compare(getField(a[1], field), getField(b[1], field));
+                if (diff) return direction === 'desc' ? -diff : diff;
+            }
+            return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0;
+        };
+        rows.sort(order);
+        // Firestore leaves out docs missing an orderBy field
+        rows = rows.filter(([, data]) => this._orders.every(o => getField(data, o.field) !== undefined));
+
+        if (this._after) {
+            rows = rows.filter(([, data]) => {
+                for (let i = 0; i < this._orders.length; i++) {
+                    const { field, direction } = this._orders[i];
+                    const diff = compare(getField(data, field), this._after[i]);
+                    if (diff) return direction === 'desc' ? diff < 0 : diff > 0;
+                }
+                return false;
+            });
+        }
+        if (this._max !== null) rows = rows.slice(0, this._max);
+        return rows.map(([path, data]) => new DocumentSnapshot(refAt(path), clone(data)));
+    }
+
+    async get() { return new QuerySnapshot(this._run()); }
+
+    count() {
+        return { get: async () => ({ data: () => ({ count: this._run().length }) }) };
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(path) {
+        super({ path });
+        this.path = path;
+        this.id = path.split('/').pop();
+        const parentPath = path.split('/').slice(0, -1).join('/');
+        this.parent = parentPath ? refAt(parentPath) : null;
+    }
+
+    doc(id) {
+        return refAt(`${this.path}/${id === undefined ? `auto${String(++autoId).padStart(6, '0')}` : id}`);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class DocumentReference {
+    constructor(path) {
+        this.path = path;
+        this.id = path.split('/').pop();
+        this.parent = new CollectionReference(path.split('/').slice(0, -1).join('/'));
+    }
+
+    collection(name) { return new CollectionReference(`${this.path}/${name}`); }
+
+    async get() { return new DocumentSnapshot(this, docs.has(this.path) ? clone(docs.get(this.path)) : undefined); }
+    async set(data, options) { applyWrites([{ type: 'set', ref: this, data, options }]); }
+    async update(data) { applyWrites([{ type: 'update', ref: this, data }]); }
+    async create(data) { applyWrites([{ type: 'create', ref: this, data }]); }
+    async delete() { applyWrites([{ type: 'delete', ref: this }]); }
+}
+
+function refAt(path) {
+    return new DocumentReference(path);
+}
+
+// ─── Writes ───────────────────────────────────────────────────────────────────
+
+// Check every write first so a failing batch or transaction changes nothing
+function applyWrites(writes) {
+    const next = new Map();
+    const current = (path) => (next.has(path) ? next.get(path) : docs.get(path));
+
+    for (const { type, ref, data, options } of writes) {
+        const existing = current(ref.path);
+        if (type === 'delete') {
+            next.set(ref.path, undefined);
+        } else if (type === 'create' && existing !== undefined) {
+            throw firestoreError(6, 'ALREADY_EXISTS', `Document already exists: ${ref.path}`);
+        } else if (type === 'update') {
+            if (existing === undefined) throw firestoreError(5, 'NOT_FOUND', `No document to update: ${ref.path}`);
+            const doc = clone(existing);
+            for (const [field, value] of Object.entries(data)) setField(doc, field, value);
+            next.set(ref.path, doc);
+        } else {
+            const merge = !!(options && (options.merge || options.mergeFields));
+            const holder = { doc: merge && existing !== undefined ? clone(existing) : {} };
+            put(holder, 'doc', data, merge);
+            next.set(ref.path, holder.doc);
+        }
+    }
+    for (const [path, doc] of next) {
+        if (doc === undefined) docs.delete(path);
+        else docs.set(path, doc);
+    }
+}
+
+class WriteBatch {
+    constructor() { this._writes = []; }
+    set(ref, data, options) { this._writes.push({ type: 'set', ref, data, options }); return this; }
+    update(ref, data) { this._writes.push({ type: 'update', ref, data }); return this; }
+    create(ref, data) { this._writes.push({ type: 'create', ref, data }); return this; }
+    delete(ref) { this._writes.push({ type: 'delete', ref }); return this; }
+    async commit() { applyWrites(this._writes); return []; }
+}
+
+class Transaction extends WriteBatch {
+    async get(refOrQuery) {
+        if (this._writes.length) {
+            throw new Error('Firestore transactions require all reads to be executed before all writes.');
+        }
+        return refOrQuery.get();
+    }
+
+    async getAll(...refs) {
+        return Promise.all(refs.map(ref => this.get(ref)));
+    }
+}
+
+// ─── db ───────────────────────────────────────────────────────────────────────
+
+const db = {
+    collection: (path) => new CollectionReference(path),
+    doc: (path) => refAt(path),
+    collectionGroup: (name) => new Query({ group: name }),
+    batch: () => new WriteBatch(),
+    getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+    settings: () => {},
+    async runTransaction(fn) {
+        const transaction = new Transaction();
+        const result = await fn(transaction);
+        applyWrites(transaction._writes);
+        return result;
+    }
+};
+
+const admin = {
+    firestore: Object.assign(() => db, { FieldValue, Timestamp })
+};
+
+const auth = {
+    verifyIdToken: jest.fn(async () => { throw new Error('auth not mocked'); }),
+    getUser: jest.fn(async () => null),
+    createCustomToken: jest.fn(async (uid) => `token-${uid}`)
+};
+
+const storage = { bucket: () => ({ file: () => ({ getSignedUrl: async () => [''], delete: async () => {} }) }) };
+
+module.exports = {
+    db, auth, storage, admin,
+
+    // Tests choose the signed-in user with auth.verifyIdToken.mockResolvedValue({ uid })
+    verifyToken: async (token) => auth.verifyIdToken(token).catch(() => null),
+
+    getDocument: async (coll, id) => {
+        const doc = await db.collection(coll).doc(id).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    },
+    setDocument: async (coll, id, data, merge = true) => db.collection(coll).doc(id).set(data, { merge }),
+    updateDocument: async (coll, id, data) => db.collection(coll).doc(id).update({
+        ...data, updatedAt: FieldValue.serverTimestamp()
+    }),
+    deleteDocument: async (coll, id) => db.collection(coll).doc(id).delete(),
+    queryDocuments: async (coll, filters = []) => {
+        let q = db.collection(coll);
+        filters.forEach(f => { q = q.where(f.field, f.operator, f.value); });
+        const snap = await q.get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    },
+    runTransaction: async (cb) => db.runTransaction(cb),
+
+    // ─── Test helpers ─────────────────────────────────────────────────────────
+
+    _reset() {
+        docs.clear();
+        autoId = 0;
+    },
+
+    _seed(path, data) {
+        const holder = {};
+        put(holder, 'doc', data, false);
+        docs.set(path, holder.doc);
+    },
+
+    _read(path) {
+        return docs.has(path) ? clone(docs.get(path)) : undefined;
+    },
+
+    // Every doc directly under `path`, as { id, ...data }
+    _list(path) {
+        const depth = path.split('/').length + 1;
+        return [...docs.entries()]
+            .filter(([p]) => p.startsWith(`${path}/`) && p.split('/').length === depth)
+            .map(([p, data]) => ({ id: p.split('/').pop(), ...clone(data) }));
+    }
+};
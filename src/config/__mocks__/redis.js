@@ -0,0 +1,180 @@
+'use strict';
+
+// ─── __mocks__/redis.js ───────────────────────────────────────────────────────
+// In-memory stand-in for config/redis.js, picked up by
+// jest.mock('../config/redis'). The client understands the commands the
+// services use (get / set with NX and EX / setEx / del / incr / expire / ttl /
+// keys / multi). Expiry follows Date.now(), so jest fake timers move it.
+// `_reset()` empties it between tests.
+
+const store = new Map(); // key → { value, expiresAt }
+
+function live(key) {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+        store.delete(key);
+        return undefined;
+    }
+    return entry;
+}
+
+const patternToRegExp = (pattern) => new RegExp(
+    `^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+);
+
+const client = {
+    isOpen: true,
+
+    on() { return client; },
+    async connect() {},
+
+    async get(key) {
+        const entry = live(key);
+        return entry ? entry.value : null;
+    },
+
+    async set(key, value, options = {}) {
+        if (options.NX && live(key)) return null;
+        if (options.XX && !live(key)) return null;
+        store.set(key, {
+            value: String(value),
+            expiresAt: options.EX ? Date.now() + options.EX * 1000 : options.PX ? Date.now() + options.PX : null
+        });
+        return 'OK';
+    },
+
+    async setEx(key, seconds, value) {
+        return client.set(key, value, { EX: seconds });
+    },
+
+    async del(keys) {
+        let removed = 0;
+        for (const key of [].concat(keys)) {
+            if (live(key)) removed++;
+            store.delete(key);
+        }
+        return removed;
+    },
+
+    async incr(key) {
+        const entry = live(key);
+        const value = (entry ? Number(entry.value) : 0) + 1;
+        store.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+        return value;
+    },
+
+    async expire(key, seconds) {
+        const entry = live(key);
+        if (!entry) return false;
+        entry.expiresAt = Date.now() + seconds * 1000;
+        return true;
+    },
+
+    async ttl(key) {
+        const entry = live(key);
+        if (!entry) return -2;
+        if (entry.expiresAt === null) return -1;
+        return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+    },
+
+    async exists(key) {
+        return live(key) ? 1 : 0;
+    },
+
+    async keys(pattern) {
+        const regex = patternToRegExp(pattern);
+        return [...store.keys()].filter(key => live(key) && regex.test(key));
+    },
+
+    multi() {
+        const queued = [];
+        const chain = new Proxy({}, {
+            get(target, command) {
+                if (command === 'exec') return async () => Promise.all(queued.map(run => run()));
+                return (...args) => {
+                    queued.push(() => client[command](...args));
+                    return chain;
+                };
+            }
+        });
+        return chain;
+    }
+};
+
+const CACHE_KEYS = {
+    USER_PROFILE: (userId) => `user:${userId}:profile`,
+    USER_WALLET: (userId) => `user:${userId}:wallet`,
+    PRODUCT: (productId) => `product:${productId}`,
+    PRODUCTS_CATEGORY: (category) => `products:category:${category}`,
+    PRODUCTS_SELLER: (sellerId) => `products:seller:${sellerId}`,
+    ORDER: (orderId) => `order:${orderId}`,
+    CATEGORIES: (type) => `categories:${type}`,
+    PAYMENT_LOCK: (reference) => `payment:lock:${reference}`,
+    WEBHOOK_LOCK: (eventId) => `webhook:lock:${eventId}`,
+    IDEMPOTENCY: (userId, route, key) => `idempotency:${userId}:${route}:${key}`,
+    RATE_LIMIT: (identifier) => `ratelimit:${identifier}`,
+    VTPASS_VARIATIONS: (serviceID) => `vtpass:variations:${serviceID}`,
+    BILL_PRICING_RULES: 'bills:pricing:rules',
+};
+
+const CACHE_TTL = {
+    SHORT: 300,
+    MEDIUM: 1800,
+    LONG: 3600,
+    VERY_LONG: 86400,
+    WEEK: 604800
+};
+
+async function getCache(key) {
+    const data = await client.get(key);
+    return data ? JSON.parse(data) : null;
+}
+
+async function setCache(key, value, ttl = CACHE_TTL.MEDIUM) {
+    await client.setEx(key, ttl, JSON.stringify(value));
+    return true;
+}
+
+async function deleteCache(key) {
+    await client.del(key);
+    return true;
+}
+
+async function deleteCachePattern(pattern) {
+    const keys = await client.keys(pattern);
+    if (keys.length > 0) await client.del(keys);
+    return true;
+}
+
+async function invalidateUserCache(userId) {
+    await Promise.all([
+        deleteCache(CACHE_KEYS.USER_PROFILE(userId)),
+        deleteCache(CACHE_KEYS.USER_WALLET(userId)),
+        deleteCachePattern(`products:seller:${userId}*`)
+    ]);
+}
+
+async function invalidateProductCache(productId, category, sellerId) {
+    await Promise.all([
+        deleteCache(CACHE_KEYS.PRODUCT(productId)),
+        deleteCache(CACHE_KEYS.PRODUCTS_CATEGORY(category)),
+        deleteCache(CACHE_KEYS.PRODUCTS_SELLER(sellerId))
+    ]);
+}
+
+module.exports = {
+    client,
+    connectRedis: async () => {},
+    CACHE_KEYS,
+    CACHE_TTL,
+    getCache,
+    setCache,
+    deleteCache,
+    deleteCachePattern,
+    invalidateUserCache,
+    invalidateProductCache,
+
+    _reset() {
+        store.clear();
+    }
+};
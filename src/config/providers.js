@@ -0,0 +1,46 @@
+/**
+ * PAYMENT PROVIDER ENDPOINTS
+ * One place that decides which Paystack / VTPass the services talk to.
+ *
+ *   PROVIDERS_MODE=fake     → everything points at the local stand-in
+ *                             (scripts/fake-providers, `npm run providers:fake`)
+ *   PAYSTACK_BASE_URL /     → override a single provider (wins over the mode)
+ *   VTPASS_BASE_URL
+ *
+ * Default is the live Paystack API and the VTPass sandbox unless
+ * VTPASS_ENV=live.
+ */
+
+const FAKE_PROVIDERS_URL = (process.env.FAKE_PROVIDERS_URL || 'http://localhost:4010').replace(/\/$/, '');
+const useFake = process.env.PROVIDERS_MODE === 'fake';
+
+const VTPASS_URLS = {
+    sandbox: 'https://sandbox.vtpass.com/api',
+    live: 'https://vtpass.com/api'
+};
+
+const PAYSTACK = {
+    baseUrl: process.env.PAYSTACK_BASE_URL
+        || (useFake ? `${FAKE_PROVIDERS_URL}/paystack` : 'https://api.paystack.co'),
+    secretKey: process.env.PAYSTACK_SECRET_KEY,
+    timeoutMs: parseInt(process.env.PAYSTACK_TIMEOUT_MS, 10) || 30000
+};
+
+const VTPASS = {
+    baseUrl: process.env.VTPASS_BASE_URL
+        || (useFake ? `${FAKE_PROVIDERS_URL}/vtpass` : VTPASS_URLS[process.env.VTPASS_ENV === 'live' ? 'live' : 'sandbox']),
+    apiKey: process.env.VTPASS_API_KEY,
+    publicKey: process.env.VTPASS_PUBLIC_KEY,
+    secretKey: process.env.VTPASS_SECRET_KEY,
+    timeoutMs: parseInt(process.env.VTPASS_TIMEOUT_MS, 10) || 45000
+};
+
+if (useFake) {
+    console.warn(`⚠️ PROVIDERS_MODE=fake — Paystack: ${PAYSTACK.baseUrl}, VTPass: ${VTPASS.baseUrl}`);
+}
+
+module.exports = {
+    PAYSTACK,
+    VTPASS,
+    isFakeProviders: useFake
+};
@@ -62,7 +62,10 @@ const CACHE_KEYS = {
     CATEGORIES: (type) => `categories:${type}`,
     PAYMENT_LOCK: (reference) => `payment:lock:${reference}`,
     WEBHOOK_LOCK: (eventId) => `webhook:lock:${eventId}`,
+    IDEMPOTENCY: (userId, route, key) => `idempotency:${userId}:${route}:${key}`,
     RATE_LIMIT: (identifier) => `ratelimit:${identifier}`,
+    VTPASS_VARIATIONS: (serviceID) => `vtpass:variations:${serviceID}`,
+    BILL_PRICING_RULES: 'bills:pricing:rules',
 };
 
 /**
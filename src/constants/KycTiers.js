@@ -0,0 +1,48 @@
+// src/constants/KycTiers.js
+// CBN-style tiered KYC. A user's tier lives on users/{uid}.kycTier (default 1).
+// All limits are integer kobo; `null` means no cap.
+//
+//   maxBalance        wallet balance may never exceed this after a credit
+//   dailyDebit        cumulative debits per Nigerian calendar day (WAT)
+//   singleWithdrawal  largest single bank withdrawal
+
+const KYC_TIERS = {
+  1: {
+    tier: 1,
+    name: 'Tier_1',
+    requirements: ['phone', 'email'],
+    maxBalance: 30_000_000,        // ₦300,000
+    dailyDebit: 5_000_000,         // ₦50,000
+    singleWithdrawal: 2_000_000,   // ₦20,000
+  },
+  2: {
+    tier: 2,
+    name: 'Tier_2',
+    requirements: ['phone', 'email', 'bvn_or_nin'],
+    maxBalance: 50_000_000,        // ₦500,000
+    dailyDebit: 20_000_000,        // ₦200,000
+    singleWithdrawal: 10_000_000,  // ₦100,000
+  },
+  3: {
+    tier: 3,
+    name: 'Tier_3',
+    requirements: ['phone', 'email', 'bvn_or_nin', 'address'],
+    maxBalance: null,
+    dailyDebit: 500_000_000,       // ₦5,000,000
+    singleWithdrawal: 100_000_000, // ₦1,000,000
+  },
+};
+
+const DEFAULT_KYC_TIER = 1;
+const MAX_KYC_TIER = 3;
+
+// Credits that only return money which already sat in the wallet — never
+// blocked by maxBalance, or a failed bill could strand the user's funds
+const KYC_EXEMPT_CREDIT_TYPES = ['bill_refund', 'withdrawal_refund'];
+
+module.exports = {
+  KYC_TIERS,
+  DEFAULT_KYC_TIER,
+  MAX_KYC_TIER,
+  KYC_EXEMPT_CREDIT_TYPES,
+};
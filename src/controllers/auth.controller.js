@@ -1,6 +1,9 @@
 const { db, admin } = require('../config/firebase');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/AppError');
+const ledgerService = require('../services/ledger.service');
+const walletHoldService = require('../services/wallet-hold.service');
+const { walletToNaira } = require('../utils/money');
 
 /**
  * ✅ GET /api/v1/auth/me
@@ -33,8 +36,10 @@ exports.getMe = catchAsync(async (req, res, next) => {
     user: {
       ...safeUserData,
       wallet: {
-        balance: walletData.balance || 0,
-        pendingBalance: walletData.pendingBalance || 0,
+        ...walletToNaira({
+          balance: walletData.balance || 0,
+          pendingBalance: walletData.pendingBalance || 0,
+        }),
         currency: 'NGN',
       },
       stats: {
@@ -50,7 +55,7 @@ exports.getMe = catchAsync(async (req, res, next) => {
  * then fires a push notification to confirm activation.
  */
 exports.activateSeller = catchAsync(async (req, res, next) => {
-  const FEE = 5000;
+  const FEE = 500_000; // ₦5,000 in kobo
   const userId = req.userId;
 
   await db.runTransaction(async (t) => {
@@ -72,7 +77,10 @@ exports.activateSeller = catchAsync(async (req, res, next) => {
       ? walletSnap.data()
       : { balance: 0 };
 
-    if (walletData.balance < FEE) {
+    if (walletData.isLocked) {
+      throw new AppError('Wallet is currently locked. Please contact support.', 423);
+    }
+    if (walletHoldService.availableBalance(walletData) < FEE) {
       throw new AppError(
         'Insufficient balance to activate shop. Please top up your wallet.',
         400
@@ -105,9 +113,19 @@ exports.activateSeller = catchAsync(async (req, res, next) => {
       status: 'completed',
       timestamp: Date.now(),
     });
+
+    // 4. Journal: user → platform subscriptions
+    ledgerService.postAtomic(t, {
+      id: `subscription_${txnRef.id}`, type: 'shop_activation', reference: txnRef.id,
+      lines: [
+        ledgerService.debit(ledgerService.ACCOUNTS.user(userId), FEE),
+        ledgerService.credit(ledgerService.ACCOUNTS.SUBSCRIPTIONS, FEE),
+      ],
+      metadata: { userId },
+    });
   });
 
-  // 4. Fire push notification (non-blocking — failure must not break the response)
+  // 5. Fire push notification (non-blocking — failure must not break the response)
   setImmediate(async () => {
     try {
       const pushNotificationService = require('../services/push-notification.service');
@@ -0,0 +1,76 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('../services/email.service');
+
+const express = require('express');
+const request = require('supertest');
+const firebase = require('../config/firebase');
+const walletService = require('../services/wallet.service');
+const walletHoldService = require('../services/wallet-hold.service');
+const pushNotificationService = require('../services/push-notification.service');
+const ledgerService = require('../services/ledger.service');
+const authController = require('./auth.controller');
+
+const FEE = 500_000;
+
+function buildApp() {
+    const app = express();
+    app.use((req, res, next) => {
+        req.userId = 'u1';
+        next();
+    });
+    app.post('/activate-seller', authController.activateSeller);
+    app.use((err, req, res, next) => {
+        res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    });
+    return app;
+}
+
+async function activate() {
+    const response = await request(buildApp()).post('/activate-seller');
+    await new Promise(resolve => setImmediate(resolve)); // let the push fire
+    return response;
+}
+
+beforeEach(async () => {
+    jest.spyOn(pushNotificationService, 'sendPushToUser').mockResolvedValue(true);
+    firebase._seed('users/u1', { name: 'Ada', role: 'buyer', kycTier: 1 });
+});
+
+describe('shop activation fee', () => {
+    it('debits the fee, journals it and promotes the user', async () => {
+        await walletService.creditWallet('u1', 600_000, 'dep_1', { type: 'deposit' });
+
+        const response = await activate();
+
+        expect(response.status).toBe(200);
+        expect(firebase._read('wallets/u1').balance).toBe(100_000);
+        expect(firebase._read('users/u1')).toMatchObject({ role: 'seller', subscriptionType: 'yearly' });
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('only spends what is not on hold', async () => {
+        await walletService.creditWallet('u1', 600_000, 'dep_1', { type: 'deposit' });
+        await walletHoldService.createHold('u1', { amount: 200_000, reason: 'Chargeback review' });
+
+        const response = await activate();
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toContain('Insufficient balance');
+        expect(firebase._read('wallets/u1').balance).toBe(600_000);
+        expect(firebase._read('users/u1').role).toBe('buyer');
+    });
+
+    it('refuses a locked wallet whatever its balance', async () => {
+        await walletService.creditWallet('u1', FEE * 2, 'dep_1', { type: 'deposit' });
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), isLocked: true, lockReason: 'Fraud review' });
+
+        const response = await activate();
+
+        expect(response.status).toBe(423);
+        expect(firebase._read('wallets/u1').balance).toBe(FEE * 2);
+        expect(pushNotificationService.sendPushToUser).not.toHaveBeenCalled();
+    });
+});
@@ -6,15 +6,17 @@ const { client } = require('../config/redis');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/AppError');
 const walletService = require('../services/wallet.service');
+const walletHoldService = require('../services/wallet-hold.service');
 const pushNotificationService = require('../services/push-notification.service');
+const orderPricingService = require('../services/order-pricing.service');
+const cartService = require('../services/cart.service');
+const couponService = require('../services/coupon.service');
+const { toNaira, formatNaira, fieldsToNaira, orderToNaira, sellerAmountFor } = require('../utils/money');
 
-const { creditReferralBonus } = require('../routes/referral.routes');
+const { creditReferralBonus, REFERRAL_BONUS_KOBO } = require('../routes/referral.routes');
 
 const VALID_TRACKING_STATUSES = ['acknowledged', 'enroute', 'ready_for_pickup'];
 
-// ✅ CHANGED from 0.10 → 0.05  (5% platform commission)
-const PLATFORM_COMMISSION_RATE = 0.05;
-
 // ==========================================
 // HELPER FUNCTIONS
 // ==========================================
@@ -49,21 +51,111 @@ async function invalidateOrderCaches(orderId, buyerId, sellerId) {
     ]);
 }
 
-async function notifySellersAfterBundle(subOrders, orderIds) {
-    const notifPromises = subOrders.map((subOrder, index) => {
-        const orderId = orderIds[index];
-        if (!orderId || !subOrder.sellerId) return Promise.resolve();
-        const itemTotal  = subOrder.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-        const orderTotal = Math.round(itemTotal - (subOrder.discount || 0) + (subOrder.deliveryFee || 0));
-        const shortId    = orderId.slice(-6).toUpperCase();
+/**
+ * A priced cart (order-pricing.service.js) as the buyer sees it — naira, no
+ * commission or coupon funding — with a fresh signed quote token.
+ */
+function quoteResponse(buyerId, pricing) {
+    return {
+        sellers: pricing.groups.map(({ commission, platformDiscount, items, ...group }) => ({
+            ...fieldsToNaira(group, ['subtotal', 'discount', 'deliveryFee', 'total']),
+            items: items.map(item => fieldsToNaira(item, ['listPrice', 'price', 'lineTotal']))
+        })),
+        coupon: pricing.coupon && { code: pricing.coupon.code, discount: toNaira(pricing.coupon.discount) },
+        total: toNaira(pricing.total),
+        ...orderPricingService.sign(buyerId, pricing)
+    };
+}
+
+/**
+ * Cart, coupon and quote problems as AppErrors; anything else is rethrown as is.
+ */
+function checkoutError(error) {
+    if (['CART:', 'COUPON:', 'QUOTE:'].some(prefix => error.message?.startsWith(prefix))) {
+        return new AppError(error.message, 400);
+    }
+    return error;
+}
+
+/**
+ * 409 with the current prices when the buyer's quote no longer holds (the
+ * prices moved, or it expired) — the app shows the new total and resubmits
+ * with the new token.
+ */
+function respondStaleQuote(res, buyerId, pricing) {
+    return res.status(409).json({
+        success: false,
+        code: 'QUOTE_CHANGED',
+        message: 'Prices or delivery fees have changed since checkout. Please review your order.',
+        quote: quoteResponse(buyerId, pricing)
+    });
+}
+
+/**
+ * Does the buyer's quote token still hold for this pricing? Expired counts
+ * as stale; a missing or forged token throws.
+ */
+function quoteHolds(quoteToken, buyerId, pricing) {
+    try {
+        return orderPricingService.matches(quoteToken, buyerId, pricing);
+    } catch (error) {
+        if (error.message?.includes('expired')) return false;
+        throw error;
+    }
+}
+
+/**
+ * Count the checkout's coupon use — inside the order transaction, before its
+ * writes. A cap reached since the quote fails the whole checkout.
+ */
+async function redeemCoupon(transaction, buyerId, pricing, orderIds) {
+    if (!pricing.coupon) return;
+    try {
+        await couponService.redeem(transaction, {
+            code: pricing.coupon.code, buyerId, orderIds,
+            discount: pricing.coupon.discount, platformDiscount: pricing.coupon.platformDiscount
+        });
+    } catch (error) {
+        throw checkoutError(error);
+    }
+}
+
+/**
+ * Payment failures from walletService.holdOrderPayment as AppErrors.
+ */
+function paymentError(error) {
+    if (error.message === 'Insufficient balance') return new AppError('Insufficient wallet balance', 400);
+    if (error.message === 'Wallet not found') return new AppError('Wallet not found', 404);
+    if (error.message?.startsWith('CRITICAL_LOCK')) return new AppError('Wallet is currently locked. Please contact support.', 423);
+    return error;
+}
+
+// Stored on each order so refunds, release and support can see where the
+// discount came from
+const orderCoupon = (pricing) => pricing.coupon && { code: pricing.coupon.code, scope: pricing.coupon.scope };
+
+// The order is placed either way — a cart that fails to update just keeps
+// the lines until the buyer removes them
+async function clearOrderedFromCart(buyerId, productIds) {
+    try {
+        await cartService.removeOrdered(buyerId, productIds);
+    } catch (err) {
+        console.warn(`[Cart] Could not clear ordered items for ${buyerId}:`, err.message);
+    }
+}
+
+async function notifySellersAfterBundle(createdOrders) {
+    const notifPromises = createdOrders.map(({ orderId, sellerId, orderTotal }) => {
+        if (!orderId || !sellerId) return Promise.resolve();
+        const shortId = orderId.slice(-6).toUpperCase();
         return pushNotificationService
             .sendOrderAlert(
-                subOrder.sellerId, 'order_new', orderId,
+                sellerId, 'order_new', orderId,
                 '🎉 New Order Received!',
-                `Order #${shortId} • ₦${orderTotal.toLocaleString('en-NG')} — tap to confirm`,
+                `Order #${shortId} • ${formatNaira(orderTotal)} — tap to confirm`,
                 { requiresAction: true }
             )
-            .catch(err => console.error(`[Bundle] Seller notify failed for ${subOrder.sellerId}:`, err.message));
+            .catch(err => console.error(`[Bundle] Seller notify failed for ${sellerId}:`, err.message));
     });
     await Promise.allSettled(notifPromises);
 }
@@ -77,7 +169,7 @@ exports.getOrders = catchAsync(async (req, res, next) => {
     const userId   = req.userId;
     const cacheKey = `orders:${userId}:${role || 'all'}:${status || 'all'}`;
     const cached   = await client.get(cacheKey);
-    if (cached) return res.json({ success: true, orders: JSON.parse(cached), cached: true });
+    if (cached) return res.json({ success: true, orders: JSON.parse(cached).map(orderToNaira), cached: true });
 
     let query = db.collection('orders');
     if (role === 'buyer') {
@@ -97,21 +189,21 @@ exports.getOrders = catchAsync(async (req, res, next) => {
         if (status) orders = orders.filter(o => o.status === status);
         orders.sort((a, b) => b.createdAt - a.createdAt);
         await client.setEx(cacheKey, 60, JSON.stringify(orders));
-        return res.json({ success: true, orders });
+        return res.json({ success: true, orders: orders.map(orderToNaira) });
     }
 
     if (status) query = query.where('status', '==', status);
     const snapshot = await query.orderBy('createdAt', 'desc').get();
     const orders   = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     await client.setEx(cacheKey, 60, JSON.stringify(orders));
-    res.json({ success: true, orders });
+    res.json({ success: true, orders: orders.map(orderToNaira) });
 });
 
 exports.getOrder = catchAsync(async (req, res, next) => {
     const { orderId } = req.params;
     const cacheKey    = `order_full:${orderId}`;
     const cached      = await client.get(cacheKey);
-    if (cached) return res.status(200).json({ success: true, order: JSON.parse(cached), source: 'cache' });
+    if (cached) return res.status(200).json({ success: true, order: orderToNaira(JSON.parse(cached)), source: 'cache' });
 
     const orderDoc = await db.collection('orders').doc(orderId).get();
     if (!orderDoc.exists) return next(new AppError('Order not found', 404));
@@ -134,93 +226,131 @@ exports.getOrder = catchAsync(async (req, res, next) => {
     };
 
     await client.setEx(cacheKey, 120, JSON.stringify(richOrder));
-    res.status(200).json({ success: true, order: richOrder });
+    res.status(200).json({ success: true, order: orderToNaira(richOrder) });
 });
 
 // ==========================================
 // 2. CREATE ORDER
 // ==========================================
 
+/**
+ * Checkout: price the cart from stored data and sign it. Takes the same
+ * cart fields as createOrder (products + deliveryMethod) or createBundleOrder
+ * (subOrders); the returned quoteToken must be sent with the order.
+ */
+exports.getQuote = catchAsync(async (req, res, next) => {
+    let quote;
+    try {
+        const pricing = await orderPricingService.price(orderPricingService.cartFromBody(req.body), { buyerId: req.userId });
+        quote = quoteResponse(req.userId, pricing);
+    } catch (error) {
+        return next(checkoutError(error));
+    }
+    res.json({ success: true, quote });
+});
+
+/**
+ * Prices come from order-pricing.service.js, never the body; `quoteToken`
+ * from POST /quote must still match them.
+ */
 exports.createOrder = catchAsync(async (req, res, next) => {
-    const {
-        products, deliveryAddress, phoneNumber,
-        discount = 0, deliveryMethod = 'delivery', deliveryFee = 0, buyerNote = ''
-    } = req.body;
+    const { products, deliveryAddress, phoneNumber, quoteToken, buyerNote = '' } = req.body;
     const buyerId = req.userId;
 
     if (!products?.length || !deliveryAddress) return next(new AppError('Missing required fields', 400));
 
-    const firstProduct = await getDocument('products', products[0].productId);
-    if (!firstProduct) return next(new AppError('Product not found', 404));
-
-    const sellerId   = firstProduct.sellerId;
-    const sellerDoc  = await getDocument('users', sellerId);
-    if (sellerDoc?.isSuspended) return next(new AppError('This shop is currently inactive.', 403));
-
-    const createLockKey = `order:create:${buyerId}:${Date.now()}`;
-    const isCreating    = await client.get(createLockKey);
-    if (isCreating) return res.status(409).json({ success: false, message: 'Processing your previous order...' });
-    await client.setEx(createLockKey, 30, 'true');
+    // One order creation in flight per buyer — SET NX so two taps can't both win
+    const createLockKey = `order:create:${buyerId}`;
+    const acquired      = await client.set(createLockKey, 'true', { NX: true, EX: 30 });
+    if (!acquired) return res.status(409).json({ success: false, message: 'Processing your previous order...' });
 
     try {
-        let subtotal = 0;
-        const orderProducts = [];
-        const productUpdates = [];
-
-        for (const item of products) {
-            const product = await getDocument('products', item.productId);
-            if (!product || product.sellerId !== sellerId) {
-                await client.del(createLockKey);
-                return next(new AppError('Invalid product selection', 400));
-            }
-            if (product.stock < item.quantity) {
-                await client.del(createLockKey);
-                return next(new AppError(`Insufficient stock for ${product.name}`, 400));
-            }
-            const price = product.discount ? product.price * (1 - product.discount / 100) : product.price;
-            subtotal += price * item.quantity;
-            orderProducts.push({ ...item, productName: product.name, price });
-            productUpdates.push({ ref: db.collection('products').doc(product.id), newStock: product.stock - item.quantity });
-        }
-
-        const totalAmount = Math.round(subtotal - discount + deliveryFee);
-        // ✅ 5% commission
-        const commission  = Math.round(totalAmount * PLATFORM_COMMISSION_RATE);
-
-        const buyerBalance = await walletService.getBalance(buyerId);
-        if (buyerBalance < totalAmount) {
+        let cart;
+        try {
+            cart = orderPricingService.cartFromBody(req.body);
+        } catch (error) {
             await client.del(createLockKey);
-            return next(new AppError('Insufficient wallet balance', 400));
+            return next(checkoutError(error));
         }
 
+        // Priced inside the transaction, so the stock it checks and writes is
+        // the committed stock — and the order, its coupon use, the stock and
+        // the escrow payment commit or fail together
+        let pricing;
+        let stalePricing = null;
         let orderId;
         await db.runTransaction(async (transaction) => {
+            stalePricing = null;
+            try {
+                pricing = await orderPricingService.price(cart, { transaction, buyerId });
+                if (pricing.groups.length !== 1) throw new Error('CART: Invalid product selection');
+                if (!quoteHolds(quoteToken, buyerId, pricing)) {
+                    stalePricing = pricing;
+                    return;
+                }
+            } catch (error) {
+                throw checkoutError(error);
+            }
+            const [group] = pricing.groups;
+
             const orderRef = db.collection('orders').doc();
             orderId = orderRef.id;
+            const [buyerWalletSnap, sellerWalletSnap] = await Promise.all([
+                transaction.get(db.collection('wallets').doc(buyerId)),
+                transaction.get(db.collection('wallets').doc(group.sellerId))
+            ]);
+            await redeemCoupon(transaction, buyerId, pricing, [orderId]);
+
+            try {
+                walletService.holdOrderPayment(transaction, buyerWalletSnap.exists ? buyerWalletSnap.data() : null, {
+                    buyerId, sellerId: group.sellerId, orderId, totalAmount: group.total, commission: group.commission,
+                    platformDiscount: group.platformDiscount,
+                    sellerWallet: sellerWalletSnap.exists ? sellerWalletSnap.data() : null
+                });
+            } catch (error) {
+                throw paymentError(error);
+            }
+
             transaction.set(orderRef, {
-                id: orderId, buyerId, sellerId, products: orderProducts,
-                totalAmount, commission, status: 'running',
-                deliveryAddress, phoneNumber: phoneNumber || null, deliveryMethod,
-                deliveryFee, buyerNote: buyerNote || null, disputeStatus: 'none',
+                id: orderId, buyerId, sellerId: group.sellerId,
+                products: group.items.map(({ productId, productName, imageUrl, quantity, price }) => (
+                    { productId, productName, imageUrl, quantity, price }
+                )),
+                subtotal: group.subtotal, discount: group.discount,
+                platformDiscount: group.platformDiscount, coupon: orderCoupon(pricing),
+                totalAmount: group.total, commission: group.commission, status: 'running',
+                deliveryAddress, phoneNumber: phoneNumber || null, deliveryMethod: group.deliveryMethod,
+                deliveryFee: group.deliveryFee, buyerNote: buyerNote || null, disputeStatus: 'none',
                 trackingStatus: null, createdAt: Date.now(), updatedAt: Date.now()
             });
-            for (const update of productUpdates) {
-                if (update.newStock <= 0) transaction.delete(update.ref);
-                else transaction.update(update.ref, { stock: update.newStock });
+            for (const item of group.items) {
+                const ref      = db.collection('products').doc(item.productId);
+                const newStock = pricing.products.get(item.productId).stock - item.quantity;
+                if (newStock <= 0) transaction.delete(ref);
+                else transaction.update(ref, { stock: newStock });
             }
         });
 
-        await walletService.processOrderPayment(buyerId, sellerId, orderId, totalAmount, commission);
+        if (stalePricing) {
+            await client.del(createLockKey);
+            return respondStaleQuote(res, buyerId, stalePricing);
+        }
+
+        const [group] = pricing.groups;
+        const { sellerId, total: totalAmount } = group;
+
+        await Promise.all([walletService.invalidateWalletCache(buyerId), walletService.invalidateWalletCache(sellerId)]);
 
         await pushNotificationService.sendPushToUser(
             sellerId, "New Order Received! 🎉",
-            `Order #${orderId.slice(-6).toUpperCase()} worth ₦${totalAmount.toLocaleString()}`,
+            `Order #${orderId.slice(-6).toUpperCase()} worth ${formatNaira(totalAmount)}`,
             { screen: "OrdersTab", params: { screen: "Orders" } }
         );
 
         await Promise.all([client.del(createLockKey), invalidateOrderCaches(orderId, buyerId, sellerId)]);
+        await clearOrderedFromCart(buyerId, group.items.map(item => item.productId));
 
-        res.status(201).json({ success: true, orderId, message: 'Order created successfully' });
+        res.status(201).json({ success: true, orderId, totalAmount: toNaira(totalAmount), message: 'Order created successfully' });
 
     } catch (error) {
         await client.del(createLockKey);
@@ -228,117 +358,114 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     }
 });
 
+/**
+ * One order per seller, priced from stored data inside the transaction.
+ * `subOrder.sellerId` must be each product's real seller; the body's prices,
+ * fees and discounts are ignored. `quoteToken` from POST /quote must match.
+ */
 exports.createBundleOrder = catchAsync(async (req, res, next) => {
-    const { subOrders, phoneNumber } = req.body;
+    const { subOrders, phoneNumber, quoteToken } = req.body;
     const buyerId = req.userId;
 
     if (!subOrders || !Array.isArray(subOrders) || subOrders.length === 0) {
         return next(new AppError('subOrders array is required', 400));
     }
 
+    let cart;
+    try {
+        cart = orderPricingService.cartFromBody(req.body);
+    } catch (error) {
+        return next(checkoutError(error));
+    }
+    // Address and note per seller; the first sub-order for a seller wins
+    const details = new Map();
+    subOrders.forEach(so => { if (!details.has(so.sellerId)) details.set(so.sellerId, so); });
+
     const orderIds = [];
+    const createdOrders = [];
     let totalCartAmount = 0;
+    let stalePricing = null;
 
     await db.runTransaction(async (transaction) => {
-        const allProductRefs = [];
-        for (const subOrder of subOrders) {
-            for (const item of subOrder.items) {
-                if (!item.productId) throw new AppError(`Invalid data: Product ID is missing for ${item.productName}`, 400);
-                allProductRefs.push(db.collection('products').doc(item.productId));
+        orderIds.length = 0;
+        createdOrders.length = 0;
+        totalCartAmount = 0;
+        stalePricing = null;
+
+        let pricing;
+        try {
+            pricing = await orderPricingService.price(cart, { transaction, buyerId });
+            if (!quoteHolds(quoteToken, buyerId, pricing)) {
+                stalePricing = pricing;
+                return;
             }
+        } catch (error) {
+            throw checkoutError(error);
         }
+        const productMap = pricing.products;
 
-        const productSnaps = await Promise.all(allProductRefs.map(ref => transaction.get(ref)));
-        const productMap   = new Map();
-        productSnaps.forEach(snap => { if (snap.exists) productMap.set(snap.id, snap.data()); });
-
-        const buyerWalletRef  = db.collection('wallets').doc(buyerId);
-        const buyerWalletSnap = await transaction.get(buyerWalletRef);
-        if (!buyerWalletSnap.exists) throw new AppError('Buyer wallet not found', 404);
-        const buyerWallet = buyerWalletSnap.data();
-
-        const uniqueSellerIds   = [...new Set(subOrders.map(so => so.sellerId))];
-        const sellerWalletRefs  = uniqueSellerIds.map(sid => db.collection('wallets').doc(sid));
-        const sellerWalletSnaps = await Promise.all(sellerWalletRefs.map(ref => transaction.get(ref)));
-        const sellerWalletMap   = new Map();
+        const uniqueSellerIds = pricing.groups.map(g => g.sellerId);
+        const [buyerWalletSnap, ...sellerWalletSnaps] = await Promise.all(
+            [buyerId, ...uniqueSellerIds].map(id => transaction.get(db.collection('wallets').doc(id)))
+        );
+        const buyerWallet     = buyerWalletSnap.exists ? buyerWalletSnap.data() : null;
+        const sellerWalletMap = new Map();
         sellerWalletSnaps.forEach(snap => { if (snap.exists) sellerWalletMap.set(snap.id, snap.data()); });
 
         const stockUpdates = new Map();
         const orderData    = [];
 
-        for (const subOrder of subOrders) {
+        for (const group of pricing.groups) {
             const newOrderRef = db.collection('orders').doc();
             const orderId     = newOrderRef.id;
             orderIds.push(orderId);
 
-            let subtotal = 0;
-            for (const item of subOrder.items) {
-                const product        = productMap.get(item.productId);
-                if (!product) throw new AppError(`Product ${item.productName} not found`, 404);
-                const currentReq     = stockUpdates.get(item.productId) || 0;
-                const newReq         = currentReq + item.quantity;
-                if (product.stock < newReq) throw new AppError(`Insufficient stock for ${product.name}`, 400);
-                stockUpdates.set(item.productId, newReq);
-                const price = product.discount ? product.price * (1 - product.discount / 100) : product.price;
-                subtotal += price * item.quantity;
-            }
+            const items = group.items.map(({ productId, productName, imageUrl, quantity, price }) => {
+                stockUpdates.set(productId, quantity);
+                return { productId, productName, imageUrl, quantity, price };
+            });
+            totalCartAmount += group.total;
 
-            const orderTotal      = Math.round(subtotal - subOrder.discount + subOrder.deliveryFee);
-            // ✅ 5% commission
-            const orderCommission = Math.round(orderTotal * PLATFORM_COMMISSION_RATE);
-            totalCartAmount      += orderTotal;
+            orderData.push({
+                orderRef: newOrderRef, orderId, sellerId: group.sellerId, items, group,
+                subOrder: details.get(group.sellerId) || {}
+            });
+            createdOrders.push({ orderId, sellerId: group.sellerId, orderTotal: group.total });
+        }
 
-            orderData.push({ orderRef: newOrderRef, orderId, sellerId: subOrder.sellerId, orderTotal, orderCommission, subOrder });
+        // One balance check for the whole cart — each hold below sees the
+        // same snapshot
+        if (buyerWallet && walletHoldService.availableBalance(buyerWallet) < totalCartAmount) {
+            throw paymentError(new Error('Insufficient balance'));
         }
 
-        if (buyerWallet.balance < totalCartAmount) throw new AppError('Insufficient balance', 400);
+        await redeemCoupon(transaction, buyerId, pricing, orderIds);
 
         for (const data of orderData) {
+            try {
+                walletService.holdOrderPayment(transaction, buyerWallet, {
+                    buyerId, sellerId: data.sellerId, orderId: data.orderId,
+                    totalAmount: data.group.total, commission: data.group.commission,
+                    platformDiscount: data.group.platformDiscount,
+                    sellerWallet: sellerWalletMap.get(data.sellerId) || null
+                });
+            } catch (error) {
+                throw paymentError(error);
+            }
+
             transaction.set(data.orderRef, {
                 id: data.orderId, buyerId, sellerId: data.sellerId,
-                products: data.subOrder.items, totalAmount: data.orderTotal,
-                commission: data.orderCommission, status: 'running',
-                deliveryMethod: data.subOrder.deliveryMethod,
-                deliveryFee: data.subOrder.deliveryFee,
+                products: data.items, subtotal: data.group.subtotal, discount: data.group.discount,
+                platformDiscount: data.group.platformDiscount, coupon: orderCoupon(pricing),
+                totalAmount: data.group.total, commission: data.group.commission, status: 'running',
+                deliveryMethod: data.group.deliveryMethod,
+                deliveryFee: data.group.deliveryFee,
                 deliveryAddress: data.subOrder.deliveryAddress,
                 phoneNumber: phoneNumber || null, buyerNote: data.subOrder.buyerNote || null,
                 disputeStatus: 'none', createdAt: Date.now(), updatedAt: Date.now()
             });
-
-            const buyerTxnRef = db.collection(`wallets/${buyerId}/transactions`).doc(`pay_${data.orderId}`);
-            transaction.set(buyerTxnRef, {
-                id: `pay_${data.orderId}`, userId: buyerId, type: 'debit',
-                category: 'order_payment', amount: data.orderTotal,
-                description: `Order #${data.orderId.slice(-6).toUpperCase()} - Escrow Hold`,
-                status: 'pending', timestamp: Date.now(),
-                metadata: { orderId: data.orderId, reference: `pay_${data.orderId}` }
-            });
-
-            const sellerTxnRef = db.collection(`wallets/${data.sellerId}/transactions`).doc();
-            transaction.set(sellerTxnRef, {
-                id: sellerTxnRef.id, userId: data.sellerId, type: 'credit',
-                category: 'order_payment', amount: data.orderTotal - data.orderCommission,
-                description: `Order #${data.orderId.slice(-6).toUpperCase()} - Pending Delivery`,
-                status: 'pending', timestamp: Date.now(),
-                metadata: { orderId: data.orderId, commission: data.orderCommission }
-            });
-
-            const sellerWallet = sellerWalletMap.get(data.sellerId);
-            if (sellerWallet) {
-                const sellerWalletRef = db.collection('wallets').doc(data.sellerId);
-                transaction.update(sellerWalletRef, {
-                    pendingBalance: (sellerWallet.pendingBalance || 0) + (data.orderTotal - data.orderCommission),
-                    updatedAt: Date.now()
-                });
-            }
         }
 
-        transaction.update(buyerWalletRef, {
-            balance:        buyerWallet.balance - totalCartAmount,
-            pendingBalance: (buyerWallet.pendingBalance || 0) + totalCartAmount,
-            updatedAt:      Date.now()
-        });
-
         stockUpdates.forEach((quantity, productId) => {
             const productRef = db.collection('products').doc(productId);
             const product    = productMap.get(productId);
@@ -346,15 +473,20 @@ exports.createBundleOrder = catchAsync(async (req, res, next) => {
         });
     });
 
+    if (stalePricing) return respondStaleQuote(res, buyerId, stalePricing);
+
+    await Promise.all([buyerId, ...createdOrders.map(o => o.sellerId)].map(id => walletService.invalidateWalletCache(id)));
+    await clearOrderedFromCart(buyerId, cart.lines.map(line => line.productId));
+
     setImmediate(() => {
-        notifySellersAfterBundle(subOrders, orderIds).catch(err =>
+        notifySellersAfterBundle(createdOrders).catch(err =>
             console.error('[Bundle] Seller notification batch error:', err)
         );
     });
 
     res.json({
         success: true, message: 'Bundle order created successfully',
-        orderIds, totalAmount: totalCartAmount, orderCount: orderIds.length, timestamp: Date.now()
+        orderIds, totalAmount: toNaira(totalCartAmount), orderCount: orderIds.length, timestamp: Date.now()
     });
 });
 
@@ -449,7 +581,7 @@ exports.cancelOrderBuyer = catchAsync(async (req, res, next) => {
 
         await Promise.all([client.del(lockKey), invalidateOrderCaches(orderId, order.buyerId, order.sellerId)]);
 
-        res.json({ success: true, message: 'Order cancelled and refund processed', refundAmount: order.totalAmount });
+        res.json({ success: true, message: 'Order cancelled and refund processed', refundAmount: toNaira(order.totalAmount) });
     } catch (error) {
         await client.del(lockKey);
         throw error;
@@ -549,7 +681,7 @@ exports.confirmDelivery = catchAsync(async (req, res, next) => {
                 if (!result.alreadyProcessed) {
                     pushNotificationService.sendPushToUser(
                         refereeData.referredBy, '🎉 Referral Bonus Earned!',
-                        `₦500 has been added to your wallet!`,
+                        `${formatNaira(REFERRAL_BONUS_KOBO)} has been added to your wallet!`,
                         { screen: 'ProfileTab', params: { screen: 'AccountInfo' }, type: 'referral_bonus' }
                     ).catch(err => console.warn('[Referral] Push notification failed:', err.message));
                 }
@@ -561,14 +693,14 @@ exports.confirmDelivery = catchAsync(async (req, res, next) => {
         });
 
         await pushNotificationService.sendPushToUser(order.sellerId, "💸 Payment Released",
-            `₦${(order.totalAmount - order.commission).toLocaleString()} credited to your wallet`, { screen: "OrdersTab" });
+            `${formatNaira(sellerAmountFor(order))} credited to your wallet`, { screen: "OrdersTab" });
 
         await Promise.all([client.del(lockKey), invalidateOrderCaches(orderId, order.buyerId, order.sellerId)]);
 
         res.json({
             success: true,
             message: 'Delivery confirmed and payment released to seller',
-            sellerAmount: order.totalAmount - order.commission
+            sellerAmount: toNaira(sellerAmountFor(order))
         });
     } catch (error) {
         await client.del(lockKey);
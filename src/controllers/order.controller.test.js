@@ -0,0 +1,173 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('../services/email.service');
+
+process.env.ORDER_QUOTE_SECRET = 'quote_test_secret';
+
+const express = require('express');
+const request = require('supertest');
+const firebase = require('../config/firebase');
+const walletService = require('../services/wallet.service');
+const pushNotificationService = require('../services/push-notification.service');
+const couponService = require('../services/coupon.service');
+const ledgerService = require('../services/ledger.service');
+const orderPricingService = require('../services/order-pricing.service');
+const orderController = require('./order.controller');
+
+const ORDER = {
+    products: [{ productId: 'p1', quantity: 2 }],
+    deliveryMethod: 'pickup',
+    deliveryAddress: '12 Allen Avenue, Ikeja',
+    couponCode: 'SAVE10'
+};
+const BUNDLE = {
+    subOrders: [
+        { sellerId: 's1', items: [{ productId: 'p1', quantity: 1 }], deliveryMethod: 'pickup', deliveryAddress: 'Ikeja' },
+        { sellerId: 's2', items: [{ productId: 'p2', quantity: 1 }], deliveryMethod: 'pickup', deliveryAddress: 'Ikeja' }
+    ],
+    couponCode: 'SAVE10'
+};
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.userId = 'u1';
+        next();
+    });
+    app.post('/quote', orderController.getQuote);
+    app.post('/', orderController.createOrder);
+    app.post('/bundle', orderController.createBundleOrder);
+    app.use((err, req, res, next) => {
+        res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    });
+    return app;
+}
+
+async function place(path, body) {
+    const app = buildApp();
+    const { body: { quote } } = await request(app).post('/quote').send(body).expect(200);
+    return request(app).post(path).send({ ...body, quoteToken: quote.quoteToken });
+}
+
+function expectNothingSpent() {
+    expect(firebase._list('orders')).toHaveLength(0);
+    expect(firebase._read('coupons/SAVE10')).toMatchObject({ usedCount: 0, discountGiven: 0 });
+    expect(firebase._read('couponUsage/SAVE10_u1')).toBeUndefined();
+    expect(firebase._read('products/p1').stock).toBe(5);
+    expect(firebase._read('wallets/u1')).toMatchObject({ balance: 2_000_000, pendingBalance: 0 });
+}
+
+beforeEach(async () => {
+    jest.spyOn(pushNotificationService, 'sendPushToUser').mockResolvedValue(true);
+
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1 });
+    firebase._seed('users/s1', { name: 'Chidi', kycTier: 1 });
+    firebase._seed('users/s2', { name: 'Ngozi', kycTier: 1 });
+    firebase._seed('products/p1', { name: 'Rice 5kg', sellerId: 's1', price: 4500, stock: 5 });
+    firebase._seed('products/p2', { name: 'Yam', sellerId: 's2', price: 1200, stock: 5 });
+    await couponService.create({ code: 'SAVE10', type: 'percent', percent: 10 }, { userId: 'admin1', role: 'admin' });
+    await walletService.creditWallet('u1', 2_000_000, 'dep_1', { type: 'deposit' });
+});
+
+describe('createOrder', () => {
+    it('places the order, takes the payment and counts the coupon together', async () => {
+        const response = await place('/', ORDER);
+
+        expect(response.status).toBe(201);
+        const order = firebase._read(`orders/${response.body.orderId}`);
+        expect(order).toMatchObject({ subtotal: 900_000, discount: 90_000, platformDiscount: 90_000, totalAmount: 810_000 });
+        expect(firebase._read('wallets/u1')).toMatchObject({ balance: 1_190_000, pendingBalance: 810_000 });
+        expect(firebase._read(`wallets/u1/transactions/pay_${order.id}`)).toMatchObject({ amount: 810_000, status: 'pending' });
+        expect(firebase._read('wallets/s1').pendingBalance).toBe(855_000);
+        expect(firebase._read('coupons/SAVE10')).toMatchObject({ usedCount: 1, discountGiven: 90_000 });
+        expect(firebase._read('products/p1').stock).toBe(3);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('leaves no order and no spent coupon when the payment fails', async () => {
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), balance: 500_000 });
+
+        const response = await place('/', ORDER);
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Insufficient wallet balance');
+        expect(firebase._list('orders')).toHaveLength(0);
+        expect(firebase._read('coupons/SAVE10')).toMatchObject({ usedCount: 0, discountGiven: 0 });
+        expect(firebase._read('products/p1').stock).toBe(5);
+    });
+
+    it('refuses a locked wallet without placing the order', async () => {
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), isLocked: true, lockReason: 'Review' });
+
+        const response = await place('/', ORDER);
+
+        expect(response.status).toBe(423);
+        expectNothingSpent();
+    });
+
+    it('prices the cart and reads the stock inside the order transaction', async () => {
+        const price = jest.spyOn(orderPricingService, 'price');
+
+        await place('/', ORDER);
+
+        expect(price).toHaveBeenLastCalledWith(expect.anything(), { transaction: expect.anything(), buyerId: 'u1' });
+    });
+
+    it('lets the buyer try again after a failed payment', async () => {
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), isLocked: true });
+        await place('/', ORDER);
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), isLocked: false });
+
+        expect((await place('/', ORDER)).status).toBe(201);
+        expect(firebase._read('coupons/SAVE10').usedCount).toBe(1);
+    });
+});
+
+describe('createBundleOrder', () => {
+    it('places one order per seller and counts the coupon once', async () => {
+        const response = await place('/bundle', BUNDLE);
+
+        expect(response.status).toBe(200);
+        expect(response.body.orderCount).toBe(2);
+        expect(firebase._read('wallets/u1')).toMatchObject({ balance: 2_000_000 - 513_000, pendingBalance: 513_000 });
+        expect(firebase._read('coupons/SAVE10')).toMatchObject({ usedCount: 1, discountGiven: 57_000 });
+    });
+
+    it('holds each order so the seller is paid out on delivery', async () => {
+        const response = await place('/bundle', BUNDLE);
+        const [orderId] = response.body.orderIds;
+        const order = firebase._read(`orders/${orderId}`);
+
+        expect(firebase._read(`wallets/${order.sellerId}/transactions/order_${orderId}`).status).toBe('pending');
+        expect(firebase._read('wallets/s2').pendingBalance).toBe(114_000);
+
+        await walletService.releaseEscrow(orderId, 'u1', order.sellerId, order.totalAmount, order.commission);
+
+        expect(firebase._read(`wallets/${order.sellerId}/transactions/order_${orderId}`).status).toBe('completed');
+        expect(firebase._read(`wallets/${order.sellerId}`).pendingBalance).toBe(0);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('refuses a locked wallet', async () => {
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), isLocked: true, lockReason: 'PIN lockout' });
+
+        const response = await place('/bundle', BUNDLE);
+
+        expect(response.status).toBe(423);
+        expectNothingSpent();
+    });
+
+    it('leaves nothing behind when the buyer cannot pay', async () => {
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), balance: 500_000 });
+
+        const response = await place('/bundle', BUNDLE);
+
+        expect(response.status).toBe(400);
+        expect(firebase._list('orders')).toHaveLength(0);
+        expect(firebase._read('coupons/SAVE10').usedCount).toBe(0);
+        expect(firebase._read('products/p1').stock).toBe(5);
+    });
+});
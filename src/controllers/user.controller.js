@@ -4,6 +4,10 @@ const { invalidateUserCache } = require('../config/redis');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/AppError');
 const EmailService = require('../services/email.service');
+const { toKobo, isKobo, fieldsToNaira } = require('../utils/money');
+
+// Sellers' flat delivery fee (kobo) — what order-pricing.service.js charges
+const MAX_DELIVERY_FEE = toKobo(50000);
 
 /**
  * Send Welcome Email based on Role
@@ -48,7 +52,7 @@ exports.getUserProfile = catchAsync(async (req, res) => {
     if (!user) throw new AppError('User not found', 404);
 
     const { paystackRecipientCode, ...safeUser } = user;
-    res.json({ success: true, user: safeUser });
+    res.json({ success: true, user: fieldsToNaira(safeUser, ['deliveryFee']) });
 });
 
 /**
@@ -85,7 +89,7 @@ exports.updateUserProfile = catchAsync(async (req, res) => {
 exports.updateBusinessProfile = catchAsync(async (req, res) => {
     const { 
         businessName, businessAddress, businessPhone, 
-        rcNumber, whatsappNumber, serviceCategory, serviceDescription 
+        rcNumber, whatsappNumber, serviceCategory, serviceDescription, deliveryFee
     } = req.body;
     const userId = req.userId;
 
@@ -108,11 +112,18 @@ exports.updateBusinessProfile = catchAsync(async (req, res) => {
 
     if (serviceCategory) updateData.serviceCategory = serviceCategory;
     if (serviceDescription) updateData.serviceDescription = serviceDescription.trim();
+    if (deliveryFee !== undefined) {
+        const fee = Number.isFinite(Number(deliveryFee)) ? toKobo(deliveryFee) : NaN;
+        if (!isKobo(fee) || fee < 0 || fee > MAX_DELIVERY_FEE) {
+            throw new AppError('Delivery fee must be between ₦0 and ₦50,000', 400);
+        }
+        updateData.deliveryFee = fee;
+    }
 
     await db.collection('users').doc(userId).update(updateData);
     await invalidateUserCache(userId);
 
-    res.status(200).json({ success: true, message: 'Business profile updated', data: updateData });
+    res.status(200).json({ success: true, message: 'Business profile updated', data: fieldsToNaira(updateData, ['deliveryFee']) });
 });
 
 /**
@@ -0,0 +1,38 @@
+// jobs/billRequery.js - PENDING BILL SETTLEMENT
+const cron = require('node-cron');
+const billService = require('../services/bill.service');
+
+let isRunning = false;
+
+/**
+ * ✅ Runs every 2 minutes
+ * Requeries VTPass for bill purchases left pending (or interrupted mid-way)
+ * and settles each one as completed or failed with a wallet refund. Users
+ * are notified; bills open for over a day are flagged to admins.
+ */
+cron.schedule('*/2 * * * *', async () => {
+    if (isRunning) {
+        console.log('⏭️ Bill requery already running, skipping...');
+        return;
+    }
+
+    isRunning = true;
+
+    try {
+        const summary = await billService.sweepPending();
+        if (summary.checked > 0) {
+            console.log(
+                `🧾 Bill requery: ${summary.checked} checked, ${summary.completed} completed, ` +
+                `${summary.refunded} refunded, ${summary.pending} still pending, ${summary.errors} error(s)`
+            );
+        }
+    } catch (error) {
+        console.error('❌ Bill requery job error:', error);
+    } finally {
+        isRunning = false;
+    }
+});
+
+console.log('✅ Bill requery job initialized (runs every 2 minutes)');
+
+module.exports = {};
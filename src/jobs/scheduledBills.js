@@ -0,0 +1,39 @@
+// jobs/scheduledBills.js - SCHEDULED BILL PAYMENTS
+const cron = require('node-cron');
+const scheduledBillService = require('../services/scheduled-bill.service');
+
+let isRunning = false;
+
+/**
+ * ✅ Runs every 5 minutes
+ * Pays every scheduled airtime / data / electricity / TV purchase whose
+ * slot has come, through the same debit → VTPass → refund path as the bill
+ * routes. Runs without enough balance are skipped and the user notified.
+ */
+cron.schedule('*/5 * * * *', async () => {
+    if (isRunning) {
+        console.log('⏭️ Scheduled bills already running, skipping...');
+        return;
+    }
+
+    isRunning = true;
+
+    try {
+        const summary = await scheduledBillService.runDue();
+        if (summary.due > 0) {
+            console.log(
+                `📅 Scheduled bills: ${summary.due} due, ${summary.completed} completed, ` +
+                `${summary.pending} pending, ${summary.failed} failed, ${summary.skipped} skipped, ` +
+                `${summary.errors} error(s)`
+            );
+        }
+    } catch (error) {
+        console.error('❌ Scheduled bills job error:', error);
+    } finally {
+        isRunning = false;
+    }
+});
+
+console.log('✅ Scheduled bills job initialized (runs every 5 minutes)');
+
+module.exports = {};
@@ -0,0 +1,34 @@
+// jobs/walletHolds.js - WALLET HOLD EXPIRY
+const cron = require('node-cron');
+const walletHoldService = require('../services/wallet-hold.service');
+
+let isRunning = false;
+
+/**
+ * ✅ Runs every 15 minutes
+ * Expired holds already stop reducing the available balance the moment they
+ * expire — this only marks them `expired` and clears them off the wallet doc.
+ */
+cron.schedule('*/15 * * * *', async () => {
+    if (isRunning) {
+        console.log('⏭️ Wallet hold expiry already running, skipping...');
+        return;
+    }
+
+    isRunning = true;
+
+    try {
+        const { checked, expired } = await walletHoldService.expireDueHolds();
+        if (checked > 0) {
+            console.log(`🔓 Wallet holds: ${expired} of ${checked} due hold(s) expired`);
+        }
+    } catch (error) {
+        console.error('❌ Wallet hold expiry job error:', error);
+    } finally {
+        isRunning = false;
+    }
+});
+
+console.log('✅ Wallet hold expiry job initialized (runs every 15 minutes)');
+
+module.exports = {};
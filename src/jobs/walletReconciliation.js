@@ -0,0 +1,34 @@
+// jobs/walletReconciliation.js - NIGHTLY WALLET RECONCILIATION
+const cron = require('node-cron');
+const reconciliationService = require('../services/reconciliation.service');
+
+let isRunning = false;
+
+/**
+ * ✅ Runs every night at 02:00 Lagos time (low traffic)
+ * Recomputes each wallet from its transaction history + running orders
+ * and writes drifts to `reconciliationReports`.
+ * Set RECONCILIATION_AUTO_LOCK=true to lock drifting wallets automatically.
+ */
+cron.schedule('0 2 * * *', async () => {
+    if (isRunning) {
+        console.log('⏭️ Reconciliation already running, skipping...');
+        return;
+    }
+
+    isRunning = true;
+    console.log('🧮 Running nightly wallet reconciliation...');
+
+    try {
+        const report = await reconciliationService.run({ triggeredBy: 'cron' });
+        console.log(`✅ Reconciliation ${report.id}: ${report.walletsChecked} wallets, ${report.driftCount} drift(s)`);
+    } catch (error) {
+        console.error('❌ Wallet reconciliation error:', error);
+    } finally {
+        isRunning = false;
+    }
+}, { timezone: 'Africa/Lagos' });
+
+console.log('✅ Wallet reconciliation job initialized (runs nightly at 02:00)');
+
+module.exports = {};
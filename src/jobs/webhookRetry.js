@@ -0,0 +1,38 @@
+// jobs/webhookRetry.js - WEBHOOK EVENT RETRIES
+const cron = require('node-cron');
+const webhookEventService = require('../services/webhook-event.service');
+
+let isRunning = false;
+
+/**
+ * ✅ Runs every minute
+ * Re-runs stored webhook events that failed (after their backoff), were
+ * received but never processed, or were left mid-processing by a crash.
+ * Events that exhaust their attempts go `dead` and admins are alerted.
+ */
+cron.schedule('* * * * *', async () => {
+    if (isRunning) {
+        console.log('⏭️ Webhook retry already running, skipping...');
+        return;
+    }
+
+    isRunning = true;
+
+    try {
+        const summary = await webhookEventService.retryDue();
+        if (summary.checked > 0) {
+            console.log(
+                `🔁 Webhook retry: ${summary.checked} due, ${summary.processed} processed, ` +
+                `${summary.failed} failed, ${summary.skipped} skipped`
+            );
+        }
+    } catch (error) {
+        console.error('❌ Webhook retry job error:', error);
+    } finally {
+        isRunning = false;
+    }
+});
+
+console.log('✅ Webhook retry job initialized (runs every minute)');
+
+module.exports = {};
@@ -0,0 +1,38 @@
+// jobs/withdrawalStatus.js - WITHDRAWAL STATUS TRACKER
+const cron = require('node-cron');
+const withdrawalService = require('../services/withdrawal.service');
+
+let isRunning = false;
+
+/**
+ * ✅ Runs every 10 minutes
+ * Safety net for lost Paystack transfer webhooks: withdrawals still
+ * `processing` after 15 minutes are verified with Paystack and either
+ * completed or refunded, and the user is notified.
+ */
+cron.schedule('*/10 * * * *', async () => {
+    if (isRunning) {
+        console.log('⏭️ Withdrawal status check already running, skipping...');
+        return;
+    }
+
+    isRunning = true;
+
+    try {
+        const summary = await withdrawalService.sweepStuckWithdrawals();
+        if (summary.checked > 0) {
+            console.log(
+                `💸 Withdrawal check: ${summary.checked} checked, ${summary.completed} completed, ` +
+                `${summary.refunded} refunded, ${summary.pending} still pending, ${summary.errors} error(s)`
+            );
+        }
+    } catch (error) {
+        console.error('❌ Withdrawal status job error:', error);
+    } finally {
+        isRunning = false;
+    }
+});
+
+console.log('✅ Withdrawal status job initialized (runs every 10 minutes)');
+
+module.exports = {};
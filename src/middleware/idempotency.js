@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { client, CACHE_KEYS, CACHE_TTL } = require('../config/redis');
+
+/**
+ * IDEMPOTENCY-KEY MIDDLEWARE
+ * Makes money-moving POSTs safe to retry.
+ *
+ * The client sends `Idempotency-Key: <uuid>` once per logical action and
+ * re-sends the SAME key on every retry of it (double tap, timeout, reconnect).
+ *
+ *   first request      → runs normally; the response is stored for 24 h
+ *   retry, same body   → stored response is replayed (`Idempotent-Replayed: true`)
+ *   retry, still busy  → 409, nothing runs twice
+ *   same key, new body → 422, the key belongs to a different action
+ *
+ * Records are scoped to user + method + route, so one key can't collide across
+ * users or endpoints. 5xx responses are not stored — the key is released so
+ * the client can retry. Requests without the header pass straight through.
+ *
+ * Must be mounted AFTER authenticate (needs req.userId).
+ */
+
+const HEADER         = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const RECORD_TTL     = CACHE_TTL.VERY_LONG;  // stored responses: 24 hours
+const IN_FLIGHT_TTL  = 120;                  // a crashed request frees its key after 2 minutes
+
+/**
+ * JSON with sorted object keys — `{a,b}` and `{b,a}` are the same request.
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+function fingerprint(body) {
+    return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+const idempotency = () => {
+    return async (req, res, next) => {
+        const idempotencyKey = req.get(HEADER);
+        if (!idempotencyKey) return next();
+
+        if (idempotencyKey.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+            });
+        }
+
+        // Redis down → behave as if no key was sent rather than blocking payments
+        if (!client.isOpen || !req.userId) return next();
+
+        const route     = `${req.method}:${req.baseUrl}${req.route?.path ?? req.path}`;
+        const redisKey  = CACHE_KEYS.IDEMPOTENCY(req.userId, route, idempotencyKey);
+        const bodyHash  = fingerprint(req.body);
+
+        try {
+            const claimed = await client.set(
+                redisKey,
+                JSON.stringify({ state: 'processing', bodyHash, startedAt: Date.now() }),
+                { NX: true, EX: IN_FLIGHT_TTL }
+            );
+
+            if (!claimed) {
+                const record = JSON.parse(await client.get(redisKey) || 'null');
+
+                // Expired between SET and GET — rare; ask for a plain retry
+                if (!record) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Request is being processed. Please retry.'
+                    });
+                }
+
+                if (record.bodyHash !== bodyHash) {
+                    return res.status(422).json({
+                        success: false,
+                        message: 'Idempotency-Key was already used with a different request body.'
+                    });
+                }
+
+                if (record.state === 'processing') {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'A request with this Idempotency-Key is still being processed.'
+                    });
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(record.statusCode).json(record.body);
+            }
+        } catch (error) {
+            console.error('Idempotency middleware error:', error);
+            return next();
+        }
+
+        // Capture the first response so retries get exactly the same thing
+        let stored = false;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            stored = true;
+            const release = res.statusCode >= 500
+                ? client.del(redisKey)
+                : client.set(
+                    redisKey,
+                    JSON.stringify({
+                        state: 'completed', bodyHash,
+                        statusCode: res.statusCode, body, completedAt: Date.now()
+                    }),
+                    { EX: RECORD_TTL }
+                );
+            release.catch(err => console.error('Failed to store idempotent response:', err));
+            return originalJson(body);
+        };
+
+        // Connection dropped or a non-JSON response — free the key for a retry
+        res.on('close', () => {
+            if (!stored) client.del(redisKey).catch(() => {});
+        });
+
+        next();
+    };
+};
+
+module.exports = idempotency;
@@ -0,0 +1,100 @@
+'use strict';
+
+jest.mock('../config/redis');
+
+const express = require('express');
+const request = require('supertest');
+const idempotency = require('./idempotency');
+
+function buildApp(handler) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.userId = req.get('x-user') || 'u1';
+        next();
+    });
+    app.post('/pay', idempotency(), handler);
+    return app;
+}
+
+describe('Idempotency-Key middleware', () => {
+    it('runs a retried request once and replays the first response', async () => {
+        let runs = 0;
+        const app = buildApp((req, res) => res.status(201).json({ success: true, run: ++runs }));
+
+        const first = await request(app).post('/pay').set('Idempotency-Key', 'k1').send({ amount: 500 });
+        const retry = await request(app).post('/pay').set('Idempotency-Key', 'k1').send({ amount: 500 });
+
+        expect(first.status).toBe(201);
+        expect(retry.status).toBe(201);
+        expect(retry.body).toEqual({ success: true, run: 1 });
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(runs).toBe(1);
+    });
+
+    it('treats bodies with reordered keys as the same request', async () => {
+        const app = buildApp((req, res) => res.json({ success: true }));
+
+        await request(app).post('/pay').set('Idempotency-Key', 'k2').send({ a: 1, b: 2 });
+        const retry = await request(app).post('/pay').set('Idempotency-Key', 'k2').send({ b: 2, a: 1 });
+
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+    });
+
+    it('rejects a key reused with a different body', async () => {
+        const app = buildApp((req, res) => res.json({ success: true }));
+
+        await request(app).post('/pay').set('Idempotency-Key', 'k3').send({ amount: 500 });
+        const reused = await request(app).post('/pay').set('Idempotency-Key', 'k3').send({ amount: 900 });
+
+        expect(reused.status).toBe(422);
+    });
+
+    it('answers 409 while the first request is still running', async () => {
+        let finish;
+        const app = buildApp((req, res) => { finish = () => res.json({ success: true }); });
+
+        const first = request(app).post('/pay').set('Idempotency-Key', 'k4').send({}).then(r => r);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const second = await request(app).post('/pay').set('Idempotency-Key', 'k4').send({});
+        finish();
+
+        expect(second.status).toBe(409);
+        expect((await first).status).toBe(200);
+    });
+
+    it('releases the key after a server error so the client can retry', async () => {
+        let runs = 0;
+        const app = buildApp((req, res) => {
+            runs++;
+            if (runs === 1) return res.status(502).json({ success: false });
+            return res.json({ success: true });
+        });
+
+        await request(app).post('/pay').set('Idempotency-Key', 'k5').send({});
+        const retry = await request(app).post('/pay').set('Idempotency-Key', 'k5').send({});
+
+        expect(retry.status).toBe(200);
+        expect(runs).toBe(2);
+    });
+
+    it('keeps keys apart per user', async () => {
+        let runs = 0;
+        const app = buildApp((req, res) => res.json({ run: ++runs }));
+
+        await request(app).post('/pay').set('Idempotency-Key', 'k6').set('x-user', 'a').send({});
+        const other = await request(app).post('/pay').set('Idempotency-Key', 'k6').set('x-user', 'b').send({});
+
+        expect(other.body.run).toBe(2);
+    });
+
+    it('passes requests without a key straight through', async () => {
+        let runs = 0;
+        const app = buildApp((req, res) => res.json({ run: ++runs }));
+
+        await request(app).post('/pay').send({});
+        await request(app).post('/pay').send({});
+
+        expect(runs).toBe(2);
+    });
+});
@@ -0,0 +1,61 @@
+const pinService = require('../services/pin.service');
+
+/**
+ * TRANSACTION PIN MIDDLEWARE
+ * Guards routes that debit the caller's wallet. The PIN travels in the
+ * `X-Transaction-PIN` header — kept out of the body so it never lands in
+ * request logs or the idempotency fingerprint.
+ *
+ * Mount AFTER authenticate and BEFORE idempotency(), so a wrong PIN is
+ * rejected without consuming the Idempotency-Key.
+ */
+const requireTransactionPin = async (req, res, next) => {
+    try {
+        const pin = req.get('x-transaction-pin');
+        const result = await pinService.verifyPin(req.userId, pin);
+
+        if (result.valid) return next();
+
+        if (result.reason === 'not_set') {
+            return res.status(403).json({
+                success: false,
+                message: 'You must set up a transaction PIN before making payments.',
+                requiresPin: true
+            });
+        }
+
+        if (result.reason === 'locked') {
+            const minutes = Math.max(1, Math.ceil((result.lockedUntil - Date.now()) / 60000));
+            return res.status(423).json({
+                success: false,
+                message: `Wallet locked after too many wrong PIN attempts. Try again in ${minutes} minute(s) or reset your PIN.`,
+                pinLocked: true,
+                lockedUntil: result.lockedUntil
+            });
+        }
+
+        if (result.reason === 'missing') {
+            return res.status(400).json({
+                success: false,
+                message: 'Transaction PIN is required.',
+                requiresPin: true
+            });
+        }
+
+        // 403, not 401 — clients treat 401 as an expired session and sign out
+        return res.status(403).json({
+            success: false,
+            message: `Incorrect PIN. ${result.attemptsRemaining} attempt(s) remaining.`,
+            invalidPin: true,
+            attemptsRemaining: result.attemptsRemaining
+        });
+    } catch (error) {
+        console.error('Transaction PIN check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Could not verify transaction PIN'
+        });
+    }
+};
+
+module.exports = { requireTransactionPin };
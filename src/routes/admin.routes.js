@@ -1,10 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { client } = require('../config/redis');
+const { client, invalidateUserCache, deleteCachePattern } = require('../config/redis');
 const { db } = require('../config/firebase');
 const { authenticate, adminOnly } = require('../middleware/auth');
 const walletService = require('../services/wallet.service');
+const ledgerService = require('../services/ledger.service');
+const reconciliationService = require('../services/reconciliation.service');
+const kycService = require('../services/kyc.service');
+const walletHoldService = require('../services/wallet-hold.service');
+const webhookEventService = require('../services/webhook-event.service');
+const unappliedDepositService = require('../services/unapplied-deposit.service');
+const billService = require('../services/bill.service');
+const billPricingService = require('../services/bill-pricing.service');
 const pushNotificationService = require('../services/push-notification.service');
+const { toKobo, toNaira, fieldsToNaira, entryToNaira, DRIFT_MONEY_FIELDS } = require('../utils/money');
 
 /**
  * TOGGLE MAINTENANCE MODE
@@ -132,6 +141,516 @@ router.post('/system/sync-transactions', authenticate, adminOnly, async (req, re
     }
 });
 
+/**
+ * LEDGER: ACCOUNT SUMMARY
+ * e.g. /ledger/accounts/platform:commission, /ledger/accounts/user:{uid}
+ */
+router.get('/ledger/accounts/:accountId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const account = await ledgerService.getAccount(req.params.accountId);
+        res.json({ success: true, account: { ...account, balance: toNaira(account.balance) } });
+    } catch (error) {
+        console.error('Get ledger account error:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * LEDGER: ACCOUNT ENTRIES (newest first, ?limit=&before=<createdAt>)
+ */
+router.get('/ledger/accounts/:accountId/entries', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { limit, before } = req.query;
+        const page = await ledgerService.getAccountEntries(req.params.accountId, { limit, before });
+        res.json({ success: true, ...page, entries: page.entries.map(entryToNaira) });
+    } catch (error) {
+        console.error('Get ledger entries error:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * LEDGER: SINGLE JOURNAL ENTRY (all lines)
+ */
+router.get('/ledger/journal/:entryId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const entry = await ledgerService.getJournalEntry(req.params.entryId);
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'Journal entry not found' });
+        }
+        res.json({ success: true, entry: entryToNaira(entry) });
+    } catch (error) {
+        console.error('Get journal entry error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * LEDGER: VERIFY WALLET AGAINST JOURNAL
+ */
+router.get('/ledger/verify/:userId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const result = await ledgerService.verifyWallet(req.params.userId);
+        res.json({
+            success: true,
+            ...result,
+            balance: fieldsToNaira(result.balance, ['wallet', 'ledger', 'drift']),
+            escrow:  fieldsToNaira(result.escrow, ['walletPending', 'ledger', 'drift'])
+        });
+    } catch (error) {
+        console.error('Verify wallet ledger error:', error);
+        res.status(error.message === 'Wallet not found' ? 404 : 500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * RECONCILIATION: LIST REPORTS (newest first)
+ */
+router.get('/reconciliation/reports', authenticate, adminOnly, async (req, res) => {
+    try {
+        const reports = await reconciliationService.listReports(req.query.limit);
+        res.json({ success: true, reports: reports.map(r => fieldsToNaira(r, DRIFT_MONEY_FIELDS)) });
+    } catch (error) {
+        console.error('List reconciliation reports error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * RECONCILIATION: DRIFTS FOR A REPORT (largest balance drift first)
+ */
+router.get('/reconciliation/reports/:reportId/drifts', authenticate, adminOnly, async (req, res) => {
+    try {
+        const result = await reconciliationService.getReportDrifts(req.params.reportId);
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Report not found' });
+        }
+        res.json({
+            success: true,
+            report: fieldsToNaira(result.report, DRIFT_MONEY_FIELDS),
+            drifts: result.drifts.map(d => fieldsToNaira(d, DRIFT_MONEY_FIELDS))
+        });
+    } catch (error) {
+        console.error('Get reconciliation drifts error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * RECONCILIATION: RUN NOW
+ * Body: { autoLock?: boolean }
+ */
+router.post('/reconciliation/run', authenticate, adminOnly, async (req, res) => {
+    try {
+        const report = await reconciliationService.run({
+            autoLock: req.body.autoLock === true,
+            triggeredBy: req.userId
+        });
+        res.json({ success: true, report: fieldsToNaira(report, DRIFT_MONEY_FIELDS) });
+    } catch (error) {
+        console.error('Run reconciliation error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * RECONCILIATION: LOCK DRIFTING WALLETS
+ * Body: { userIds?: string[] } — omit to lock every wallet in the report
+ */
+router.post('/reconciliation/reports/:reportId/lock', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { userIds } = req.body;
+        if (userIds !== undefined && !Array.isArray(userIds)) {
+            return res.status(400).json({ success: false, message: 'userIds must be an array' });
+        }
+
+        const result = await reconciliationService.lockDrifts(req.params.reportId, userIds || null);
+        await Promise.all(result.locked.map(uid => walletService.invalidateWalletCache(uid)));
+
+        res.json({ success: true, lockedCount: result.locked.length, locked: result.locked });
+    } catch (error) {
+        console.error('Lock drifting wallets error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * SET KYC TIER (after reviewing BVN/NIN or address documents)
+ * Body: { tier: 1 | 2 | 3, note?: string }
+ */
+router.put('/users/:userId/kyc-tier', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { tier, note } = req.body;
+        const result = await kycService.setTier(req.params.userId, tier, { adminId: req.userId, note });
+        await invalidateUserCache(req.params.userId);
+
+        if (result.tier > result.previousTier) {
+            pushNotificationService.sendPushToUser(
+                req.params.userId,
+                '✅ Verification Upgraded',
+                `Your account is now Tier ${result.tier}. Higher wallet limits are active.`,
+                { screen: 'WalletScreen', type: 'kyc_upgrade' }
+            ).catch(() => {});
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Set KYC tier error:', error);
+        const status = error.message.startsWith('Invalid KYC tier') ? 400
+            : error.message === 'User not found' ? 404 : 500;
+        res.status(status).json({ success: false, message: error.message });
+    }
+});
+
+// ─── Wallet holds ─────────────────────────────────────────────────────────────
+// Partial holds for fraud reviews / chargebacks — see wallet-hold.service.js.
+// Amounts in request and response bodies are naira.
+
+const holdToNaira = (hold) => fieldsToNaira(hold, ['amount']);
+
+function holdErrorStatus(error) {
+    if (error.message.startsWith('HOLD:') || error.message.startsWith('MONEY:')) return 400;
+    if (error.message === 'Wallet not found' || error.message === 'Hold not found') return 404;
+    return 500;
+}
+
+async function invalidateWalletViews(userId) {
+    await Promise.all([
+        walletService.invalidateWalletCache(userId),
+        deleteCachePattern(`cache:user:${userId}:*`)
+    ]);
+}
+
+/**
+ * LIST HOLDS
+ * Query: ?status=active|released|expired
+ */
+router.get('/wallets/:userId/holds', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const [holds, walletSnap] = await Promise.all([
+            walletHoldService.listHolds(userId, {
+                status: req.query.status,
+                limit: parseInt(req.query.limit, 10) || 50
+            }),
+            db.collection('wallets').doc(userId).get()
+        ]);
+        const wallet = walletSnap.exists ? walletSnap.data() : {};
+
+        res.json({
+            success: true,
+            balance: toNaira(wallet.balance || 0),
+            heldBalance: toNaira(walletHoldService.heldAmount(wallet)),
+            availableBalance: toNaira(walletHoldService.availableBalance(wallet)),
+            holds: holds.map(holdToNaira)
+        });
+    } catch (error) {
+        console.error('List holds error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PLACE HOLD
+ * Body: { amount (naira), reason, expiresInHours?, reference? }
+ * Without expiresInHours the hold stays until released.
+ */
+router.post('/wallets/:userId/holds', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { amount, reason, expiresInHours, reference } = req.body;
+
+        const hours = expiresInHours === undefined || expiresInHours === null ? null : Number(expiresInHours);
+        if (hours !== null && !(hours > 0)) {
+            return res.status(400).json({ success: false, message: 'expiresInHours must be a positive number' });
+        }
+
+        const hold = await walletHoldService.createHold(userId, {
+            amount: toKobo(amount),
+            reason,
+            expiresAt: hours === null ? null : Date.now() + Math.round(hours * 60 * 60 * 1000),
+            createdBy: req.userId,
+            reference: reference || null
+        });
+        await invalidateWalletViews(userId);
+
+        res.status(201).json({ success: true, hold: holdToNaira(hold) });
+    } catch (error) {
+        console.error('Create hold error:', error);
+        res.status(holdErrorStatus(error)).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * RELEASE HOLD
+ * Body: { note? }
+ */
+router.post('/wallets/:userId/holds/:holdId/release', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { userId, holdId } = req.params;
+        const { alreadyReleased, ...hold } = await walletHoldService.releaseHold(userId, holdId, {
+            releasedBy: req.userId,
+            note: req.body.note
+        });
+        await invalidateWalletViews(userId);
+
+        res.json({
+            success: true,
+            message: alreadyReleased ? `Hold is already ${hold.status}` : 'Hold released',
+            hold: holdToNaira(hold)
+        });
+    } catch (error) {
+        console.error('Release hold error:', error);
+        res.status(holdErrorStatus(error)).json({ success: false, message: error.message });
+    }
+});
+
+// ─── Webhook events ───────────────────────────────────────────────────────────
+// Stored Paystack deliveries — see webhook-event.service.js.
+
+/**
+ * LIST WEBHOOK EVENTS
+ * Query: ?status=received|processing|processed|failed|dead&event=charge.success&limit=50&before=<receivedAt>
+ */
+router.get('/webhooks', authenticate, adminOnly, async (req, res) => {
+    try {
+        const events = await webhookEventService.list({
+            status: req.query.status,
+            event: req.query.event,
+            limit: parseInt(req.query.limit, 10) || 50,
+            before: req.query.before
+        });
+        res.json({
+            success: true,
+            events,
+            nextCursor: events.length ? events[events.length - 1].receivedAt : null
+        });
+    } catch (error) {
+        console.error('List webhook events error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * WEBHOOK EVENT DETAIL (raw payload + error history)
+ */
+router.get('/webhooks/:eventId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const event = await webhookEventService.get(req.params.eventId);
+        if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
+        res.json({ success: true, event });
+    } catch (error) {
+        console.error('Get webhook event error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * REPLAY WEBHOOK EVENT
+ * Body: { force?: boolean } — force is required to replay a processed event
+ */
+router.post('/webhooks/:eventId/replay', authenticate, adminOnly, async (req, res) => {
+    try {
+        const result = await webhookEventService.replay(req.params.eventId, {
+            adminId: req.userId,
+            force: req.body.force === true
+        });
+        res.json({ success: result.status === 'processed', result });
+    } catch (error) {
+        console.error('Replay webhook event error:', error);
+        const status = error.message === 'WEBHOOK: Event not found' ? 404
+            : error.message.startsWith('WEBHOOK:') ? 409 : 500;
+        res.status(status).json({ success: false, message: error.message });
+    }
+});
+
+// ─── Unapplied deposits ───────────────────────────────────────────────────────
+// Settled deposits parked because they'd pass the user's KYC balance limit —
+// see unapplied-deposit.service.js. Amounts in responses are naira.
+
+const depositToNaira = (deposit) => fieldsToNaira(deposit, ['amount']);
+
+/**
+ * LIST UNAPPLIED DEPOSITS
+ * Query: ?status=pending_review|applied&userId=<uid>&limit=50
+ */
+router.get('/deposits/unapplied', authenticate, adminOnly, async (req, res) => {
+    try {
+        const deposits = await unappliedDepositService.list({
+            status: req.query.status || 'pending_review',
+            userId: req.query.userId,
+            limit: parseInt(req.query.limit, 10) || 50
+        });
+        res.json({ success: true, deposits: deposits.map(depositToNaira) });
+    } catch (error) {
+        console.error('List unapplied deposits error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * APPLY UNAPPLIED DEPOSIT
+ * Credits the wallet once it has headroom; 409 while it still doesn't.
+ */
+router.post('/deposits/unapplied/:reference/apply', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { alreadyApplied, ...deposit } = await unappliedDepositService.apply(req.params.reference, {
+            adminId: req.userId
+        });
+        await invalidateWalletViews(deposit.userId);
+
+        res.json({
+            success: true,
+            message: alreadyApplied ? 'Deposit was already applied' : 'Deposit credited',
+            deposit: depositToNaira(deposit)
+        });
+    } catch (error) {
+        console.error('Apply unapplied deposit error:', error);
+        const status = error.message === 'DEPOSIT: Deposit not found' ? 404
+            : error.message.startsWith('KYC_LIMIT') ? 409 : 500;
+        res.status(status).json({ success: false, message: error.message });
+    }
+});
+
+// ─── Bill transactions ────────────────────────────────────────────────────────
+// VTPass purchases that haven't settled — see bill.service.js.
+
+const BILL_MONEY_FIELDS = ['amount', 'faceAmount', 'margin'];
+
+/**
+ * LIST UNRESOLVED BILLS (oldest first)
+ * Query: ?status=processing|pending|refunding&billType=airtime&limit=50
+ */
+router.get('/bills/unresolved', authenticate, adminOnly, async (req, res) => {
+    try {
+        const bills = await billService.listUnresolved({
+            status: req.query.status,
+            billType: req.query.billType,
+            limit: parseInt(req.query.limit, 10) || 50
+        });
+        res.json({
+            success: true,
+            count: bills.length,
+            bills: bills.map(bill => fieldsToNaira(bill, BILL_MONEY_FIELDS))
+        });
+    } catch (error) {
+        console.error('List unresolved bills error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * BILL DETAIL (VTPass payload and last response included)
+ */
+router.get('/bills/:requestId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const bill = await billService.get(req.params.requestId);
+        if (!bill) return res.status(404).json({ success: false, message: 'Bill transaction not found' });
+        res.json({ success: true, bill: fieldsToNaira(bill, BILL_MONEY_FIELDS) });
+    } catch (error) {
+        console.error('Get bill error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * REQUERY A BILL NOW
+ * Same check the requery job runs; settles the bill if VTPass has a final answer.
+ */
+router.post('/bills/:requestId/requery', authenticate, adminOnly, async (req, res) => {
+    try {
+        const result = await billService.requeryNow(req.params.requestId);
+        const bill = await billService.get(req.params.requestId);
+        res.json({ success: true, result, bill: fieldsToNaira(bill, BILL_MONEY_FIELDS) });
+    } catch (error) {
+        console.error('Requery bill error:', error);
+        const status = error.message === 'BILL: Bill transaction not found' ? 404 : 500;
+        res.status(status).json({ success: false, message: error.message });
+    }
+});
+
+// ─── Bill pricing ─────────────────────────────────────────────────────────────
+// Markup / discount rules applied to bill purchases — see bill-pricing.service.js.
+// `amount`, `cap` and `minAmount` are naira here; `percent` is a percentage.
+
+const PRICING_MONEY_FIELDS = ['amount', 'cap', 'minAmount'];
+
+const pricingRuleToNaira = (rule) => fieldsToNaira(rule, PRICING_MONEY_FIELDS);
+
+function pricingRuleToKobo(body) {
+    const input = { ...body };
+    for (const field of PRICING_MONEY_FIELDS) {
+        if (input[field] !== undefined && input[field] !== null) input[field] = toKobo(input[field]);
+    }
+    return input;
+}
+
+function pricingErrorStatus(error) {
+    if (error.message === 'PRICING: Pricing rule not found') return 404;
+    if (error.message.startsWith('PRICING:') || error.message.startsWith('MONEY:')) return 400;
+    return 500;
+}
+
+/**
+ * LIST PRICING RULES
+ * Query: ?billType=airtime
+ */
+router.get('/bill-pricing', authenticate, adminOnly, async (req, res) => {
+    try {
+        const rules = await billPricingService.list({ billType: req.query.billType });
+        res.json({ success: true, rules: rules.map(pricingRuleToNaira) });
+    } catch (error) {
+        console.error('List pricing rules error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * CREATE PRICING RULE
+ * Body: { name, billType, provider?, kind: markup|discount, mode: percent|flat,
+ *         percent? | amount?, cap?, minAmount?, startsAt?, endsAt?, active? }
+ * `provider` is the VTPass serviceID (mtn, mtn-data, ikeja-electric, dstv, waec, ui-insure);
+ * leave it out to cover the whole bill type. startsAt / endsAt make a promo.
+ */
+router.post('/bill-pricing', authenticate, adminOnly, async (req, res) => {
+    try {
+        const rule = await billPricingService.create(pricingRuleToKobo(req.body), req.userId);
+        res.status(201).json({ success: true, rule: pricingRuleToNaira(rule) });
+    } catch (error) {
+        console.error('Create pricing rule error:', error);
+        res.status(pricingErrorStatus(error)).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * UPDATE PRICING RULE (any of the create fields; `active: false` switches it off)
+ */
+router.patch('/bill-pricing/:ruleId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const rule = await billPricingService.update(req.params.ruleId, pricingRuleToKobo(req.body), req.userId);
+        res.json({ success: true, rule: pricingRuleToNaira(rule) });
+    } catch (error) {
+        console.error('Update pricing rule error:', error);
+        res.status(pricingErrorStatus(error)).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE PRICING RULE
+ */
+router.delete('/bill-pricing/:ruleId', authenticate, adminOnly, async (req, res) => {
+    try {
+        await billPricingService.remove(req.params.ruleId);
+        res.json({ success: true, message: 'Pricing rule deleted' });
+    } catch (error) {
+        console.error('Delete pricing rule error:', error);
+        res.status(pricingErrorStatus(error)).json({ success: false, message: error.message });
+    }
+});
+
 /**
  * STUCK TRANSACTION FIXER LOGIC
  */
@@ -7,6 +7,7 @@ const { client, CACHE_KEYS, CACHE_TTL } = require('../config/redis');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/AppError');
 const EmailService = require('../services/email.service');
+const virtualAccountService = require('../services/virtual-account.service');
 
 /**
  * ==========================================
@@ -137,7 +138,8 @@ router.post('/signup', catchAsync(async (req, res, next) => {
       favoriteServiceProviders: [],
       autoCancelStrikes: 0,
       isSuspended: false,
-      suspensionReason: null
+      suspensionReason: null,
+      kycTier: 1 // email verified by OTP at signup — see constants/KycTiers.js
     };
 
     // Add optional fields
@@ -224,6 +226,16 @@ router.post('/signup', catchAsync(async (req, res, next) => {
       }
     });
 
+    // ✅ DEDICATED BANK ACCOUNT (Fire and forget) — Paystack needs a phone number;
+    // users without one can request it later via POST /wallet/virtual-account
+    if (userData.phone) {
+      setImmediate(() => {
+        virtualAccountService.requestAccount(uid).catch((error) => {
+          console.error('Virtual account assignment failed during signup:', error.message);
+        });
+      });
+    }
+
     // ✅ RESPONSE
     res.status(201).json({
       success: true,
@@ -1,16 +1,203 @@
 // src/routes/bill.routes.js - COMPLETE PRODUCTION VERSION
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { authenticate, userRateLimit } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { requireTransactionPin } = require('../middleware/transactionPin');
 const walletService = require('../services/wallet.service');
+const walletHoldService = require('../services/wallet-hold.service');
 const vtpassService = require('../services/vtpass.service');
+const billService = require('../services/bill.service');
+const beneficiaryService = require('../services/beneficiary.service');
+const scheduledBillService = require('../services/scheduled-bill.service');
+const bulkBillService = require('../services/bulk-bill.service');
+const { toKobo, toNaira, fieldsToNaira } = require('../utils/money');
+const { NETWORK_LABELS, normalizePhone, normalizeNetwork, toInternational } = require('../utils/phone');
 
 /**
  * BILL PAYMENT ROUTES
- * Handles: Airtime, Data, Electricity, TV via VTPass
+ * Handles: Airtime, Data, Electricity, TV, exam PINs and motor insurance via VTPass
  * With automatic refunds on provider failures
+ *
+ * Request `amount` is naira (what VTPass charges); the wallet is debited and
+ * refunded in kobo.
+ *
+ * Every purchase needs the X-Transaction-PIN header (middleware/transactionPin).
+ *
+ * Debit, VTPass call and refund live in bill.service.js. A purchase VTPass
+ * hasn't finished yet answers 202 with `pending: true`; the money stays
+ * debited until the requery job settles it.
+ *
+ * `amount` is the face value VTPass delivers; admin pricing rules
+ * (bill-pricing.service.js) may add a fee or take off a discount, and the
+ * wallet is debited the result — returned as `charged`. GET /quote shows it
+ * up front.
+ *
+ * Purchases accept `beneficiaryId` (a saved recipient, see /beneficiaries)
+ * in place of the phone / meter / smartcard fields.
+ *
+ * Airtime and data numbers may be sent in any Nigerian format; a `network`
+ * that doesn't match the number is rejected unless `ported: true` is sent
+ * (GET /lookup-phone tells the app which network to preselect).
+ *
+ * POST /bulk sends airtime or data to a list of numbers for one debit.
  */
 
+// KYC tier limits surface as 403 so the app can prompt an upgrade
+const purchaseErrorStatus = (error) => (
+    error.message?.startsWith('KYC_LIMIT') ? 403 :
+    error.message === 'Insufficient balance' ? 400 :
+    error.message?.startsWith('BILL: Unknown variation') ? 400 :
+    500
+);
+
+/**
+ * Answer a billService.purchase() outcome. A pending purchase keeps the
+ * debit and is settled by jobs/billRequery.js; the user is notified then.
+ */
+function respondPurchase(res, purchase, body) {
+    const { status, transactionId, requestId } = purchase;
+
+    if (status === 'pending') {
+        return res.status(202).json({
+            success: true,
+            pending: true,
+            message: 'Your purchase is processing. We will update you shortly.',
+            charged: toNaira(purchase.pricing.charge),
+            transactionId,
+            requestId
+        });
+    }
+
+    if (status === 'failed') {
+        return res.status(500).json({
+            success: false,
+            message: 'Provider error. Amount refunded to wallet.',
+            transactionId,
+            refunded: true
+        });
+    }
+
+    console.log(`✅ ${body.message}: ${transactionId}`);
+    res.json({
+        success: true,
+        ...body,
+        charged: toNaira(purchase.pricing.charge),
+        transactionId,
+        requestId,
+        ...(res.locals.networkWarning && { warning: res.locals.networkWarning })
+    });
+}
+
+function beneficiaryErrorStatus(error) {
+    if (error.message === 'BENEFICIARY: Beneficiary not found') return 404;
+    if (error.message.startsWith('BENEFICIARY: This beneficiary is already saved')
+        || error.message.startsWith('BENEFICIARY: You can save up to')) return 409;
+    return 400;
+}
+
+/**
+ * When the body has `beneficiaryId`, fill the recipient fields for this
+ * bill type from the saved beneficiary (they replace any sent alongside).
+ * A successful purchase bumps the beneficiary to the top of the list.
+ */
+const useBeneficiary = (billType) => async (req, res, next) => {
+    const { beneficiaryId } = req.body;
+    if (!beneficiaryId) return next();
+
+    try {
+        const fields = await beneficiaryService.toPurchaseFields(req.userId, beneficiaryId, billType);
+        req.body = { ...req.body, ...fields };
+    } catch (error) {
+        return res.status(beneficiaryErrorStatus(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.on('finish', () => {
+        if (res.statusCode < 300) beneficiaryService.markUsed(req.userId, beneficiaryId);
+    });
+    next();
+};
+
+const networkName = (network) => NETWORK_LABELS[network] || network.toUpperCase();
+
+/**
+ * Normalise `phone` and `network` for airtime / data and check they agree.
+ * The number's network is a confirmed port when we know one, else its
+ * prefix. A mismatch is rejected — VTPass would fail it — unless the user
+ * says the number is ported; an unknown prefix only warns. A ported number
+ * that delivers is remembered so the next lookup gets it right.
+ */
+async function checkNetwork(req, res, next) {
+    if (!req.body.phone || !req.body.network) return next();   // the route reports missing fields
+
+    const phone = normalizePhone(req.body.phone);
+    const network = normalizeNetwork(req.body.network);
+    if (!phone) {
+        return res.status(400).json({ success: false, message: 'Invalid phone number' });
+    }
+    if (!network) {
+        return res.status(400).json({ success: false, message: 'Network must be MTN, Glo, Airtel or 9mobile' });
+    }
+
+    let lookup;
+    try {
+        lookup = await billService.lookupPhone(phone);
+    } catch (error) {
+        console.error('Phone lookup error:', error);
+        return res.status(500).json({ success: false, message: 'Failed to check phone number' });
+    }
+    req.body = { ...req.body, phone, network };
+
+    const known = [lookup.portedTo, lookup.detectedNetwork].filter(Boolean);
+    if (!known.length) {
+        res.locals.networkWarning = `We couldn't confirm the network for ${phone} — make sure it's ${networkName(network)}`;
+    } else if (!known.includes(network)) {
+        if (req.body.ported !== true) {
+            return res.status(400).json({
+                success: false,
+                code: 'NETWORK_MISMATCH',
+                message: `${phone} looks like it is on ${networkName(lookup.network)}. Choose ${networkName(lookup.network)}, or confirm the number was ported to ${networkName(network)}.`,
+                detectedNetwork: lookup.network
+            });
+        }
+        res.locals.networkWarning = `Sent as a number ported to ${networkName(network)}`;
+        res.on('finish', () => {
+            if (res.statusCode === 200) billService.rememberPortedNumber(phone, network, req.userId);
+        });
+    }
+    next();
+}
+
+/**
+ * GET /api/v1/bills/lookup-phone?phone=
+ * Normalised number and its network, to preselect before airtime / data.
+ * `network` is null for a prefix we don't know.
+ */
+router.get('/lookup-phone', authenticate, async (req, res) => {
+    try {
+        const lookup = await billService.lookupPhone(req.query.phone);
+        if (!lookup) {
+            return res.status(400).json({ success: false, message: 'Invalid phone number' });
+        }
+        res.json({
+            success: true,
+            phone: lookup.phone,
+            international: toInternational(lookup.phone),
+            network: lookup.network,
+            networkName: lookup.network ? networkName(lookup.network) : null,
+            detectedNetwork: lookup.detectedNetwork,
+            ported: !!lookup.portedTo
+        });
+    } catch (error) {
+        console.error('Phone lookup error:', error);
+        res.status(500).json({ success: false, message: 'Failed to look up phone number' });
+    }
+});
+
 /**
  * POST /api/v1/bills/airtime
  * Buy airtime with auto-refund protection
@@ -19,6 +206,10 @@ router.post(
     '/airtime',
     authenticate,
     userRateLimit(20, 15 * 60 * 1000),
+    requireTransactionPin,
+    idempotency(),
+    useBeneficiary('airtime'),
+    checkNetwork,
     async (req, res) => {
         try {
             const { network, amount, phone } = req.body;
@@ -39,108 +230,32 @@ router.post(
                 });
             }
 
-            if (phone.length !== 11) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid phone number'
-                });
-            }
+            const amountKobo = toKobo(amount);
 
-            // Check wallet balance
+            // Check wallet balance against the price after pricing rules
+            const { charge } = await billService.quote('airtime', { network, amount }, amountKobo);
             const wallet = await walletService.getWallet(userId);
-            if (wallet.balance < amount) {
+            if (walletHoldService.availableBalance(wallet) < charge) {
                 return res.status(400).json({
                     success: false,
                     message: 'Insufficient wallet balance'
                 });
             }
 
-            // Debit wallet first
-            const debitResult = await walletService.debitWallet(
-                userId,
-                amount,
-                `${network} Airtime - ${phone}`,
-                {
-                    type: 'bill_payment',
-                    billType: 'airtime',
-                    network,
-                    phone,
-                    status: 'processing'
-                }
-            );
-
-            const transactionId = debitResult.transaction.id;
-
-            try {
-                // Process with VTPass
-                const vtpassResult = await vtpassService.purchaseAirtime({
-                    serviceID: network.toLowerCase(),
-                    amount,
-                    phone
-                });
-
-                // Update transaction status
-                const walletRef = require('../config/firebase').db
-                    .collection('wallets')
-                    .doc(userId);
-
-                await walletRef
-                    .collection('transactions')
-                    .doc(transactionId)
-                    .update({
-                        status: 'completed',
-                        metadata: {
-                            ...debitResult.transaction.metadata,
-                            vtpassResponse: vtpassResult,
-                            completedAt: Date.now()
-                        }
-                    });
-
-                console.log(`✅ Airtime purchase successful: ${userId} - ₦${amount}`);
-
-                res.json({
-                    success: true,
-                    message: 'Airtime purchase successful',
-                    transactionId,
-                    amount,
-                    phone
-                });
+            const purchase = await billService.purchase(userId, {
+                ...billService.buildPurchase('airtime', { network, phone, amount }),
+                amount: amountKobo
+            });
 
-            } catch (providerError) {
-                console.error('VTPass error, refunding:', providerError);
-
-                // AUTOMATIC REFUND on provider failure
-                await walletService.creditWallet(
-                    userId,
-                    amount,
-                    `refund_${transactionId}`,
-                    {
-                        type: 'bill_refund',
-                        originalTransaction: transactionId,
-                        reason: 'Provider error',
-                        originalBillType: 'airtime'
-                    }
-                );
-
-                // Update original transaction as failed
-                await require('../config/firebase').db
-                    .collection('wallets')
-                    .doc(userId)
-                    .collection('transactions')
-                    .doc(transactionId)
-                    .update({
-                        status: 'failed',
-                        refunded: true,
-                        failedAt: Date.now(),
-                        error: providerError.message
-                    });
-
-                throw new Error('Provider error. Amount refunded to wallet.');
-            }
+            respondPurchase(res, purchase, {
+                message: 'Airtime purchase successful',
+                amount,
+                phone
+            });
 
         } catch (error) {
             console.error('Airtime purchase error:', error);
-            res.status(500).json({
+            res.status(purchaseErrorStatus(error)).json({
                 success: false,
                 message: error.message || 'Airtime purchase failed'
             });
@@ -156,6 +271,10 @@ router.post(
     '/data',
     authenticate,
     userRateLimit(20, 15 * 60 * 1000),
+    requireTransactionPin,
+    idempotency(),
+    useBeneficiary('data'),
+    checkNetwork,
     async (req, res) => {
         try {
             const { network, plan, variation_code, amount, phone } = req.body;
@@ -168,102 +287,32 @@ router.post(
                 });
             }
 
-            // Check wallet balance
+            const amountKobo = toKobo(amount);
+
+            // Check wallet balance against the price after pricing rules
+            const { charge } = await billService.quote('data', { network, amount }, amountKobo);
             const wallet = await walletService.getWallet(userId);
-            if (wallet.balance < amount) {
+            if (walletHoldService.availableBalance(wallet) < charge) {
                 return res.status(400).json({
                     success: false,
                     message: 'Insufficient wallet balance'
                 });
             }
 
-            // Debit wallet
-            const debitResult = await walletService.debitWallet(
-                userId,
-                amount,
-                `${network} Data - ${plan}`,
-                {
-                    type: 'bill_payment',
-                    billType: 'data',
-                    network,
-                    plan,
-                    phone,
-                    status: 'processing'
-                }
-            );
-
-            const transactionId = debitResult.transaction.id;
-
-            try {
-                // Process with VTPass
-                const serviceID = `${network.toLowerCase()}-data`;
-                const vtpassResult = await vtpassService.purchaseData({
-                    serviceID,
-                    billersCode: phone,
-                    variation_code,
-                    amount,
-                    phone
-                });
-
-                // Update transaction
-                await require('../config/firebase').db
-                    .collection('wallets')
-                    .doc(userId)
-                    .collection('transactions')
-                    .doc(transactionId)
-                    .update({
-                        status: 'completed',
-                        metadata: {
-                            ...debitResult.transaction.metadata,
-                            vtpassResponse: vtpassResult,
-                            completedAt: Date.now()
-                        }
-                    });
-
-                console.log(`✅ Data purchase successful: ${userId} - ₦${amount}`);
-
-                res.json({
-                    success: true,
-                    message: 'Data purchase successful',
-                    transactionId,
-                    amount,
-                    phone
-                });
+            const purchase = await billService.purchase(userId, {
+                ...billService.buildPurchase('data', { network, plan, variation_code, phone, amount }),
+                amount: amountKobo
+            });
 
-            } catch (providerError) {
-                console.error('VTPass error, refunding:', providerError);
-
-                // AUTO-REFUND
-                await walletService.creditWallet(
-                    userId,
-                    amount,
-                    `refund_${transactionId}`,
-                    {
-                        type: 'bill_refund',
-                        originalTransaction: transactionId,
-                        reason: 'Provider error',
-                        originalBillType: 'data'
-                    }
-                );
-
-                await require('../config/firebase').db
-                    .collection('wallets')
-                    .doc(userId)
-                    .collection('transactions')
-                    .doc(transactionId)
-                    .update({
-                        status: 'failed',
-                        refunded: true,
-                        failedAt: Date.now(),
-                        error: providerError.message
-                    });
-
-                throw new Error('Provider error. Amount refunded to wallet.');
-            }
+            respondPurchase(res, purchase, {
+                message: 'Data purchase successful',
+                amount,
+                phone
+            });
 
         } catch (error) {
             console.error('Data purchase error:', error);
-            res.status(500).json({
+            res.status(purchaseErrorStatus(error)).json({
                 success: false,
                 message: error.message || 'Data purchase failed'
             });
@@ -279,6 +328,9 @@ router.post(
     '/electricity',
     authenticate,
     userRateLimit(10, 15 * 60 * 1000),
+    requireTransactionPin,
+    idempotency(),
+    useBeneficiary('electricity'),
     async (req, res) => {
         try {
             const { provider, meterNumber, amount, meterType } = req.body;
@@ -298,104 +350,33 @@ router.post(
                 });
             }
 
-            // Check wallet balance
+            const amountKobo = toKobo(amount);
+
+            // Check wallet balance against the price after pricing rules
+            const { charge } = await billService.quote('electricity', { provider, amount }, amountKobo);
             const wallet = await walletService.getWallet(userId);
-            if (wallet.balance < amount) {
+            if (walletHoldService.availableBalance(wallet) < charge) {
                 return res.status(400).json({
                     success: false,
                     message: 'Insufficient wallet balance'
                 });
             }
 
-            // Debit wallet
-            const debitResult = await walletService.debitWallet(
-                userId,
-                amount,
-                `${provider} Electricity - ${meterNumber}`,
-                {
-                    type: 'bill_payment',
-                    billType: 'electricity',
-                    provider,
-                    meterNumber,
-                    meterType,
-                    status: 'processing'
-                }
-            );
-
-            const transactionId = debitResult.transaction.id;
-
-            try {
-                // Process with VTPass
-                const vtpassResult = await vtpassService.purchaseElectricity({
-                    serviceID: provider,
-                    billersCode: meterNumber,
-                    variation_code: meterType,
-                    amount,
-                    phone: '08000000000' // Placeholder - VTPass requires this field
-                });
-
-                // Update transaction with token
-                await require('../config/firebase').db
-                    .collection('wallets')
-                    .doc(userId)
-                    .collection('transactions')
-                    .doc(transactionId)
-                    .update({
-                        status: 'completed',
-                        metadata: {
-                            ...debitResult.transaction.metadata,
-                            token: vtpassResult.purchased_code || vtpassResult.token,
-                            units: vtpassResult.units,
-                            vtpassResponse: vtpassResult,
-                            completedAt: Date.now()
-                        }
-                    });
-
-                console.log(`✅ Electricity purchase successful: ${userId} - ₦${amount}`);
-
-                res.json({
-                    success: true,
-                    message: 'Electricity payment successful',
-                    transactionId,
-                    amount,
-                    token: vtpassResult.purchased_code || vtpassResult.token || 'Check provider',
-                    units: vtpassResult.units
-                });
+            const purchase = await billService.purchase(userId, {
+                ...billService.buildPurchase('electricity', { provider, meterNumber, meterType, amount }),
+                amount: amountKobo
+            });
 
-            } catch (providerError) {
-                console.error('VTPass error, refunding:', providerError);
-
-                // AUTO-REFUND
-                await walletService.creditWallet(
-                    userId,
-                    amount,
-                    `refund_${transactionId}`,
-                    {
-                        type: 'bill_refund',
-                        originalTransaction: transactionId,
-                        reason: 'Provider error',
-                        originalBillType: 'electricity'
-                    }
-                );
-
-                await require('../config/firebase').db
-                    .collection('wallets')
-                    .doc(userId)
-                    .collection('transactions')
-                    .doc(transactionId)
-                    .update({
-                        status: 'failed',
-                        refunded: true,
-                        failedAt: Date.now(),
-                        error: providerError.message
-                    });
-
-                throw new Error('Provider error. Amount refunded to wallet.');
-            }
+            respondPurchase(res, purchase, {
+                message: 'Electricity payment successful',
+                amount,
+                token: purchase.result?.token || purchase.result?.purchased_code || 'Check provider',
+                units: purchase.result?.units
+            });
 
         } catch (error) {
             console.error('Electricity payment error:', error);
-            res.status(500).json({
+            res.status(purchaseErrorStatus(error)).json({
                 success: false,
                 message: error.message || 'Electricity payment failed'
             });
@@ -411,6 +392,9 @@ router.post(
     '/tv',
     authenticate,
     userRateLimit(10, 15 * 60 * 1000),
+    requireTransactionPin,
+    idempotency(),
+    useBeneficiary('tv_subscription'),
     async (req, res) => {
         try {
             const { provider, smartCardNumber, package: packageCode, amount } = req.body;
@@ -423,102 +407,258 @@ router.post(
                 });
             }
 
-            // Check wallet balance
+            const amountKobo = toKobo(amount);
+
+            // Check wallet balance against the price after pricing rules
+            const { charge } = await billService.quote('tv_subscription', { provider, amount }, amountKobo);
             const wallet = await walletService.getWallet(userId);
-            if (wallet.balance < amount) {
+            if (walletHoldService.availableBalance(wallet) < charge) {
                 return res.status(400).json({
                     success: false,
                     message: 'Insufficient wallet balance'
                 });
             }
 
-            // Debit wallet
-            const debitResult = await walletService.debitWallet(
-                userId,
-                amount,
-                `${provider} TV Subscription`,
-                {
-                    type: 'bill_payment',
-                    billType: 'tv_subscription',
+            const purchase = await billService.purchase(userId, {
+                ...billService.buildPurchase('tv_subscription', {
                     provider,
                     smartCardNumber,
                     package: packageCode,
-                    status: 'processing'
+                    amount
+                }),
+                amount: amountKobo
+            });
+
+            respondPurchase(res, purchase, {
+                message: 'TV subscription successful',
+                amount
+            });
+
+        } catch (error) {
+            console.error('TV subscription error:', error);
+            res.status(purchaseErrorStatus(error)).json({
+                success: false,
+                message: error.message || 'TV subscription failed'
+            });
+        }
+    }
+);
+
+// ─── Exam PINs & motor insurance ──────────────────────────────────────────────
+// Fixed-price VTPass products: the price comes from the variation list, not
+// the request. PINs and the insurance certificate link land on the receipt.
+
+const MAX_PIN_QUANTITY = 10;
+
+const INSURANCE_FIELDS = [
+    'variation_code', 'plateNumber', 'insuredName', 'engineCapacity', 'chassisNumber',
+    'vehicleMake', 'vehicleColor', 'vehicleModel', 'yearOfMake', 'state', 'lga', 'email', 'phone'
+];
+
+/**
+ * GET /api/v1/bills/education/:service/variations
+ * service: waec | neco | jamb
+ */
+router.get('/education/:service/variations', authenticate, async (req, res) => {
+    try {
+        const service = req.params.service.toLowerCase();
+        if (!billService.EDUCATION_SERVICES[service]) {
+            return res.status(400).json({ success: false, message: 'Invalid exam' });
+        }
+
+        const variations = await vtpassService.getVariations(service);
+        res.json({ success: true, variations });
+    } catch (error) {
+        console.error('Get exam variations error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch exam products' });
+    }
+});
+
+/**
+ * POST /api/v1/bills/education/jamb/verify
+ * Body: { profileId, variation_code }
+ */
+router.post('/education/jamb/verify', authenticate, async (req, res) => {
+    try {
+        const { profileId, variation_code } = req.body;
+        if (!profileId || !variation_code) {
+            return res.status(400).json({ success: false, message: 'Profile ID and variation_code are required' });
+        }
+
+        const result = await billService.verifyJambProfile({ profileId, variation_code });
+        res.json({ success: true, customerName: result.customerName });
+    } catch (error) {
+        console.error('Verify JAMB profile error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'JAMB profile verification failed'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/bills/education
+ * Body: { service: waec|neco|jamb, variation_code, phone, quantity? (WAEC / NECO), profileId (JAMB) }
+ */
+router.post(
+    '/education',
+    authenticate,
+    userRateLimit(10, 15 * 60 * 1000),
+    requireTransactionPin,
+    idempotency(),
+    async (req, res) => {
+        try {
+            const { variation_code, phone, profileId } = req.body;
+            const service = String(req.body.service || '').toLowerCase();
+            const isJamb = service === 'jamb';
+            const quantity = isJamb ? 1 : Number(req.body.quantity ?? 1);
+            const userId = req.userId;
+
+            if (!billService.EDUCATION_SERVICES[service] || !variation_code || !phone) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'service (waec, neco or jamb), variation_code and phone are required'
+                });
+            }
+            if (String(phone).length !== 11) {
+                return res.status(400).json({ success: false, message: 'Invalid phone number' });
+            }
+            if (isJamb && !profileId) {
+                return res.status(400).json({ success: false, message: 'JAMB profile ID is required' });
+            }
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_PIN_QUANTITY) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Quantity must be between 1 and ${MAX_PIN_QUANTITY}`
+                });
+            }
+
+            // A JAMB PIN is bound to the profile — catch a typo before paying
+            if (isJamb) {
+                try {
+                    await billService.verifyJambProfile({ profileId, variation_code });
+                } catch (error) {
+                    return res.status(400).json({ success: false, message: error.message });
                 }
-            );
-
-            const transactionId = debitResult.transaction.id;
-
-            try {
-                // Process with VTPass
-                const vtpassResult = await vtpassService.purchaseTVSubscription({
-                    serviceID: provider,
-                    billersCode: smartCardNumber,
-                    variation_code: packageCode,
-                    amount,
-                    phone: '08000000000' // Placeholder
+            }
+
+            const price = await billService.variationPrice(service, variation_code);
+            const amount = price.amount * quantity;
+            const amountKobo = toKobo(amount);
+
+            // Check wallet balance against the price after pricing rules
+            const { charge } = await billService.quote('education', { service }, amountKobo);
+            const wallet = await walletService.getWallet(userId);
+            if (walletHoldService.availableBalance(wallet) < charge) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Insufficient wallet balance'
                 });
+            }
 
-                // Update transaction
-                await require('../config/firebase').db
-                    .collection('wallets')
-                    .doc(userId)
-                    .collection('transactions')
-                    .doc(transactionId)
-                    .update({
-                        status: 'completed',
-                        metadata: {
-                            ...debitResult.transaction.metadata,
-                            vtpassResponse: vtpassResult,
-                            completedAt: Date.now()
-                        }
-                    });
-
-                console.log(`✅ TV subscription successful: ${userId} - ₦${amount}`);
-
-                res.json({
-                    success: true,
-                    message: 'TV subscription successful',
-                    transactionId,
+            const purchase = await billService.purchase(userId, {
+                ...billService.buildPurchase('education', {
+                    service,
+                    variation_code,
+                    quantity,
+                    profileId: isJamb ? profileId : null,
+                    phone,
                     amount
+                }),
+                amount: amountKobo
+            });
+
+            respondPurchase(res, purchase, {
+                message: `${billService.EDUCATION_SERVICES[service]} PIN purchase successful`,
+                amount,
+                product: price.name,
+                pins: purchase.result?.pins || []
+            });
+
+        } catch (error) {
+            console.error('Exam PIN purchase error:', error);
+            res.status(purchaseErrorStatus(error)).json({
+                success: false,
+                message: error.message || 'Exam PIN purchase failed'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/v1/bills/insurance/variations
+ * Third-party motor cover types (private, commercial, tricycle, motorcycle)
+ */
+router.get('/insurance/variations', authenticate, async (req, res) => {
+    try {
+        const variations = await vtpassService.getVariations(billService.INSURANCE_SERVICE_ID);
+        res.json({ success: true, variations });
+    } catch (error) {
+        console.error('Get insurance variations error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch insurance products' });
+    }
+});
+
+/**
+ * POST /api/v1/bills/insurance
+ * Third-party motor insurance.
+ * Body: { variation_code, plateNumber, insuredName, engineCapacity, chassisNumber,
+ *         vehicleMake, vehicleColor, vehicleModel, yearOfMake, state, lga, email, phone }
+ */
+router.post(
+    '/insurance',
+    authenticate,
+    userRateLimit(10, 15 * 60 * 1000),
+    requireTransactionPin,
+    idempotency(),
+    async (req, res) => {
+        try {
+            const userId = req.userId;
+            const missing = INSURANCE_FIELDS.filter(field => !String(req.body[field] ?? '').trim());
+            if (missing.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Missing fields: ${missing.join(', ')}`
                 });
+            }
+
+            const fields = Object.fromEntries(INSURANCE_FIELDS.map(field => [field, String(req.body[field]).trim()]));
+            fields.plateNumber = fields.plateNumber.toUpperCase();
+            if (fields.phone.length !== 11) {
+                return res.status(400).json({ success: false, message: 'Invalid phone number' });
+            }
+
+            const price = await billService.variationPrice(billService.INSURANCE_SERVICE_ID, fields.variation_code);
+            const amount = price.amount;
+            const amountKobo = toKobo(amount);
 
-            } catch (providerError) {
-                console.error('VTPass error, refunding:', providerError);
-
-                // AUTO-REFUND
-                await walletService.creditWallet(
-                    userId,
-                    amount,
-                    `refund_${transactionId}`,
-                    {
-                        type: 'bill_refund',
-                        originalTransaction: transactionId,
-                        reason: 'Provider error',
-                        originalBillType: 'tv_subscription'
-                    }
-                );
-
-                await require('../config/firebase').db
-                    .collection('wallets')
-                    .doc(userId)
-                    .collection('transactions')
-                    .doc(transactionId)
-                    .update({
-                        status: 'failed',
-                        refunded: true,
-                        failedAt: Date.now(),
-                        error: providerError.message
-                    });
-
-                throw new Error('Provider error. Amount refunded to wallet.');
+            // Check wallet balance against the price after pricing rules
+            const { charge } = await billService.quote('insurance', {}, amountKobo);
+            const wallet = await walletService.getWallet(userId);
+            if (walletHoldService.availableBalance(wallet) < charge) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Insufficient wallet balance'
+                });
             }
 
+            const purchase = await billService.purchase(userId, {
+                ...billService.buildPurchase('insurance', { ...fields, amount }),
+                amount: amountKobo
+            });
+
+            respondPurchase(res, purchase, {
+                message: 'Motor insurance purchase successful',
+                amount,
+                product: price.name,
+                certificateUrl: purchase.result?.certificateUrl || null
+            });
+
         } catch (error) {
-            console.error('TV subscription error:', error);
-            res.status(500).json({
+            console.error('Insurance purchase error:', error);
+            res.status(purchaseErrorStatus(error)).json({
                 success: false,
-                message: error.message || 'TV subscription failed'
+                message: error.message || 'Insurance purchase failed'
             });
         }
     }
@@ -577,7 +717,7 @@ router.get('/tv-bouquets/:provider', authenticate, async (req, res) => {
  */
 router.post('/verify-meter', authenticate, async (req, res) => {
     try {
-        const { provider, meterNumber } = req.body;
+        const { provider, meterNumber, meterType } = req.body;
 
         if (!provider || !meterNumber) {
             return res.status(400).json({
@@ -586,15 +726,12 @@ router.post('/verify-meter', authenticate, async (req, res) => {
             });
         }
 
-        const result = await vtpassService.verifyMeterNumber({
-            serviceID: provider,
-            billersCode: meterNumber
-        });
+        const result = await billService.verifyMeter({ provider, meterNumber, meterType });
 
         res.json({
             success: true,
-            customerName: result.Customer_Name,
-            address: result.Address
+            customerName: result.customerName,
+            address: result.address
         });
     } catch (error) {
         console.error('Verify meter error:', error);
@@ -620,14 +757,11 @@ router.post('/verify-smartcard', authenticate, async (req, res) => {
             });
         }
 
-        const result = await vtpassService.verifySmartCard(
-            provider,
-            smartCardNumber
-        );
+        const result = await billService.verifySmartCard({ provider, smartCardNumber });
 
         res.json({
             success: true,
-            customerName: result.Customer_Name || result.customer_name
+            customerName: result.customerName
         });
     } catch (error) {
         console.error('Verify smartcard error:', error);
@@ -638,4 +772,377 @@ router.post('/verify-smartcard', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/v1/bills/quote?billType=airtime&network=MTN&amount=500
+ * Price after pricing rules. Naira. `provider` instead of `network` for
+ * electricity, TV and education (waec / neco / jamb); insurance needs neither.
+ */
+router.get('/quote', authenticate, async (req, res) => {
+    try {
+        const { billType, network, provider, amount } = req.query;
+        const needs = { airtime: network, data: network, insurance: true }[billType] ?? provider;
+        if (!billType || !needs || !(Number(amount) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'billType, amount and network (airtime, data) or provider (electricity, TV, education) are required'
+            });
+        }
+
+        const quote = await billService.quote(
+            billType,
+            { network, provider, service: provider?.toLowerCase() },
+            toKobo(amount)
+        );
+        res.json({
+            success: true,
+            amount: toNaira(quote.faceAmount),
+            charge: toNaira(quote.charge),
+            fee: toNaira(Math.max(quote.margin, 0)),
+            discount: toNaira(Math.max(-quote.margin, 0)),
+            rule: quote.rule ? quote.rule.name : null
+        });
+    } catch (error) {
+        console.error('Bill quote error:', error);
+        const status = error.message?.startsWith('BILL:') || error.message?.startsWith('MONEY:') ? 400 : 500;
+        res.status(status).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /api/v1/bills/receipts/:reference
+ * Receipt for a bill purchase — `reference` is the wallet transaction id
+ * (bill_…) or the VTPass requestId. Electricity receipts carry the token.
+ */
+router.get('/receipts/:reference', authenticate, async (req, res) => {
+    try {
+        const receipt = await billService.getReceipt(req.userId, req.params.reference);
+        if (!receipt) {
+            return res.status(404).json({ success: false, message: 'Receipt not found' });
+        }
+        res.json({ success: true, receipt });
+    } catch (error) {
+        console.error('Get bill receipt error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ─── Bulk airtime & data ──────────────────────────────────────────────────────
+// One list of numbers, one wallet debit — see bulk-bill.service.js. Amounts
+// in request and response bodies are naira.
+
+const BULK_MONEY_FIELDS = ['totalAmount', 'faceAmount', 'margin', 'refundedAmount'];
+
+const bulkToNaira = (batch) => ({
+    ...fieldsToNaira(batch, BULK_MONEY_FIELDS),
+    ...(batch.rows && { rows: batch.rows.map(row => fieldsToNaira(row, ['amount', 'faceAmount'])) })
+});
+
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 512 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const isCsv = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype)
+            || /\.csv$/i.test(file.originalname);
+        cb(isCsv ? null : new Error('Only CSV files are allowed'), isCsv);
+    }
+}).single('file');
+
+/**
+ * Accept the rows as JSON (`rows: [...]`) or as a CSV upload in the `file`
+ * field of a multipart body; either way they end up in req.body.rows.
+ */
+function bulkRows(req, res, next) {
+    csvUpload(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 512KB' : error.message;
+            return res.status(400).json({ success: false, message });
+        }
+        if (!req.file) return next();
+        try {
+            req.body = { ...req.body, rows: bulkBillService.parseCsv(req.file.buffer.toString('utf8')) };
+        } catch (parseError) {
+            return res.status(400).json({ success: false, message: parseError.message });
+        }
+        next();
+    });
+}
+
+/**
+ * POST /api/v1/bills/bulk
+ * Body: { billType: airtime | data, description?, rows: [{ phone, network, amount }] }
+ * Data rows take `variation_code` instead of `amount`. Or multipart with a
+ * CSV `file` (header: phone,network,amount or phone,network,variation_code).
+ * A row whose network doesn't match its number needs `ported` set.
+ *
+ * Every row is validated first; any bad row → 400 with `errors: [{ row, message }]`
+ * and nothing is charged. Otherwise the total is debited once and the
+ * response is the per-row report: completed, pending (settled later) or
+ * failed (refunded).
+ */
+router.post(
+    '/bulk',
+    authenticate,
+    userRateLimit(5, 15 * 60 * 1000),
+    requireTransactionPin,
+    bulkRows,
+    idempotency(),
+    async (req, res) => {
+        try {
+            const report = await bulkBillService.create(req.userId, {
+                billType: req.body.billType,
+                rows: req.body.rows,
+                description: req.body.description
+            });
+
+            const { completed, pending, failed } = report.counts;
+            console.log(`✅ Bulk ${report.billType} ${report.batchId}: ${completed} sent, ${pending} pending, ${failed} failed`);
+            res.json({
+                success: true,
+                message: `${completed} of ${report.rowCount} sent`
+                    + (pending ? `, ${pending} processing` : '')
+                    + (failed ? `, ${failed} failed and refunded` : ''),
+                batch: bulkToNaira(report)
+            });
+        } catch (error) {
+            if (error.rows) {
+                return res.status(400).json({ success: false, message: error.message, errors: error.rows });
+            }
+            console.error('Bulk bill purchase error:', error);
+            const status = error.message?.startsWith('BULK:') ? 400 : purchaseErrorStatus(error);
+            res.status(status).json({
+                success: false,
+                message: error.message || 'Bulk purchase failed'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/v1/bills/bulk
+ * The user's recent bulk purchases, newest first
+ */
+router.get('/bulk', authenticate, async (req, res) => {
+    try {
+        const batches = await bulkBillService.list(req.userId, { limit: Number(req.query.limit) || 20 });
+        res.json({ success: true, batches: batches.map(bulkToNaira) });
+    } catch (error) {
+        console.error('List bulk purchases error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch bulk purchases' });
+    }
+});
+
+/**
+ * GET /api/v1/bills/bulk/:batchId
+ * Per-row report, including rows settled since the purchase
+ */
+router.get('/bulk/:batchId', authenticate, async (req, res) => {
+    try {
+        const report = await bulkBillService.getReport(req.userId, req.params.batchId);
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Bulk purchase not found' });
+        }
+        res.json({ success: true, batch: bulkToNaira(report) });
+    } catch (error) {
+        console.error('Get bulk purchase error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch bulk purchase' });
+    }
+});
+
+// ─── Beneficiaries ────────────────────────────────────────────────────────────
+// Saved phone numbers, meters and smartcards — see beneficiary.service.js.
+
+/**
+ * GET /api/v1/bills/beneficiaries?billType=electricity
+ * Most recently used first
+ */
+router.get('/beneficiaries', authenticate, async (req, res) => {
+    try {
+        const beneficiaries = await beneficiaryService.list(req.userId, {
+            billType: req.query.billType
+        });
+        res.json({ success: true, beneficiaries });
+    } catch (error) {
+        console.error('List beneficiaries error:', error);
+        res.status(error.message.startsWith('BENEFICIARY:') ? 400 : 500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/bills/beneficiaries
+ * Body: { billType, nickname?, ...recipient }
+ *   airtime / data      { network, phone }
+ *   electricity         { provider, meterNumber, meterType }  — verified with VTPass
+ *   tv_subscription     { provider, smartCardNumber }         — verified with VTPass
+ */
+router.post('/beneficiaries', authenticate, userRateLimit(20, 15 * 60 * 1000), async (req, res) => {
+    try {
+        const beneficiary = await beneficiaryService.create(req.userId, req.body);
+        res.status(201).json({ success: true, beneficiary });
+    } catch (error) {
+        console.error('Create beneficiary error:', error);
+        res.status(beneficiaryErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to save beneficiary'
+        });
+    }
+});
+
+/**
+ * PATCH /api/v1/bills/beneficiaries/:beneficiaryId
+ * Body: { nickname } — empty clears it
+ */
+router.patch('/beneficiaries/:beneficiaryId', authenticate, async (req, res) => {
+    try {
+        const beneficiary = await beneficiaryService.rename(
+            req.userId,
+            req.params.beneficiaryId,
+            req.body.nickname
+        );
+        res.json({ success: true, beneficiary });
+    } catch (error) {
+        console.error('Rename beneficiary error:', error);
+        res.status(beneficiaryErrorStatus(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/bills/beneficiaries/:beneficiaryId
+ */
+router.delete('/beneficiaries/:beneficiaryId', authenticate, async (req, res) => {
+    try {
+        await beneficiaryService.remove(req.userId, req.params.beneficiaryId);
+        res.json({ success: true, message: 'Beneficiary removed' });
+    } catch (error) {
+        console.error('Delete beneficiary error:', error);
+        res.status(beneficiaryErrorStatus(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ─── Scheduled payments ───────────────────────────────────────────────────────
+// One-off or recurring purchases run by jobs/scheduledBills.js — see
+// scheduled-bill.service.js. Amounts in request and response bodies are naira.
+
+const scheduleToNaira = (schedule) => ({
+    ...fieldsToNaira(schedule, ['amount']),
+    ...(schedule.runs && { runs: schedule.runs.map(run => fieldsToNaira(run, ['amount'])) })
+});
+
+function scheduleErrorStatus(error) {
+    const message = error.message || '';
+    if (message === 'SCHEDULE: Scheduled payment not found'
+        || message === 'BENEFICIARY: Beneficiary not found') return 404;
+    if (message.startsWith('SCHEDULE: This scheduled payment is already')
+        || message.startsWith('SCHEDULE: You can have up to')) return 409;
+    if (message.startsWith('SCHEDULE:') || message.startsWith('BENEFICIARY:')
+        || message.startsWith('MONEY:')) return 400;
+    return 500;
+}
+
+/**
+ * GET /api/v1/bills/scheduled
+ */
+router.get('/scheduled', authenticate, async (req, res) => {
+    try {
+        const schedules = await scheduledBillService.list(req.userId);
+        res.json({ success: true, schedules: schedules.map(scheduleToNaira) });
+    } catch (error) {
+        console.error('List scheduled bills error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch scheduled payments' });
+    }
+});
+
+/**
+ * POST /api/v1/bills/scheduled
+ * Body: { billType, frequency: once|daily|weekly|monthly, amount, startAt?, endAt?, label?,
+ *         beneficiaryId? | recipient fields as on the purchase route }
+ * The transaction PIN authorises every future run.
+ */
+router.post(
+    '/scheduled',
+    authenticate,
+    userRateLimit(10, 15 * 60 * 1000),
+    requireTransactionPin,
+    async (req, res) => {
+        try {
+            const { amount } = req.body;
+            if (!amount) {
+                return res.status(400).json({ success: false, message: 'Amount is required' });
+            }
+
+            const schedule = await scheduledBillService.create(req.userId, {
+                ...req.body,
+                amount: toKobo(amount)
+            });
+            res.status(201).json({ success: true, schedule: scheduleToNaira(schedule) });
+        } catch (error) {
+            console.error('Create scheduled bill error:', error);
+            res.status(scheduleErrorStatus(error)).json({
+                success: false,
+                message: error.message || 'Failed to schedule payment'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/v1/bills/scheduled/:scheduleId
+ * Includes the latest runs (?runs=20)
+ */
+router.get('/scheduled/:scheduleId', authenticate, async (req, res) => {
+    try {
+        const schedule = await scheduledBillService.get(req.userId, req.params.scheduleId, {
+            runLimit: parseInt(req.query.runs, 10) || 20
+        });
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Scheduled payment not found' });
+        }
+        res.json({ success: true, schedule: scheduleToNaira(schedule) });
+    } catch (error) {
+        console.error('Get scheduled bill error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PATCH /api/v1/bills/scheduled/:scheduleId
+ * Body: { status: 'paused' | 'active' }
+ */
+router.patch('/scheduled/:scheduleId', authenticate, async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!['paused', 'active'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'status must be paused or active' });
+        }
+
+        const schedule = await scheduledBillService.setStatus(req.userId, req.params.scheduleId, status);
+        res.json({ success: true, schedule: scheduleToNaira(schedule) });
+    } catch (error) {
+        console.error('Update scheduled bill error:', error);
+        res.status(scheduleErrorStatus(error)).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /api/v1/bills/scheduled/:scheduleId
+ * Cancels the schedule; its run history is kept.
+ */
+router.delete('/scheduled/:scheduleId', authenticate, async (req, res) => {
+    try {
+        await scheduledBillService.setStatus(req.userId, req.params.scheduleId, 'cancelled');
+        res.json({ success: true, message: 'Scheduled payment cancelled' });
+    } catch (error) {
+        console.error('Cancel scheduled bill error:', error);
+        res.status(scheduleErrorStatus(error)).json({ success: false, message: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,101 @@
+// routes/cart.routes.js — the buyer's cart, kept on the server
+//
+// Mounted at /api/v1/cart. Every response is the whole cart as it stands
+// against today's products (see services/cart.service.js): lines grouped by
+// seller, each flagged when its price moved or it can't be bought as it is,
+// plus `checkout.subOrders` ready to send to POST /api/v1/orders/quote.
+// Amounts are naira.
+
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const cartService = require('../services/cart.service');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { fieldsToNaira } = require('../utils/money');
+
+const LINE_MONEY_FIELDS = ['priceAtAdd', 'price', 'priceChange', 'lineTotal'];
+
+// Service throws `CART:` Errors for bad input — surface them as 400s (404
+// for a line that isn't there)
+async function runCartAction(action, next) {
+  try {
+    return await action();
+  } catch (err) {
+    if (err.message.startsWith('CART:')) {
+      const message = err.message.replace(/^CART:\s*/, '');
+      next(new AppError(message, message.includes('not in your cart') ? 404 : 400));
+      return null;
+    }
+    throw err;
+  }
+}
+
+function cartToNaira(cart) {
+  return {
+    ...fieldsToNaira(cart, ['subtotal']),
+    sellers: cart.sellers.map(group => ({
+      ...fieldsToNaira(group, ['subtotal']),
+      items: group.items.map(line => fieldsToNaira(line, LINE_MONEY_FIELDS))
+    }))
+  };
+}
+
+function respond(res, cart, status = 200) {
+  if (cart === null) return;
+  res.status(status).json({ success: true, data: cartToNaira(cart) });
+}
+
+/**
+ * GET /api/v1/cart
+ */
+router.get('/', authenticate, catchAsync(async (req, res) => {
+  respond(res, await cartService.getCart(req.userId));
+}));
+
+/**
+ * POST /api/v1/cart/items
+ * Body: { productId, quantity = 1 } — adds to any quantity already in the cart.
+ */
+router.post('/items', authenticate, catchAsync(async (req, res, next) => {
+  const cart = await runCartAction(() => cartService.addItem(req.userId, req.body), next);
+  respond(res, cart, 201);
+}));
+
+/**
+ * PATCH /api/v1/cart/items/:productId
+ * Body: { quantity } — 0 removes the line.
+ */
+router.patch('/items/:productId', authenticate, catchAsync(async (req, res, next) => {
+  const cart = await runCartAction(
+    () => cartService.updateItem(req.userId, req.params.productId, req.body),
+    next
+  );
+  respond(res, cart);
+}));
+
+/**
+ * DELETE /api/v1/cart/items/:productId
+ */
+router.delete('/items/:productId', authenticate, catchAsync(async (req, res, next) => {
+  const cart = await runCartAction(() => cartService.removeItem(req.userId, req.params.productId), next);
+  respond(res, cart);
+}));
+
+/**
+ * POST /api/v1/cart/refresh
+ * Accepts today's prices, trims quantities to stock and drops lines that
+ * can't be bought any more.
+ */
+router.post('/refresh', authenticate, catchAsync(async (req, res) => {
+  respond(res, await cartService.refresh(req.userId));
+}));
+
+/**
+ * DELETE /api/v1/cart
+ */
+router.delete('/', authenticate, catchAsync(async (req, res) => {
+  respond(res, await cartService.clear(req.userId));
+}));
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// routes/coupon.routes.js — coupon management for sellers and admins
+//
+// Mounted at /api/v1/coupons. A seller's coupons cover their own products
+// and come off their payout; an admin's are platform coupons, funded from the
+// admin wallet (see services/coupon.service.js). Admins can also see and
+// change sellers' coupons. Buyers apply a code with `couponCode` on
+// POST /api/v1/orders/quote and the order itself.
+//
+// `amount`, `maxDiscount` and `minSpend` are naira here; `percent` is a
+// percentage; `startsAt` / `endsAt` are dates.
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, sellerOrAdmin } = require('../middleware/auth');
+const couponService = require('../services/coupon.service');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { toKobo, fieldsToNaira } = require('../utils/money');
+
+const COUPON_MONEY_FIELDS = ['amount', 'maxDiscount', 'minSpend'];
+
+const couponToNaira = (coupon) => fieldsToNaira(coupon, [...COUPON_MONEY_FIELDS, 'discountGiven']);
+
+const actorOf = (req) => ({ userId: req.userId, role: req.userProfile?.role });
+
+// Service throws `COUPON:` / `MONEY:` Errors for bad input — surface them as
+// 400s (404 for a coupon that isn't theirs)
+async function runCouponAction(action, next) {
+  try {
+    return await action();
+  } catch (err) {
+    if (err.message === 'COUPON: Coupon not found') {
+      next(new AppError('Coupon not found', 404));
+      return null;
+    }
+    if (err.message.startsWith('COUPON:') || err.message.startsWith('MONEY:')) {
+      next(new AppError(err.message, 400));
+      return null;
+    }
+    throw err;
+  }
+}
+
+function couponToKobo(body) {
+  const input = { ...body };
+  for (const field of COUPON_MONEY_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null) input[field] = toKobo(input[field]);
+  }
+  return input;
+}
+
+/**
+ * GET /api/v1/coupons
+ * Sellers get their own; admins get all, or ?scope=platform|seller, or ?sellerId=
+ */
+router.get('/', authenticate, sellerOrAdmin, catchAsync(async (req, res) => {
+  const coupons = await couponService.list(actorOf(req), {
+    scope: req.query.scope,
+    sellerId: req.query.sellerId
+  });
+  res.json({ success: true, coupons: coupons.map(couponToNaira) });
+}));
+
+/**
+ * GET /api/v1/coupons/:code
+ */
+router.get('/:code', authenticate, sellerOrAdmin, catchAsync(async (req, res, next) => {
+  const coupon = await runCouponAction(() => couponService.get(req.params.code, actorOf(req)), next);
+  if (coupon === null) return;
+
+  res.json({ success: true, coupon: couponToNaira(coupon) });
+}));
+
+/**
+ * POST /api/v1/coupons
+ * Body: { code, description?, type: percent|fixed, percent? | amount?,
+ *         maxDiscount?, minSpend?, categories?, usageLimit?, perUserLimit = 1,
+ *         startsAt?, endsAt?, active? }
+ * Leave categories out (or empty) to cover every product; perUserLimit: null
+ * allows unlimited uses per buyer.
+ */
+router.post('/', authenticate, sellerOrAdmin, catchAsync(async (req, res, next) => {
+  const coupon = await runCouponAction(
+    () => couponService.create(couponToKobo(req.body), actorOf(req)),
+    next
+  );
+  if (coupon === null) return;
+
+  res.status(201).json({ success: true, coupon: couponToNaira(coupon) });
+}));
+
+/**
+ * PATCH /api/v1/coupons/:code
+ * Any of the create fields except code; `active: false` switches it off.
+ */
+router.patch('/:code', authenticate, sellerOrAdmin, catchAsync(async (req, res, next) => {
+  const { code, ...changes } = req.body;
+  const coupon = await runCouponAction(
+    () => couponService.update(req.params.code, couponToKobo(changes), actorOf(req)),
+    next
+  );
+  if (coupon === null) return;
+
+  res.json({ success: true, coupon: couponToNaira(coupon) });
+}));
+
+/**
+ * DELETE /api/v1/coupons/:code
+ * A coupon that has been used is switched off rather than deleted.
+ */
+router.delete('/:code', authenticate, sellerOrAdmin, catchAsync(async (req, res, next) => {
+  const result = await runCouponAction(() => couponService.remove(req.params.code, actorOf(req)), next);
+  if (result === null) return;
+
+  res.json({
+    success: true,
+    deleted: result.deleted,
+    message: result.deleted ? 'Coupon deleted.' : 'Coupon has been used, so it was switched off instead.'
+  });
+}));
+
+module.exports = router;
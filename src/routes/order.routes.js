@@ -1,12 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, adminOnly } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { requireTransactionPin } = require('../middleware/transactionPin');
 const orderController = require('../controllers/order.controller');
 
 /**
  * ✅ PRODUCTION-GRADE ATOMIC ORDER SYSTEM
  * Features:
  * - Redis idempotency locks (prevents duplicate actions)
+ * - Idempotency-Key replay on order creation (safe client retries)
+ * - Transaction PIN (X-Transaction-PIN) required at checkout
  * - Firestore transactions (atomic state changes)
  * - Real-time status validation (no stale data)
  * - Automatic cache invalidation
@@ -32,18 +36,28 @@ router.get('/:orderId', authenticate, orderController.getOrder);
 // 2. ORDER CREATION (Atomic)
 // ==========================================
 
+/**
+ * POST /api/v1/orders/quote
+ * ✅ Checkout: server-side prices, delivery fees and a signed quoteToken
+ * Body: { products, deliveryMethod } or { subOrders } — as for creation,
+ * plus an optional couponCode
+ */
+router.post('/quote', authenticate, orderController.getQuote);
+
 /**
  * POST /api/v1/orders
  * ✅ ATOMIC ORDER CREATION with escrow lock
+ * 🔒 Priced on the server; `quoteToken` must match (409 + new quote if not)
  */
-router.post('/', authenticate, orderController.createOrder);
+router.post('/', authenticate, requireTransactionPin, idempotency(), orderController.createOrder);
 
 /**
  * POST /api/v1/orders/bundle
  * ✅ FIXED: ATOMIC BUNDLE ORDER CREATION
  * Creates multiple orders from a single cart atomically
+ * 🔒 Priced on the server; `quoteToken` must match (409 + new quote if not)
  */
-router.post('/bundle', authenticate, orderController.createBundleOrder);
+router.post('/bundle', authenticate, requireTransactionPin, idempotency(), orderController.createBundleOrder);
 
 // ==========================================
 // 3. SELLER ACTIONS (Atomic)
@@ -303,4 +303,8 @@ router.post('/verify-password-reset', catchAsync(async (req, res, next) => {
   });
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Shared with other flows that confirm a sensitive action by email code
+// (e.g. transaction PIN reset in pin.routes.js)
+module.exports.otpHelpers = { generateOTP, checkRateLimit, storeOTP, peekOTP, verifyOTP, OTP_TTL };
\ No newline at end of file
@@ -7,6 +7,8 @@ const { authenticate } = require('../middleware/auth');
 const walletService = require('../services/wallet.service');
 const { client } = require('../config/redis');
 const pushNotificationService = require('../services/push-notification.service');
+const { db } = require('../config/firebase');
+const { toNaira, formatNaira, sellerAmountFor } = require('../utils/money');
 
 /**
  * 🎯 PAYMENT PROCESSING PRINCIPLES
@@ -15,8 +17,17 @@ const pushNotificationService = require('../services/push-notification.service')
  * 3. RECOVERABLE: Failed operations can retry safely
  * 4. AUDITABLE: Every step logged
  * 5. FAST: Redis locks prevent concurrent conflicts
+ *
+ * Amounts always come from the stored order (kobo) — the body only names
+ * the order. Responses are in naira.
  */
 
+async function loadOrder(orderId) {
+    if (!orderId || typeof orderId !== 'string') return null;
+    const snap = await db.collection('orders').doc(orderId).get();
+    return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
 /**
  * POST /api/v1/payments/process-order
  * ✅ ATOMIC ORDER PAYMENT WITH ESCROW
@@ -32,38 +43,23 @@ router.post('/process-order', authenticate, async (req, res) => {
     const startTime = Date.now();
     
     try {
-        const {
-            buyerId,
-            sellerId,
-            orderId,
-            totalAmount,
-            commission,
-            productIds = []
-        } = req.body;
+        const { orderId } = req.body;
 
         // ==================== VALIDATION ====================
-        
-        // Required fields
-        if (!orderId || !buyerId || !sellerId || !totalAmount) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required fields: orderId, buyerId, sellerId, totalAmount'
-            });
-        }
 
-        // Amount validation
-        if (typeof totalAmount !== 'number' || totalAmount <= 0) {
+        if (!orderId) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid amount: must be positive number'
+                message: 'Missing required field: orderId'
             });
         }
 
-        // Commission validation
-        const calculatedCommission = Math.round(totalAmount * 0.10);
-        if (commission !== calculatedCommission) {
-            console.warn(`⚠️ Commission mismatch: expected ${calculatedCommission}, got ${commission}`);
+        const order = await loadOrder(orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
         }
+        const { buyerId, sellerId, totalAmount, commission, platformDiscount = 0 } = order;
+        const sellerAmount = sellerAmountFor(order);
 
         // Authorization check
         if (req.userId !== buyerId) {
@@ -110,15 +106,16 @@ router.post('/process-order', authenticate, async (req, res) => {
             console.log(`💳 Processing payment for order ${orderId}`);
             console.log(`   Buyer: ${buyerId}`);
             console.log(`   Seller: ${sellerId}`);
-            console.log(`   Amount: ₦${totalAmount.toLocaleString()}`);
-            console.log(`   Commission: ₦${commission.toLocaleString()}`);
-            
+            console.log(`   Amount: ${formatNaira(totalAmount)}`);
+            console.log(`   Commission: ${formatNaira(commission)}`);
+
             const result = await walletService.processOrderPayment(
                 buyerId,
                 sellerId,
                 orderId,
                 totalAmount,
-                commission
+                commission,
+                platformDiscount
             );
 
             // Mark as completed
@@ -130,7 +127,7 @@ router.post('/process-order', authenticate, async (req, res) => {
                 await pushNotificationService.sendPushToUser(
                     sellerId,
                     "💰 New Order Payment",
-                    `Received ₦${(totalAmount - commission).toLocaleString()} (pending delivery)`,
+                    `Received ${formatNaira(sellerAmount)} (pending delivery)`,
                     {
                         screen: "OrdersTab",
                         params: { screen: "Orders" },
@@ -151,9 +148,9 @@ router.post('/process-order', authenticate, async (req, res) => {
                 success: true,
                 message: 'Payment processed and locked in escrow',
                 orderId,
-                amount: totalAmount,
-                sellerAmount: totalAmount - commission,
-                commission,
+                amount: toNaira(totalAmount),
+                sellerAmount: toNaira(sellerAmount),
+                commission: toNaira(commission),
                 processingTime,
                 timestamp: Date.now()
             });
@@ -209,22 +206,22 @@ router.post('/confirm-delivery', authenticate, async (req, res) => {
     const startTime = Date.now();
     
     try {
-        const {
-            orderId,
-            buyerId,
-            sellerId,
-            totalAmount,
-            commission
-        } = req.body;
+        const { orderId } = req.body;
 
         // Validation
-        if (!orderId || !buyerId || !sellerId || !totalAmount) {
+        if (!orderId) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required fields'
             });
         }
 
+        const order = await loadOrder(orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+        const { buyerId, sellerId, totalAmount, commission } = order;
+
         // Authorization check
         if (req.userId !== buyerId) {
             return res.status(403).json({
@@ -260,7 +257,7 @@ router.post('/confirm-delivery', authenticate, async (req, res) => {
             await pushNotificationService.sendPushToUser(
                 sellerId,
                 "💸 Payment Released!",
-                `₦${result.amount.toLocaleString()} credited to your wallet`,
+                `${formatNaira(result.amount)} credited to your wallet`,
                 {
                     screen: "OrdersTab",
                     params: { screen: "Orders" }
@@ -280,7 +277,7 @@ router.post('/confirm-delivery', authenticate, async (req, res) => {
             success: true,
             message: 'Payment released to seller',
             orderId,
-            amount: result.amount,
+            amount: toNaira(result.amount),
             processingTime,
             timestamp: Date.now()
         });
@@ -323,23 +320,22 @@ router.post('/cancel-order', authenticate, async (req, res) => {
     const startTime = Date.now();
     
     try {
-        const {
-            orderId,
-            buyerId,
-            sellerId,
-            totalAmount,
-            commission,
-            reason
-        } = req.body;
+        const { orderId, reason } = req.body;
 
         // Validation
-        if (!orderId || !buyerId || !sellerId || !totalAmount || !reason) {
+        if (!orderId || !reason) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required fields'
             });
         }
 
+        const order = await loadOrder(orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+        const { buyerId, sellerId, totalAmount, commission } = order;
+
         // Authorization check (either buyer or seller can cancel)
         if (req.userId !== buyerId && req.userId !== sellerId) {
             return res.status(403).json({
@@ -367,7 +363,7 @@ router.post('/cancel-order', authenticate, async (req, res) => {
             await pushNotificationService.sendPushToUser(
                 buyerId,
                 "💰 Refund Processed",
-                `₦${result.refundAmount.toLocaleString()} refunded to your wallet`,
+                `${formatNaira(totalAmount)} refunded to your wallet`,
                 {
                     screen: "OrdersTab",
                     params: { screen: "Orders" }
@@ -387,7 +383,7 @@ router.post('/cancel-order', authenticate, async (req, res) => {
             success: true,
             message: 'Order cancelled and buyer refunded',
             orderId,
-            refundAmount: result.refundAmount,
+            refundAmount: toNaira(totalAmount),
             processingTime,
             timestamp: Date.now()
         });
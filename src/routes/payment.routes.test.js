@@ -0,0 +1,77 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('../services/email.service');
+
+const express = require('express');
+const request = require('supertest');
+const firebase = require('../config/firebase');
+const walletService = require('../services/wallet.service');
+const pushNotificationService = require('../services/push-notification.service');
+const paymentRoutes = require('./payment.routes');
+
+const ORDER = {
+    buyerId: 'u1', sellerId: 's1', status: 'running',
+    totalAmount: 500_000, commission: 25_000, platformDiscount: 0
+};
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/payments', paymentRoutes);
+    return app;
+}
+
+const post = (path, body) => request(buildApp()).post(`/payments${path}`).set('Authorization', 'Bearer t').send(body);
+
+beforeEach(async () => {
+    jest.spyOn(pushNotificationService, 'sendPushToUser').mockResolvedValue(true);
+    jest.spyOn(pushNotificationService, 'sendTransactionAlert').mockResolvedValue(true);
+    firebase.auth.verifyIdToken.mockResolvedValue({ uid: 'u1' });
+
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1 });
+    firebase._seed('users/s1', { name: 'Chidi', kycTier: 1 });
+    firebase._seed('orders/o1', ORDER);
+    await walletService.creditWallet('u1', 1_000_000, 'dep_1', { type: 'deposit' });
+});
+
+describe('payment routes', () => {
+    it('escrows the stored order total in kobo, whatever the body claims', async () => {
+        const response = await post('/process-order', {
+            orderId: 'o1', buyerId: 'u1', sellerId: 's1', totalAmount: 50, commission: 5
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ amount: 5_000, sellerAmount: 4_750, commission: 250 });
+        expect(firebase._read('wallets/u1')).toMatchObject({ balance: 500_000, pendingBalance: 500_000 });
+        expect(pushNotificationService.sendPushToUser.mock.calls[0][2]).toBe('Received ₦4,750 (pending delivery)');
+    });
+
+    it("refuses to pay for someone else's order or one that doesn't exist", async () => {
+        firebase._seed('orders/o2', { ...ORDER, buyerId: 'u2' });
+
+        expect((await post('/process-order', { orderId: 'o2' })).status).toBe(403);
+        expect((await post('/process-order', { orderId: 'nope' })).status).toBe(404);
+        expect(firebase._read('wallets/u1').balance).toBe(1_000_000);
+    });
+
+    it('releases the stored amounts to the seller on delivery', async () => {
+        await post('/process-order', { orderId: 'o1' });
+
+        const response = await post('/confirm-delivery', { orderId: 'o1', totalAmount: 1, commission: 0 });
+
+        expect(response.body).toMatchObject({ success: true, amount: 4_750 });
+        expect(firebase._read('wallets/s1')).toMatchObject({ balance: 475_000, pendingBalance: 0 });
+        expect(firebase._read('orders/o1').status).toBe('delivered');
+    });
+
+    it('refunds the stored total on cancellation', async () => {
+        await post('/process-order', { orderId: 'o1' });
+
+        const response = await post('/cancel-order', { orderId: 'o1', reason: 'Changed my mind', totalAmount: 1 });
+
+        expect(response.body).toMatchObject({ success: true, refundAmount: 5_000 });
+        expect(firebase._read('wallets/u1')).toMatchObject({ balance: 1_000_000, pendingBalance: 0 });
+    });
+});
@@ -0,0 +1,125 @@
+// routes/pin.routes.js — wallet transaction PIN (set / change / reset)
+//
+// Mounted at /api/v1/wallet/pin. The PIN is then sent as the
+// X-Transaction-PIN header on every debit (see middleware/transactionPin.js).
+// Reset is confirmed by a 6-digit email code using the otp.routes helpers.
+
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { strictLimiter } = require('../middleware/rateLimiters');
+const pinService = require('../services/pin.service');
+const EmailService = require('../services/email.service');
+const { otpHelpers } = require('./otp.routes');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+
+const { generateOTP, checkRateLimit, storeOTP, verifyOTP } = otpHelpers;
+
+// Service throws plain Errors for bad input — surface them as 400s
+async function runPinAction(action, next) {
+  try {
+    return await action();
+  } catch (err) {
+    if (err.message.startsWith('PIN') || err.message.startsWith('New PIN')) {
+      next(new AppError(err.message, 400));
+      return null;
+    }
+    throw err;
+  }
+}
+
+function failedCheckError(check) {
+  if (check.reason === 'not_set') return new AppError('No PIN set yet. Create one first.', 400);
+  if (check.reason === 'locked') {
+    return new AppError('Wallet locked after too many wrong PIN attempts. Reset your PIN to unlock it.', 423);
+  }
+  if (check.reason === 'missing') return new AppError('Current PIN is required', 400);
+  return new AppError(`Incorrect current PIN. ${check.attemptsRemaining} attempt(s) remaining.`, 403);
+}
+
+/**
+ * GET /api/v1/wallet/pin
+ * { isPinEnabled, attemptsRemaining, lockedUntil }
+ */
+router.get('/', authenticate, catchAsync(async (req, res) => {
+  const status = await pinService.getStatus(req.userId);
+  res.json({ success: true, data: status });
+}));
+
+/**
+ * POST /api/v1/wallet/pin
+ * First-time PIN. Body: { pin }
+ */
+router.post('/', authenticate, strictLimiter, catchAsync(async (req, res, next) => {
+  const done = await runPinAction(() => pinService.setPin(req.userId, req.body.pin), next);
+  if (done === null) return;
+
+  res.status(201).json({ success: true, message: 'Transaction PIN created.' });
+}));
+
+/**
+ * PUT /api/v1/wallet/pin
+ * Body: { currentPin, newPin }
+ * A wrong currentPin counts towards the wallet lock, same as at checkout.
+ */
+router.put('/', authenticate, strictLimiter, catchAsync(async (req, res, next) => {
+  const { currentPin, newPin } = req.body;
+
+  const check = await runPinAction(() => pinService.changePin(req.userId, currentPin, newPin), next);
+  if (check === null) return;
+  if (!check.valid) return next(failedCheckError(check));
+
+  res.json({ success: true, message: 'Transaction PIN changed.' });
+}));
+
+/**
+ * POST /api/v1/wallet/pin/reset/request
+ * Emails a 6-digit code to the account's address.
+ */
+router.post('/reset/request', authenticate, strictLimiter, catchAsync(async (req, res, next) => {
+  const email = (req.userProfile?.email || req.user?.email || '').trim().toLowerCase();
+  if (!email) return next(new AppError('No email address on this account', 400));
+
+  await checkRateLimit(`pin:${email}`);
+
+  const otp = generateOTP();
+  await storeOTP('pin_reset', email, otp);
+  await EmailService.sendPinResetOTP(email, req.userProfile?.name, otp);
+
+  res.json({ success: true, message: 'A reset code has been sent to your email.' });
+}));
+
+/**
+ * POST /api/v1/wallet/pin/reset
+ * Body: { code, newPin }
+ * Consumes the email code, sets the new PIN and lifts a PIN lock if one is active.
+ */
+router.post('/reset', authenticate, strictLimiter, catchAsync(async (req, res, next) => {
+  const { code, newPin } = req.body;
+  if (!code || !newPin) return next(new AppError('Code and new PIN are required', 400));
+
+  // Check the new PIN first so a weak PIN doesn't burn the email code
+  try {
+    pinService.validatePinFormat(newPin);
+  } catch (err) {
+    return next(new AppError(err.message, 400));
+  }
+
+  const email = (req.userProfile?.email || req.user?.email || '').trim().toLowerCase();
+  const result = await verifyOTP('pin_reset', email, String(code).trim());
+
+  if (!result.valid) {
+    const msg =
+      result.reason === 'expired'
+        ? 'Code has expired. Please request a new one.'
+        : 'Incorrect code. Please try again.';
+    return next(new AppError(msg, 400));
+  }
+
+  await pinService.resetPin(req.userId, newPin);
+
+  res.json({ success: true, message: 'Transaction PIN reset.' });
+}));
+
+module.exports = router;
@@ -26,8 +26,10 @@ const { authenticate, internalOnly } = require('../middleware/auth');
 const catchAsync = require('../utils/catchAsync');
 const AppError   = require('../utils/AppError');
 const pushNotificationService = require('../services/push-notification.service');
+const ledgerService = require('../services/ledger.service');
+const { toNaira, formatNaira } = require('../utils/money');
 
-const REFERRAL_BONUS = 500; // ₦500
+const REFERRAL_BONUS_KOBO = 50_000; // ₦500
 const PAGE_SIZE      = 10;
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -46,7 +48,8 @@ const PAGE_SIZE      = 10;
  *   3. Writes a wallet transaction record (idempotency key = referral_{refereeId})
  *   4. Increments referrer's `referralBonus` counter
  *   5. Deletes the referral display record from `referrals` collection
- *   6. Sets Redis lock (24 h) to block any future processing
+ *   6. Posts the bonus to the journal (platform:referrals → user:{referrerId})
+ *   7. Sets Redis lock (24 h) to block any future processing
  *
  * Returns { alreadyProcessed: true } if the payout was already done.
  *
@@ -113,7 +116,7 @@ async function creditReferralBonus(referrerId, refereeId, refereeOrderId) {
 
     // 2. Credit ₦500 to referrer wallet
     t.update(referrerWalletRef, {
-      balance: admin.firestore.FieldValue.increment(REFERRAL_BONUS),
+      balance: admin.firestore.FieldValue.increment(REFERRAL_BONUS_KOBO),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
 
@@ -123,7 +126,7 @@ async function creditReferralBonus(referrerId, refereeId, refereeOrderId) {
       userId: referrerId,
       type: 'credit',
       category: 'referral_bonus',
-      amount: REFERRAL_BONUS,
+      amount: REFERRAL_BONUS_KOBO,
       description: `Referral Bonus — ${refereeData.name || 'New User'} completed first purchase`,
       timestamp: Date.now(),
       status: 'completed',
@@ -137,7 +140,7 @@ async function creditReferralBonus(referrerId, refereeId, refereeOrderId) {
 
     // 4. Increment referrer's referralBonus counter (used by stats endpoint)
     t.update(referrerUserRef, {
-      referralBonus: admin.firestore.FieldValue.increment(REFERRAL_BONUS),
+      referralBonus: admin.firestore.FieldValue.increment(REFERRAL_BONUS_KOBO),
       updatedAt: Date.now(),
     });
 
@@ -145,15 +148,27 @@ async function creditReferralBonus(referrerId, refereeId, refereeOrderId) {
     //    This is atomic — if any step above fails, this deletion is also rolled back.
     //    After successful deletion the person no longer appears in /pending list.
     t.delete(referralDocRef);
+
+    // 6. Journal: referral expense → referrer wallet
+    ledgerService.postAtomic(t, {
+      id: `referral_${refereeId}`,
+      type: 'referral_bonus',
+      reference: txnId,
+      lines: [
+        ledgerService.debit(ledgerService.ACCOUNTS.REFERRALS, REFERRAL_BONUS_KOBO),
+        ledgerService.credit(ledgerService.ACCOUNTS.user(referrerId), REFERRAL_BONUS_KOBO),
+      ],
+      metadata: { referrerId, refereeId, refereeOrderId },
+    });
   });
 
   // ── Post-transaction cleanup ─────────────────────────────────────────────
 
-  // 6. Seal Redis lock for 24 h — blocks any future processing even if
+  // 7. Seal Redis lock for 24 h — blocks any future processing even if
   //    Firestore is slow to propagate the hasCompletedFirstPurchase flag
   await client.setEx(lockKey, 86_400, 'paid');
 
-  // 7. Bust referral caches for this referrer so UI reflects changes immediately
+  // 8. Bust referral caches for this referrer so UI reflects changes immediately
   await Promise.allSettled([
     client.del(`referrals:stats:${referrerId}`),
     client.del(`referrals:pending:${referrerId}:first`),
@@ -214,7 +229,7 @@ router.post(
           await pushNotificationService.sendPushToUser(
             referrerId,
             '🎉 Referral Bonus Earned!',
-            `₦${REFERRAL_BONUS.toLocaleString('en-NG')} added to your wallet!`,
+            `${formatNaira(REFERRAL_BONUS_KOBO)} added to your wallet!`,
             { screen: 'ProfileTab', params: { screen: 'AccountInfo' }, type: 'referral_bonus' }
           );
         } catch (err) {
@@ -222,8 +237,8 @@ router.post(
         }
       });
 
-      console.log(`✅ [Referral] ₦${REFERRAL_BONUS} released → referrer: ${referrerId} | referee: ${buyerId} | order: ${orderId}`);
-      return res.json({ success: true, released: true, amount: REFERRAL_BONUS });
+      console.log(`✅ [Referral] ${formatNaira(REFERRAL_BONUS_KOBO)} released → referrer: ${referrerId} | referee: ${buyerId} | order: ${orderId}`);
+      return res.json({ success: true, released: true, amount: toNaira(REFERRAL_BONUS_KOBO) });
 
     } catch (err) {
       if (err.code === 'ALREADY_PROCESSED') {
@@ -313,7 +328,7 @@ router.get(
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    const { referralBonus = 0 } = userSnap.data();
+    const { referralBonus = 0 } = userSnap.data(); // kobo
 
     // Efficient count via Firestore aggregation (no document reads)
     const pendingCountSnap = await db.collection('referrals')
@@ -323,8 +338,8 @@ router.get(
       .get();
 
     const pendingCount    = pendingCountSnap.data().count;
-    const successfulCount = Math.floor(referralBonus / REFERRAL_BONUS);
-    const totalEarned     = referralBonus;
+    const successfulCount = Math.floor(referralBonus / REFERRAL_BONUS_KOBO);
+    const totalEarned     = toNaira(referralBonus);
 
     const payload = { totalEarned, successfulCount, pendingCount };
     await client.setEx(cacheKey, 120, JSON.stringify(payload)); // 2 min cache
@@ -349,4 +364,5 @@ module.exports = router;
  *
  * Direct function call eliminates all of that.
  */
-module.exports.creditReferralBonus = creditReferralBonus;
\ No newline at end of file
+module.exports.creditReferralBonus = creditReferralBonus;
+module.exports.REFERRAL_BONUS_KOBO = REFERRAL_BONUS_KOBO;
\ No newline at end of file
@@ -3,6 +3,8 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, userRateLimit } = require('../middleware/auth');
 const { cacheMiddleware } = require('../middleware/cache');
+const idempotency = require('../middleware/idempotency');
+const { requireTransactionPin } = require('../middleware/transactionPin');
 const serviceProviderService = require('../services/service-provider.service');
 const reviewService = require('../services/review.service');
 const catchAsync = require('../utils/catchAsync');
@@ -182,6 +184,8 @@ router.post(
     '/subscribe',
     authenticate,
     userRateLimit(5, 15 * 60 * 1000),
+    requireTransactionPin,
+    idempotency(),
     catchAsync(async (req, res, next) => {
         const { plan } = req.body;
         const providerId = req.userId;
@@ -6,9 +6,13 @@ const { cacheMiddleware, userCacheMiddleware } = require('../middleware/cache');
 const { getDocument, queryDocuments, updateDocument, runTransaction } = require('../config/firebase');
 const { CACHE_TTL, invalidateUserCache } = require('../config/redis');
 const { db } = require('../config/firebase');
+const { toKobo, toNaira, percentOf, splitEvenly, fieldsToNaira, orderToNaira } = require('../utils/money');
 
 const MANAGER_COMMISSION_RATE = 0.02; // 2% of platform commission
 
+// stateCommissions docs store kobo; these go out as naira
+const COMMISSION_MONEY_FIELDS = ['orderAmount', 'platformCommission', 'managerCommission'];
+
 /**
  * GET /api/v1/state-manager/stats/:managerId
  * Get commission statistics for a state manager
@@ -77,9 +81,9 @@ router.get(
             res.json({
                 success: true,
                 stats: {
-                    totalEarned,
-                    monthlyEarnings,
-                    pendingCommission,
+                    totalEarned: toNaira(totalEarned),
+                    monthlyEarnings: toNaira(monthlyEarnings),
+                    pendingCommission: toNaira(pendingCommission),
                     coManagerId: coManager?.uid,
                     coManagerName: coManager?.name,
                     isShared,
@@ -134,7 +138,7 @@ router.get(
 
             res.json({
                 success: true,
-                commissions: limited,
+                commissions: limited.map(c => fieldsToNaira(c, COMMISSION_MONEY_FIELDS)),
                 total: commissions.length
             });
         } catch (error) {
@@ -213,7 +217,7 @@ router.get(
 
             res.json({
                 success: true,
-                orders: allOrders,
+                orders: allOrders.map(orderToNaira),
                 count: allOrders.length
             });
         } catch (error) {
@@ -236,6 +240,7 @@ router.post(
     authenticate,
     async (req, res) => {
         try {
+            // Body amounts are naira
             const { orderId, orderAmount, platformCommission, sellerState } = req.body;
 
             // Validate inputs
@@ -260,14 +265,17 @@ router.post(
                 });
             }
 
-            // Calculate commission
-            const baseCommission = platformCommission * MANAGER_COMMISSION_RATE;
+            // Calculate commission (kobo). A shared state splits it so the two
+            // shares always add back up to the base — the odd kobo goes to the first.
+            const orderAmountKobo        = toKobo(orderAmount);
+            const platformCommissionKobo = toKobo(platformCommission);
+            const baseCommission = percentOf(platformCommissionKobo, MANAGER_COMMISSION_RATE);
             const isShared = managers.length > 1;
-            const managerCommission = isShared ? baseCommission / 2 : baseCommission;
+            const shares = isShared ? splitEvenly(baseCommission, managers.length) : [baseCommission];
             const sharePercentage = isShared ? 50 : 100;
 
             // Create commission records
-            const commissionPromises = managers.map(async (manager) => {
+            const commissionPromises = managers.map(async (manager, index) => {
                 const coManager = managers.find(m => m.uid !== manager.uid);
 
                 const commissionData = {
@@ -275,9 +283,9 @@ router.post(
                     managerName: manager.name,
                     state: sellerState,
                     orderId,
-                    orderAmount,
-                    platformCommission,
-                    managerCommission,
+                    orderAmount: orderAmountKobo,
+                    platformCommission: platformCommissionKobo,
+                    managerCommission: shares[index],
                     sharePercentage,
                     coManagerId: coManager?.uid || null,
                     coManagerName: coManager?.name || null,
@@ -300,7 +308,7 @@ router.post(
             res.json({
                 success: true,
                 message: 'Commission processed successfully',
-                commissionAmount: managerCommission,
+                commissionAmount: toNaira(shares[0]),
                 managersCount: managers.length
             });
         } catch (error) {
@@ -393,7 +401,7 @@ router.post(
             res.json({
                 success: true,
                 message: 'Commission payout completed',
-                amount: totalAmount,
+                amount: toNaira(totalAmount),
                 count: pendingCommissions.length
             });
         } catch (error) {
@@ -485,7 +493,7 @@ router.post(
 
                     results.push({
                         managerId,
-                        amount: totalAmount,
+                        amount: toNaira(totalAmount),
                         count: commissions.length,
                         success: true
                     });
@@ -8,13 +8,23 @@
 // ✅ Daily withdrawal limits:
 //     buyer / service → ₦100,000
 //     seller          → ₦200,000
-// ✅ PIN must be active (checked via securitySettings Firestore doc)
+// ✅ KYC tier limits on top (max balance, daily debit, single withdrawal) —
+//    GET /limits shows the user where they stand
+// ✅ Transaction PIN (X-Transaction-PIN header) verified before any debit
 // ✅ Bank name must be saved (paystackRecipientCode required)
 // ✅ Atomic balance deduction via db.runTransaction
-// ✅ Redis idempotency — duplicate requests are no-ops
+// ✅ Redis idempotency — duplicate requests are no-ops; retries carrying the
+//    same Idempotency-Key header get the original response replayed
 // ✅ Paystack transfer initiated after wallet is successfully debited
 // ✅ Auto-refund on Paystack transfer failure
+// ✅ Lost transfer webhooks are covered by jobs/withdrawalStatus.js;
+//    GET /withdrawals/:reference shows the app where a payout stands
+// ✅ P2P transfers: resolve recipient → confirm name → send with PIN
+// ✅ Dedicated virtual account (Paystack DVA) for funding by bank transfer
+// ✅ Partial holds (wallet-hold.service.js) — debits use the available balance
 // ✅ FIX: Redis user profile cache is now invalidated after bank details are saved
+// ✅ Money is integer kobo internally; request bodies and responses stay in
+//    naira (except initialize-withdrawal, whose body has always been amountKobo)
 
 const express         = require('express');
 const router          = express.Router();
@@ -23,38 +33,50 @@ const { client }      = require('../config/redis');
 const { CACHE_TTL, invalidateUserCache }   = require('../config/redis'); // ✅ FIX: import invalidateUserCache
 const paystackService = require('../services/paystack.service');
 const walletService   = require('../services/wallet.service');
+const ledgerService   = require('../services/ledger.service');
+const kycService      = require('../services/kyc.service');
+const walletHoldService = require('../services/wallet-hold.service');
+const withdrawalService = require('../services/withdrawal.service');
+const transferService = require('../services/transfer.service');
+const virtualAccountService = require('../services/virtual-account.service');
+const unappliedDepositService = require('../services/unapplied-deposit.service');
 const pushNotificationService = require('../services/push-notification.service');
 const { authenticate, authorizeOwnership, userRateLimit } = require('../middleware/auth');
 const { strictLimiter } = require('../middleware/rateLimiters');
 const { cacheMiddleware, userCacheMiddleware } = require('../middleware/cache');
+const idempotency = require('../middleware/idempotency');
+const { requireTransactionPin } = require('../middleware/transactionPin');
+const {
+  toKobo, toNaira, formatNaira, walletToNaira, transactionToNaira, entryToNaira,
+} = require('../utils/money');
 
 // ─── Fee & Limit helpers ──────────────────────────────────────────────────────
 
 /**
  * Calculate withdrawal fee (server-authoritative — never trust client value).
- * @param {number} amountNaira
- * @returns {number} fee in Naira
+ * @param {number} amountKobo
+ * @returns {number} fee in kobo
  */
-function calculateWithdrawalFee(amountNaira) {
-  if (amountNaira < 2_000)   return 50;
-  if (amountNaira < 200_000) return 150;
-  return 500;
+function calculateWithdrawalFee(amountKobo) {
+  if (amountKobo < 200_000)    return 5_000;   // < ₦2,000 → ₦50
+  if (amountKobo < 20_000_000) return 15_000;  // < ₦200,000 → ₦150
+  return 50_000;                               // ₦500
 }
 
 /**
  * Daily withdrawal limit by user role.
  * @param {string} role
- * @returns {number} limit in Naira
+ * @returns {number} limit in kobo
  */
 function getDailyLimit(role) {
-  if (role === 'seller') return 200_000;
-  return 100_000; // buyer, service, fallback
+  if (role === 'seller') return 20_000_000; // ₦200,000
+  return 10_000_000; // ₦100,000 — buyer, service, fallback
 }
 
 /**
  * Get total withdrawals made by userId today (UTC day boundary).
  * @param {string} userId
- * @returns {Promise<number>} total in Naira
+ * @returns {Promise<number>} total in kobo
  */
 async function getDailyWithdrawalTotal(userId) {
   try {
@@ -221,9 +243,12 @@ router.get(
       const wallet = await walletService.getWallet(req.params.userId);
       res.json({
         success: true,
-        balance: wallet.balance,
-        pendingBalance: wallet.pendingBalance || 0,
+        balance: toNaira(wallet.balance),
+        pendingBalance: toNaira(wallet.pendingBalance),
+        heldBalance: toNaira(walletHoldService.heldAmount(wallet)),
+        availableBalance: toNaira(walletHoldService.availableBalance(wallet)),
         currency: 'NGN',
+        virtualAccount: virtualAccountService.toPublic(wallet.dedicatedAccount),
       });
     } catch (error) {
       console.error('Get balance error:', error);
@@ -242,30 +267,32 @@ router.get(
   async (req, res) => {
     try {
       const wallet = await walletService.getWallet(req.params.userId);
-      const stats = {
-        currentBalance: wallet.balance,
-        pendingBalance: wallet.pendingBalance || 0,
-        totalDeposits: 0,
-        totalWithdrawals: 0,
-        totalSpent: 0,
-        transactionCount: wallet.transactions.length,
-        lastTransaction: wallet.transactions[0] || null,
-      };
+      const totals = { totalDeposits: 0, totalWithdrawals: 0, totalSpent: 0 };
 
       wallet.transactions.forEach((txn) => {
         if (txn.type === 'credit') {
           if (txn.metadata?.type === 'deposit' || (txn.description || '').includes('Top-up')) {
-            stats.totalDeposits += txn.amount;
+            totals.totalDeposits += txn.amount;
           }
         } else if (txn.type === 'debit') {
           if (txn.metadata?.type === 'withdrawal' || txn.metadata?.withdrawal) {
-            stats.totalWithdrawals += txn.amount;
+            totals.totalWithdrawals += txn.amount;
           } else {
-            stats.totalSpent += txn.amount;
+            totals.totalSpent += txn.amount;
           }
         }
       });
 
+      const stats = {
+        currentBalance: toNaira(wallet.balance),
+        pendingBalance: toNaira(wallet.pendingBalance),
+        totalDeposits: toNaira(totals.totalDeposits),
+        totalWithdrawals: toNaira(totals.totalWithdrawals),
+        totalSpent: toNaira(totals.totalSpent),
+        transactionCount: wallet.transactions.length,
+        lastTransaction: wallet.transactions[0] ? transactionToNaira(wallet.transactions[0]) : null,
+      };
+
       res.json({ success: true, stats });
     } catch (error) {
       console.error('Get stats error:', error);
@@ -294,7 +321,7 @@ router.get(
 
       res.json({
         success: true,
-        transactions: paginatedTransactions,
+        transactions: paginatedTransactions.map(transactionToNaira),
         pagination: {
           total: transactions.length,
           page: parseInt(page),
@@ -309,6 +336,162 @@ router.get(
   }
 );
 
+// ─── GET /api/v1/wallet/ledger/:userId ───────────────────────────────────────
+// Journal entries behind the wallet. ?account=escrow returns the buyer escrow
+// account instead of the spendable balance. Cursor = createdAt of last entry.
+
+router.get(
+  '/ledger/:userId',
+  authenticate,
+  authorizeOwnership('wallets'),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { account = 'wallet', limit, before } = req.query;
+
+      const accountId = account === 'escrow'
+        ? ledgerService.ACCOUNTS.escrow(userId)
+        : ledgerService.ACCOUNTS.user(userId);
+
+      const [summary, page] = await Promise.all([
+        ledgerService.getAccount(accountId),
+        ledgerService.getAccountEntries(accountId, { limit, before }),
+      ]);
+
+      res.json({
+        success: true,
+        account: { id: accountId, balance: toNaira(summary.balance), currency: 'NGN' },
+        entries: page.entries.map(entryToNaira),
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      });
+    } catch (error) {
+      console.error('Get ledger error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch ledger entries' });
+    }
+  }
+);
+
+// ─── GET /api/v1/wallet/limits ───────────────────────────────────────────────
+// Caller's KYC tier, its limits and what's left of today's debit allowance.
+// Declared before /:userId so "limits" isn't read as a user id. null = no cap.
+
+router.get(
+  '/limits',
+  authenticate,
+  async (req, res) => {
+    try {
+      const summary = await kycService.getSummary(req.userId);
+      const nairaOrNull = (kobo) => (kobo === null ? null : toNaira(kobo));
+
+      res.json({
+        success: true,
+        kyc: {
+          tier:     summary.tier,
+          tierName: summary.tierName,
+          limits: {
+            maxBalance:       nairaOrNull(summary.limits.maxBalance),
+            dailyDebit:       nairaOrNull(summary.limits.dailyDebit),
+            singleWithdrawal: nairaOrNull(summary.limits.singleWithdrawal),
+          },
+          balance:         toNaira(summary.balance),
+          usedToday:       toNaira(summary.usedToday),
+          remainingToday:  nairaOrNull(summary.remainingToday),
+          balanceHeadroom: nairaOrNull(summary.balanceHeadroom),
+          nextTier: summary.nextTier && {
+            tier:         summary.nextTier.tier,
+            tierName:     summary.nextTier.name,
+            requirements: summary.nextTier.requirements,
+          },
+          currency: 'NGN',
+        },
+      });
+    } catch (error) {
+      console.error('Get limits error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch wallet limits' });
+    }
+  }
+);
+
+// ─── GET /api/v1/wallet/virtual-account ──────────────────────────────────────
+// The caller's dedicated bank account for funding by transfer, or null.
+
+router.get(
+  '/virtual-account',
+  authenticate,
+  async (req, res) => {
+    try {
+      const account = await virtualAccountService.getAccount(req.userId);
+      res.json({ success: true, virtualAccount: virtualAccountService.toPublic(account) });
+    } catch (error) {
+      console.error('Get virtual account error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch virtual account' });
+    }
+  }
+);
+
+// ─── POST /api/v1/wallet/virtual-account ─────────────────────────────────────
+// Assigns a Paystack dedicated account. 202 while the bank is still assigning
+// it — the app should poll GET /virtual-account (or wait for the push).
+
+router.post(
+  '/virtual-account',
+  authenticate,
+  userRateLimit(5, 15 * 60 * 1000),
+  async (req, res) => {
+    try {
+      const account = await virtualAccountService.requestAccount(req.userId);
+      const virtualAccount = virtualAccountService.toPublic(account);
+
+      if (account.status !== 'active') {
+        return res.status(202).json({
+          success: true,
+          message: 'Your account number is being generated. We will notify you when it is ready.',
+          virtualAccount,
+        });
+      }
+      res.json({ success: true, virtualAccount });
+    } catch (error) {
+      console.error('Request virtual account error:', error);
+      const message = error.message || 'Failed to create virtual account';
+      const status =
+        message.includes('phone number')   ? 400 :
+        message.includes('in progress')    ? 409 : 502;
+      res.status(status).json({ success: false, message });
+    }
+  }
+);
+
+// ─── GET /api/v1/wallet/withdrawals/:reference ───────────────────────────────
+// Caller's own withdrawal. Still-processing ones are re-checked with Paystack
+// (at most once a minute) so the app sees the result without waiting for cron.
+
+router.get(
+  '/withdrawals/:reference',
+  authenticate,
+  async (req, res) => {
+    try {
+      const withdrawal = await withdrawalService.getStatus(req.userId, req.params.reference);
+      if (!withdrawal) {
+        return res.status(404).json({ success: false, message: 'Withdrawal not found' });
+      }
+
+      res.json({
+        success: true,
+        withdrawal: {
+          ...withdrawal,
+          amount:     toNaira(withdrawal.amount),
+          fee:        toNaira(withdrawal.fee),
+          totalDebit: toNaira(withdrawal.totalDebit),
+        },
+      });
+    } catch (error) {
+      console.error('Get withdrawal status error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch withdrawal status' });
+    }
+  }
+);
+
 // ─── GET /api/v1/wallet/:userId ──────────────────────────────────────────────
 
 router.get(
@@ -322,10 +505,15 @@ router.get(
       res.json({
         success: true,
         wallet: {
-          balance: wallet.balance,
-          pendingBalance: wallet.pendingBalance || 0,
-          transactions: wallet.transactions.slice(0, 50),
+          ...walletToNaira({
+            balance: wallet.balance,
+            pendingBalance: wallet.pendingBalance || 0,
+            heldBalance: walletHoldService.heldAmount(wallet),
+            availableBalance: walletHoldService.availableBalance(wallet),
+          }),
+          transactions: wallet.transactions.slice(0, 50).map(transactionToNaira),
           currency: 'NGN',
+          virtualAccount: virtualAccountService.toPublic(wallet.dedicatedAccount),
         },
       });
     } catch (error) {
@@ -336,15 +524,20 @@ router.get(
 );
 
 // ─── POST /api/v1/wallet/debit ───────────────────────────────────────────────
+// Debits the caller's own wallet. Needs X-Transaction-PIN like every other
+// debit route; `userId` in the body, if sent, must be the caller.
 
 router.post(
   '/debit',
   authenticate,
+  userRateLimit(10, 15 * 60 * 1000),
+  requireTransactionPin,
+  idempotency(),
   async (req, res) => {
     try {
-      const { userId, amount, description, category, metadata } = req.body;
+      const { userId = req.userId, amount, description, category, metadata } = req.body;
 
-      if (req.userId !== userId && req.userRole !== 'admin') {
+      if (req.userId !== userId) {
         return res.status(403).json({ success: false, message: 'Unauthorized wallet access' });
       }
       if (!amount || amount <= 0) {
@@ -353,18 +546,20 @@ router.post(
 
       const result = await walletService.debitWallet(
         userId,
-        amount,
+        toKobo(amount),
         description || `${category} payment`,
         { ...metadata, category: category || 'general_debit' }
       );
 
-      res.json({ success: true, message: 'Wallet debited successfully', transaction: result.transaction });
+      res.json({ success: true, message: 'Wallet debited successfully', transaction: transactionToNaira(result.transaction) });
     } catch (error) {
       console.error('Wallet debit route error:', error);
-      res.status(error.message === 'Insufficient balance' ? 400 : 500).json({
-        success: false,
-        message: error.message || 'Failed to process debit',
-      });
+      const message = error.message || 'Failed to process debit';
+      const status =
+        message.startsWith('KYC_LIMIT')     ? 403 :
+        message.startsWith('CRITICAL_LOCK') ? 423 :
+        /Insufficient|MONEY:/.test(message) ? 400 : 500;
+      res.status(status).json({ success: false, message });
     }
   }
 );
@@ -393,7 +588,17 @@ router.post(
 
       await walletService.ensureWalletExists(userId);
 
-      const payment = await paystackService.initializePayment(user.email, amount, {
+      // Refuse up front rather than take money the tier can't hold
+      const kyc = await kycService.getSummary(userId);
+      if (kyc.balanceHeadroom !== null && toKobo(amount) > kyc.balanceHeadroom) {
+        return res.status(403).json({
+          success: false,
+          message: `KYC_LIMIT: Your tier can receive at most ${formatNaira(kyc.balanceHeadroom)} more. Upgrade your verification level to deposit this amount.`,
+          balanceHeadroom: toNaira(kyc.balanceHeadroom),
+        });
+      }
+
+      const payment = await paystackService.initializePayment(user.email, toKobo(amount), {
         userId,
         customerName: user.name,
         type: 'wallet_deposit',
@@ -425,16 +630,33 @@ router.post(
         return res.status(400).json({ success: false, message: 'Payment verification failed', status: verification.status });
       }
 
-      const result = await walletService.creditWallet(req.userId, verification.amount, reference, {
+      const creditMetadata = {
         customerEmail: verification.customer.email,
         paymentMethod: 'paystack',
-      });
+      };
+
+      let result;
+      try {
+        result = await walletService.creditWallet(req.userId, verification.amount, reference, creditMetadata);
+      } catch (err) {
+        if (!err.message.startsWith('KYC_LIMIT')) throw err;
+        // Paid, but the balance grew past the tier since initialize-deposit
+        await unappliedDepositService.park(req.userId, {
+          reference, amount: verification.amount, channel: 'card', reason: err.message, creditMetadata
+        });
+        return res.status(202).json({
+          success: true,
+          onHold: true,
+          message: 'Payment received, but it takes your wallet over its limit. It is on hold until your verification level is upgraded.',
+          amount: toNaira(verification.amount)
+        });
+      }
 
       if (result.alreadyProcessed) {
-        return res.json({ success: true, message: 'Payment already processed', amount: verification.amount });
+        return res.json({ success: true, message: 'Payment already processed', amount: toNaira(verification.amount) });
       }
 
-      res.json({ success: true, message: 'Wallet credited successfully', amount: verification.amount });
+      res.json({ success: true, message: 'Wallet credited successfully', amount: toNaira(verification.amount) });
     } catch (error) {
       console.error('Verify deposit error:', error);
       res.status(500).json({ success: false, message: error.message || 'Failed to verify deposit' });
@@ -442,6 +664,79 @@ router.post(
   }
 );
 
+// ─── POST /api/v1/wallet/transfer/resolve ────────────────────────────────────
+// Step 1 of a P2P transfer. Body: { identifier } — phone, email or referral
+// code. Returns the recipient's name for the sender to confirm, plus a
+// confirmationToken valid for 5 minutes.
+
+router.post(
+  '/transfer/resolve',
+  authenticate,
+  userRateLimit(20, 15 * 60 * 1000),      // slows down scraping names by phone number
+  async (req, res) => {
+    try {
+      const { identifier } = req.body;
+      if (!identifier) {
+        return res.status(400).json({ success: false, message: 'Phone, email or referral code is required' });
+      }
+
+      const result = await transferService.resolveRecipient(req.userId, identifier);
+      if (!result) {
+        return res.status(404).json({ success: false, message: 'No EliteHub user found with those details' });
+      }
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Resolve transfer recipient error:', error);
+      const status = error.message.includes('yourself') ? 400 : 500;
+      res.status(status).json({ success: false, message: error.message || 'Failed to find recipient' });
+    }
+  }
+);
+
+// ─── POST /api/v1/wallet/transfer ────────────────────────────────────────────
+// Step 2. Body: { confirmationToken, amount (naira), note? }
+// Needs X-Transaction-PIN. Limits are the sender's KYC daily debit and the
+// recipient's KYC max balance.
+
+router.post(
+  '/transfer',
+  authenticate,
+  userRateLimit(10, 15 * 60 * 1000),
+  requireTransactionPin,
+  idempotency(),
+  async (req, res) => {
+    try {
+      const { confirmationToken, amount, note } = req.body;
+      if (!confirmationToken || !amount) {
+        return res.status(400).json({ success: false, message: 'confirmationToken and amount are required' });
+      }
+
+      const result = await transferService.send(req.userId, {
+        confirmationToken,
+        amount: toKobo(amount),
+        note,
+      });
+
+      res.json({
+        success: true,
+        message: `${formatNaira(result.amount)} sent to ${result.recipient.name}`,
+        reference: result.reference,
+        amount:    toNaira(result.amount),
+        recipient: result.recipient,
+      });
+    } catch (error) {
+      console.error('P2P transfer error:', error);
+      const message = error.message || 'Transfer failed';
+      const status =
+        message.startsWith('KYC_LIMIT')    ? 403 :
+        message.startsWith('CRITICAL_LOCK') ? 423 :
+        /Insufficient|Minimum|yourself|confirmation expired|cannot receive|MONEY:/.test(message) ? 400 : 500;
+      res.status(status).json({ success: false, message });
+    }
+  }
+);
+
 // ─── POST /api/v1/wallet/initialize-withdrawal ───────────────────────────────
 // Production-grade: server-calculated fees, daily limits, PIN check, atomic
 // Firestore debit, Redis idempotency, Paystack transfer, auto-refund on failure.
@@ -451,6 +746,8 @@ router.post(
   authenticate,
   strictLimiter,                          // 5 req / 15 min (from rateLimiters.js)
   userRateLimit(5, 15 * 60 * 1000),       // per-user secondary guard
+  requireTransactionPin,                  // X-Transaction-PIN; repeated misses lock the wallet
+  idempotency(),                          // retries with the same Idempotency-Key replay the first result
   async (req, res) => {
     const userId      = req.userId;
     const userProfile = req.userProfile;
@@ -459,28 +756,18 @@ router.post(
       // ── 1. Parse & validate request ────────────────────────────────────
       const { amountKobo } = req.body;
 
-      if (!amountKobo || typeof amountKobo !== 'number' || amountKobo < 100_000) {
+      if (!Number.isSafeInteger(amountKobo) || amountKobo < 100_000) {
         return res.status(400).json({
           success: false,
           message: 'Minimum withdrawal is ₦1,000.',
         });
       }
 
-      const amountNaira = amountKobo / 100;
-
       // ── 2. Server-side fee (ignore any fee sent by client) ──────────────
-      const fee        = calculateWithdrawalFee(amountNaira);
-      const totalDebit = amountNaira + fee;
+      const fee        = calculateWithdrawalFee(amountKobo);
+      const totalDebit = amountKobo + fee;
 
-      // ── 3. PIN must be enabled ──────────────────────────────────────────
-      const secDoc = await db.collection('securitySettings').doc(userId).get();
-      if (!secDoc.exists || !secDoc.data()?.isPinEnabled) {
-        return res.status(403).json({
-          success: false,
-          message: 'You must set up a security PIN before making withdrawals.',
-          requiresPin: true,
-        });
-      }
+      // ── 3. PIN already verified by requireTransactionPin ────────────────
 
       // ── 4. Verified bank account required ──────────────────────────────
       // ✅ FIX: Read directly from Firestore instead of relying on the cached
@@ -504,19 +791,20 @@ router.post(
       const dailyLimit = getDailyLimit(freshUserProfile?.role ?? userProfile?.role);
       const usedToday  = await getDailyWithdrawalTotal(userId);
 
-      if (usedToday + amountNaira > dailyLimit) {
+      if (usedToday + amountKobo > dailyLimit) {
         const remaining = Math.max(0, dailyLimit - usedToday);
         return res.status(400).json({
           success: false,
-          message: `Daily withdrawal limit of ₦${dailyLimit.toLocaleString('en-NG')} exceeded. Remaining today: ₦${remaining.toLocaleString('en-NG')}.`,
-          dailyLimit,
-          usedToday,
-          remaining,
+          message: `Daily withdrawal limit of ${formatNaira(dailyLimit)} exceeded. Remaining today: ${formatNaira(remaining)}.`,
+          dailyLimit: toNaira(dailyLimit),
+          usedToday:  toNaira(usedToday),
+          remaining:  toNaira(remaining),
         });
       }
 
       // ── 6. Generate idempotency reference ───────────────────────────────
-      const reference = `wd_${Date.now()}_${userId.slice(0, 6)}`;
+      // Sent to Paystack as the transfer reference — must be lowercase
+      const reference = `wd_${Date.now()}_${userId.slice(0, 6)}`.toLowerCase();
       const lockKey   = `withdraw:lock:${reference}`;
 
       const alreadyLocked = await client.get(lockKey);
@@ -537,19 +825,26 @@ router.post(
 
         if (!walletSnap.exists) throw new Error('Wallet not found.');
 
-        const { balance = 0, isLocked = false } = walletSnap.data();
+        const { isLocked = false } = walletSnap.data();
+        const available = walletHoldService.availableBalance(walletSnap.data());
 
         if (isLocked) {
           throw new Error('Wallet is currently locked. Please contact support.');
         }
-        if (balance < totalDebit) {
+        if (available < totalDebit) {
           throw new Error(
-            `Insufficient balance. You need ₦${totalDebit.toLocaleString('en-NG')} ` +
-            `(₦${amountNaira.toLocaleString('en-NG')} + ₦${fee} fee) ` +
-            `but have ₦${balance.toLocaleString('en-NG')}.`
+            `Insufficient balance. You need ${formatNaira(totalDebit)} ` +
+            `(${formatNaira(amountKobo)} + ${formatNaira(fee)} fee) ` +
+            `but have ${formatNaira(available)} available.`
           );
         }
 
+        // KYC tier: single payout cap on the amount sent, daily cap on the full debit
+        const kyc = await kycService.loadForTransaction(txn, userId);
+        kycService.assertCanWithdraw(kyc, amountKobo);
+        kycService.assertCanDebit(kyc, totalDebit);
+        kycService.recordDebit(txn, kyc, totalDebit);
+
         // Debit wallet
         txn.update(walletRef, {
           balance:   admin.firestore.FieldValue.increment(-totalDebit),
@@ -564,7 +859,7 @@ router.post(
             userId,
             type:        'debit',
             category:    'withdrawal',
-            amount:      amountNaira,
+            amount:      amountKobo,
             fee,
             totalDebit,
             description: `Withdrawal to ${bankAccount.accountName} (${bankAccount.bankName})`,
@@ -577,12 +872,16 @@ router.post(
               accountName:   bankAccount.accountName,
               bankName:      bankAccount.bankName,
               reference,
+              kycUsageDate: kyc.dateKey,
               feeTier:
-                amountNaira < 2_000   ? 'under_2000'  :
-                amountNaira < 200_000 ? '2000_200000' : 'above_200000',
+                amountKobo < 200_000    ? 'under_2000'  :
+                amountKobo < 20_000_000 ? '2000_200000' : 'above_200000',
             },
           }
         );
+
+        // Journal: user → Paystack float + platform fee
+        walletService.postWithdrawal(txn, { userId, reference, amount: amountKobo, fee });
       });
 
       // ── 8. Set Redis lock (prevents duplicates for 24 h) ────────────────
@@ -593,8 +892,9 @@ router.post(
       try {
         const transfer = await paystackService.initiateTransfer(
           recipientCode,
-          amountNaira,                      // Paystack receives withdrawal amount (no fee)
-          `EliteHub Withdrawal: ${reference}`
+          amountKobo,                       // Paystack receives withdrawal amount (no fee)
+          `EliteHub Withdrawal: ${reference}`,
+          reference
         );
         transferReference = transfer?.reference ?? null;
 
@@ -604,41 +904,33 @@ router.post(
           .doc(reference)
           .update({
             paystackTransferReference: transferReference,
-            transferInitiatedAt: Date.now(),
+            paystackTransferCode:      transfer?.transferCode ?? null,
+            transferInitiatedAt:       Date.now(),
             status: 'processing',
           });
       } catch (transferErr) {
-        // Paystack failure → atomically refund wallet
-        console.error('[Withdrawal] Paystack transfer failed — refunding:', transferErr.message);
-
-        await db.runTransaction(async (txn) => {
-          txn.update(walletRef, {
-            balance:   admin.firestore.FieldValue.increment(totalDebit),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        // A timeout doesn't mean Paystack refused — ask before refunding
+        const known = await paystackService.verifyTransferByReference(reference).catch(() => null);
+
+        if (!known || known.success) {
+          // Paystack has it (or we can't tell yet) — the withdrawal status job settles it
+          console.warn(`[Withdrawal] ${reference}: initiate errored but transfer may exist — left processing`);
+          return res.status(202).json({
+            success: true,
+            message: 'Withdrawal submitted. We are confirming it with the bank.',
+            reference,
+            status: 'processing',
+            amount:     toNaira(amountKobo),
+            fee:        toNaira(fee),
+            totalDebit: toNaira(totalDebit),
           });
-          txn.update(
-            walletRef.collection('transactions').doc(reference),
-            {
-              status:     'failed',
-              failReason: transferErr.message || 'Paystack transfer failed',
-              failedAt:   Date.now(),
-            }
-          );
-          // Refund credit entry
-          txn.set(
-            walletRef.collection('transactions').doc(`refund_${reference}`),
-            {
-              id:          `refund_${reference}`,
-              userId,
-              type:        'credit',
-              category:    'withdrawal_refund',
-              amount:      totalDebit,
-              description: `Auto-refund: withdrawal failed (${reference})`,
-              timestamp:   Date.now(),
-              status:      'completed',
-              metadata:    { originalReference: reference },
-            }
-          );
+        }
+
+        // Paystack never saw it → refund amount + fee
+        console.error('[Withdrawal] Paystack transfer failed — refunding:', transferErr.message);
+        await walletService.settleWithdrawal(userId, reference, {
+          outcome: 'failed',
+          reason: transferErr.message || 'Paystack transfer failed',
         });
 
         await client.del(lockKey); // allow user to retry
@@ -655,7 +947,7 @@ router.post(
           await pushNotificationService.sendPushToUser(
             userId,
             '💸 Withdrawal Initiated',
-            `₦${amountNaira.toLocaleString('en-NG')} is being transferred to ${bankAccount.bankName}. Fee: ₦${fee}.`,
+            `${formatNaira(amountKobo)} is being transferred to ${bankAccount.bankName}. Fee: ${formatNaira(fee)}.`,
             { screen: 'ProfileTab', params: { screen: 'Transactions' }, type: 'withdrawal' }
           );
         } catch (pushErr) {
@@ -669,15 +961,18 @@ router.post(
         message: 'Withdrawal initiated successfully.',
         reference,
         transferReference,
-        amount:    amountNaira,
-        fee,
-        totalDebit,
+        amount:     toNaira(amountKobo),
+        fee:        toNaira(fee),
+        totalDebit: toNaira(totalDebit),
       });
 
     } catch (err) {
       console.error(`[Withdrawal] Error for ${userId}:`, err.message);
+      const status =
+        err.message?.startsWith('KYC_LIMIT') ? 403 :
+        err.message?.includes('Insufficient') ? 400 : 500;
       return res
-        .status(err.message?.includes('Insufficient') ? 400 : 500)
+        .status(status)
         .json({ success: false, message: err.message || 'Withdrawal failed. Please try again.' });
     }
   }
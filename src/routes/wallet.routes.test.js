@@ -0,0 +1,61 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('../services/email.service');
+
+const express = require('express');
+const request = require('supertest');
+const firebase = require('../config/firebase');
+const walletService = require('../services/wallet.service');
+const pinService = require('../services/pin.service');
+const walletRoutes = require('./wallet.routes');
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/wallet', walletRoutes);
+    return app;
+}
+
+const debit = (body, headers = {}) => request(buildApp())
+    .post('/wallet/debit')
+    .set({ Authorization: 'Bearer t', ...headers })
+    .send(body);
+
+beforeEach(async () => {
+    firebase.auth.verifyIdToken.mockResolvedValue({ uid: 'u1' });
+
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1 });
+    await walletService.creditWallet('u1', 1_000_000, 'dep_1', { type: 'deposit' });
+    await pinService.setPin('u1', '2580');
+});
+
+describe('POST /wallet/debit', () => {
+    it('needs the transaction PIN', async () => {
+        const missing = await debit({ amount: 500 });
+        const wrong = await debit({ amount: 500 }, { 'X-Transaction-PIN': '9090' });
+
+        expect(missing.status).toBe(400);
+        expect(wrong.status).toBe(403);
+        expect(wrong.body.invalidPin).toBe(true);
+        expect(firebase._read('wallets/u1').balance).toBe(1_000_000);
+    });
+
+    it('debits once for a retried Idempotency-Key', async () => {
+        const headers = { 'X-Transaction-PIN': '2580', 'Idempotency-Key': 'debit-1' };
+
+        const first = await debit({ amount: 500, category: 'shop' }, headers);
+        const retry = await debit({ amount: 500, category: 'shop' }, headers);
+
+        expect(first.status).toBe(200);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(firebase._read('wallets/u1').balance).toBe(950_000);
+    });
+
+    it("refuses someone else's wallet", async () => {
+        const response = await debit({ userId: 'u2', amount: 500 }, { 'X-Transaction-PIN': '2580', 'Idempotency-Key': 'd2' });
+
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,15 @@
+'use strict';
+
+// ─── __mocks__/email.service.js ───────────────────────────────────────────────
+// Stand-in for services/email.service.js, which exits without a Resend key.
+// jest.mock('./email.service') gives every sender as a resolved jest.fn().
+
+const SENDERS = [
+    'sendEmail', 'sendBuyerWelcomeEmail', 'sendSellerWelcomeEmail', 'sendServiceWelcomeEmail',
+    'sendVerificationEmail', 'sendPasswordResetEmail', 'sendPasswordChangedEmail', 'sendDepositAlert',
+    'sendTransferSent', 'sendTransferReceived', 'sendWithdrawalConfirmation', 'sendElectricityToken',
+    'sendExamPins', 'sendOrderConfirmation', 'sendNewOrderAlert', 'sendSignupVerificationOTP',
+    'sendPasswordResetOTP', 'sendPinResetOTP', 'sendDeliveryConfirmation'
+];
+
+module.exports = Object.fromEntries(SENDERS.map(name => [name, jest.fn(async () => ({ success: true }))]));
@@ -0,0 +1,196 @@
+'use strict';
+
+// ─── beneficiary.service.js ───────────────────────────────────────────────────
+// Saved bill recipients — phone numbers, meters and smartcards — so users
+// don't retype them. Stored per user at users/{userId}/billBeneficiaries/{id}.
+//
+// Each beneficiary belongs to one bill type and is unique per user on its
+// details (saving the same meter twice is a conflict, not a duplicate row).
+// Meters and smartcards are verified with VTPass on save, and the owner's
+// name is kept for display.
+//
+// Purchase routes take `beneficiaryId` in place of the raw fields;
+// toPurchaseFields() returns what the route would otherwise read from the body.
+
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+const billService = require('./bill.service');
+const { normalizePhone, normalizeNetwork } = require('../utils/phone');
+
+const MAX_BENEFICIARIES = 50;
+const MAX_NICKNAME_LENGTH = 40;
+const METER_TYPES = ['prepaid', 'postpaid'];
+
+// Bill type → fields that identify the recipient
+const FIELDS = {
+    airtime: ['network', 'phone'],
+    data: ['network', 'phone'],
+    electricity: ['provider', 'meterNumber', 'meterType'],
+    tv_subscription: ['provider', 'smartCardNumber']
+};
+
+const BILL_TYPES = Object.keys(FIELDS);
+
+class BeneficiaryService {
+    _collection(userId) {
+        return db.collection('users').doc(userId).collection('billBeneficiaries');
+    }
+
+    /**
+     * Same bill type + same recipient → same id, so a second save is caught
+     * without a query.
+     */
+    _idFor(billType, details) {
+        const key = [billType, ...FIELDS[billType].filter(f => f !== 'meterType').map(f => details[f])].join('|');
+        return `${billType}_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 20)}`;
+    }
+
+    _clean(billType, input) {
+        if (!BILL_TYPES.includes(billType)) {
+            throw new Error(`BENEFICIARY: billType must be one of ${BILL_TYPES.join(', ')}`);
+        }
+
+        const details = {};
+        for (const field of FIELDS[billType]) {
+            const value = String(input[field] ?? '').trim();
+            if (!value) throw new Error(`BENEFICIARY: ${field} is required`);
+            details[field] = ['network', 'provider', 'meterType'].includes(field) ? value.toLowerCase() : value;
+        }
+
+        if (details.phone) {
+            details.phone = normalizePhone(details.phone);
+            if (!details.phone) throw new Error('BENEFICIARY: Invalid phone number');
+        }
+        if (details.network) {
+            details.network = normalizeNetwork(details.network);
+            if (!details.network) throw new Error('BENEFICIARY: network must be mtn, glo, airtel or 9mobile');
+        }
+        if (details.meterType && !METER_TYPES.includes(details.meterType)) {
+            throw new Error('BENEFICIARY: meterType must be prepaid or postpaid');
+        }
+        return details;
+    }
+
+    _cleanNickname(nickname) {
+        const value = String(nickname ?? '').trim();
+        if (value.length > MAX_NICKNAME_LENGTH) {
+            throw new Error(`BENEFICIARY: Nickname must be ${MAX_NICKNAME_LENGTH} characters or fewer`);
+        }
+        return value || null;
+    }
+
+    /**
+     * Meter / smartcard owner from VTPass; airtime and data have nothing to verify.
+     */
+    async _verify(billType, details) {
+        if (billType === 'electricity') {
+            const result = await billService.verifyMeter(details);
+            return { customerName: result.customerName, address: result.address };
+        }
+        if (billType === 'tv_subscription') {
+            const result = await billService.verifySmartCard(details);
+            return { customerName: result.customerName, address: null };
+        }
+        return null;
+    }
+
+    async create(userId, { billType, nickname, ...input }) {
+        const details = this._clean(billType, input);
+        const cleanNickname = this._cleanNickname(nickname);
+        const ref = this._collection(userId).doc(this._idFor(billType, details));
+
+        const [existing, count] = await Promise.all([
+            ref.get(),
+            this._collection(userId).count().get()
+        ]);
+        if (existing.exists) throw new Error('BENEFICIARY: This beneficiary is already saved');
+        if (count.data().count >= MAX_BENEFICIARIES) {
+            throw new Error(`BENEFICIARY: You can save up to ${MAX_BENEFICIARIES} beneficiaries`);
+        }
+
+        // VTPass rejects unknown meters / smartcards with a readable message
+        const verification = await this._verify(billType, details);
+
+        const now = Date.now();
+        const beneficiary = {
+            id: ref.id,
+            billType,
+            ...details,
+            nickname: cleanNickname,
+            customerName: verification?.customerName || null,
+            address: verification?.address || null,
+            verifiedAt: verification ? now : null,
+            useCount: 0,
+            lastUsedAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        await ref.set(beneficiary);
+        return beneficiary;
+    }
+
+    /**
+     * Most recently used first.
+     */
+    async list(userId, { billType } = {}) {
+        let query = this._collection(userId);
+        if (billType) {
+            if (!BILL_TYPES.includes(billType)) {
+                throw new Error(`BENEFICIARY: billType must be one of ${BILL_TYPES.join(', ')}`);
+            }
+            query = query.where('billType', '==', billType);
+        }
+
+        const snap = await query.limit(MAX_BENEFICIARIES).get();
+        return snap.docs
+            .map(doc => doc.data())
+            .sort((a, b) => (b.lastUsedAt || b.createdAt) - (a.lastUsedAt || a.createdAt));
+    }
+
+    async get(userId, beneficiaryId) {
+        const snap = await this._collection(userId).doc(beneficiaryId).get();
+        return snap.exists ? snap.data() : null;
+    }
+
+    async rename(userId, beneficiaryId, nickname) {
+        const ref = this._collection(userId).doc(beneficiaryId);
+        const snap = await ref.get();
+        if (!snap.exists) throw new Error('BENEFICIARY: Beneficiary not found');
+
+        const fields = { nickname: this._cleanNickname(nickname), updatedAt: Date.now() };
+        await ref.update(fields);
+        return { ...snap.data(), ...fields };
+    }
+
+    async remove(userId, beneficiaryId) {
+        const ref = this._collection(userId).doc(beneficiaryId);
+        const snap = await ref.get();
+        if (!snap.exists) throw new Error('BENEFICIARY: Beneficiary not found');
+        await ref.delete();
+    }
+
+    /**
+     * The request-body fields a purchase route reads for this bill type,
+     * taken from a saved beneficiary.
+     */
+    async toPurchaseFields(userId, beneficiaryId, billType) {
+        const beneficiary = await this.get(userId, beneficiaryId);
+        if (!beneficiary) throw new Error('BENEFICIARY: Beneficiary not found');
+        if (beneficiary.billType !== billType) {
+            throw new Error(`BENEFICIARY: This beneficiary is saved for ${beneficiary.billType}, not ${billType}`);
+        }
+        return Object.fromEntries(FIELDS[billType].map(field => [field, beneficiary[field]]));
+    }
+
+    /**
+     * Fire-and-forget after a purchase — ordering only, never worth failing for.
+     */
+    markUsed(userId, beneficiaryId) {
+        this._collection(userId).doc(beneficiaryId).update({
+            lastUsedAt: Date.now(),
+            useCount: admin.firestore.FieldValue.increment(1)
+        }).catch(err => console.warn('[Beneficiaries] markUsed failed:', err.message));
+    }
+}
+
+module.exports = new BeneficiaryService();
@@ -0,0 +1,229 @@
+'use strict';
+
+// ─── bill-pricing.service.js ──────────────────────────────────────────────────
+// What a bill purchase actually costs the user. VTPass is always paid the face
+// amount; a pricing rule adds a platform markup or takes off a user discount:
+//
+//   charge = face + markup        margin = +markup     (platform earns)
+//   charge = face − discount      margin = −discount   (platform pays)
+//
+// The margin goes to the admin wallet with the debit (wallet.service.js,
+// ledger account platform:bill_margin) and comes back out with a refund.
+//
+// Rules live in billPricingRules/{id}; the active set is cached in Redis and
+// dropped on every admin change. At most one rule applies to a purchase —
+// the most specific match:
+//   1. a rule for the exact provider (serviceID) beats one for the bill type
+//   2. a promo (a rule with a time window) beats a standing rule
+//   3. the most recently updated rule wins a remaining tie
+//
+// Amounts are kobo. A percent rule uses `percent`, a flat rule `amount`.
+
+const { db } = require('../config/firebase');
+const { getCache, setCache, deleteCache, CACHE_KEYS, CACHE_TTL } = require('../config/redis');
+const { percentOf, isKobo } = require('../utils/money');
+
+const BILL_TYPES = ['airtime', 'data', 'electricity', 'tv_subscription', 'education', 'insurance'];
+const KINDS = ['markup', 'discount'];
+const MODES = ['percent', 'flat'];
+const MAX_PERCENT = 50;
+const MAX_NAME_LENGTH = 80;
+
+class BillPricingService {
+    _collection() {
+        return db.collection('billPricingRules');
+    }
+
+    /**
+     * Active rules, from Redis when cached. A cache miss or a Redis outage
+     * falls through to Firestore.
+     */
+    async _activeRules() {
+        const cached = await getCache(CACHE_KEYS.BILL_PRICING_RULES);
+        if (cached) return cached;
+
+        const snap = await this._collection().where('active', '==', true).get();
+        const rules = snap.docs.map(doc => doc.data());
+        await setCache(CACHE_KEYS.BILL_PRICING_RULES, rules, CACHE_TTL.MEDIUM);
+        return rules;
+    }
+
+    _matches(rule, billType, serviceID, faceAmount, now) {
+        return rule.billType === billType
+            && (!rule.provider || rule.provider === serviceID)
+            && (!rule.minAmount || faceAmount >= rule.minAmount)
+            && (!rule.startsAt || rule.startsAt <= now)
+            && (!rule.endsAt || rule.endsAt > now);
+    }
+
+    _specificity(rule) {
+        return (rule.provider ? 2 : 0) + (rule.startsAt || rule.endsAt ? 1 : 0);
+    }
+
+    /**
+     * Kobo the rule adds (markup) or takes off (discount), capped. A discount
+     * never takes the charge below zero.
+     */
+    _adjustment(rule, faceAmount) {
+        let adjustment = rule.mode === 'percent'
+            ? percentOf(faceAmount, rule.percent / 100)
+            : rule.amount;
+        if (rule.cap) adjustment = Math.min(adjustment, rule.cap);
+        if (rule.kind === 'discount') adjustment = Math.min(adjustment, faceAmount);
+        return adjustment;
+    }
+
+    /**
+     * Price a purchase.
+     *
+     * @param {string} billType
+     * @param {string} serviceID   VTPass service, e.g. mtn, ikeja-electric
+     * @param {number} faceAmount  kobo VTPass is paid
+     * @returns {Promise<{ faceAmount, charge, margin, rule: { id, name, kind } | null }>}
+     */
+    async quote(billType, serviceID, faceAmount) {
+        const now = Date.now();
+        const rule = (await this._activeRules())
+            .filter(r => this._matches(r, billType, serviceID, faceAmount, now))
+            .sort((a, b) => (this._specificity(b) - this._specificity(a)) || (b.updatedAt - a.updatedAt))[0];
+
+        if (!rule) return { faceAmount, charge: faceAmount, margin: 0, rule: null };
+
+        const adjustment = this._adjustment(rule, faceAmount);
+        const margin = rule.kind === 'markup' ? adjustment : -adjustment;
+        return {
+            faceAmount,
+            charge: faceAmount + margin,
+            margin,
+            rule: { id: rule.id, name: rule.name, kind: rule.kind }
+        };
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    /**
+     * Check and normalise rule fields. `partial` validates only what's given
+     * (PATCH); the merged rule is checked again for cross-field rules.
+     */
+    _clean(input, { partial = false } = {}) {
+        const rule = {};
+        const has = (field) => input[field] !== undefined;
+
+        if (!partial || has('name')) {
+            const name = String(input.name ?? '').trim();
+            if (!name) throw new Error('PRICING: name is required');
+            if (name.length > MAX_NAME_LENGTH) {
+                throw new Error(`PRICING: name must be ${MAX_NAME_LENGTH} characters or fewer`);
+            }
+            rule.name = name;
+        }
+        if (!partial || has('billType')) {
+            if (!BILL_TYPES.includes(input.billType)) {
+                throw new Error(`PRICING: billType must be one of ${BILL_TYPES.join(', ')}`);
+            }
+            rule.billType = input.billType;
+        }
+        if (!partial || has('provider')) {
+            rule.provider = input.provider ? String(input.provider).trim().toLowerCase() : null;
+        }
+        if (!partial || has('kind')) {
+            if (!KINDS.includes(input.kind)) throw new Error('PRICING: kind must be markup or discount');
+            rule.kind = input.kind;
+        }
+        if (!partial || has('mode')) {
+            if (!MODES.includes(input.mode)) throw new Error('PRICING: mode must be percent or flat');
+            rule.mode = input.mode;
+        }
+        if (!partial || has('percent')) {
+            const percent = input.percent ?? null;
+            if (percent !== null && !(Number(percent) > 0 && Number(percent) <= MAX_PERCENT)) {
+                throw new Error(`PRICING: percent must be above 0 and at most ${MAX_PERCENT}`);
+            }
+            rule.percent = percent === null ? null : Number(percent);
+        }
+        for (const field of ['amount', 'cap', 'minAmount']) {
+            if (!partial || has(field)) {
+                const value = input[field] ?? null;
+                if (value !== null && (!isKobo(value) || value <= 0)) {
+                    throw new Error(`PRICING: ${field} must be a positive amount`);
+                }
+                rule[field] = value;
+            }
+        }
+        for (const field of ['startsAt', 'endsAt']) {
+            if (!partial || has(field)) {
+                const value = input[field] ? new Date(input[field]).getTime() : null;
+                if (Number.isNaN(value)) throw new Error(`PRICING: ${field} is not a valid date`);
+                rule[field] = value;
+            }
+        }
+        if (!partial || has('active')) rule.active = input.active === undefined ? true : !!input.active;
+        return rule;
+    }
+
+    _checkRule(rule) {
+        if (rule.mode === 'percent' && !rule.percent) {
+            throw new Error('PRICING: A percent rule needs percent');
+        }
+        if (rule.mode === 'flat' && !rule.amount) {
+            throw new Error('PRICING: A flat rule needs amount');
+        }
+        if (rule.startsAt && rule.endsAt && rule.endsAt <= rule.startsAt) {
+            throw new Error('PRICING: endsAt must be after startsAt');
+        }
+    }
+
+    async _invalidate() {
+        await deleteCache(CACHE_KEYS.BILL_PRICING_RULES);
+    }
+
+    async list({ billType } = {}) {
+        let query = this._collection();
+        if (billType) query = query.where('billType', '==', billType);
+        const snap = await query.get();
+        return snap.docs
+            .map(doc => doc.data())
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async get(ruleId) {
+        const snap = await this._collection().doc(ruleId).get();
+        return snap.exists ? snap.data() : null;
+    }
+
+    async create(input, adminId) {
+        const fields = this._clean(input);
+        this._checkRule(fields);
+
+        const ref = this._collection().doc();
+        const now = Date.now();
+        const rule = { id: ref.id, ...fields, createdBy: adminId, createdAt: now, updatedBy: adminId, updatedAt: now };
+        await ref.set(rule);
+        await this._invalidate();
+        return rule;
+    }
+
+    async update(ruleId, input, adminId) {
+        const ref = this._collection().doc(ruleId);
+        const snap = await ref.get();
+        if (!snap.exists) throw new Error('PRICING: Pricing rule not found');
+
+        const fields = this._clean(input, { partial: true });
+        const rule = { ...snap.data(), ...fields, updatedBy: adminId, updatedAt: Date.now() };
+        this._checkRule(rule);
+
+        await ref.set(rule);
+        await this._invalidate();
+        return rule;
+    }
+
+    async remove(ruleId) {
+        const ref = this._collection().doc(ruleId);
+        const snap = await ref.get();
+        if (!snap.exists) throw new Error('PRICING: Pricing rule not found');
+        await ref.delete();
+        await this._invalidate();
+    }
+}
+
+module.exports = new BillPricingService();
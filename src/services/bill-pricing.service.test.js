@@ -0,0 +1,125 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const billPricingService = require('./bill-pricing.service');
+const billService = require('./bill.service');
+const walletService = require('./wallet.service');
+const vtpassService = require('./vtpass.service');
+const ledgerService = require('./ledger.service');
+
+const rule = (fields) => billPricingService.create({
+    name: 'Rule', billType: 'airtime', kind: 'markup', mode: 'percent', percent: 2, ...fields
+}, 'admin1');
+
+function buyAirtime(face) {
+    const purchase = billService.buildPurchase('airtime', { network: 'mtn', phone: '08031234567', amount: face / 100 });
+    return billService.purchase('u1', { ...purchase, amount: face });
+}
+
+beforeEach(async () => {
+    jest.spyOn(vtpassService, 'pay').mockImplementation(async (payload, requestId) => ({
+        status: 'delivered', requestId, code: '000', transactionId: `vt_${requestId}`
+    }));
+
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1 });
+    await walletService.creditWallet('u1', 500_000, 'dep_1', { type: 'deposit' });
+});
+
+describe('bill pricing rules', () => {
+    it('charges the face amount when no rule applies', async () => {
+        await expect(billPricingService.quote('airtime', 'mtn', 100_000))
+            .resolves.toEqual({ faceAmount: 100_000, charge: 100_000, margin: 0, rule: null });
+    });
+
+    it('adds a percent markup up to its cap', async () => {
+        await rule({ cap: 1_500 });
+
+        expect((await billPricingService.quote('airtime', 'mtn', 50_000)).margin).toBe(1_000);
+        expect((await billPricingService.quote('airtime', 'mtn', 100_000)).margin).toBe(1_500);
+    });
+
+    it('never discounts below zero', async () => {
+        await rule({ kind: 'discount', mode: 'flat', percent: null, amount: 20_000 });
+
+        await expect(billPricingService.quote('airtime', 'mtn', 10_000)).resolves.toMatchObject({ charge: 0, margin: -10_000 });
+    });
+
+    it('prefers a provider rule over a promo, and a promo over a standing rule', async () => {
+        await rule({ name: 'Standing' });
+        await rule({ name: 'Promo', percent: 3, startsAt: Date.now() - 1000, endsAt: Date.now() + 60_000 });
+        expect((await billPricingService.quote('airtime', 'glo', 100_000)).rule.name).toBe('Promo');
+
+        await rule({ name: 'MTN', provider: 'MTN', percent: 1 });
+        expect((await billPricingService.quote('airtime', 'mtn', 100_000)).rule.name).toBe('MTN');
+    });
+
+    it('only applies a rule from its minimum amount', async () => {
+        await rule({ minAmount: 100_000 });
+
+        expect((await billPricingService.quote('airtime', 'mtn', 99_999)).rule).toBeNull();
+        expect((await billPricingService.quote('airtime', 'mtn', 100_000)).margin).toBe(2_000);
+    });
+
+    it('picks up admin changes straight away', async () => {
+        const { id } = await rule({});
+        expect((await billPricingService.quote('airtime', 'mtn', 100_000)).margin).toBe(2_000);
+
+        await billPricingService.update(id, { percent: 5 }, 'admin1');
+        expect((await billPricingService.quote('airtime', 'mtn', 100_000)).margin).toBe(5_000);
+
+        await billPricingService.remove(id);
+        expect((await billPricingService.quote('airtime', 'mtn', 100_000)).margin).toBe(0);
+    });
+
+    it('refuses incomplete rules', async () => {
+        await expect(rule({ percent: null })).rejects.toThrow('PRICING: A percent rule needs percent');
+        await expect(rule({ percent: 51 })).rejects.toThrow('at most 50');
+        await expect(rule({ billType: 'lottery' })).rejects.toThrow('PRICING: billType');
+        await expect(rule({ mode: 'flat', amount: 10.5 })).rejects.toThrow('positive amount');
+    });
+});
+
+describe('bill margins', () => {
+    it('debits the marked-up price and credits the markup to the admin wallet', async () => {
+        await rule({ percent: 2 });
+
+        const { status, transactionId } = await buyAirtime(100_000);
+
+        expect(status).toBe('completed');
+        expect(firebase._read('wallets/u1').balance).toBe(398_000);
+        expect(firebase._read(`wallets/u1/transactions/${transactionId}`).metadata).toMatchObject({
+            faceAmount: 100_000, platformMargin: 2_000
+        });
+        expect(firebase._read('wallets/admin').balance).toBe(2_000);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('funds a discount from the admin wallet', async () => {
+        await rule({ kind: 'discount', mode: 'flat', percent: null, amount: 5_000 });
+
+        await buyAirtime(100_000);
+
+        expect(firebase._read('wallets/u1').balance).toBe(405_000);
+        expect(firebase._read('wallets/admin').balance).toBe(-5_000);
+    });
+
+    it('takes the margin back when the purchase is refunded', async () => {
+        await rule({ percent: 2 });
+        vtpassService.pay.mockImplementation(async () => {
+            const error = new Error('VTPASS: TRANSACTION FAILED');
+            error.vtpass = { status: 'failed', code: '016', description: 'TRANSACTION FAILED' };
+            throw error;
+        });
+
+        const { status } = await buyAirtime(100_000);
+
+        expect(status).toBe('failed');
+        expect(firebase._read('wallets/u1').balance).toBe(500_000);
+        expect(firebase._read('wallets/admin').balance).toBe(0);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+});
@@ -0,0 +1,1033 @@
+'use strict';
+
+// ─── bill.service.js ──────────────────────────────────────────────────────────
+// Debit → VTPass → settle for every bill purchase, and the requery sweep that
+// settles the ones VTPass didn't answer definitively.
+//
+//   processing ─┬─► completed                         (VTPass delivered)
+//               ├─► pending ─(requery)─► completed | refunding
+//               └─► refunding ─► failed               (refund via creditWallet)
+//   processing with no wallet debit (crash mid-purchase) ─► cancelled
+//
+// Each purchase is billTransactions/{requestId} (the VTPass request_id) and
+// the wallet debit wallets/{userId}/transactions/bill_{requestId}. Money is
+// only ever returned once VTPass has said the purchase failed — a pending or
+// unanswered one keeps the debit, because refunding it could give the value
+// away twice.
+//
+// `nextCheckAt` is set on every non-final bill so jobs/billRequery.js finds
+// them with one query. Needs a composite index on billTransactions:
+// status ASC, nextCheckAt ASC.
+//
+// What the user pays is the face amount adjusted by bill-pricing.service.js;
+// the bill's `amount` is that charge (what a refund returns) and `faceAmount`
+// what VTPass is paid.
+//
+// Bulk airtime / data (purchaseBatch, driven by bulk-bill.service.js) debits
+// the wallet once for every row: each row is still its own bill, carrying
+// `batchId`, and shares the batch's walletTransactionId (bulk_{batchId}).
+// Rows settle and refund one by one exactly like single purchases, except
+// that they leave the shared wallet transaction alone and each refund is
+// its own credit (refund_bill_{requestId}).
+//
+// Prepaid electricity tokens, exam PINs and insurance certificate links are
+// copied out of the VTPass response onto the bill and wallet transaction when
+// the bill completes. Tokens and PINs are then pushed and emailed — whether
+// the bill completes in the request or later in the sweep.
+
+const { db } = require('../config/firebase');
+const walletService = require('./wallet.service');
+const vtpassService = require('./vtpass.service');
+const pushNotificationService = require('./push-notification.service');
+const firebaseService = require('./firebase.service');
+const emailService = require('./email.service');
+const billPricingService = require('./bill-pricing.service');
+const { formatNaira, toNaira } = require('../utils/money');
+const { NETWORK_LABELS, normalizePhone, detectNetwork } = require('../utils/phone');
+
+const OPEN_STATUSES  = ['processing', 'pending', 'refunding'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Delay before requery n (1-based); the last one repeats until settled
+const REQUERY_BACKOFF_MS = [
+    2 * 60 * 1000,
+    5 * 60 * 1000,
+    15 * 60 * 1000,
+    60 * 60 * 1000,
+    3 * 60 * 60 * 1000
+];
+const STUCK_AFTER_MS      = 2 * 60 * 1000;        // `processing` this long means the request died mid-purchase
+const NOT_FOUND_GRACE_MS  = 10 * 60 * 1000;       // VTPass can lag before a request_id is queryable
+const ALERT_AFTER_MS      = 24 * 60 * 60 * 1000;  // still open after a day → admins
+const SWEEP_BATCH_SIZE    = 50;
+const BATCH_CONCURRENCY   = 5;                    // VTPass calls in flight per bulk purchase
+
+const BILL_LABELS = {
+    airtime: 'Airtime',
+    data: 'Data',
+    electricity: 'Electricity',
+    tv_subscription: 'TV subscription',
+    education: 'Exam PIN',
+    insurance: 'Motor insurance'
+};
+
+// VTPass serviceID → exam body, for the education bill type
+const EDUCATION_SERVICES = {
+    waec: 'WAEC',
+    neco: 'NECO',
+    jamb: 'JAMB'
+};
+
+const INSURANCE_SERVICE_ID = 'ui-insure';
+
+// Wallet description, VTPass /pay body and wallet metadata for each bill
+// type, from the fields the purchase routes take. `amount` is naira.
+const PURCHASE_BUILDERS = {
+    airtime: ({ network, phone, amount }) => ({
+        description: `${NETWORK_LABELS[network.toLowerCase()] || network} Airtime - ${phone}`,
+        payload: { serviceID: network.toLowerCase(), amount, phone },
+        metadata: { network, phone }
+    }),
+    data: ({ network, plan, variation_code, phone, amount }) => ({
+        description: `${NETWORK_LABELS[network.toLowerCase()] || network} Data - ${plan}`,
+        payload: {
+            serviceID: `${network.toLowerCase()}-data`,
+            billersCode: phone,
+            variation_code,
+            amount,
+            phone
+        },
+        metadata: { network, plan: plan || null, phone }
+    }),
+    electricity: ({ provider, meterNumber, meterType, amount }) => ({
+        description: `${provider} Electricity - ${meterNumber}`,
+        payload: {
+            serviceID: provider,
+            billersCode: meterNumber,
+            variation_code: meterType,
+            amount,
+            phone: '08000000000' // Placeholder - VTPass requires this field
+        },
+        metadata: { provider, meterNumber, meterType }
+    }),
+    tv_subscription: ({ provider, smartCardNumber, package: packageCode, amount }) => ({
+        description: `${provider} TV Subscription`,
+        payload: {
+            serviceID: provider,
+            billersCode: smartCardNumber,
+            variation_code: packageCode,
+            amount,
+            phone: '08000000000', // Placeholder
+            subscription_type: 'change'
+        },
+        metadata: { provider, smartCardNumber, package: packageCode }
+    }),
+    // JAMB PINs are tied to a candidate profile ID; WAEC / NECO checker PINs
+    // can be bought several at a time
+    education: ({ service, variation_code, quantity = 1, profileId, phone, amount }) => ({
+        description: `${EDUCATION_SERVICES[service] || service} PIN${quantity > 1 ? ` x${quantity}` : ''}`,
+        payload: {
+            serviceID: service,
+            variation_code,
+            amount,
+            phone,
+            ...(profileId ? { billersCode: profileId } : { quantity })
+        },
+        metadata: { service, variation_code, quantity, profileId: profileId || null, phone }
+    }),
+    insurance: ({ variation_code, plateNumber, insuredName, engineCapacity, chassisNumber,
+        vehicleMake, vehicleColor, vehicleModel, yearOfMake, state, lga, email, phone, amount }) => ({
+        description: `Motor Insurance - ${plateNumber}`,
+        payload: {
+            serviceID: INSURANCE_SERVICE_ID,
+            billersCode: plateNumber,
+            variation_code,
+            amount,
+            phone,
+            Insured_Name: insuredName,
+            engine_capacity: engineCapacity,
+            Chasis_Number: chassisNumber,
+            Plate_Number: plateNumber,
+            vehicle_make: vehicleMake,
+            vehicle_color: vehicleColor,
+            vehicle_model: vehicleModel,
+            YearofMake: yearOfMake,
+            state,
+            lga,
+            email
+        },
+        metadata: { variation_code, plateNumber, insuredName, vehicleMake, vehicleModel, yearOfMake, phone }
+    })
+};
+
+/**
+ * `fn` over every item, at most `limit` at once. Results keep item order.
+ */
+async function mapWithLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+class BillService {
+    constructor() {
+        this.EDUCATION_SERVICES = EDUCATION_SERVICES;
+        this.INSURANCE_SERVICE_ID = INSURANCE_SERVICE_ID;
+    }
+
+    _ref(requestId) {
+        return db.collection('billTransactions').doc(requestId);
+    }
+
+    _walletTxnRef(bill) {
+        return db.collection('wallets').doc(bill.userId)
+            .collection('transactions').doc(bill.walletTransactionId);
+    }
+
+    /**
+     * The billType / description / payload / metadata part of a purchase()
+     * call, built from route-style fields. Add the kobo `amount` to it.
+     */
+    buildPurchase(billType, fields) {
+        const build = PURCHASE_BUILDERS[billType];
+        if (!build) throw new Error(`BILL: Unknown bill type ${billType}`);
+        return { billType, ...build(fields) };
+    }
+
+    /**
+     * What a purchase would cost, priced the way purchase() will price it.
+     * `fields` only need what picks the provider (network / provider).
+     */
+    async quote(billType, fields, faceAmount) {
+        const { payload } = this.buildPurchase(billType, fields);
+        return billPricingService.quote(billType, payload.serviceID, faceAmount);
+    }
+
+    /**
+     * Debit the wallet and buy from VTPass.
+     *
+     * @param {string} userId
+     * @param {object} purchase
+     * @param {string} purchase.billType     airtime | data | electricity | tv_subscription
+     * @param {number} purchase.amount       face value in kobo (what VTPass is paid);
+     *                                       the debit is this after pricing rules
+     * @param {string} purchase.description  wallet transaction description
+     * @param {object} purchase.payload      VTPass /pay body (amount in naira)
+     * @param {object} [purchase.metadata]   extra wallet transaction metadata
+     * @returns {Promise<{ status: 'completed'|'pending'|'failed', requestId, transactionId, result, pricing }>}
+     *   Insufficient balance, KYC limits and wallet locks throw before
+     *   anything is debited.
+     */
+    async purchase(userId, { billType, amount: faceAmount, description, payload, metadata = {} }) {
+        const pricing = await billPricingService.quote(billType, payload.serviceID, faceAmount);
+        const amount = pricing.charge;
+        const requestId = vtpassService.generateRequestId();
+        const walletTransactionId = `bill_${requestId}`;
+        const ref = this._ref(requestId);
+        const now = Date.now();
+
+        // Written first so a crash after the debit still leaves a trail the
+        // sweep can settle
+        await ref.set({
+            requestId,
+            userId,
+            walletTransactionId,
+            billType,
+            serviceID: payload.serviceID,
+            amount,
+            faceAmount,
+            margin: pricing.margin,
+            pricingRuleId: pricing.rule?.id || null,
+            description,
+            details: metadata,
+            payload,
+            status: 'processing',
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now,
+            nextCheckAt: now + STUCK_AFTER_MS
+        });
+
+        try {
+            await walletService.debitWallet(userId, amount, description, {
+                ...metadata,
+                type: 'bill_payment',
+                billType,
+                status: 'processing',
+                reference: walletTransactionId,
+                vtpassRequestId: requestId,
+                faceAmount,
+                platformMargin: pricing.margin,
+                pricingRule: pricing.rule
+            });
+        } catch (error) {
+            // A commit can succeed even when debitWallet throws afterwards —
+            // only drop the bill once we know nothing was taken. If we can't
+            // tell, the sweep sorts it out.
+            const debited = await this._walletTxnRef({ userId, walletTransactionId }).get()
+                .then(snap => snap.exists)
+                .catch(() => null);
+            if (debited !== true) {
+                if (debited === false) await ref.delete().catch(() => {});
+                throw error;
+            }
+        }
+
+        return this._send(requestId, payload, { transactionId: walletTransactionId, pricing });
+    }
+
+    /**
+     * Pay VTPass for a bill that's already debited, and settle it as far as
+     * the answer allows. `outcome` is merged into the returned result.
+     */
+    async _send(requestId, payload, outcome) {
+        let result;
+        try {
+            result = await vtpassService.pay(payload, requestId);
+        } catch (error) {
+            if (!error.vtpass) {
+                // Not a VTPass answer — we can't tell whether value was given
+                console.error(`[Bills] ${requestId} pay error, leaving pending:`, error.message);
+                await this._markPending(requestId, null);
+                return { status: 'pending', requestId, ...outcome, result: null };
+            }
+            await this._fail(requestId, error.vtpass.description || 'Provider error', error.vtpass);
+            return { status: 'failed', requestId, ...outcome, result: error.vtpass };
+        }
+
+        if (result.status === 'delivered') {
+            const { bill, alreadySettled } = await this._complete(requestId, result);
+            if (!alreadySettled && this._hasDelivery(bill)) {
+                setImmediate(() => this._deliver(bill));
+            }
+            return { status: 'completed', requestId, ...outcome, result };
+        }
+
+        await this._markPending(requestId, result);
+        return { status: 'pending', requestId, ...outcome, result };
+    }
+
+    /**
+     * Several purchases paid for with one wallet debit (bulk airtime / data).
+     * Every item is priced and written as its own bill first, the total is
+     * debited once, then VTPass is paid BATCH_CONCURRENCY items at a time.
+     * Failed items are refunded one by one; pending ones are left to the sweep.
+     *
+     * @param {string} userId
+     * @param {object} batch
+     * @param {string} batch.batchId
+     * @param {string} batch.billType
+     * @param {string} batch.description   wallet transaction description
+     * @param {Array<{ amount, description, payload, metadata }>} batch.items
+     *   as for purchase(); `amount` is face value in kobo
+     * @returns {Promise<{ transactionId, charge, faceAmount, margin, results: Array }>}
+     *   `results` in item order, each shaped like purchase()'s. Insufficient
+     *   balance, KYC limits and wallet locks throw before anything is debited.
+     */
+    async purchaseBatch(userId, { batchId, billType, description, items }) {
+        const walletTransactionId = `bulk_${batchId}`;
+        const now = Date.now();
+
+        const bills = [];
+        for (const [index, item] of items.entries()) {
+            const pricing = await billPricingService.quote(billType, item.payload.serviceID, item.amount);
+            bills.push({ requestId: vtpassService.generateRequestId(), item, pricing, row: index + 1 });
+        }
+        const charge = bills.reduce((sum, b) => sum + b.pricing.charge, 0);
+        const faceAmount = bills.reduce((sum, b) => sum + b.pricing.faceAmount, 0);
+        const margin = bills.reduce((sum, b) => sum + b.pricing.margin, 0);
+
+        const batchWrite = db.batch();
+        for (const { requestId, item, pricing, row } of bills) {
+            batchWrite.set(this._ref(requestId), {
+                requestId,
+                userId,
+                walletTransactionId,
+                batchId,
+                batchRow: row,
+                billType,
+                serviceID: item.payload.serviceID,
+                amount: pricing.charge,
+                faceAmount: pricing.faceAmount,
+                margin: pricing.margin,
+                pricingRuleId: pricing.rule?.id || null,
+                description: item.description,
+                details: item.metadata || {},
+                payload: item.payload,
+                status: 'processing',
+                attempts: 0,
+                createdAt: now,
+                updatedAt: now,
+                nextCheckAt: now + STUCK_AFTER_MS
+            });
+        }
+        await batchWrite.commit();
+
+        try {
+            await walletService.debitWallet(userId, charge, description, {
+                type: 'bill_payment',
+                billType,
+                status: 'processing',
+                reference: walletTransactionId,
+                batchId,
+                rows: bills.length,
+                faceAmount,
+                platformMargin: margin
+            });
+        } catch (error) {
+            // Same reasoning as purchase(): only drop the bills once we know
+            // nothing was taken
+            const debited = await this._walletTxnRef({ userId, walletTransactionId }).get()
+                .then(snap => snap.exists)
+                .catch(() => null);
+            if (debited !== true) {
+                if (debited === false) {
+                    const cleanup = db.batch();
+                    bills.forEach(({ requestId }) => cleanup.delete(this._ref(requestId)));
+                    await cleanup.commit().catch(() => {});
+                }
+                throw error;
+            }
+        }
+
+        const results = await mapWithLimit(bills, BATCH_CONCURRENCY, async ({ requestId, item, pricing }) => {
+            const outcome = { transactionId: walletTransactionId, pricing };
+            try {
+                return await this._send(requestId, item.payload, outcome);
+            } catch (error) {
+                // Settlement itself broke; the bill is still open and the sweep finishes it
+                console.error(`[Bills] ${requestId} batch item error:`, error.message);
+                return { status: 'pending', requestId, ...outcome, result: null };
+            }
+        });
+
+        const count = (status) => results.filter(r => r.status === status).length;
+        await this._walletTxnRef({ userId, walletTransactionId }).update({
+            status: 'completed',
+            'metadata.results': { completed: count('completed'), pending: count('pending'), failed: count('failed') },
+            'metadata.completedAt': Date.now()
+        }).catch(err => console.warn(`[Bills] ${walletTransactionId} status update failed:`, err.message));
+
+        return { transactionId: walletTransactionId, charge, faceAmount, margin, results };
+    }
+
+    // ─── Settlement ───────────────────────────────────────────────────────────
+
+    async _markPending(requestId, result) {
+        const ref = this._ref(requestId);
+        await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(ref);
+            const bill = snap.data();
+            if (!snap.exists || bill.status !== 'processing') return;
+
+            const now = Date.now();
+            transaction.update(ref, {
+                status: 'pending',
+                vtpassResponse: result,
+                updatedAt: now,
+                nextCheckAt: now + REQUERY_BACKOFF_MS[0]
+            });
+            if (!bill.batchId) {
+                transaction.update(this._walletTxnRef(bill), {
+                    status: 'pending',
+                    'metadata.vtpassResponse': result
+                });
+            }
+        });
+    }
+
+    /**
+     * @returns {Promise<{ bill: object, alreadySettled: boolean }>}
+     */
+    async _complete(requestId, result) {
+        const ref = this._ref(requestId);
+        return db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(ref);
+            const bill = snap.data();
+            if (FINAL_STATUSES.includes(bill.status) || bill.status === 'refunding') {
+                return { bill, alreadySettled: true };
+            }
+
+            const now = Date.now();
+            const deliverables = this._deliverables(bill.billType, result);
+            const fields = {
+                status: 'completed',
+                vtpassResponse: result,
+                vtpassTransactionId: result.transactionId,
+                ...deliverables,
+                completedAt: now,
+                updatedAt: now,
+                nextCheckAt: null
+            };
+            transaction.update(ref, fields);
+            if (!bill.batchId) {
+                transaction.update(this._walletTxnRef(bill), {
+                    status: 'completed',
+                    ...deliverables,
+                    'metadata.vtpassResponse': result,
+                    'metadata.completedAt': now
+                });
+            }
+            return { bill: { ...bill, ...fields }, alreadySettled: false };
+        });
+    }
+
+    /**
+     * What the user has to keep from a delivered purchase: a prepaid token
+     * and units, exam PINs, or an insurance certificate link. Postpaid
+     * meters, airtime, data and TV have nothing.
+     */
+    _deliverables(billType, result) {
+        const fields = {};
+        if (billType === 'electricity') {
+            if (result.token) fields.token = result.token;
+            if (result.units) fields.units = String(result.units);
+        } else if (billType === 'education') {
+            if (result.pins?.length) fields.pins = result.pins;
+        } else if (billType === 'insurance') {
+            if (result.certificateUrl) fields.certificateUrl = result.certificateUrl;
+        }
+        return fields;
+    }
+
+    /**
+     * Refund a failed purchase. The bill is claimed as `refunding` first so
+     * a crash between the claim and the credit is finished by the sweep;
+     * creditWallet is idempotent on the refund reference.
+     *
+     * @returns {Promise<{ bill: object, alreadySettled: boolean }>}
+     */
+    async _fail(requestId, reason, result = null) {
+        const ref = this._ref(requestId);
+
+        const claim = await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(ref);
+            const bill = snap.data();
+            if (FINAL_STATUSES.includes(bill.status)) return { bill, alreadySettled: true };
+
+            const debitSnap = await transaction.get(this._walletTxnRef(bill));
+            const now = Date.now();
+
+            if (!debitSnap.exists) {
+                const fields = { status: 'cancelled', failReason: reason, updatedAt: now, nextCheckAt: null };
+                transaction.update(ref, fields);
+                return { bill: { ...bill, ...fields }, alreadySettled: false, charged: false };
+            }
+
+            const fields = {
+                status: 'refunding',
+                failReason: bill.failReason || reason,
+                updatedAt: now,
+                nextCheckAt: now + REQUERY_BACKOFF_MS[0],
+                ...(result && { vtpassResponse: result })
+            };
+            transaction.update(ref, fields);
+            return { bill: { ...bill, ...fields }, alreadySettled: false, charged: true };
+        });
+
+        if (claim.alreadySettled || !claim.charged) return claim;
+
+        const { bill } = claim;
+        const refundReference = bill.batchId ? `refund_bill_${requestId}` : `refund_${bill.walletTransactionId}`;
+        const refundSnap = await db.collection('wallets').doc(bill.userId)
+            .collection('transactions').doc(refundReference).get();
+
+        if (!refundSnap.exists) {
+            await walletService.creditWallet(bill.userId, bill.amount, refundReference, {
+                type: 'bill_refund',
+                description: `Refund - ${bill.description}`,
+                originalTransaction: bill.walletTransactionId,
+                reason: bill.failReason,
+                originalBillType: bill.billType,
+                vtpassRequestId: requestId,
+                // A batch debit carries the whole batch's margin; only this row's comes back
+                ...(bill.batchId && { platformMargin: bill.margin || 0 })
+            });
+        }
+
+        const now = Date.now();
+        const fields = {
+            status: 'failed',
+            refunded: true,
+            refundReference,
+            failedAt: now,
+            updatedAt: now,
+            nextCheckAt: null
+        };
+        await db.runTransaction(async (transaction) => {
+            transaction.update(ref, fields);
+            if (!bill.batchId) {
+                transaction.update(this._walletTxnRef(bill), {
+                    status: 'failed',
+                    refunded: true,
+                    failedAt: now,
+                    error: bill.failReason
+                });
+            }
+        });
+
+        console.log(`↩️ Bill ${requestId} failed, ${formatNaira(bill.amount)} refunded to ${bill.userId}`);
+        return { bill: { ...bill, ...fields }, alreadySettled: false };
+    }
+
+    // ─── Requery ──────────────────────────────────────────────────────────────
+
+    /**
+     * Ask VTPass about one open bill and settle it if the answer is final.
+     * @returns {Promise<{ status: string, settled: boolean }>}
+     */
+    async checkBill(docSnap) {
+        const bill = docSnap.data();
+        const requestId = docSnap.id;
+        let settlement = null;
+
+        if (bill.status === 'refunding') {
+            settlement = await this._fail(requestId, bill.failReason);
+        } else {
+            let result;
+            try {
+                result = await vtpassService.requery(requestId);
+            } catch (error) {
+                await this._reschedule(docSnap, error.message);
+                return { status: bill.status, settled: false };
+            }
+
+            if (result.notFound && Date.now() - bill.createdAt < NOT_FOUND_GRACE_MS) {
+                await this._reschedule(docSnap, 'Not yet visible at VTPass');
+                return { status: bill.status, settled: false };
+            }
+
+            if (result.status === 'delivered') {
+                settlement = await this._complete(requestId, result);
+            } else if (result.status === 'failed') {
+                const reason = result.notFound
+                    ? 'VTPass has no record of this purchase'
+                    : result.description || 'Provider error';
+                settlement = await this._fail(requestId, reason, result);
+            } else {
+                await this._reschedule(docSnap, `Still ${result.description || 'pending'}`, result);
+                return { status: bill.status, settled: false };
+            }
+        }
+
+        if (!settlement.alreadySettled) await this.notifyOutcome(settlement.bill);
+        return { status: settlement.bill.status, settled: !settlement.alreadySettled };
+    }
+
+    async _reschedule(docSnap, detail, result = undefined) {
+        const bill = docSnap.data();
+        const attempts = (bill.attempts || 0) + 1;
+        const delay = REQUERY_BACKOFF_MS[Math.min(attempts, REQUERY_BACKOFF_MS.length - 1)];
+        const now = Date.now();
+
+        const fields = {
+            attempts,
+            lastCheckedAt: now,
+            lastCheckDetail: detail,
+            updatedAt: now,
+            nextCheckAt: now + delay,
+            ...(result !== undefined && { vtpassResponse: result })
+        };
+
+        if (!bill.stuckAlertedAt && now - bill.createdAt > ALERT_AFTER_MS) {
+            await firebaseService.broadcastAdminAlert(
+                'BILL_STUCK',
+                `Bill ${docSnap.id} (${BILL_LABELS[bill.billType] || bill.billType}, ${formatNaira(bill.amount)}) unresolved for over 24h: ${detail}`,
+                'high',
+                bill.userId
+            );
+            fields.stuckAlertedAt = now;
+        }
+        await docSnap.ref.update(fields);
+    }
+
+    /**
+     * Cron entry point: every open bill whose next check is due.
+     */
+    async sweepPending() {
+        const snap = await db.collection('billTransactions')
+            .where('status', 'in', OPEN_STATUSES)
+            .where('nextCheckAt', '<=', Date.now())
+            .orderBy('nextCheckAt', 'asc')
+            .limit(SWEEP_BATCH_SIZE)
+            .get();
+
+        const summary = { checked: 0, completed: 0, refunded: 0, pending: 0, errors: 0 };
+
+        for (const doc of snap.docs) {
+            summary.checked++;
+            try {
+                const { status, settled } = await this.checkBill(doc);
+                if (!settled) summary.pending++;
+                else if (status === 'completed') summary.completed++;
+                else summary.refunded++;
+            } catch (err) {
+                summary.errors++;
+                console.error(`[Bills] ${doc.id} check failed:`, err.message);
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Re-check one bill now (admin). Final bills are returned as they are.
+     */
+    async requeryNow(requestId) {
+        const snap = await this._ref(requestId).get();
+        if (!snap.exists) throw new Error('BILL: Bill transaction not found');
+        if (FINAL_STATUSES.includes(snap.data().status)) {
+            return { status: snap.data().status, settled: false };
+        }
+        return this.checkBill(snap);
+    }
+
+    async notifyOutcome(bill) {
+        if (bill.status === 'completed' && this._hasDelivery(bill)) return this._deliver(bill);
+
+        const label = BILL_LABELS[bill.billType] || 'Bill payment';
+        const data = {
+            screen: 'ProfileTab',
+            params: { screen: 'Transactions' },
+            type: 'bill_payment',
+            reference: bill.walletTransactionId
+        };
+        try {
+            if (bill.status === 'completed') {
+                await pushNotificationService.sendPushToUser(
+                    bill.userId,
+                    `✅ ${label} Successful`,
+                    `Your ${label.toLowerCase()} purchase of ${formatNaira(bill.amount)} has been completed.`,
+                    data
+                );
+            } else if (bill.status === 'failed') {
+                await pushNotificationService.sendPushToUser(
+                    bill.userId,
+                    `↩️ ${label} Failed`,
+                    `Your ${label.toLowerCase()} purchase could not be completed. ${formatNaira(bill.amount)} has been returned to your wallet.`,
+                    data
+                );
+            }
+        } catch (err) {
+            console.warn('[Bills] Push notification failed:', err.message);
+        }
+    }
+
+    _hasDelivery(bill) {
+        return !!(bill.token || bill.pins?.length);
+    }
+
+    /**
+     * Push and email an electricity token or exam PINs. Never throws — the
+     * purchase is already settled, and the receipt has them either way.
+     */
+    async _deliver(bill) {
+        const details = bill.details || {};
+        let title;
+        let body;
+        let sendEmail;
+
+        if (bill.token) {
+            const unitsText = bill.units ? `, units: ${bill.units}` : '';
+            title = '⚡ Electricity Token';
+            body = `Token: ${bill.token}${unitsText} for meter ${details.meterNumber || ''} — ${formatNaira(bill.amount)}.`;
+            sendEmail = (user) => emailService.sendElectricityToken(user.email, user.name, {
+                amount: bill.amount,
+                token: bill.token,
+                units: bill.units,
+                provider: details.provider || bill.serviceID,
+                meterNumber: details.meterNumber,
+                reference: bill.walletTransactionId
+            });
+        } else {
+            const exam = EDUCATION_SERVICES[bill.serviceID] || bill.serviceID.toUpperCase();
+            const [first] = bill.pins;
+            title = `🎓 ${exam} PIN${bill.pins.length > 1 ? 's' : ''} Ready`;
+            body = bill.pins.length === 1
+                ? `PIN: ${first.pin}${first.serial ? ` (serial ${first.serial})` : ''}.`
+                : `Your ${bill.pins.length} ${exam} PINs are ready — they're in your email and on the receipt.`;
+            sendEmail = (user) => emailService.sendExamPins(user.email, user.name, {
+                amount: bill.amount,
+                exam,
+                pins: bill.pins,
+                reference: bill.walletTransactionId
+            });
+        }
+
+        const results = await Promise.allSettled([
+            pushNotificationService.sendPushToUser(bill.userId, title, body, {
+                screen: 'ProfileTab',
+                params: { screen: 'Transactions' },
+                type: 'bill_payment',
+                reference: bill.walletTransactionId
+            }),
+            db.collection('users').doc(bill.userId).get().then((snap) => {
+                const user = snap.data() || {};
+                return user.email ? sendEmail(user) : null;
+            })
+        ]);
+        results
+            .filter(r => r.status === 'rejected')
+            .forEach(r => console.warn('[Bills] Delivery failed:', r.reason?.message));
+    }
+
+    // ─── Phone numbers ────────────────────────────────────────────────────────
+
+    /**
+     * Normalised number and the network to send it to: a confirmed port
+     * (portedNumbers/{phone}) when there is one, otherwise the prefix's.
+     * Null for anything that isn't a Nigerian mobile number.
+     *
+     * @returns {Promise<{ phone, detectedNetwork, portedTo, network } | null>}
+     */
+    async lookupPhone(input) {
+        const phone = normalizePhone(input);
+        if (!phone) return null;
+
+        const detectedNetwork = detectNetwork(phone);
+        const portedSnap = await db.collection('portedNumbers').doc(phone).get().catch(() => null);
+        const portedTo = portedSnap?.exists ? portedSnap.data().network : null;
+        return { phone, detectedNetwork, portedTo, network: portedTo || detectedNetwork };
+    }
+
+    /**
+     * Record that `phone` is on `network` despite its prefix. Only called
+     * after VTPass delivered to it — a wrong network fails at the provider,
+     * so a delivery is proof.
+     */
+    async rememberPortedNumber(phone, network, userId) {
+        if (detectNetwork(phone) === network) return;
+        try {
+            await db.collection('portedNumbers').doc(phone).set({
+                phone,
+                network,
+                confirmedBy: userId,
+                updatedAt: Date.now()
+            });
+        } catch (err) {
+            console.warn(`[Bills] Could not record ported number ${phone}:`, err.message);
+        }
+    }
+
+    // ─── Customer verification ────────────────────────────────────────────────
+
+    /**
+     * Meter owner, as shown before an electricity purchase.
+     * Throws with VTPass's message when the meter is unknown.
+     */
+    async verifyMeter({ provider, meterNumber, meterType }) {
+        const result = await vtpassService.verifyMeterNumber({
+            serviceID: provider,
+            billersCode: meterNumber,
+            type: meterType
+        });
+        return {
+            customerName: result.Customer_Name || null,
+            address: result.Address || null
+        };
+    }
+
+    /**
+     * DStv / GOtv / StarTimes account holder for a smartcard (IUC) number.
+     */
+    async verifySmartCard({ provider, smartCardNumber }) {
+        const result = await vtpassService.verifySmartCard(provider, smartCardNumber);
+        return {
+            customerName: result.Customer_Name || result.customer_name || null,
+            currentBouquet: result.Current_Bouquet || null,
+            dueDate: result.Due_Date || null
+        };
+    }
+
+    /**
+     * Candidate name for a JAMB profile ID, checked before a JAMB PIN is sold.
+     */
+    async verifyJambProfile({ profileId, variation_code }) {
+        const result = await vtpassService.verifyJambProfile(profileId, variation_code);
+        return { customerName: result.Customer_Name || null };
+    }
+
+    /**
+     * Naira price of a fixed-price variation (exam PIN, insurance cover),
+     * from VTPass's own list, so the client never sets the amount.
+     */
+    async variationPrice(serviceID, variationCode) {
+        const variations = await vtpassService.getVariations(serviceID);
+        const variation = variations.find(v => v.variation_code === variationCode);
+        if (!variation || !(variation.amount > 0)) {
+            throw new Error(`BILL: Unknown variation ${variationCode} for ${serviceID}`);
+        }
+        return { amount: variation.amount, name: variation.name };
+    }
+
+    // ─── Reads ────────────────────────────────────────────────────────────────
+
+    /**
+     * Open bills, oldest first. Amounts are kobo.
+     */
+    async listUnresolved({ status, billType, limit = 50 } = {}) {
+        let query = db.collection('billTransactions')
+            .where('status', 'in', status && OPEN_STATUSES.includes(status) ? [status] : OPEN_STATUSES);
+        if (billType) query = query.where('billType', '==', billType);
+
+        const snap = await query.orderBy('createdAt', 'asc').limit(Math.min(limit, 100)).get();
+        return snap.docs.map((doc) => {
+            const { payload, vtpassResponse, ...summary } = doc.data();
+            return summary;
+        });
+    }
+
+    async get(requestId) {
+        const snap = await this._ref(requestId).get();
+        return snap.exists ? snap.data() : null;
+    }
+
+    /**
+     * Receipt for one of the user's bill purchases, by wallet transaction
+     * reference (bill_…) or VTPass request id. Amount is naira; `lines` is
+     * the display order for the app. Null when it isn't this user's.
+     */
+    async getReceipt(userId, reference) {
+        const requestId = String(reference).replace(/^bill_/, '');
+        const bill = await this.get(requestId);
+        if (!bill || bill.userId !== userId) return null;
+
+        // Bills from before `details` was stored keep them on the wallet transaction
+        let details = bill.details;
+        if (!details) {
+            const txnSnap = await this._walletTxnRef(bill).get();
+            details = txnSnap.exists ? txnSnap.data().metadata || {} : {};
+        }
+
+        const response = bill.vtpassResponse || {};
+        const token = bill.token || (bill.billType === 'electricity' && bill.status === 'completed' ? response.token : null);
+        const units = bill.units || (token ? response.units : null) || null;
+
+        const receipt = {
+            reference: bill.walletTransactionId,
+            requestId,
+            billType: bill.billType,
+            title: BILL_LABELS[bill.billType] || 'Bill payment',
+            status: bill.status,
+            amount: toNaira(bill.amount),
+            faceAmount: toNaira(bill.faceAmount ?? bill.amount),
+            description: bill.description,
+            vtpassTransactionId: bill.vtpassTransactionId || null,
+            productName: response.productName || null,
+            createdAt: bill.createdAt,
+            completedAt: bill.completedAt || null,
+            ...(bill.status === 'failed' && { refunded: !!bill.refunded, failReason: bill.failReason || null })
+        };
+
+        let lines;
+        switch (bill.billType) {
+            case 'airtime':
+                Object.assign(receipt, { network: details.network, phone: details.phone });
+                lines = [['Network', details.network], ['Phone number', details.phone]];
+                break;
+            case 'data':
+                Object.assign(receipt, { network: details.network, phone: details.phone, plan: details.plan || null });
+                lines = [['Network', details.network], ['Phone number', details.phone], ['Plan', details.plan]];
+                break;
+            case 'electricity':
+                Object.assign(receipt, {
+                    provider: details.provider,
+                    meterNumber: details.meterNumber,
+                    meterType: details.meterType,
+                    customerName: response.customerName || null,
+                    token: token || null,
+                    units
+                });
+                lines = [
+                    ['Provider', details.provider?.toUpperCase()],
+                    ['Meter number', details.meterNumber],
+                    ['Meter type', details.meterType],
+                    ['Customer', response.customerName],
+                    ['Token', token],
+                    ['Units', units]
+                ];
+                break;
+            case 'tv_subscription':
+                Object.assign(receipt, {
+                    provider: details.provider,
+                    smartCardNumber: details.smartCardNumber,
+                    package: details.package,
+                    customerName: response.customerName || null
+                });
+                lines = [
+                    ['Provider', details.provider?.toUpperCase()],
+                    ['Smartcard number', details.smartCardNumber],
+                    ['Package', response.productName || details.package],
+                    ['Customer', response.customerName]
+                ];
+                break;
+            case 'education': {
+                const pins = bill.pins || (bill.status === 'completed' ? response.pins : null) || [];
+                Object.assign(receipt, {
+                    exam: EDUCATION_SERVICES[details.service] || details.service,
+                    variation: details.variation_code,
+                    quantity: details.quantity || 1,
+                    profileId: details.profileId || null,
+                    candidateName: response.customerName || null,
+                    pins
+                });
+                lines = [
+                    ['Exam', receipt.exam],
+                    ['Product', response.productName || details.variation_code],
+                    ['Quantity', details.quantity],
+                    ['JAMB profile ID', details.profileId],
+                    ...pins.map((p, i) => [
+                        pins.length > 1 ? `PIN ${i + 1}` : 'PIN',
+                        p.serial ? `${p.pin} (serial ${p.serial})` : p.pin
+                    ])
+                ];
+                break;
+            }
+            case 'insurance': {
+                const certificateUrl = bill.certificateUrl || (bill.status === 'completed' ? response.certificateUrl : null) || null;
+                Object.assign(receipt, {
+                    plateNumber: details.plateNumber,
+                    insuredName: details.insuredName,
+                    vehicle: [details.vehicleMake, details.vehicleModel, details.yearOfMake].filter(Boolean).join(' '),
+                    cover: details.variation_code,
+                    certificateUrl
+                });
+                lines = [
+                    ['Plate number', details.plateNumber],
+                    ['Insured name', details.insuredName],
+                    ['Vehicle', receipt.vehicle],
+                    ['Cover', response.productName || details.variation_code],
+                    ['Certificate', certificateUrl]
+                ];
+                break;
+            }
+            default:
+                lines = [];
+        }
+
+        const margin = bill.margin || 0;
+        receipt.lines = [
+            ...lines,
+            ...(margin ? [
+                ['Value', formatNaira(bill.faceAmount)],
+                margin > 0 ? ['Service fee', formatNaira(margin)] : ['Discount', formatNaira(-margin)]
+            ] : []),
+            ['Amount', formatNaira(bill.amount)],
+            ['Status', bill.status],
+            ['Reference', bill.walletTransactionId],
+            ['Provider reference', bill.vtpassTransactionId]
+        ]
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([label, value]) => ({ label, value: String(value) }));
+
+        return receipt;
+    }
+}
+
+module.exports = new BillService();
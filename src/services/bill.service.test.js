@@ -0,0 +1,239 @@
+'use strict';
+
+// Runs against the fake VTPass (scripts/fake-providers) over HTTP.
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const http = require('http');
+const request = require('supertest');
+const firebase = require('../config/firebase');
+const emailService = require('./email.service');
+
+const FACE = 50_000; // ₦500 airtime
+
+let fakeApp;
+let fakeServer;
+let billService;
+let walletService;
+let ledgerService;
+let kycService;
+let pushNotificationService;
+
+const scenario = (operation, mode) =>
+    request(fakeApp).post('/__control/scenario').send({ operation, mode }).expect(200);
+
+const settleAtVtpass = (requestId, status) =>
+    request(fakeApp).post(`/__control/vtpass/transactions/${requestId}`).send({ status }).expect(200);
+
+function buyAirtime() {
+    const purchase = billService.buildPurchase('airtime', { network: 'mtn', phone: '08031234567', amount: FACE / 100 });
+    return billService.purchase('u1', { ...purchase, amount: FACE });
+}
+
+// Move the clock so the next requery is due
+function advanceClock(ms) {
+    const now = Date.now() + ms;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+}
+
+const bill = (requestId) => firebase._read(`billTransactions/${requestId}`);
+const balance = () => firebase._read('wallets/u1').balance;
+
+beforeAll(async () => {
+    Object.assign(process.env, {
+        VTPASS_API_KEY: 'api_test', VTPASS_PUBLIC_KEY: 'pk_test', VTPASS_SECRET_KEY: 'sk_test'
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const { createFakeProviders } = require('../../scripts/fake-providers/server');
+    fakeApp = createFakeProviders();
+    fakeServer = http.createServer(fakeApp);
+    await new Promise(resolve => fakeServer.listen(0, '127.0.0.1', resolve));
+    process.env.VTPASS_BASE_URL = `http://127.0.0.1:${fakeServer.address().port}/vtpass`;
+
+    billService = require('./bill.service');
+    walletService = require('./wallet.service');
+    ledgerService = require('./ledger.service');
+    kycService = require('./kyc.service');
+    pushNotificationService = require('./push-notification.service');
+});
+
+afterAll(async () => {
+    await new Promise(resolve => fakeServer.close(resolve));
+});
+
+beforeEach(async () => {
+    jest.spyOn(pushNotificationService, 'sendPushToUser').mockResolvedValue(true);
+    await request(fakeApp).post('/__control/reset').expect(200);
+
+    firebase._seed('users/u1', { name: 'Ada', email: 'ada@example.com', kycTier: 1 });
+    await walletService.creditWallet('u1', 200_000, 'dep_1', { type: 'deposit' });
+});
+
+describe('bill purchases', () => {
+    it('completes a delivered purchase in the request', async () => {
+        const { status, requestId, transactionId } = await buyAirtime();
+
+        expect(status).toBe('completed');
+        expect(bill(requestId)).toMatchObject({ status: 'completed', amount: FACE, nextCheckAt: null });
+        expect(firebase._read(`wallets/u1/transactions/${transactionId}`).status).toBe('completed');
+        expect(balance()).toBe(150_000);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('refunds a purchase VTPass says failed, and hands back the daily allowance', async () => {
+        await scenario('vtpass.pay', 'failed');
+
+        const { status, requestId } = await buyAirtime();
+
+        expect(status).toBe('failed');
+        expect(bill(requestId)).toMatchObject({ status: 'failed', refunded: true, refundReference: `refund_bill_${requestId}` });
+        expect(balance()).toBe(200_000);
+        expect((await kycService.getSummary('u1')).usedToday).toBe(0);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('refuses a purchase the wallet cannot cover without leaving a bill behind', async () => {
+        await walletService.debitWallet('u1', 180_000, 'Spend', { reference: 'spend_1' });
+
+        await expect(buyAirtime()).rejects.toThrow('Insufficient balance');
+        expect(firebase._list('billTransactions')).toHaveLength(0);
+    });
+});
+
+describe('pending bills', () => {
+    it('keeps the debit while pending and completes on a later requery', async () => {
+        await scenario('vtpass.pay', 'pending');
+        const { status, requestId } = await buyAirtime();
+        expect(status).toBe('pending');
+
+        expect(await billService.sweepPending()).toMatchObject({ checked: 0 });
+
+        advanceClock(2 * 60 * 1000);
+        expect(await billService.sweepPending()).toMatchObject({ checked: 1, pending: 1 });
+        expect(bill(requestId)).toMatchObject({ status: 'pending', attempts: 1 });
+
+        await settleAtVtpass(requestId, 'delivered');
+        advanceClock(5 * 60 * 1000);
+        expect(await billService.sweepPending()).toMatchObject({ checked: 1, completed: 1 });
+
+        expect(bill(requestId).status).toBe('completed');
+        expect(balance()).toBe(150_000);
+        expect(pushNotificationService.sendPushToUser).toHaveBeenCalledWith(
+            'u1', '✅ Airtime Successful', expect.any(String), expect.any(Object)
+        );
+    });
+
+    it('refunds once when the requery says it failed', async () => {
+        await scenario('vtpass.pay', 'pending');
+        const { requestId } = await buyAirtime();
+        await settleAtVtpass(requestId, 'failed');
+
+        advanceClock(2 * 60 * 1000);
+        expect(await billService.sweepPending()).toMatchObject({ checked: 1, refunded: 1 });
+        advanceClock(60 * 60 * 1000);
+        expect(await billService.sweepPending()).toMatchObject({ checked: 0 });
+
+        expect(bill(requestId).status).toBe('failed');
+        expect(balance()).toBe(200_000);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('waits out the grace period before refunding a request VTPass never saw', async () => {
+        await scenario('vtpass.pay', 'error');
+        const { status, requestId } = await buyAirtime();
+        expect(status).toBe('pending');
+
+        advanceClock(2 * 60 * 1000);
+        await billService.sweepPending();
+        expect(bill(requestId)).toMatchObject({ status: 'pending', lastCheckDetail: 'Not yet visible at VTPass' });
+        expect(balance()).toBe(150_000);
+
+        advanceClock(10 * 60 * 1000);
+        await billService.sweepPending();
+        expect(bill(requestId)).toMatchObject({ status: 'failed', failReason: 'VTPass has no record of this purchase' });
+        expect(balance()).toBe(200_000);
+    });
+
+    it('cancels a bill whose debit never happened', async () => {
+        firebase._seed('billTransactions/req_crashed', {
+            requestId: 'req_crashed', userId: 'u1', walletTransactionId: 'bill_req_crashed', billType: 'airtime',
+            serviceID: 'mtn', amount: FACE, status: 'processing', attempts: 0,
+            createdAt: Date.now() - 20 * 60 * 1000, nextCheckAt: Date.now() - 1
+        });
+
+        expect(await billService.sweepPending()).toMatchObject({ checked: 1 });
+
+        expect(bill('req_crashed').status).toBe('cancelled');
+        expect(balance()).toBe(200_000);
+    });
+
+    it('lists open bills for admins without the provider payloads', async () => {
+        await scenario('vtpass.pay', 'pending');
+        const { requestId } = await buyAirtime();
+        await buyAirtime();
+
+        const unresolved = await billService.listUnresolved({ status: 'pending' });
+
+        expect(unresolved.map(b => b.requestId)).toContain(requestId);
+        expect(unresolved).toHaveLength(1);
+        expect(unresolved[0].payload).toBeUndefined();
+    });
+});
+
+describe('exam PINs', () => {
+    function buyWaec(quantity) {
+        const purchase = billService.buildPurchase('education', {
+            service: 'waec', variation_code: 'waecdirect', quantity, phone: '08031234567', amount: 3900 * quantity
+        });
+        return billService.purchase('u1', { ...purchase, amount: 390_000 * quantity });
+    }
+
+    beforeEach(async () => {
+        await walletService.creditWallet('u1', 800_000, 'dep_2', { type: 'deposit' });
+    });
+
+    it('stores the PINs on the bill and the receipt, and sends them', async () => {
+        const { status, requestId, transactionId } = await buyWaec(2);
+        await new Promise(resolve => setImmediate(resolve)); // delivery runs after the response
+
+        expect(status).toBe('completed');
+        expect(bill(requestId).pins).toHaveLength(2);
+        expect(firebase._read(`wallets/u1/transactions/${transactionId}`).pins).toEqual(bill(requestId).pins);
+        expect(balance()).toBe(220_000);
+        expect(emailService.sendExamPins).toHaveBeenCalledWith(
+            'ada@example.com', 'Ada', expect.objectContaining({ exam: 'WAEC', pins: bill(requestId).pins })
+        );
+    });
+
+    it('refunds a PIN purchase that fails', async () => {
+        await scenario('vtpass.pay', 'failed');
+
+        const { status, requestId } = await buyWaec(1);
+
+        expect(status).toBe('failed');
+        expect(bill(requestId).pins).toBeUndefined();
+        expect(balance()).toBe(1_000_000);
+    });
+});
+
+describe('ported numbers', () => {
+    it('sends to the network a delivery proved, not the prefix', async () => {
+        expect(await billService.lookupPhone('+234 805 123 4567')).toEqual({
+            phone: '08051234567', detectedNetwork: 'glo', portedTo: null, network: 'glo'
+        });
+
+        await billService.rememberPortedNumber('08051234567', 'mtn', 'u1');
+
+        expect(await billService.lookupPhone('08051234567')).toMatchObject({ detectedNetwork: 'glo', portedTo: 'mtn', network: 'mtn' });
+    });
+
+    it('records nothing when the number is on its own network', async () => {
+        await billService.rememberPortedNumber('08031234567', 'mtn', 'u1');
+
+        expect(firebase._list('portedNumbers')).toHaveLength(0);
+        expect(await billService.lookupPhone('not a phone')).toBeNull();
+    });
+});
@@ -0,0 +1,271 @@
+'use strict';
+
+// ─── bulk-bill.service.js ─────────────────────────────────────────────────────
+// Airtime or data for a whole list of numbers in one go (staff airtime,
+// customer rewards).
+//
+//   billBatches/{batchId}                 the batch: totals and outcome counts
+//   billTransactions/{requestId}          one bill per row, with batchId / batchRow
+//
+// Every row is checked before anything is bought — one bad row rejects the
+// whole list with a per-row error report. The money side is
+// billService.purchaseBatch(): one wallet debit for the total, then each row
+// bought, refunded or left for the requery sweep on its own. The report is
+// read back from the row bills, so rows the sweep settles later show up in it.
+//
+// Row amounts arrive as naira (as typed in the upload) and are kobo from
+// there on. Data rows are priced from the VTPass plan list — any amount sent
+// with them is ignored. Numbers may be in any Nigerian format; a row whose
+// network doesn't match its number is rejected unless its `ported` column
+// is set (true / yes / 1).
+//
+// Needs a composite index on billBatches: userId ASC, createdAt DESC.
+
+const { db } = require('../config/firebase');
+const billService = require('./bill.service');
+const pushNotificationService = require('./push-notification.service');
+const { toKobo, toNaira, formatNaira } = require('../utils/money');
+const { NETWORK_LABELS, normalizePhone, normalizeNetwork } = require('../utils/phone');
+
+const BULK_BILL_TYPES = ['airtime', 'data'];
+const MAX_ROWS = 100;
+const MIN_AIRTIME_AMOUNT = 5000;  // kobo, same as the airtime route
+const MAX_DESCRIPTION_LENGTH = 60;
+
+const BILL_LABELS = { airtime: 'airtime', data: 'data' };
+
+const isYes = (value) => value === true || ['true', 'yes', '1'].includes(String(value ?? '').trim().toLowerCase());
+
+class BulkBillService {
+    _ref(batchId) {
+        return db.collection('billBatches').doc(batchId);
+    }
+
+    _public(batch) {
+        const { userId, ...rest } = batch;
+        return rest;
+    }
+
+    /**
+     * Rows from a CSV upload. The first line is the header — column names
+     * are matched case-insensitively (phone, network, amount, variation_code,
+     * ported); unknown columns are ignored. Quoted fields may contain commas.
+     */
+    parseCsv(text) {
+        const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        if (!lines.length) throw new Error('BULK: The file is empty');
+
+        const splitLine = (line) => {
+            const cells = [];
+            let cell = '';
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                const ch = line[i];
+                if (quoted) {
+                    if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+                    else if (ch === '"') quoted = false;
+                    else cell += ch;
+                } else if (ch === '"') quoted = true;
+                else if (ch === ',') { cells.push(cell.trim()); cell = ''; }
+                else cell += ch;
+            }
+            cells.push(cell.trim());
+            return cells;
+        };
+
+        const header = splitLine(lines[0]).map(h => h.toLowerCase().replace(/\s+/g, '_'));
+        if (!header.includes('phone') || !header.includes('network')) {
+            throw new Error('BULK: The first line must be a header with phone, network and amount (or variation_code for data) columns');
+        }
+        return lines.slice(1).map((line) => {
+            const cells = splitLine(line);
+            return Object.fromEntries(header.map((name, i) => [name, cells[i] ?? '']));
+        });
+    }
+
+    /**
+     * Check every row and normalise it. Throws `BULK: Some rows are invalid`
+     * with `error.rows` = [{ row, message }] (row is 1-based) when any fail.
+     *
+     * @returns {Promise<Array<{ row, phone, network, amount, variation_code?, plan? }>>}
+     */
+    async validateRows(billType, rows) {
+        if (!BULK_BILL_TYPES.includes(billType)) {
+            throw new Error(`BULK: billType must be one of ${BULK_BILL_TYPES.join(', ')}`);
+        }
+        if (!Array.isArray(rows) || !rows.length) throw new Error('BULK: No rows to send');
+        if (rows.length > MAX_ROWS) throw new Error(`BULK: A batch can have at most ${MAX_ROWS} rows`);
+
+        const errors = [];
+        const valid = [];
+        const plans = {};   // network → { variation_code → plan }, fetched once per network
+
+        for (const [index, input] of rows.entries()) {
+            const row = index + 1;
+            const fail = (message) => errors.push({ row, message });
+
+            const phone = normalizePhone(input?.phone);
+            const network = normalizeNetwork(input?.network);
+
+            if (!phone) { fail('Invalid phone number'); continue; }
+            if (!network) { fail(`Unknown network ${input?.network ?? ''}`.trim()); continue; }
+
+            const lookup = await billService.lookupPhone(phone);
+            const known = [lookup.portedTo, lookup.detectedNetwork].filter(Boolean);
+            if (known.length && !known.includes(network) && !isYes(input.ported)) {
+                fail(`${phone} looks like ${NETWORK_LABELS[lookup.network]}, not ${NETWORK_LABELS[network]} — set ported if it has moved network`);
+                continue;
+            }
+
+            if (billType === 'airtime') {
+                let amount;
+                try {
+                    amount = toKobo(input.amount);
+                } catch (error) {
+                    fail('Invalid amount');
+                    continue;
+                }
+                if (amount < MIN_AIRTIME_AMOUNT) { fail(`Minimum amount is ${formatNaira(MIN_AIRTIME_AMOUNT)}`); continue; }
+                valid.push({ row, phone, network, amount });
+                continue;
+            }
+
+            const variationCode = String(input?.variation_code ?? '').trim();
+            if (!variationCode) { fail('variation_code is required'); continue; }
+            try {
+                plans[network] ??= {};
+                plans[network][variationCode] ??= await billService.variationPrice(`${network}-data`, variationCode);
+            } catch (error) {
+                fail(error.message.startsWith('BILL:') ? `Unknown data plan ${variationCode}` : 'Could not load data plans');
+                continue;
+            }
+            const plan = plans[network][variationCode];
+            valid.push({ row, phone, network, variation_code: variationCode, plan: plan.name, amount: toKobo(plan.amount) });
+        }
+
+        if (errors.length) {
+            const error = new Error('BULK: Some rows are invalid');
+            error.rows = errors;
+            throw error;
+        }
+        return valid;
+    }
+
+    /**
+     * Validate, debit once and buy every row.
+     *
+     * @returns {Promise<object>} the report, as getReport()
+     */
+    async create(userId, { billType, rows, description }) {
+        const items = await this.validateRows(billType, rows);
+        const label = String(description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH)
+            || `Bulk ${BILL_LABELS[billType]} - ${items.length} recipient${items.length > 1 ? 's' : ''}`;
+
+        const ref = db.collection('billBatches').doc();
+        const batchId = ref.id;
+        const now = Date.now();
+        await ref.set({
+            batchId,
+            userId,
+            billType,
+            description: label,
+            rowCount: items.length,
+            walletTransactionId: `bulk_${batchId}`,
+            status: 'processing',
+            createdAt: now,
+            updatedAt: now
+        });
+
+        let purchase;
+        try {
+            purchase = await billService.purchaseBatch(userId, {
+                batchId,
+                billType,
+                description: label,
+                items: items.map(({ amount, ...fields }) => ({
+                    ...billService.buildPurchase(billType, { ...fields, amount: toNaira(amount) }),
+                    amount
+                }))
+            });
+        } catch (error) {
+            await ref.delete().catch(() => {});
+            throw error;
+        }
+
+        const counts = { completed: 0, pending: 0, failed: 0 };
+        purchase.results.forEach(r => { counts[r.status]++; });
+        const refunded = purchase.results
+            .filter(r => r.status === 'failed')
+            .reduce((sum, r) => sum + r.pricing.charge, 0);
+
+        await ref.update({
+            status: 'completed',
+            totalAmount: purchase.charge,
+            faceAmount: purchase.faceAmount,
+            margin: purchase.margin,
+            counts,
+            refundedAmount: refunded,
+            updatedAt: Date.now()
+        });
+        await this._notify(userId, billType, counts, refunded);
+
+        return this.getReport(userId, batchId);
+    }
+
+    async _notify(userId, billType, counts, refunded) {
+        const total = counts.completed + counts.pending + counts.failed;
+        const parts = [`${counts.completed} of ${total} sent`];
+        if (counts.pending) parts.push(`${counts.pending} still processing`);
+        if (counts.failed) parts.push(`${counts.failed} failed — ${formatNaira(refunded)} returned to your wallet`);
+        try {
+            await pushNotificationService.sendPushToUser(
+                userId,
+                `📤 Bulk ${BILL_LABELS[billType]} done`,
+                `${parts.join(', ')}.`,
+                { screen: 'ProfileTab', params: { screen: 'Transactions' }, type: 'bill_payment' }
+            );
+        } catch (err) {
+            console.warn('[BulkBills] Push notification failed:', err.message);
+        }
+    }
+
+    /**
+     * The batch with one line per row, as the row bills stand now. Amounts
+     * are kobo. Null when the batch isn't this user's.
+     */
+    async getReport(userId, batchId) {
+        const snap = await this._ref(batchId).get();
+        if (!snap.exists || snap.data().userId !== userId) return null;
+
+        const billsSnap = await db.collection('billTransactions').where('batchId', '==', batchId).get();
+        const rows = billsSnap.docs
+            .map(doc => doc.data())
+            .sort((a, b) => a.batchRow - b.batchRow)
+            .map(bill => ({
+                row: bill.batchRow,
+                phone: bill.details?.phone,
+                network: bill.details?.network,
+                ...(bill.billType === 'data' && { plan: bill.details?.plan || null }),
+                amount: bill.amount,
+                faceAmount: bill.faceAmount,
+                status: ['processing', 'pending'].includes(bill.status) ? 'pending' : bill.status,
+                requestId: bill.requestId,
+                ...(bill.status === 'failed' && { refunded: !!bill.refunded, failReason: bill.failReason || null })
+            }));
+
+        const counts = { completed: 0, pending: 0, failed: 0 };
+        rows.forEach((r) => { if (counts[r.status] !== undefined) counts[r.status]++; });
+        return { ...this._public(snap.data()), counts, rows };
+    }
+
+    async list(userId, { limit = 20 } = {}) {
+        const snap = await db.collection('billBatches')
+            .where('userId', '==', userId)
+            .orderBy('createdAt', 'desc')
+            .limit(Math.min(limit, 50))
+            .get();
+        return snap.docs.map(doc => this._public(doc.data()));
+    }
+}
+
+module.exports = new BulkBillService();
@@ -0,0 +1,111 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const bulkBillService = require('./bulk-bill.service');
+const billService = require('./bill.service');
+const walletService = require('./wallet.service');
+const vtpassService = require('./vtpass.service');
+const ledgerService = require('./ledger.service');
+const kycService = require('./kyc.service');
+
+const FAILING_PHONE = '08039999999';
+
+const rows = [
+    { phone: '0803 123 4567', network: 'MTN', amount: '1000' },
+    { phone: '+2348051234567', network: 'glo', amount: 500 },
+    { phone: FAILING_PHONE, network: 'mtn', amount: '200' }
+];
+
+const balance = () => firebase._read('wallets/u1').balance;
+
+beforeEach(async () => {
+    jest.spyOn(vtpassService, 'pay').mockImplementation(async (payload, requestId) => {
+        if (payload.phone === FAILING_PHONE) {
+            const error = new Error('VTPASS: TRANSACTION FAILED');
+            error.vtpass = { status: 'failed', code: '016', description: 'TRANSACTION FAILED' };
+            throw error;
+        }
+        return { status: 'delivered', requestId, code: '000', transactionId: `vt_${requestId}` };
+    });
+
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1 });
+    await walletService.creditWallet('u1', 500_000, 'dep_1', { type: 'deposit' });
+});
+
+describe('bulk airtime', () => {
+    it('debits the total once and refunds only the failed rows', async () => {
+        const report = await bulkBillService.create('u1', { billType: 'airtime', rows });
+
+        expect(report).toMatchObject({ status: 'completed', totalAmount: 170_000, refundedAmount: 20_000 });
+        expect(report.counts).toEqual({ completed: 2, pending: 0, failed: 1 });
+        expect(report.rows.map(r => [r.row, r.phone, r.status])).toEqual([
+            [1, '08031234567', 'completed'],
+            [2, '08051234567', 'completed'],
+            [3, FAILING_PHONE, 'failed']
+        ]);
+
+        const debits = firebase._list('wallets/u1/transactions').filter(t => t.type === 'debit');
+        expect(debits).toEqual([expect.objectContaining({ id: report.walletTransactionId, amount: 170_000 })]);
+        expect(balance()).toBe(350_000);
+        expect((await kycService.getSummary('u1')).usedToday).toBe(150_000);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('rejects the whole list when any row is invalid, before debiting', async () => {
+        const error = await bulkBillService.create('u1', {
+            billType: 'airtime',
+            rows: [
+                { phone: '0803 123 4567', network: 'mtn', amount: 1000 },
+                { phone: '12345', network: 'mtn', amount: 1000 },
+                { phone: '08051234567', network: 'mtn', amount: 1000 },
+                { phone: '08051234567', network: 'mtn', amount: 1000, ported: 'yes' },
+                { phone: '08031234567', network: 'mtn', amount: 49 }
+            ]
+        }).catch(err => err);
+
+        expect(error.message).toBe('BULK: Some rows are invalid');
+        expect(error.rows.map(r => r.row)).toEqual([2, 3, 5]);
+        expect(error.rows[1].message).toContain('set ported');
+        expect(vtpassService.pay).not.toHaveBeenCalled();
+        expect(balance()).toBe(500_000);
+        expect(firebase._list('billBatches')).toHaveLength(0);
+    });
+
+    it('leaves nothing behind when the wallet cannot cover the total', async () => {
+        await expect(bulkBillService.create('u1', {
+            billType: 'airtime',
+            rows: Array.from({ length: 6 }, () => ({ phone: '08031234567', network: 'mtn', amount: 1000 }))
+        })).rejects.toThrow('Insufficient balance');
+
+        expect(firebase._list('billBatches')).toHaveLength(0);
+        expect(firebase._list('billTransactions')).toHaveLength(0);
+    });
+
+    it('prices data rows from the plan list, whatever amount is sent', async () => {
+        jest.spyOn(billService, 'variationPrice').mockResolvedValue({ name: 'MTN 1.5GB', amount: 1000 });
+
+        const report = await bulkBillService.create('u1', {
+            billType: 'data',
+            rows: [{ phone: '08031234567', network: 'mtn', variation_code: 'mtn-1gb-1000', amount: 1 }]
+        });
+
+        expect(report.rows[0]).toMatchObject({ plan: 'MTN 1.5GB', amount: 100_000, status: 'completed' });
+        expect(balance()).toBe(400_000);
+    });
+});
+
+describe('CSV upload', () => {
+    it('reads a header row and quoted cells', () => {
+        const parsed = bulkBillService.parseCsv('﻿Phone,Network,Amount,Note\r\n08031234567,MTN,"1,000","Tolu, HR"\n\n');
+
+        expect(parsed).toEqual([{ phone: '08031234567', network: 'MTN', amount: '1,000', note: 'Tolu, HR' }]);
+    });
+
+    it('needs phone and network columns', () => {
+        expect(() => bulkBillService.parseCsv('number,amount\n0803,100')).toThrow('BULK: The first line must be a header');
+    });
+});
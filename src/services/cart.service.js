@@ -0,0 +1,271 @@
+'use strict';
+
+// ─── cart.service.js ──────────────────────────────────────────────────────────
+// The buyer's cart, one doc per user: carts/{userId}
+//
+//   { userId, items: [line], updatedAt, lastReminderSent, createdAt }
+//   line = { productId, sellerId, name, imageUrl, quantity, priceAtAdd, addedAt }
+//
+// Every change is checked against products/{id} (exists, active, enough
+// stock) and stamps `updatedAt` and resets `lastReminderSent` to null, which
+// is what jobs/cartReminder.js looks for — a reminder goes out once per spell
+// of inactivity. Reading the cart changes neither.
+//
+// `priceAtAdd` is the unit price (kobo) when the line was added; the cart
+// view compares it with today's price and stock so the app can flag lines
+// that changed. refresh() accepts today's prices and drops dead lines.
+//
+// The view groups lines by seller with a ready-made `subOrders` list for
+// POST /orders/quote — prices there come from order-pricing.service.js, never
+// from the cart. Amounts are kobo.
+
+const { db } = require('../config/firebase');
+const orderPricingService = require('./order-pricing.service');
+
+const { MAX_LINES, MAX_QUANTITY } = orderPricingService;
+
+class CartService {
+    _ref(userId) {
+        return db.collection('carts').doc(userId);
+    }
+
+    _productRef(productId) {
+        return db.collection('products').doc(productId);
+    }
+
+    _isAvailable(product) {
+        return !!product && (!product.status || product.status === 'active');
+    }
+
+    _checkQuantity(quantity) {
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error('CART: Quantity must be a whole number of at least 1');
+        }
+        if (quantity > MAX_QUANTITY) throw new Error(`CART: You can order at most ${MAX_QUANTITY} of an item`);
+    }
+
+    /**
+     * Write the cart's new items in `transaction`, stamped for the reminder job.
+     */
+    _save(transaction, userId, snap, items) {
+        const now = Date.now();
+        transaction.set(this._ref(userId), {
+            userId,
+            items,
+            updatedAt: now,
+            lastReminderSent: null,
+            createdAt: snap.exists ? (snap.data().createdAt || now) : now
+        });
+    }
+
+    /**
+     * Add `quantity` of a product, on top of any already in the cart.
+     */
+    async addItem(userId, { productId, quantity = 1 }) {
+        quantity = Number(quantity);
+        if (!productId || typeof productId !== 'string') throw new Error('CART: productId is required');
+        this._checkQuantity(quantity);
+
+        await db.runTransaction(async (transaction) => {
+            const [snap, productSnap] = await Promise.all([
+                transaction.get(this._ref(userId)),
+                transaction.get(this._productRef(productId))
+            ]);
+            const product = productSnap.exists ? productSnap.data() : null;
+            if (!this._isAvailable(product)) throw new Error('CART: Product not found');
+            if (product.sellerId === userId) throw new Error('CART: You cannot buy your own product');
+
+            const items = snap.exists ? [...(snap.data().items || [])] : [];
+            const index = items.findIndex(item => item.productId === productId);
+            const total = (index >= 0 ? items[index].quantity : 0) + quantity;
+
+            this._checkQuantity(total);
+            if ((product.stock || 0) < total) {
+                throw new Error(`CART: Only ${product.stock || 0} of ${product.name} left in stock`);
+            }
+
+            if (index >= 0) {
+                items[index] = { ...items[index], quantity: total };
+            } else {
+                if (items.length >= MAX_LINES) throw new Error(`CART: A cart can have at most ${MAX_LINES} items`);
+                items.push({
+                    productId,
+                    sellerId: product.sellerId,
+                    name: product.name,
+                    imageUrl: product.imageUrls?.[0] || null,
+                    quantity,
+                    priceAtAdd: orderPricingService.unitPrice(product),
+                    addedAt: Date.now()
+                });
+            }
+            this._save(transaction, userId, snap, items);
+        });
+        return this.getCart(userId);
+    }
+
+    /**
+     * Set a line's quantity; 0 removes it.
+     */
+    async updateItem(userId, productId, { quantity }) {
+        quantity = Number(quantity);
+        if (quantity === 0) return this.removeItem(userId, productId);
+        this._checkQuantity(quantity);
+
+        await db.runTransaction(async (transaction) => {
+            const [snap, productSnap] = await Promise.all([
+                transaction.get(this._ref(userId)),
+                transaction.get(this._productRef(productId))
+            ]);
+            const items = snap.exists ? [...(snap.data().items || [])] : [];
+            const index = items.findIndex(item => item.productId === productId);
+            if (index < 0) throw new Error('CART: Item is not in your cart');
+
+            const product = productSnap.exists ? productSnap.data() : null;
+            if (!this._isAvailable(product)) throw new Error('CART: This product is no longer available');
+            if ((product.stock || 0) < quantity) {
+                throw new Error(`CART: Only ${product.stock || 0} of ${product.name} left in stock`);
+            }
+
+            items[index] = { ...items[index], quantity };
+            this._save(transaction, userId, snap, items);
+        });
+        return this.getCart(userId);
+    }
+
+    async removeItem(userId, productId) {
+        await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(this._ref(userId));
+            const items = snap.exists ? snap.data().items || [] : [];
+            const remaining = items.filter(item => item.productId !== productId);
+            if (remaining.length === items.length) throw new Error('CART: Item is not in your cart');
+            this._save(transaction, userId, snap, remaining);
+        });
+        return this.getCart(userId);
+    }
+
+    async clear(userId) {
+        await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(this._ref(userId));
+            if (!snap.exists || !(snap.data().items || []).length) return;
+            this._save(transaction, userId, snap, []);
+        });
+        return this.getCart(userId);
+    }
+
+    /**
+     * Drop lines that were just ordered. Called after checkout; a cart that
+     * was never kept on the server is left alone.
+     */
+    async removeOrdered(userId, productIds) {
+        const ordered = new Set(productIds);
+        await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(this._ref(userId));
+            const items = snap.exists ? snap.data().items || [] : [];
+            const remaining = items.filter(item => !ordered.has(item.productId));
+            if (remaining.length === items.length) return;
+            this._save(transaction, userId, snap, remaining);
+        });
+    }
+
+    /**
+     * Accept today's prices on every line, cap quantities at what's in stock
+     * and drop lines that can't be bought any more.
+     */
+    async refresh(userId) {
+        await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(this._ref(userId));
+            const items = snap.exists ? snap.data().items || [] : [];
+            if (!items.length) return;
+
+            const productSnaps = await Promise.all(items.map(item => transaction.get(this._productRef(item.productId))));
+            const refreshed = [];
+            items.forEach((item, i) => {
+                const product = productSnaps[i].exists ? productSnaps[i].data() : null;
+                if (!this._isAvailable(product) || !(product.stock > 0)) return;
+                refreshed.push({
+                    ...item,
+                    name: product.name,
+                    imageUrl: product.imageUrls?.[0] || item.imageUrl || null,
+                    quantity: Math.min(item.quantity, product.stock),
+                    priceAtAdd: orderPricingService.unitPrice(product)
+                });
+            });
+            this._save(transaction, userId, snap, refreshed);
+        });
+        return this.getCart(userId);
+    }
+
+    /**
+     * The cart against today's products, grouped by seller.
+     *
+     * Each line gets `price` (now), `priceAtAdd`, `priceChange` (kobo, + is
+     * dearer), `available`, `inStock` and `stock`. `checkout.subOrders` holds
+     * only the lines that can be bought as they are.
+     */
+    async getCart(userId) {
+        const snap = await this._ref(userId).get();
+        const cart = snap.exists ? snap.data() : null;
+        const items = cart?.items || [];
+
+        const productSnaps = items.length
+            ? await Promise.all(items.map(item => this._productRef(item.productId).get()))
+            : [];
+        const sellerIds = [...new Set(items.map(item => item.sellerId))];
+        const sellerSnaps = await Promise.all(sellerIds.map(id => db.collection('users').doc(id).get()));
+        const sellers = new Map(sellerSnaps.map(s => [s.id, s.exists ? s.data() : null]));
+
+        const groups = new Map();
+        items.forEach((item, i) => {
+            const product = productSnaps[i].exists ? productSnaps[i].data() : null;
+            const seller = sellers.get(item.sellerId);
+            const available = this._isAvailable(product) && product.sellerId === item.sellerId && !seller?.isSuspended;
+            const price = available ? orderPricingService.unitPrice(product) : null;
+            const stock = available ? product.stock || 0 : 0;
+
+            const line = {
+                ...item,
+                name: product?.name || item.name,
+                price,
+                priceChange: price === null ? 0 : price - item.priceAtAdd,
+                lineTotal: price === null ? 0 : price * item.quantity,
+                available,
+                inStock: available && stock >= item.quantity,
+                stock
+            };
+
+            if (!groups.has(item.sellerId)) {
+                groups.set(item.sellerId, {
+                    sellerId: item.sellerId,
+                    sellerName: seller?.businessName || seller?.name || null,
+                    items: [],
+                    subtotal: 0
+                });
+            }
+            const group = groups.get(item.sellerId);
+            group.items.push(line);
+            if (line.inStock) group.subtotal += line.lineTotal;
+        });
+
+        const sellerGroups = [...groups.values()];
+        const lines = sellerGroups.flatMap(g => g.items);
+        return {
+            sellers: sellerGroups,
+            itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+            subtotal: sellerGroups.reduce((sum, g) => sum + g.subtotal, 0),
+            priceChanged: lines.some(line => line.priceChange !== 0),
+            hasUnavailable: lines.some(line => !line.inStock),
+            updatedAt: cart?.updatedAt || null,
+            checkout: {
+                subOrders: sellerGroups
+                    .map(g => ({
+                        sellerId: g.sellerId,
+                        items: g.items.filter(line => line.inStock)
+                            .map(line => ({ productId: line.productId, quantity: line.quantity }))
+                    }))
+                    .filter(so => so.items.length)
+            }
+        };
+    }
+}
+
+module.exports = new CartService();
@@ -0,0 +1,129 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+
+const firebase = require('../config/firebase');
+const cartService = require('./cart.service');
+
+function advanceClock(ms) {
+    const now = Date.now() + ms;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+}
+
+beforeEach(() => {
+    firebase._seed('users/s1', { name: 'Chidi', businessName: 'Chidi Stores' });
+    firebase._seed('users/s2', { name: 'Ngozi' });
+    firebase._seed('products/p1', { name: 'Rice 5kg', sellerId: 's1', price: 4500, stock: 10, status: 'active' });
+    firebase._seed('products/p2', { name: 'Palm oil', sellerId: 's1', price: 3000, discount: 10, stock: 3 });
+    firebase._seed('products/p3', { name: 'Yam', sellerId: 's2', price: 1200, stock: 5 });
+});
+
+describe('cart', () => {
+    it('adds lines at the current price and groups them by seller for checkout', async () => {
+        await cartService.addItem('u1', { productId: 'p1', quantity: 2 });
+        await cartService.addItem('u1', { productId: 'p3' });
+        const cart = await cartService.addItem('u1', { productId: 'p2', quantity: 1, price: 1 });
+
+        expect(cart.sellers.map(g => [g.sellerId, g.sellerName, g.subtotal])).toEqual([
+            ['s1', 'Chidi Stores', 900_000 + 270_000],
+            ['s2', 'Ngozi', 120_000]
+        ]);
+        expect(cart).toMatchObject({ itemCount: 4, subtotal: 1_290_000, priceChanged: false, hasUnavailable: false });
+        expect(cart.checkout.subOrders).toEqual([
+            { sellerId: 's1', items: [{ productId: 'p1', quantity: 2 }, { productId: 'p2', quantity: 1 }] },
+            { sellerId: 's2', items: [{ productId: 'p3', quantity: 1 }] }
+        ]);
+        expect(firebase._read('carts/u1').items[1].priceAtAdd).toBe(120_000);
+    });
+
+    it('adds to a line already in the cart, up to the stock', async () => {
+        await cartService.addItem('u1', { productId: 'p2', quantity: 2 });
+        await expect(cartService.addItem('u1', { productId: 'p2', quantity: 2 }))
+            .rejects.toThrow('CART: Only 3 of Palm oil left in stock');
+
+        const cart = await cartService.addItem('u1', { productId: 'p2', quantity: 1 });
+        expect(cart.sellers[0].items).toHaveLength(1);
+        expect(cart.itemCount).toBe(3);
+    });
+
+    it('refuses unknown products, bad quantities and a seller buying their own', async () => {
+        await expect(cartService.addItem('u1', { productId: 'nope' })).rejects.toThrow('CART: Product not found');
+        await expect(cartService.addItem('u1', { productId: 'p1', quantity: 0 })).rejects.toThrow('whole number');
+        await expect(cartService.addItem('s1', { productId: 'p1' })).rejects.toThrow('your own product');
+        expect(firebase._list('carts')).toHaveLength(0);
+    });
+
+    it('updates and removes lines, with quantity 0 meaning remove', async () => {
+        await cartService.addItem('u1', { productId: 'p1' });
+        await cartService.addItem('u1', { productId: 'p3' });
+
+        await cartService.updateItem('u1', 'p1', { quantity: 4 });
+        await expect(cartService.updateItem('u1', 'p3', { quantity: 6 })).rejects.toThrow('Only 5 of Yam');
+        const cart = await cartService.updateItem('u1', 'p3', { quantity: 0 });
+
+        expect(cart.checkout.subOrders).toEqual([{ sellerId: 's1', items: [{ productId: 'p1', quantity: 4 }] }]);
+        await expect(cartService.removeItem('u1', 'p3')).rejects.toThrow('CART: Item is not in your cart');
+    });
+
+    it('flags price changes and unavailable lines and leaves them out of checkout', async () => {
+        await cartService.addItem('u1', { productId: 'p1', quantity: 2 });
+        await cartService.addItem('u1', { productId: 'p2', quantity: 3 });
+        await cartService.addItem('u1', { productId: 'p3' });
+        firebase._seed('products/p1', { ...firebase._read('products/p1'), price: 5000 });
+        firebase._seed('products/p2', { ...firebase._read('products/p2'), stock: 1 });
+        firebase._seed('products/p3', { ...firebase._read('products/p3'), status: 'archived' });
+
+        const cart = await cartService.getCart('u1');
+        const lines = Object.fromEntries(cart.sellers.flatMap(g => g.items).map(line => [line.productId, line]));
+
+        expect(lines.p1).toMatchObject({ price: 500_000, priceAtAdd: 450_000, priceChange: 50_000, inStock: true });
+        expect(lines.p2).toMatchObject({ available: true, inStock: false, stock: 1 });
+        expect(lines.p3).toMatchObject({ available: false, price: null, priceChange: 0 });
+        expect(cart).toMatchObject({ priceChanged: true, hasUnavailable: true, subtotal: 1_000_000 });
+        expect(cart.checkout.subOrders).toEqual([{ sellerId: 's1', items: [{ productId: 'p1', quantity: 2 }] }]);
+    });
+
+    it("refresh takes today's prices, caps quantities at stock and drops dead lines", async () => {
+        await cartService.addItem('u1', { productId: 'p1', quantity: 2 });
+        await cartService.addItem('u1', { productId: 'p2', quantity: 3 });
+        await cartService.addItem('u1', { productId: 'p3' });
+        firebase._seed('products/p1', { ...firebase._read('products/p1'), price: 5000 });
+        firebase._seed('products/p2', { ...firebase._read('products/p2'), stock: 1 });
+        firebase._seed('products/p3', { ...firebase._read('products/p3'), stock: 0 });
+
+        const cart = await cartService.refresh('u1');
+
+        expect(cart).toMatchObject({ priceChanged: false, hasUnavailable: false, itemCount: 3 });
+        expect(firebase._read('carts/u1').items.map(i => [i.productId, i.quantity, i.priceAtAdd])).toEqual([
+            ['p1', 2, 500_000], ['p2', 1, 270_000]
+        ]);
+    });
+
+    it('stamps updatedAt and re-arms the reminder on changes but not on reads', async () => {
+        advanceClock(0);
+        await cartService.addItem('u1', { productId: 'p1' });
+        const created = firebase._read('carts/u1');
+        firebase._seed('carts/u1', { ...created, lastReminderSent: created.updatedAt });
+
+        advanceClock(60_000);
+        await cartService.getCart('u1');
+        expect(firebase._read('carts/u1').lastReminderSent).toBe(created.updatedAt);
+
+        await cartService.updateItem('u1', 'p1', { quantity: 2 });
+        expect(firebase._read('carts/u1')).toMatchObject({
+            updatedAt: created.updatedAt + 60_000, lastReminderSent: null, createdAt: created.createdAt
+        });
+    });
+
+    it('drops ordered lines after checkout and leaves the rest', async () => {
+        await cartService.addItem('u1', { productId: 'p1' });
+        await cartService.addItem('u1', { productId: 'p3' });
+
+        await cartService.removeOrdered('u1', ['p1']);
+        await cartService.removeOrdered('u2', ['p1']);
+
+        expect(firebase._read('carts/u1').items.map(i => i.productId)).toEqual(['p3']);
+        expect(firebase._read('carts/u2')).toBeUndefined();
+    });
+});
@@ -0,0 +1,326 @@
+'use strict';
+
+// ─── coupon.service.js ────────────────────────────────────────────────────────
+// Promo codes taken off an order at checkout.
+//
+//   coupons/{CODE}                       the coupon — the code is the doc id
+//   coupons/{CODE}/redemptions/{id}      one per checkout that used it
+//   couponUsage/{CODE}_{userId}          how many times a buyer has used it
+//
+// Who pays for the discount:
+//   seller coupon    that seller's products only; the seller gives it up —
+//                    their order total is simply lower
+//   platform coupon  any seller; the seller is paid as if there were no
+//                    discount and the admin wallet makes up the difference
+//                    when escrow is released (order.platformDiscount,
+//                    wallet.service.js, ledger account platform:promotions)
+//
+// A coupon takes `percent` (with an optional `maxDiscount`) or a fixed
+// `amount` off the lines it covers — products in `categories`, or every
+// product when that's empty — and never off delivery fees. `minSpend` is
+// checked against the same lines. A platform discount is shared across the
+// sellers' orders in proportion to their covered lines.
+//
+// Pricing (order-pricing.service.js) checks everything a quote can; redeem()
+// checks the caps again and counts the use inside the order transaction, so
+// two checkouts can't both take the last one. A cancelled order keeps its use.
+//
+// Amounts are kobo.
+
+const { db } = require('../config/firebase');
+const { percentOf, splitByWeight, isKobo, formatNaira } = require('../utils/money');
+
+const SCOPES = ['platform', 'seller'];
+const TYPES = ['percent', 'fixed'];
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,19}$/;
+const MAX_PERCENT = 90;
+const MAX_CATEGORIES = 20;
+const MAX_DESCRIPTION_LENGTH = 120;
+
+class CouponService {
+    _ref(code) {
+        return db.collection('coupons').doc(code);
+    }
+
+    _usageRef(code, userId) {
+        return db.collection('couponUsage').doc(`${code}_${userId}`);
+    }
+
+    /**
+     * ' summer-10 ' → 'SUMMER-10'. Throws when it can't be a code at all.
+     */
+    normalizeCode(code) {
+        const normalized = String(code ?? '').trim().toUpperCase();
+        if (!CODE_PATTERN.test(normalized)) {
+            throw new Error('COUPON: A code is 3–20 letters, numbers, dashes or underscores');
+        }
+        return normalized;
+    }
+
+    /**
+     * Throws `COUPON:` when the coupon can't be used by anyone right now.
+     */
+    _checkUsable(coupon, now = Date.now()) {
+        if (!coupon) throw new Error('COUPON: This code is not valid');
+        if (!coupon.active) throw new Error('COUPON: This code is no longer active');
+        if (coupon.startsAt && coupon.startsAt > now) throw new Error('COUPON: This code is not active yet');
+        if (coupon.endsAt && coupon.endsAt <= now) throw new Error('COUPON: This code has expired');
+        if (coupon.usageLimit && (coupon.usedCount || 0) >= coupon.usageLimit) {
+            throw new Error('COUPON: This code has been fully redeemed');
+        }
+    }
+
+    _checkUserUses(coupon, uses) {
+        if (coupon.perUserLimit && uses >= coupon.perUserLimit) {
+            throw new Error('COUPON: You have already used this code');
+        }
+    }
+
+    /**
+     * The coupon for a checkout, checked for everything but the cart. Reads
+     * through `transaction` when given; `buyerId` adds the per-buyer cap.
+     */
+    async forCheckout(code, { transaction = null, buyerId = null } = {}) {
+        const read = (ref) => (transaction ? transaction.get(ref) : ref.get());
+        const normalized = this.normalizeCode(code);
+
+        const [snap, usageSnap] = await Promise.all([
+            read(this._ref(normalized)),
+            buyerId ? read(this._usageRef(normalized, buyerId)) : null
+        ]);
+        const coupon = snap.exists ? snap.data() : null;
+        this._checkUsable(coupon);
+        if (usageSnap) this._checkUserUses(coupon, usageSnap.exists ? usageSnap.data().count || 0 : 0);
+        return coupon;
+    }
+
+    _covers(coupon, sellerId, category) {
+        if (coupon.scope === 'seller' && sellerId !== coupon.sellerId) return false;
+        return !coupon.categories?.length || coupon.categories.includes(category);
+    }
+
+    /**
+     * Discount per seller group, in the order given.
+     *
+     * @param {object} coupon
+     * @param {Array<{ sellerId, items: Array<{ lineTotal, category }> }>} groups
+     * @returns {number[]} kobo off each group's subtotal
+     */
+    discountsFor(coupon, groups) {
+        const covered = groups.map(group => group.items
+            .filter(item => this._covers(coupon, group.sellerId, item.category))
+            .reduce((sum, item) => sum + item.lineTotal, 0));
+        const base = covered.reduce((sum, amount) => sum + amount, 0);
+
+        if (!base) throw new Error(`COUPON: ${coupon.code} doesn't apply to anything in your cart`);
+        if (coupon.minSpend && base < coupon.minSpend) {
+            throw new Error(`COUPON: Spend at least ${formatNaira(coupon.minSpend)} on eligible items to use ${coupon.code}`);
+        }
+
+        let discount = coupon.type === 'percent' ? percentOf(base, coupon.percent / 100) : coupon.amount;
+        if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+        return splitByWeight(Math.min(discount, base), covered);
+    }
+
+    /**
+     * Count a use inside the order transaction — before any of its writes.
+     * The caps are checked again against the committed counts.
+     */
+    async redeem(transaction, { code, buyerId, orderIds, discount, platformDiscount }) {
+        const ref = this._ref(code);
+        const usageRef = this._usageRef(code, buyerId);
+        const [snap, usageSnap] = await Promise.all([transaction.get(ref), transaction.get(usageRef)]);
+
+        const coupon = snap.exists ? snap.data() : null;
+        const uses = usageSnap.exists ? usageSnap.data().count || 0 : 0;
+        this._checkUsable(coupon);
+        this._checkUserUses(coupon, uses);
+
+        const now = Date.now();
+        transaction.update(ref, {
+            usedCount: (coupon.usedCount || 0) + 1,
+            discountGiven: (coupon.discountGiven || 0) + discount,
+            updatedAt: now
+        });
+        transaction.set(usageRef, { code, userId: buyerId, count: uses + 1, lastUsedAt: now });
+        transaction.set(ref.collection('redemptions').doc(), {
+            code, userId: buyerId, orderIds, discount, platformDiscount, createdAt: now
+        });
+    }
+
+    // ─── Seller / admin management ────────────────────────────────────────────
+    // Admins manage platform coupons (and can see or change any coupon);
+    // sellers manage coupons for their own products.
+
+    /**
+     * Check and normalise coupon fields. `partial` validates only what's
+     * given (PATCH); the merged coupon is checked again for cross-field rules.
+     */
+    _clean(input, { partial = false } = {}) {
+        const coupon = {};
+        const has = (field) => input[field] !== undefined;
+
+        if (!partial || has('description')) {
+            const description = String(input.description ?? '').trim();
+            if (description.length > MAX_DESCRIPTION_LENGTH) {
+                throw new Error(`COUPON: description must be ${MAX_DESCRIPTION_LENGTH} characters or fewer`);
+            }
+            coupon.description = description || null;
+        }
+        if (!partial || has('type')) {
+            if (!TYPES.includes(input.type)) throw new Error('COUPON: type must be percent or fixed');
+            coupon.type = input.type;
+        }
+        if (!partial || has('percent')) {
+            const percent = input.percent ?? null;
+            if (percent !== null && !(Number(percent) > 0 && Number(percent) <= MAX_PERCENT)) {
+                throw new Error(`COUPON: percent must be above 0 and at most ${MAX_PERCENT}`);
+            }
+            coupon.percent = percent === null ? null : Number(percent);
+        }
+        for (const field of ['amount', 'maxDiscount', 'minSpend']) {
+            if (!partial || has(field)) {
+                const value = input[field] ?? null;
+                if (value !== null && (!isKobo(value) || value <= 0)) {
+                    throw new Error(`COUPON: ${field} must be a positive amount`);
+                }
+                coupon[field] = value;
+            }
+        }
+        for (const field of ['usageLimit', 'perUserLimit']) {
+            if (!partial || has(field)) {
+                const value = input[field] === undefined && field === 'perUserLimit' ? 1 : input[field] ?? null;
+                if (value !== null && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+                    throw new Error(`COUPON: ${field} must be a whole number above 0`);
+                }
+                coupon[field] = value === null ? null : Number(value);
+            }
+        }
+        if (!partial || has('categories')) {
+            const categories = input.categories ?? [];
+            if (!Array.isArray(categories) || categories.length > MAX_CATEGORIES) {
+                throw new Error(`COUPON: categories must be a list of at most ${MAX_CATEGORIES}`);
+            }
+            coupon.categories = [...new Set(categories.map(c => String(c).trim()).filter(Boolean))];
+        }
+        for (const field of ['startsAt', 'endsAt']) {
+            if (!partial || has(field)) {
+                const value = input[field] ? new Date(input[field]).getTime() : null;
+                if (Number.isNaN(value)) throw new Error(`COUPON: ${field} is not a valid date`);
+                coupon[field] = value;
+            }
+        }
+        if (!partial || has('active')) coupon.active = input.active === undefined ? true : !!input.active;
+        return coupon;
+    }
+
+    _checkCoupon(coupon) {
+        if (coupon.type === 'percent' && !coupon.percent) throw new Error('COUPON: A percent coupon needs percent');
+        if (coupon.type === 'fixed' && !coupon.amount) throw new Error('COUPON: A fixed coupon needs amount');
+        if (coupon.startsAt && coupon.endsAt && coupon.endsAt <= coupon.startsAt) {
+            throw new Error('COUPON: endsAt must be after startsAt');
+        }
+    }
+
+    /**
+     * The coupon if `actor` ({ userId, role }) may manage it. Someone else's
+     * coupon reads as not found. Reads through `transaction` when given.
+     */
+    async _owned(code, actor, transaction = null) {
+        const ref = this._ref(this.normalizeCode(code));
+        const snap = await (transaction ? transaction.get(ref) : ref.get());
+        const coupon = snap.exists ? snap.data() : null;
+        if (!coupon || (actor.role !== 'admin' && coupon.sellerId !== actor.userId)) {
+            throw new Error('COUPON: Coupon not found');
+        }
+        return coupon;
+    }
+
+    /**
+     * Admins see every coupon (optionally one scope or seller); sellers see
+     * their own.
+     */
+    async list(actor, { scope, sellerId } = {}) {
+        let query = db.collection('coupons');
+        if (actor.role !== 'admin') query = query.where('sellerId', '==', actor.userId);
+        else if (sellerId) query = query.where('sellerId', '==', sellerId);
+        else if (SCOPES.includes(scope)) query = query.where('scope', '==', scope);
+
+        const snap = await query.get();
+        return snap.docs.map(doc => doc.data()).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async get(code, actor) {
+        return this._owned(code, actor);
+    }
+
+    /**
+     * A coupon created by an admin is a platform coupon; one created by a
+     * seller covers that seller's products.
+     */
+    async create(input, actor) {
+        const code = this.normalizeCode(input.code);
+        const fields = this._clean(input);
+        this._checkCoupon(fields);
+
+        const ref = this._ref(code);
+        const now = Date.now();
+        const coupon = {
+            code,
+            ...fields,
+            scope: actor.role === 'admin' ? 'platform' : 'seller',
+            sellerId: actor.role === 'admin' ? null : actor.userId,
+            usedCount: 0,
+            discountGiven: 0,
+            createdBy: actor.userId, createdAt: now, updatedBy: actor.userId, updatedAt: now
+        };
+
+        // The code is the doc id, so taking it must be atomic
+        await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(ref);
+            if (snap.exists) throw new Error('COUPON: That code is already taken');
+            transaction.set(ref, coupon);
+        });
+        return coupon;
+    }
+
+    /**
+     * Change the given fields only. The read and write share a transaction so
+     * an edit can't roll back the usedCount / discountGiven of a checkout
+     * that redeemed the coupon in between.
+     */
+    async update(code, input, actor) {
+        const fields = this._clean(input, { partial: true });
+
+        return db.runTransaction(async (transaction) => {
+            const existing = await this._owned(code, actor, transaction);
+            const changes = { ...fields, updatedBy: actor.userId, updatedAt: Date.now() };
+            const coupon = { ...existing, ...changes };
+            this._checkCoupon(coupon);
+
+            transaction.update(this._ref(coupon.code), changes);
+            return coupon;
+        });
+    }
+
+    /**
+     * Delete an unused coupon; one that has been used is switched off instead
+     * so its redemptions still point somewhere.
+     *
+     * @returns {Promise<{ deleted: boolean }>}
+     */
+    async remove(code, actor) {
+        return db.runTransaction(async (transaction) => {
+            const coupon = await this._owned(code, actor, transaction);
+            const ref = this._ref(coupon.code);
+            if (coupon.usedCount) {
+                transaction.update(ref, { active: false, updatedBy: actor.userId, updatedAt: Date.now() });
+                return { deleted: false };
+            }
+            transaction.delete(ref);
+            return { deleted: true };
+        });
+    }
+}
+
+module.exports = new CouponService();
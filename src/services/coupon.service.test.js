@@ -0,0 +1,110 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+
+const { db } = require('../config/firebase');
+const firebase = require('../config/firebase');
+const couponService = require('./coupon.service');
+
+const ADMIN = { userId: 'admin1', role: 'admin' };
+const SELLER = { userId: 's1', role: 'seller' };
+
+const redeem = (code, buyerId, discount = 50_000) => db.runTransaction(transaction => couponService.redeem(transaction, {
+    code, buyerId, orderIds: ['o1'], discount, platformDiscount: discount
+}));
+
+describe('coupon discounts', () => {
+    const groups = [
+        { sellerId: 's1', items: [{ lineTotal: 600_000, category: 'food' }, { lineTotal: 100_000, category: 'toys' }] },
+        { sellerId: 's2', items: [{ lineTotal: 300_000, category: 'food' }] }
+    ];
+
+    it('shares a platform discount across sellers by their covered lines, capped at maxDiscount', async () => {
+        const coupon = await couponService.create({ code: 'food10', type: 'percent', percent: 10, categories: ['food'] }, ADMIN);
+
+        expect(coupon).toMatchObject({ code: 'FOOD10', scope: 'platform', sellerId: null, perUserLimit: 1 });
+        expect(couponService.discountsFor(coupon, groups)).toEqual([60_000, 30_000]);
+        expect(couponService.discountsFor({ ...coupon, maxDiscount: 45_000 }, groups)).toEqual([30_000, 15_000]);
+    });
+
+    it("covers only the owning seller's lines and never more than they cost", async () => {
+        const coupon = await couponService.create({ code: 'CHIDI', type: 'fixed', amount: 900_000 }, SELLER);
+
+        expect(coupon).toMatchObject({ scope: 'seller', sellerId: 's1' });
+        expect(couponService.discountsFor(coupon, groups)).toEqual([700_000, 0]);
+        expect(() => couponService.discountsFor(coupon, [groups[1]])).toThrow("COUPON: CHIDI doesn't apply");
+        expect(() => couponService.discountsFor({ ...coupon, minSpend: 800_000 }, groups)).toThrow('Spend at least');
+    });
+
+    it('refuses bad or clashing fields and taken codes', async () => {
+        await couponService.create({ code: 'TAKEN', type: 'fixed', amount: 1_000 }, ADMIN);
+
+        await expect(couponService.create({ code: 'TAKEN', type: 'fixed', amount: 1_000 }, ADMIN)).rejects.toThrow('already taken');
+        await expect(couponService.create({ code: 'x', type: 'fixed', amount: 1_000 }, ADMIN)).rejects.toThrow('3–20 letters');
+        await expect(couponService.create({ code: 'PCT', type: 'percent', percent: 95 }, ADMIN)).rejects.toThrow('at most 90');
+        await expect(couponService.create({ code: 'FIX', type: 'fixed', amount: 10.5 }, ADMIN)).rejects.toThrow('positive amount');
+        await expect(couponService.create({ code: 'FIX', type: 'fixed' }, ADMIN)).rejects.toThrow('needs amount');
+    });
+});
+
+describe('coupon redemption', () => {
+    it('counts each use and enforces the per-buyer and overall caps', async () => {
+        await couponService.create({ code: 'TWICE', type: 'fixed', amount: 50_000, usageLimit: 2 }, ADMIN);
+
+        await redeem('TWICE', 'u1');
+        await expect(couponService.forCheckout('twice', { buyerId: 'u1' })).rejects.toThrow('already used this code');
+        await redeem('TWICE', 'u2');
+        await expect(redeem('TWICE', 'u3')).rejects.toThrow('fully redeemed');
+
+        expect(firebase._read('coupons/TWICE')).toMatchObject({ usedCount: 2, discountGiven: 100_000 });
+        expect(firebase._read('couponUsage/TWICE_u1').count).toBe(1);
+        expect(firebase._list('coupons/TWICE/redemptions')).toHaveLength(2);
+    });
+
+    it('refuses inactive, future and expired codes', async () => {
+        const now = Date.now();
+        await couponService.create({ code: 'OFF', type: 'fixed', amount: 1_000, active: false }, ADMIN);
+        await couponService.create({ code: 'SOON', type: 'fixed', amount: 1_000, startsAt: now + 60_000 }, ADMIN);
+        await couponService.create({ code: 'GONE', type: 'fixed', amount: 1_000, endsAt: now - 1 }, ADMIN);
+
+        await expect(couponService.forCheckout('OFF')).rejects.toThrow('no longer active');
+        await expect(couponService.forCheckout('SOON')).rejects.toThrow('not active yet');
+        await expect(couponService.forCheckout('GONE')).rejects.toThrow('expired');
+        await expect(couponService.forCheckout('NOPE')).rejects.toThrow('not valid');
+    });
+});
+
+describe('coupon management', () => {
+    it('writes only the changed fields, so a redemption during an edit keeps its count', async () => {
+        await couponService.create({ code: 'EDIT', type: 'fixed', amount: 50_000 }, ADMIN);
+        const check = couponService._checkCoupon.bind(couponService);
+        jest.spyOn(couponService, '_checkCoupon').mockImplementation((coupon) => {
+            firebase._seed('coupons/EDIT', { ...firebase._read('coupons/EDIT'), usedCount: 1, discountGiven: 50_000 });
+            return check(coupon);
+        });
+
+        await couponService.update('edit', { amount: 75_000, usedCount: 0 }, ADMIN);
+
+        expect(firebase._read('coupons/EDIT')).toMatchObject({ amount: 75_000, usedCount: 1, discountGiven: 50_000, updatedBy: 'admin1' });
+    });
+
+    it("keeps a seller out of someone else's coupon", async () => {
+        await couponService.create({ code: 'MINE', type: 'fixed', amount: 1_000 }, { userId: 's2', role: 'seller' });
+
+        await expect(couponService.update('MINE', { amount: 2_000 }, SELLER)).rejects.toThrow('COUPON: Coupon not found');
+        await expect(couponService.remove('MINE', SELLER)).rejects.toThrow('COUPON: Coupon not found');
+        await expect(couponService.update('MINE', { amount: 2_000 }, ADMIN)).resolves.toMatchObject({ amount: 2_000 });
+    });
+
+    it('deletes an unused coupon but only switches off a used one', async () => {
+        await couponService.create({ code: 'UNUSED', type: 'fixed', amount: 1_000 }, SELLER);
+        await couponService.create({ code: 'USED', type: 'fixed', amount: 1_000 }, SELLER);
+        await redeem('USED', 'u1', 1_000);
+
+        expect(await couponService.remove('UNUSED', SELLER)).toEqual({ deleted: true });
+        expect(await couponService.remove('USED', SELLER)).toEqual({ deleted: false });
+        expect(firebase._read('coupons/UNUSED')).toBeUndefined();
+        expect(firebase._read('coupons/USED')).toMatchObject({ active: false, usedCount: 1 });
+    });
+});
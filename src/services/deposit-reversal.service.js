@@ -0,0 +1,276 @@
+'use strict';
+
+// ─── deposit-reversal.service.js ──────────────────────────────────────────────
+// Card refunds and chargebacks on wallet deposits (Paystack webhooks).
+//
+//   refund.pending / refund.processing   → hold the refund amount
+//   refund.processed                     → debit it (hold converted)
+//   refund.failed                        → release the hold
+//   charge.dispute.create                → hold the disputed amount
+//   charge.dispute.resolve  declined     → release the hold (we won)
+//                           otherwise    → debit the refund amount (we lost)
+//
+// Every case is written to depositReversals/{refund_<id>|dispute_<id>} with
+// its history and the original deposit reference; the deposit transaction
+// gets the record id in `reversalIds`. Admins are alerted at each step.
+// Paystack amounts are kobo. Handlers are idempotent — they run again on
+// webhook retries and replays.
+
+const { db, admin } = require('../config/firebase');
+const walletService = require('./wallet.service');
+const walletHoldService = require('./wallet-hold.service');
+const firebaseService = require('./firebase.service');
+const { formatNaira } = require('../utils/money');
+
+// Once a case reaches one of these, late or repeated earlier events (a
+// refund.pending after refund.processed, a dispute remind after resolve)
+// only add to the history
+const FINAL_STATUSES = ['processed', 'failed', 'won', 'lost'];
+
+class DepositReversalService {
+    _ref(recordId) {
+        return db.collection('depositReversals').doc(recordId);
+    }
+
+    /**
+     * The wallet credit a Paystack charge produced, or null if the charge
+     * never reached a wallet (e.g. it failed to credit, or isn't a deposit).
+     */
+    async findDeposit(reference) {
+        if (!reference) return null;
+
+        const snap = await db.collectionGroup('transactions')
+            .where('id', '==', reference)
+            .limit(5)
+            .get();
+        const deposit = snap.docs.find((doc) => {
+            const txn = doc.data();
+            return txn.type === 'credit' && txn.metadata?.type === 'deposit';
+        });
+        if (!deposit) return null;
+
+        return {
+            userId: deposit.data().userId || deposit.ref.parent.parent.id,
+            ref: deposit.ref,
+            amount: deposit.data().amount
+        };
+    }
+
+    /**
+     * Create or update the audit record and link it to the deposit.
+     */
+    async _record(recordId, { deposit, fields, history }) {
+        const ref = this._ref(recordId);
+        const snap = await ref.get();
+        const entry = { ...history, at: Date.now() };
+
+        if (snap.exists) {
+            const existing = snap.data();
+            const update = { ...fields };
+            if (FINAL_STATUSES.includes(existing.status) && !FINAL_STATUSES.includes(fields.status)) {
+                delete update.status;
+            }
+            await ref.update({
+                ...update,
+                updatedAt: Date.now(),
+                history: admin.firestore.FieldValue.arrayUnion(entry)
+            });
+            return { ...existing, ...update };
+        }
+
+        const record = {
+            id: recordId,
+            userId: deposit?.userId || null,
+            holdId: null,
+            debitReference: null,
+            debited: 0,
+            shortfall: 0,
+            createdAt: Date.now(),
+            ...fields,
+            updatedAt: Date.now(),
+            history: [entry]
+        };
+        await ref.set(record);
+        if (deposit) {
+            await deposit.ref.update({
+                reversalIds: admin.firestore.FieldValue.arrayUnion(recordId)
+            });
+        }
+        return record;
+    }
+
+    async _hold(record, deposit, amount, reason) {
+        if (record.holdId) return record.holdId;
+        const hold = await walletHoldService.createHold(deposit.userId, {
+            amount,
+            reason,
+            reference: record.id
+        });
+        await this._ref(record.id).update({ holdId: hold.id });
+        await walletService.invalidateWalletCache(deposit.userId);
+        return hold.id;
+    }
+
+    async _releaseHold(record, note) {
+        if (!record.holdId || !record.userId) return;
+        await walletHoldService.releaseHold(record.userId, record.holdId, { note });
+        await walletService.invalidateWalletCache(record.userId);
+    }
+
+    async _debit(record, deposit, amount, reason) {
+        const debitReference = `reversal_${record.id}`;
+        const result = await walletService.reverseDeposit(deposit.userId, record.depositReference, amount, {
+            reference: debitReference,
+            reason,
+            holdId: record.holdId
+        });
+        await this._ref(record.id).update({
+            debitReference,
+            debited: result.debited,
+            shortfall: result.shortfall
+        });
+        return result;
+    }
+
+    async _alert(type, message, severity = 'high', userId = null) {
+        await firebaseService.broadcastAdminAlert(type, message, severity, userId);
+    }
+
+    // ─── Refunds ──────────────────────────────────────────────────────────────
+
+    async handleRefund(event) {
+        const data = event.data || {};
+        const depositReference = data.transaction_reference || data.transaction?.reference;
+        const recordId = `refund_${data.id ?? data.refund_reference ?? depositReference}`.replace(/[^\w.-]/g, '_');
+        const amount = Number(data.amount) || 0;
+        const state = event.event.split('.')[1]; // pending | processing | processed | failed
+
+        const deposit = await this.findDeposit(depositReference);
+        const record = await this._record(recordId, {
+            deposit,
+            fields: {
+                type: 'refund',
+                depositReference: depositReference || null,
+                paystackRefundId: data.id ?? null,
+                amount,
+                status: deposit ? state : 'unmatched'
+            },
+            history: { event: event.event, amount }
+        });
+
+        if (!deposit) {
+            await this._alert(
+                'REFUND_UNMATCHED',
+                `Paystack ${event.event} for ${depositReference} (${formatNaira(amount)}) matches no wallet deposit`
+            );
+            return;
+        }
+
+        if (state === 'pending' || state === 'processing') {
+            if (FINAL_STATUSES.includes(record.status) || amount <= 0) return;
+            await this._hold(record, deposit, amount, `Card refund in progress (${depositReference})`);
+            return;
+        }
+
+        if (state === 'failed') {
+            await this._releaseHold(record, 'Refund failed');
+            await this._alert(
+                'REFUND_FAILED',
+                `Refund of ${formatNaira(amount)} on deposit ${depositReference} failed — hold released`,
+                'medium',
+                deposit.userId
+            );
+            return;
+        }
+
+        if (state === 'processed') {
+            const result = await this._debit(record, deposit, amount, 'Card refund');
+            if (result.alreadyProcessed) return;
+
+            await this._alert(
+                result.shortfall > 0 ? 'REFUND_SHORTFALL' : 'REFUND_PROCESSED',
+                `Refund of ${formatNaira(amount)} on deposit ${depositReference}: ` +
+                `${formatNaira(result.debited)} debited from ${deposit.userId}` +
+                (result.shortfall > 0 ? `, ${formatNaira(result.shortfall)} already spent and must be recovered` : ''),
+                result.shortfall > 0 ? 'high' : 'medium',
+                deposit.userId
+            );
+        }
+    }
+
+    // ─── Chargebacks ──────────────────────────────────────────────────────────
+
+    async handleDispute(event) {
+        const data = event.data || {};
+        const depositReference = data.transaction?.reference;
+        const recordId = `dispute_${data.id}`;
+        // Paystack sends refund_amount once the dispute has one; until then the whole charge is at stake
+        const amount = Number(data.refund_amount) || Number(data.transaction?.amount) || 0;
+
+        const deposit = await this.findDeposit(depositReference);
+        const isResolve = event.event === 'charge.dispute.resolve';
+        const won = isResolve && data.resolution === 'declined';
+
+        const record = await this._record(recordId, {
+            deposit,
+            fields: {
+                type: 'chargeback',
+                depositReference: depositReference || null,
+                paystackDisputeId: data.id ?? null,
+                category: data.category || null,
+                amount,
+                resolution: data.resolution || null,
+                status: !deposit ? 'unmatched' : !isResolve ? 'open' : won ? 'won' : 'lost'
+            },
+            history: { event: event.event, amount, status: data.status || null, resolution: data.resolution || null }
+        });
+
+        if (!deposit) {
+            await this._alert(
+                'CHARGEBACK_UNMATCHED',
+                `Chargeback ${data.id} on ${depositReference} (${formatNaira(amount)}) matches no wallet deposit`
+            );
+            return;
+        }
+
+        if (!isResolve) {
+            if (FINAL_STATUSES.includes(record.status) || amount <= 0) return;
+            const alreadyHeld = !!record.holdId;
+            await this._hold(record, deposit, amount, `Chargeback dispute ${data.id} (${depositReference})`);
+            if (!alreadyHeld) {
+                await this._alert(
+                    'CHARGEBACK_OPENED',
+                    `Chargeback on deposit ${depositReference} by ${deposit.userId}: ${formatNaira(amount)} held. ` +
+                    `Respond on Paystack${data.dueAt ? ` before ${data.dueAt}` : ''}.`,
+                    'high',
+                    deposit.userId
+                );
+            }
+            return;
+        }
+
+        if (won) {
+            await this._releaseHold(record, 'Chargeback declined');
+            await this._alert(
+                'CHARGEBACK_WON',
+                `Chargeback on deposit ${depositReference} declined — ${formatNaira(amount)} hold released`,
+                'low',
+                deposit.userId
+            );
+            return;
+        }
+
+        const result = await this._debit(record, deposit, amount, 'Chargeback');
+        if (result.alreadyProcessed) return;
+
+        await this._alert(
+            'CHARGEBACK_LOST',
+            `Chargeback on deposit ${depositReference} lost: ${formatNaira(result.debited)} debited from ${deposit.userId}` +
+            (result.shortfall > 0 ? `, ${formatNaira(result.shortfall)} already spent and must be recovered` : ''),
+            'high',
+            deposit.userId
+        );
+    }
+}
+
+module.exports = new DepositReversalService();
@@ -0,0 +1,114 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const paystackWebhookService = require('./paystack-webhook.service');
+const walletService = require('./wallet.service');
+const walletHoldService = require('./wallet-hold.service');
+const ledgerService = require('./ledger.service');
+
+const refund = (state, amount = 300_000) => ({
+    event: `refund.${state}`,
+    data: { id: 77, transaction_reference: 'card_1', amount }
+});
+
+const dispute = (event, extra = {}) => ({
+    event,
+    data: { id: 55, transaction: { reference: 'card_1', amount: 500_000 }, category: 'fraud', ...extra }
+});
+
+const wallet = () => firebase._read('wallets/u1');
+const alertTypes = () => firebase._list('system_alerts').map(a => a.type);
+
+beforeEach(async () => {
+    firebase._seed('users/u1', { name: 'Ada', email: 'ada@example.com', kycTier: 1 });
+    await walletService.creditWallet('u1', 500_000, 'card_1', { type: 'deposit', paymentMethod: 'paystack' });
+});
+
+describe('card refunds', () => {
+    it('holds the amount while pending, then debits it once processed', async () => {
+        await paystackWebhookService.handle(refund('pending'));
+        expect(walletHoldService.availableBalance(wallet())).toBe(200_000);
+
+        await paystackWebhookService.handle(refund('processed'));
+        await paystackWebhookService.handle(refund('processed'));
+
+        expect(wallet().balance).toBe(200_000);
+        expect(walletHoldService.heldAmount(wallet())).toBe(0);
+        expect(firebase._read('depositReversals/refund_77')).toMatchObject({
+            type: 'refund', status: 'processed', depositReference: 'card_1', debited: 300_000, shortfall: 0
+        });
+        expect(firebase._read('wallets/u1/transactions/card_1').reversalIds).toEqual(['refund_77']);
+        expect(alertTypes()).toEqual(['REFUND_PROCESSED']);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('releases the hold when the refund fails', async () => {
+        await paystackWebhookService.handle(refund('pending'));
+        await paystackWebhookService.handle(refund('failed'));
+
+        expect(wallet().balance).toBe(500_000);
+        expect(walletHoldService.availableBalance(wallet())).toBe(500_000);
+        expect(firebase._read('depositReversals/refund_77').status).toBe('failed');
+    });
+
+    it('ignores a late pending event once the refund is final', async () => {
+        await paystackWebhookService.handle(refund('processed'));
+        await paystackWebhookService.handle(refund('pending'));
+
+        expect(firebase._read('depositReversals/refund_77').status).toBe('processed');
+        expect(walletHoldService.heldAmount(wallet())).toBe(0);
+    });
+
+    it('records what was already spent as a shortfall', async () => {
+        await walletService.debitWallet('u1', 400_000, 'Spend', { reference: 'spend_1' });
+
+        await paystackWebhookService.handle(refund('processed'));
+
+        expect(wallet().balance).toBe(0);
+        expect(firebase._read('depositReversals/refund_77')).toMatchObject({ debited: 100_000, shortfall: 200_000 });
+        expect(alertTypes()).toEqual(['REFUND_SHORTFALL']);
+    });
+
+    it('alerts on a refund for a charge that never reached a wallet', async () => {
+        await paystackWebhookService.handle({ event: 'refund.processed', data: { id: 78, transaction_reference: 'nope', amount: 100 } });
+
+        expect(firebase._read('depositReversals/refund_78').status).toBe('unmatched');
+        expect(alertTypes()).toEqual(['REFUND_UNMATCHED']);
+        expect(wallet().balance).toBe(500_000);
+    });
+});
+
+describe('chargebacks', () => {
+    it('holds the disputed amount once, however often Paystack reminds us', async () => {
+        await paystackWebhookService.handle(dispute('charge.dispute.create'));
+        await paystackWebhookService.handle(dispute('charge.dispute.remind'));
+
+        expect(walletHoldService.availableBalance(wallet())).toBe(0);
+        expect(Object.keys(wallet().activeHolds)).toHaveLength(1);
+        expect(alertTypes()).toEqual(['CHARGEBACK_OPENED']);
+    });
+
+    it('releases the hold when the chargeback is declined', async () => {
+        await paystackWebhookService.handle(dispute('charge.dispute.create'));
+        await paystackWebhookService.handle(dispute('charge.dispute.resolve', { resolution: 'declined' }));
+
+        expect(wallet().balance).toBe(500_000);
+        expect(walletHoldService.heldAmount(wallet())).toBe(0);
+        expect(firebase._read('depositReversals/dispute_55').status).toBe('won');
+    });
+
+    it('debits the refund amount when the chargeback is lost', async () => {
+        await paystackWebhookService.handle(dispute('charge.dispute.create'));
+        await paystackWebhookService.handle(dispute('charge.dispute.resolve', { resolution: 'merchant-accepted', refund_amount: 450_000 }));
+
+        expect(wallet().balance).toBe(50_000);
+        expect(walletHoldService.heldAmount(wallet())).toBe(0);
+        expect(firebase._read('depositReversals/dispute_55')).toMatchObject({ status: 'lost', debited: 450_000 });
+        expect(alertTypes()).toEqual(['CHARGEBACK_OPENED', 'CHARGEBACK_LOST']);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+});
@@ -1,5 +1,6 @@
 // services/email.service.js - PRODUCTION EMAIL SERVICE (Resend)
 const { Resend } = require('resend');
+const { formatNaira } = require('../utils/money');
 
 if (!process.env.RESEND_API_KEY) {
   console.error('❌ RESEND_API_KEY is missing in .env file');
@@ -24,6 +25,11 @@ const FROM_EMAIL = 'EliteHub Nigeria <noreply@mail.elitehubng.com>';
 // ─────────────────────────────────────────────────────────────────
 // BASE HTML TEMPLATE
 // ─────────────────────────────────────────────────────────────────
+// For user-typed text (transfer notes, display names) dropped into templates
+const escapeHtml = (str = '') => String(str).replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
 const getBaseTemplate = (content, brandColor = '#667eea') => `
 <!DOCTYPE html>
 <html>
@@ -271,7 +277,7 @@ class EmailService {
   }
 
   // ─────────────────────────────────────────────────────────────
-  // WALLET ALERTS
+  // WALLET ALERTS  (amounts are kobo, as stored)
   // ─────────────────────────────────────────────────────────────
 
   async sendDepositAlert(toEmail, name, amount) {
@@ -280,7 +286,7 @@ class EmailService {
       <h2 style="color:#28a745; text-align:center;">Wallet Credited ✅</h2>
       <p>Hi ${firstName},</p>
       <p>Your EliteHub wallet has been successfully topped up.</p>
-      <div class="amount">₦${Number(amount).toLocaleString()}</div>
+      <div class="amount">${formatNaira(amount)}</div>
       <p>Your funds are ready to use for shopping, airtime, data, and bill payments.</p>
       <div style="text-align:center;">
         <a href="https://www.elitehubng.com" class="button" style="background:#28a745;">View Wallet</a>
@@ -288,7 +294,45 @@ class EmailService {
     `;
     return this.sendEmail(
       toEmail,
-      `Wallet Credited: ₦${Number(amount).toLocaleString()} ✅`,
+      `Wallet Credited: ${formatNaira(amount)} ✅`,
+      getBaseTemplate(content, '#28a745')
+    );
+  }
+
+  async sendTransferSent(toEmail, name, amount, recipientName, reference) {
+    const firstName = name?.split(' ')[0] || 'there';
+    const content = `
+      <h2 style="color:#dc3545; text-align:center;">Transfer Sent 💸</h2>
+      <p>Hi ${firstName},</p>
+      <p>You sent money to <strong>${escapeHtml(recipientName)}</strong> from your EliteHub wallet.</p>
+      <div class="amount">${formatNaira(amount)}</div>
+      <div class="info-box">
+        <p style="margin:0; font-size:13px;">Reference: <strong>${reference}</strong><br>
+        If you did not make this transfer, contact support immediately.</p>
+      </div>
+    `;
+    return this.sendEmail(
+      toEmail,
+      `Transfer Sent: ${formatNaira(amount)} to ${recipientName}`,
+      getBaseTemplate(content, '#dc3545')
+    );
+  }
+
+  async sendTransferReceived(toEmail, name, amount, senderName, note) {
+    const firstName = name?.split(' ')[0] || 'there';
+    const content = `
+      <h2 style="color:#28a745; text-align:center;">Money Received ✅</h2>
+      <p>Hi ${firstName},</p>
+      <p><strong>${escapeHtml(senderName)}</strong> sent money to your EliteHub wallet.</p>
+      <div class="amount">${formatNaira(amount)}</div>
+      ${note ? `<p style="text-align:center; color:#666;">“${escapeHtml(note)}”</p>` : ''}
+      <div style="text-align:center;">
+        <a href="https://www.elitehubng.com" class="button" style="background:#28a745;">View Wallet</a>
+      </div>
+    `;
+    return this.sendEmail(
+      toEmail,
+      `You received ${formatNaira(amount)} from ${senderName} ✅`,
       getBaseTemplate(content, '#28a745')
     );
   }
@@ -299,7 +343,7 @@ class EmailService {
       <h2 style="color:#dc3545; text-align:center;">Withdrawal Processed 💸</h2>
       <p>Hi ${firstName},</p>
       <p>Your withdrawal has been successfully initiated.</p>
-      <div class="amount">₦${Number(amount).toLocaleString()}</div>
+      <div class="amount">${formatNaira(amount)}</div>
       <div class="info-box">
         <p style="margin:0;"><strong>Transfer to:</strong><br>
         ${bankDetails.accountName}<br>
@@ -309,13 +353,64 @@ class EmailService {
     `;
     return this.sendEmail(
       toEmail,
-      `Withdrawal of ₦${Number(amount).toLocaleString()} Processed`,
+      `Withdrawal of ${formatNaira(amount)} Processed`,
       getBaseTemplate(content, '#dc3545')
     );
   }
 
   // ─────────────────────────────────────────────────────────────
-  // ORDER NOTIFICATIONS
+  // BILL PAYMENTS  (amounts are kobo, as stored)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Prepaid electricity token — the customer needs this to load the meter,
+   * so it goes out by email as well as push.
+   */
+  async sendElectricityToken(toEmail, name, { amount, token, units, provider, meterNumber, reference }) {
+    const firstName = name?.split(' ')[0] || 'there';
+    const content = `
+      <h2 style="color:#f59e0b; text-align:center;">Your Electricity Token ⚡</h2>
+      <p>Hi ${firstName},</p>
+      <p>Your prepaid electricity purchase was successful. Enter this token on your meter:</p>
+      <div class="amount" style="letter-spacing:2px;">${escapeHtml(token)}</div>
+      <div class="info-box">
+        <p><strong>Meter:</strong> ${escapeHtml(meterNumber)} (${escapeHtml(String(provider).toUpperCase())})</p>
+        ${units ? `<p><strong>Units:</strong> ${escapeHtml(units)}</p>` : ''}
+        <p><strong>Amount:</strong> ${formatNaira(amount)}</p>
+        <p style="margin:0; font-size:13px;">Reference: <strong>${reference}</strong></p>
+      </div>
+      <p style="font-size:13px; color:#888;">You can also find this token on the receipt in your transaction history.</p>
+    `;
+    return this.sendEmail(
+      toEmail,
+      `Electricity Token: ${formatNaira(amount)} ⚡`,
+      getBaseTemplate(content, '#f59e0b')
+    );
+  }
+
+  async sendExamPins(toEmail, name, { amount, exam, pins, reference }) {
+    const firstName = name?.split(' ')[0] || 'there';
+    const rows = pins.map((p, i) => `
+        <p${i === pins.length - 1 ? ' style="margin:0;"' : ''}><strong>PIN${pins.length > 1 ? ` ${i + 1}` : ''}:</strong> ${escapeHtml(p.pin)}${p.serial ? `<br><span style="font-size:13px; color:#666;">Serial: ${escapeHtml(p.serial)}</span>` : ''}</p>`).join('');
+    const content = `
+      <h2 style="color:#667eea; text-align:center;">Your ${escapeHtml(exam)} PIN${pins.length > 1 ? 's' : ''} 🎓</h2>
+      <p>Hi ${firstName},</p>
+      <p>Your purchase was successful. Keep ${pins.length > 1 ? 'these PINs' : 'this PIN'} safe — anyone with ${pins.length > 1 ? 'them' : 'it'} can use ${pins.length > 1 ? 'them' : 'it'}.</p>
+      <div class="info-box">${rows}
+      </div>
+      <p><strong>Amount:</strong> ${formatNaira(amount)}<br>
+      <span style="font-size:13px; color:#888;">Reference: ${reference}</span></p>
+      <p style="font-size:13px; color:#888;">You can also find ${pins.length > 1 ? 'them' : 'it'} on the receipt in your transaction history.</p>
+    `;
+    return this.sendEmail(
+      toEmail,
+      `Your ${exam} PIN${pins.length > 1 ? 's' : ''}: ${formatNaira(amount)} 🎓`,
+      getBaseTemplate(content)
+    );
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // ORDER NOTIFICATIONS  (amounts are kobo, as stored)
   // ─────────────────────────────────────────────────────────────
 
   async sendOrderConfirmation(toEmail, name, orderId, orderDetails) {
@@ -327,7 +422,7 @@ class EmailService {
       <p>Your order has been placed and the seller has been notified. Your funds are held safely in escrow.</p>
       <div class="info-box">
         <p><strong>Order ID:</strong> #${shortId}</p>
-        <p><strong>Total:</strong> ₦${Number(orderDetails.totalAmount).toLocaleString()}</p>
+        <p><strong>Total:</strong> ${formatNaira(orderDetails.totalAmount)}</p>
         <p style="margin:0;"><strong>Delivery to:</strong> ${orderDetails.deliveryAddress}</p>
       </div>
       <div style="text-align:center;">
@@ -350,7 +445,7 @@ class EmailService {
       <p>You have a new order waiting to be fulfilled.</p>
       <div class="info-box">
         <p><strong>Order ID:</strong> #${shortId}</p>
-        <p><strong>Your Earnings:</strong> ₦${Number(orderDetails.sellerAmount).toLocaleString()}</p>
+        <p><strong>Your Earnings:</strong> ${formatNaira(orderDetails.sellerAmount)}</p>
         <p><strong>Items:</strong></p>
         <ul>
           ${orderDetails.products.map(p => `<li>${p.productName} × ${p.quantity}</li>`).join('')}
@@ -362,7 +457,7 @@ class EmailService {
     `;
     return this.sendEmail(
       toEmail,
-      `New Order #${shortId} — ₦${Number(orderDetails.sellerAmount).toLocaleString()} 🔔`,
+      `New Order #${shortId} — ${formatNaira(orderDetails.sellerAmount)} 🔔`,
       getBaseTemplate(content, '#28a745')
     );
   }
@@ -426,6 +521,30 @@ class EmailService {
     );
   }
 
+  async sendPinResetOTP(toEmail, name, otp) {
+    const firstName = name?.split(' ')[0] || 'there';
+    const content = `
+      <h2 style="color:#ef4444; text-align:center;">Transaction PIN Reset Code 🔐</h2>
+      <p>Hi ${firstName},</p>
+      <p>We received a request to reset your EliteHub wallet PIN. Use the code below:</p>
+      <div style="text-align:center; margin: 30px 0;">
+        <div style="display:inline-block; background:#fff5f5; border: 2px dashed #ef4444; border-radius:12px; padding: 20px 40px;">
+          <span style="font-size:42px; font-weight:900; letter-spacing:12px; color:#ef4444;">${otp}</span>
+        </div>
+      </div>
+      <div class="info-box">
+        <p style="margin:0; font-size:13px;">⏱️ This code expires in <strong>10 minutes</strong>.<br>
+        🔒 Never share this code with anyone — EliteHub will never ask for it.</p>
+      </div>
+      <p style="font-size:13px; color:#888; margin-top:20px;">If you did not request a PIN reset, change your password immediately — someone may have access to your account.</p>
+    `;
+    return this.sendEmail(
+      toEmail,
+      `${otp} — Your EliteHub PIN Reset Code`,
+      getBaseTemplate(content, '#ef4444')
+    );
+  }
+
   async sendDeliveryConfirmation(toEmail, name, orderId, amount) {
     const firstName = name?.split(' ')[0] || 'there';
     const shortId = orderId.slice(-8).toUpperCase();
@@ -433,7 +552,7 @@ class EmailService {
       <h2 style="color:#28a745; text-align:center;">Order Delivered ✅</h2>
       <p>Hi ${firstName},</p>
       <p>Your order <strong>#${shortId}</strong> has been marked as delivered and escrow funds have been released to the seller.</p>
-      <div class="amount">₦${Number(amount).toLocaleString()}</div>
+      <div class="amount">${formatNaira(amount)}</div>
       <p>Thank you for shopping on EliteHub! We hope you love your purchase.</p>
       <div style="text-align:center;">
         <a href="https://www.elitehubng.com" class="button" style="background:#28a745;">Leave a Review</a>
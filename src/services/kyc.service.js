@@ -0,0 +1,187 @@
+'use strict';
+
+// ─── kyc.service.js ───────────────────────────────────────────────────────────
+// Tier lookup and limit enforcement for constants/KycTiers.js.
+//
+// Daily debit usage is a counter, not a query: every limited debit increments
+//   wallets/{userId}/dailyUsage/{YYYY-MM-DD}   { debitTotal }
+// inside the same Firestore transaction as the debit itself, so two parallel
+// debits can't both squeeze under the limit. Days are Nigerian (WAT, UTC+1).
+//
+// Transaction helpers follow Firestore's rule of reads-before-writes:
+//   const kyc = await kycService.loadForTransaction(t, userId);   // reads
+//   kycService.assertCanDebit(kyc, amount);                        // pure, throws
+//   kycService.recordDebit(t, kyc, amount);                        // write
+//
+// Violations throw `KYC_LIMIT: …` — routes map that prefix to a 403.
+
+const { db, admin } = require('../config/firebase');
+const {
+    KYC_TIERS, DEFAULT_KYC_TIER, MAX_KYC_TIER, KYC_EXEMPT_CREDIT_TYPES
+} = require('../constants/KycTiers');
+const { formatNaira } = require('../utils/money');
+
+const WAT_OFFSET_MS = 60 * 60 * 1000;
+
+class KycService {
+    /**
+     * Today's date in Lagos, e.g. "2026-10-19" — the daily usage doc id.
+     */
+    usageDateKey(now = Date.now()) {
+        return new Date(now + WAT_OFFSET_MS).toISOString().slice(0, 10);
+    }
+
+    normalizeTier(tier) {
+        const n = parseInt(tier, 10);
+        return KYC_TIERS[n] ? n : DEFAULT_KYC_TIER;
+    }
+
+    getLimits(tier) {
+        return KYC_TIERS[this.normalizeTier(tier)];
+    }
+
+    _usageRef(userId, dateKey) {
+        return db.collection('wallets').doc(userId).collection('dailyUsage').doc(dateKey);
+    }
+
+    /**
+     * All transactional reads for a limit check. Call before any t.set/t.update.
+     */
+    async loadForTransaction(transaction, userId) {
+        const dateKey = this.usageDateKey();
+        const usageRef = this._usageRef(userId, dateKey);
+        const [userSnap, usageSnap] = await Promise.all([
+            transaction.get(db.collection('users').doc(userId)),
+            transaction.get(usageRef)
+        ]);
+
+        const tier = this.normalizeTier(userSnap.exists ? userSnap.data().kycTier : null);
+        return {
+            userId,
+            tier,
+            limits: KYC_TIERS[tier],
+            dateKey,
+            usageRef,
+            usedToday: usageSnap.exists ? (usageSnap.data().debitTotal || 0) : 0
+        };
+    }
+
+    isExemptCredit(type) {
+        return KYC_EXEMPT_CREDIT_TYPES.includes(type);
+    }
+
+    assertCanCredit(kyc, currentBalance, amount) {
+        const { maxBalance } = kyc.limits;
+        if (maxBalance !== null && currentBalance + amount > maxBalance) {
+            throw new Error(
+                `KYC_LIMIT: Tier ${kyc.tier} wallets can hold at most ${formatNaira(maxBalance)}. ` +
+                `Upgrade your verification level to receive ${formatNaira(amount)}.`
+            );
+        }
+    }
+
+    /**
+     * Bank payouts only — checked on the amount sent, before fees.
+     */
+    assertCanWithdraw(kyc, amount) {
+        const { singleWithdrawal } = kyc.limits;
+        if (singleWithdrawal !== null && amount > singleWithdrawal) {
+            throw new Error(
+                `KYC_LIMIT: Tier ${kyc.tier} single withdrawal limit is ${formatNaira(singleWithdrawal)}.`
+            );
+        }
+    }
+
+    /**
+     * Everything that leaves the wallet (fees included) counts towards dailyDebit.
+     */
+    assertCanDebit(kyc, amount) {
+        const { dailyDebit } = kyc.limits;
+        if (dailyDebit !== null && kyc.usedToday + amount > dailyDebit) {
+            const remaining = Math.max(0, dailyDebit - kyc.usedToday);
+            throw new Error(
+                `KYC_LIMIT: Tier ${kyc.tier} daily limit of ${formatNaira(dailyDebit)} exceeded. ` +
+                `Remaining today: ${formatNaira(remaining)}.`
+            );
+        }
+    }
+
+    recordDebit(transaction, kyc, amount) {
+        transaction.set(kyc.usageRef, {
+            date: kyc.dateKey,
+            debitTotal: admin.firestore.FieldValue.increment(amount),
+            updatedAt: Date.now()
+        }, { merge: true });
+    }
+
+    /**
+     * Give back allowance for a debit that was reversed (failed bill /
+     * withdrawal). `dateKey` is the day the debit was counted against.
+     */
+    releaseDebit(transaction, userId, dateKey, amount) {
+        transaction.set(this._usageRef(userId, dateKey), {
+            date: dateKey,
+            debitTotal: admin.firestore.FieldValue.increment(-amount),
+            updatedAt: Date.now()
+        }, { merge: true });
+    }
+
+    /**
+     * Tier, limits and what's left today — for GET /wallet/limits. Kobo.
+     */
+    async getSummary(userId) {
+        const dateKey = this.usageDateKey();
+        const [userSnap, walletSnap, usageSnap] = await Promise.all([
+            db.collection('users').doc(userId).get(),
+            db.collection('wallets').doc(userId).get(),
+            this._usageRef(userId, dateKey).get()
+        ]);
+
+        const user = userSnap.exists ? userSnap.data() : {};
+        const tier = this.normalizeTier(user.kycTier);
+        const limits = KYC_TIERS[tier];
+        const balance = walletSnap.exists ? (walletSnap.data().balance || 0) : 0;
+        const usedToday = usageSnap.exists ? (usageSnap.data().debitTotal || 0) : 0;
+
+        return {
+            tier,
+            tierName: limits.name,
+            limits: {
+                maxBalance: limits.maxBalance,
+                dailyDebit: limits.dailyDebit,
+                singleWithdrawal: limits.singleWithdrawal
+            },
+            balance,
+            usedToday,
+            remainingToday: limits.dailyDebit === null ? null : Math.max(0, limits.dailyDebit - usedToday),
+            balanceHeadroom: limits.maxBalance === null ? null : Math.max(0, limits.maxBalance - balance),
+            nextTier: tier < MAX_KYC_TIER ? KYC_TIERS[tier + 1] : null
+        };
+    }
+
+    /**
+     * Admin-confirmed tier change after documents are reviewed.
+     */
+    async setTier(userId, tier, { adminId, note = '' } = {}) {
+        const n = parseInt(tier, 10);
+        if (!KYC_TIERS[n]) throw new Error(`Invalid KYC tier: ${tier}`);
+
+        const userRef = db.collection('users').doc(userId);
+        const userSnap = await userRef.get();
+        if (!userSnap.exists) throw new Error('User not found');
+
+        const previousTier = this.normalizeTier(userSnap.data().kycTier);
+        await userRef.update({
+            kycTier: n,
+            kycUpdatedAt: Date.now(),
+            kycUpdatedBy: adminId || null,
+            kycHistory: admin.firestore.FieldValue.arrayUnion({
+                from: previousTier, to: n, by: adminId || null, note, at: Date.now()
+            })
+        });
+
+        return { previousTier, tier: n };
+    }
+}
+
+module.exports = new KycService();
@@ -0,0 +1,78 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const kycService = require('./kyc.service');
+const walletService = require('./wallet.service');
+const { KYC_TIERS } = require('../constants/KycTiers');
+
+const TIER_1 = KYC_TIERS[1];
+
+beforeEach(() => {
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1 });
+});
+
+describe('KYC tier limits', () => {
+    it('refuses a credit that would take the wallet past maxBalance', async () => {
+        await walletService.creditWallet('u1', TIER_1.maxBalance - 100, 'dep_1', { type: 'deposit' });
+
+        await expect(walletService.creditWallet('u1', 101, 'dep_2', { type: 'deposit' }))
+            .rejects.toThrow('KYC_LIMIT');
+        expect(firebase._read('wallets/u1').balance).toBe(TIER_1.maxBalance - 100);
+
+        await walletService.creditWallet('u1', 100, 'dep_3', { type: 'deposit' });
+        expect(firebase._read('wallets/u1').balance).toBe(TIER_1.maxBalance);
+    });
+
+    it('lets refunds through whatever the balance', async () => {
+        await walletService.creditWallet('u1', TIER_1.maxBalance, 'dep_full', { type: 'deposit' });
+        await walletService.creditWallet('u1', 5_000, 'refund_1', { type: 'bill_refund' });
+
+        expect(firebase._read('wallets/u1').balance).toBe(TIER_1.maxBalance + 5_000);
+    });
+
+    it('caps debits per Lagos day and counts them in dailyUsage', async () => {
+        await walletService.creditWallet('u1', TIER_1.dailyDebit + 10_000, 'dep_1', { type: 'deposit' });
+        await walletService.debitWallet('u1', TIER_1.dailyDebit - 1_000, 'Spend', { reference: 'spend_1' });
+
+        await expect(walletService.debitWallet('u1', 1_001, 'Spend', { reference: 'spend_2' }))
+            .rejects.toThrow('KYC_LIMIT');
+
+        const summary = await kycService.getSummary('u1');
+        expect(summary.usedToday).toBe(TIER_1.dailyDebit - 1_000);
+        expect(summary.remainingToday).toBe(1_000);
+    });
+
+    it('hands back the daily allowance when a debit is refunded', async () => {
+        await walletService.creditWallet('u1', TIER_1.dailyDebit, 'dep_1', { type: 'deposit' });
+        await walletService.debitWallet('u1', TIER_1.dailyDebit, 'Bill', { reference: 'bill_1', type: 'bill_payment' });
+        await walletService.creditWallet('u1', TIER_1.dailyDebit, 'bill_1_refund', {
+            type: 'bill_refund', originalTransaction: 'bill_1'
+        });
+
+        expect((await kycService.getSummary('u1')).usedToday).toBe(0);
+    });
+
+    it('allows a single withdrawal up to the tier limit', () => {
+        const kyc = { tier: 1, limits: TIER_1 };
+        expect(() => kycService.assertCanWithdraw(kyc, TIER_1.singleWithdrawal)).not.toThrow();
+        expect(() => kycService.assertCanWithdraw(kyc, TIER_1.singleWithdrawal + 1)).toThrow('KYC_LIMIT');
+    });
+
+    it('treats an unknown tier as tier 1 and reports headroom', async () => {
+        firebase._seed('users/u2', { kycTier: 'gold' });
+        await walletService.creditWallet('u2', 100_000, 'dep_u2', { type: 'deposit' });
+
+        const summary = await kycService.getSummary('u2');
+        expect(summary.tier).toBe(1);
+        expect(summary.balanceHeadroom).toBe(TIER_1.maxBalance - 100_000);
+    });
+
+    it('uses the WAT calendar day for usage', () => {
+        // 23:30 UTC is already the next day in Lagos
+        expect(kycService.usageDateKey(Date.UTC(2026, 9, 19, 23, 30))).toBe('2026-10-20');
+    });
+});
@@ -0,0 +1,271 @@
+'use strict';
+
+// ─── ledger.service.js ────────────────────────────────────────────────────────
+// Double-entry journal behind WalletService.
+//
+// Every money movement posts ONE journal entry whose lines balance
+// (Σ debit === Σ credit). Each line also bumps the running balance on
+// ledgerAccounts/{accountId} and is copied to ledgerAccounts/{accountId}/entries
+// so an account's history can be paged without scanning the whole journal.
+//
+// All amounts are integer kobo (utils/money.js) — a line that isn't is rejected.
+//
+// Accounts (balance is stored on the account's normal side):
+//   user:{uid}             liability — spendable wallet balance owed to the user
+//   escrow:{uid}           liability — buyer funds held for running orders
+//   platform:commission    revenue   — order commission (mirrors wallets/admin)
+//   platform:fees          revenue   — withdrawal fees
+//   platform:subscriptions revenue   — service-provider plans
+//   platform:referrals     expense   — referral bonuses paid out
+//   platform:bills         liability — value owed to VTPass for bill purchases
+//   platform:bill_margin   revenue   — bill markup earned, less discounts given
+//                                      (mirrors wallets/admin with commission)
+//   platform:promotions    revenue   — platform-funded coupon discounts; runs
+//                                      negative (mirrors wallets/admin too)
+//   platform:general       revenue   — generic /wallet/debit spends
+//   platform:opening       equity    — balances that pre-date the journal
+//   paystack:float         asset     — cash sitting in our Paystack balance
+
+const { db, admin } = require('../config/firebase');
+const { isKobo } = require('../utils/money');
+
+const ACCOUNTS = {
+    user:          (userId) => `user:${userId}`,
+    escrow:        (userId) => `escrow:${userId}`,
+    COMMISSION:    'platform:commission',
+    FEES:          'platform:fees',
+    SUBSCRIPTIONS: 'platform:subscriptions',
+    REFERRALS:     'platform:referrals',
+    BILLS:         'platform:bills',
+    BILL_MARGIN:   'platform:bill_margin',
+    PROMOTIONS:    'platform:promotions',
+    GENERAL:       'platform:general',
+    OPENING:       'platform:opening',
+    PAYSTACK_FLOAT:'paystack:float'
+};
+
+// Ledger accounts that together make up the wallets/admin balance
+const PLATFORM_WALLET_ACCOUNTS = [ACCOUNTS.COMMISSION, ACCOUNTS.BILL_MARGIN, ACCOUNTS.PROMOTIONS];
+
+const ACCOUNT_TYPES = {
+    'user':                   { type: 'liability', normalSide: 'credit' },
+    'escrow':                 { type: 'liability', normalSide: 'credit' },
+    'platform:commission':    { type: 'revenue',   normalSide: 'credit' },
+    'platform:fees':          { type: 'revenue',   normalSide: 'credit' },
+    'platform:subscriptions': { type: 'revenue',   normalSide: 'credit' },
+    'platform:referrals':     { type: 'expense',   normalSide: 'debit'  },
+    'platform:bills':         { type: 'liability', normalSide: 'credit' },
+    'platform:bill_margin':   { type: 'revenue',   normalSide: 'credit' },
+    'platform:promotions':    { type: 'revenue',   normalSide: 'credit' },
+    'platform:general':       { type: 'revenue',   normalSide: 'credit' },
+    'platform:opening':       { type: 'equity',    normalSide: 'credit' },
+    'paystack:float':         { type: 'asset',     normalSide: 'debit'  }
+};
+
+class LedgerService {
+    constructor() {
+        this.ACCOUNTS = ACCOUNTS;
+        this.PLATFORM_WALLET_ACCOUNTS = PLATFORM_WALLET_ACCOUNTS;
+    }
+
+    /**
+     * Resolve type + normal side for an account id.
+     * user:{uid} and escrow:{uid} are looked up by prefix.
+     */
+    describeAccount(accountId) {
+        const meta = ACCOUNT_TYPES[accountId] || ACCOUNT_TYPES[accountId.split(':')[0]];
+        if (!meta) throw new Error(`LEDGER: Unknown account ${accountId}`);
+        return meta;
+    }
+
+    /**
+     * Shorthand line builders — keeps call sites readable:
+     *   [ledger.debit(ACCOUNTS.user(uid), 500), ledger.credit(ACCOUNTS.BILLS, 500)]
+     */
+    debit(account, amount)  { return { account, side: 'debit',  amount }; }
+    credit(account, amount) { return { account, side: 'credit', amount }; }
+
+    /**
+     * Validate lines and collapse them to one signed delta per account.
+     * Throws when the entry does not balance — nothing is written.
+     */
+    _prepare(lines) {
+        if (!Array.isArray(lines) || lines.length < 2) {
+            throw new Error('LEDGER: An entry needs at least two lines');
+        }
+
+        let debits = 0;
+        let credits = 0;
+        const deltas = new Map();
+
+        for (const line of lines) {
+            if (!line.account || !['debit', 'credit'].includes(line.side)) {
+                throw new Error('LEDGER: Malformed journal line');
+            }
+            if (!isKobo(line.amount) || line.amount < 0) {
+                throw new Error(`LEDGER: Invalid amount on ${line.account} (must be integer kobo)`);
+            }
+
+            if (line.side === 'debit') debits += line.amount;
+            else credits += line.amount;
+
+            const { normalSide } = this.describeAccount(line.account);
+            const signed = line.side === normalSide ? line.amount : -line.amount;
+            deltas.set(line.account, (deltas.get(line.account) || 0) + signed);
+        }
+
+        if (debits !== credits) {
+            throw new Error(`LEDGER: Unbalanced entry (debits ${debits} ≠ credits ${credits})`);
+        }
+
+        return { deltas, total: debits };
+    }
+
+    /**
+     * Post a journal entry INSIDE an existing Firestore transaction.
+     * Only writes — safe to call after the transaction's reads are done.
+     *
+     * The entry id must be deterministic for the movement (e.g. `deposit_{ref}`):
+     * the journal doc is written with create(), so a duplicate post aborts the
+     * whole transaction instead of double-counting.
+     */
+    postAtomic(transaction, { id, type, lines, reference = null, metadata = {} }) {
+        if (!id || !type) throw new Error('LEDGER: Entry id and type are required');
+
+        const { deltas, total } = this._prepare(lines);
+        const now = Date.now();
+        const journalRef = db.collection('journalEntries').doc(id);
+
+        transaction.create(journalRef, {
+            id, type, reference, total,
+            lines: lines.map(l => ({ account: l.account, side: l.side, amount: l.amount })),
+            accounts: [...deltas.keys()],
+            metadata,
+            createdAt: now
+        });
+
+        for (const [accountId, delta] of deltas) {
+            const accountRef = db.collection('ledgerAccounts').doc(accountId);
+            const { type: accountType, normalSide } = this.describeAccount(accountId);
+
+            transaction.set(accountRef, {
+                id: accountId, type: accountType, normalSide,
+                balance:   admin.firestore.FieldValue.increment(delta),
+                updatedAt: now
+            }, { merge: true });
+
+            const accountLines = lines.filter(l => l.account === accountId);
+            transaction.set(accountRef.collection('entries').doc(id), {
+                journalId: id, type, reference,
+                lines: accountLines.map(l => ({ side: l.side, amount: l.amount })),
+                delta,
+                metadata,
+                createdAt: now
+            });
+        }
+
+        return { id, total };
+    }
+
+    /**
+     * Post a journal entry in its own transaction (for flows that have no
+     * surrounding Firestore transaction).
+     */
+    async post(entry) {
+        return db.runTransaction(async (transaction) => this.postAtomic(transaction, entry));
+    }
+
+    async getAccount(accountId) {
+        const meta = this.describeAccount(accountId);
+        const snap = await db.collection('ledgerAccounts').doc(accountId).get();
+        if (!snap.exists) return { id: accountId, ...meta, balance: 0 };
+        return { ...snap.data(), balance: snap.data().balance || 0 };
+    }
+
+    /**
+     * Page through an account's entries, newest first.
+     * @param {string} accountId
+     * @param {{ limit?: number, before?: number }} options  before = createdAt cursor
+     */
+    async getAccountEntries(accountId, { limit = 20, before } = {}) {
+        this.describeAccount(accountId);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        let query = db.collection('ledgerAccounts').doc(accountId)
+            .collection('entries')
+            .orderBy('createdAt', 'desc');
+        if (before) query = query.startAfter(Number(before));
+
+        const snap = await query.limit(pageSize + 1).get();
+        const docs = snap.docs.slice(0, pageSize);
+        const entries = docs.map(d => ({ id: d.id, ...d.data() }));
+
+        return {
+            entries,
+            hasMore: snap.docs.length > pageSize,
+            nextCursor: snap.docs.length > pageSize ? entries[entries.length - 1].createdAt : null
+        };
+    }
+
+    async getJournalEntry(entryId) {
+        const snap = await db.collection('journalEntries').doc(entryId).get();
+        return snap.exists ? { id: snap.id, ...snap.data() } : null;
+    }
+
+    /**
+     * Compare a wallet document against the journal.
+     *   balance        ↔ user:{uid}   (wallets/admin ↔ platform wallet accounts)
+     *   pendingBalance ↔ escrow:{uid} (buyer side only — a seller's pending
+     *                                  balance is a receivable, not journal money)
+     */
+    async verifyWallet(userId) {
+        const walletSnap = await db.collection('wallets').doc(userId).get();
+        if (!walletSnap.exists) throw new Error('Wallet not found');
+        const wallet = walletSnap.data();
+
+        const balanceAccounts = userId === 'admin' ? PLATFORM_WALLET_ACCOUNTS : [ACCOUNTS.user(userId)];
+        const accounts = await Promise.all(balanceAccounts.map(id => this.getAccount(id)));
+        const ledgerBalance = accounts.reduce((sum, a) => sum + a.balance, 0);
+
+        const escrow = userId === 'admin' ? null : await this.getAccount(ACCOUNTS.escrow(userId));
+
+        const balanceDrift = (wallet.balance || 0) - ledgerBalance;
+        const escrowDrift  = escrow ? (wallet.pendingBalance || 0) - escrow.balance : null;
+
+        return {
+            userId,
+            balance: { wallet: wallet.balance || 0, ledger: ledgerBalance, drift: balanceDrift },
+            escrow:  escrow ? { walletPending: wallet.pendingBalance || 0, ledger: escrow.balance, drift: escrowDrift } : null,
+            inBalance: balanceDrift === 0,
+            checkedAt: Date.now()
+        };
+    }
+
+    /**
+     * One-off: bring a pre-journal wallet onto the ledger by posting its
+     * current balance against platform:opening. Idempotent per user.
+     */
+    async seedOpeningBalance(userId) {
+        const walletRef = db.collection('wallets').doc(userId);
+        return db.runTransaction(async (transaction) => {
+            const [walletSnap, existing] = await Promise.all([
+                transaction.get(walletRef),
+                transaction.get(db.collection('journalEntries').doc(`opening_${userId}`))
+            ]);
+            if (!walletSnap.exists || existing.exists) return { skipped: true };
+
+            const balance = walletSnap.data().balance || 0;
+            if (balance <= 0) return { skipped: true };
+
+            const account = userId === 'admin' ? ACCOUNTS.COMMISSION : ACCOUNTS.user(userId);
+            this.postAtomic(transaction, {
+                id: `opening_${userId}`, type: 'opening_balance', reference: userId,
+                lines: [this.debit(ACCOUNTS.OPENING, balance), this.credit(account, balance)],
+                metadata: { userId }
+            });
+            return { skipped: false, balance };
+        });
+    }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,134 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+
+const firebase = require('../config/firebase');
+const ledgerService = require('./ledger.service');
+
+const { ACCOUNTS } = ledgerService;
+
+describe('ledger postings', () => {
+    it('posts a balanced entry and moves each account on its normal side', async () => {
+        await ledgerService.post({
+            id: 'deposit_ref1', type: 'deposit', reference: 'ref1',
+            lines: [ledgerService.debit(ACCOUNTS.PAYSTACK_FLOAT, 150000), ledgerService.credit(ACCOUNTS.user('u1'), 150000)]
+        });
+
+        expect((await ledgerService.getAccount('paystack:float')).balance).toBe(150000);
+        expect((await ledgerService.getAccount('user:u1')).balance).toBe(150000);
+
+        const entry = await ledgerService.getJournalEntry('deposit_ref1');
+        expect(entry.total).toBe(150000);
+        expect(entry.accounts).toEqual(['paystack:float', 'user:u1']);
+        expect(firebase._list('ledgerAccounts/user:u1/entries')).toHaveLength(1);
+    });
+
+    it('takes a debit off a liability account', async () => {
+        await ledgerService.post({
+            id: 'credit_a', type: 'deposit',
+            lines: [ledgerService.debit(ACCOUNTS.PAYSTACK_FLOAT, 5000), ledgerService.credit(ACCOUNTS.user('u1'), 5000)]
+        });
+        await ledgerService.post({
+            id: 'debit_b', type: 'debit',
+            lines: [ledgerService.debit(ACCOUNTS.user('u1'), 2000), ledgerService.credit(ACCOUNTS.GENERAL, 2000)]
+        });
+
+        expect((await ledgerService.getAccount('user:u1')).balance).toBe(3000);
+        expect((await ledgerService.getAccount('platform:general')).balance).toBe(2000);
+    });
+
+    it('rejects an unbalanced entry without writing anything', async () => {
+        await expect(ledgerService.post({
+            id: 'bad', type: 'deposit',
+            lines: [ledgerService.debit(ACCOUNTS.PAYSTACK_FLOAT, 100), ledgerService.credit(ACCOUNTS.user('u1'), 99)]
+        })).rejects.toThrow('LEDGER: Unbalanced entry');
+
+        expect(await ledgerService.getJournalEntry('bad')).toBeNull();
+        expect((await ledgerService.getAccount('user:u1')).balance).toBe(0);
+    });
+
+    it('rejects amounts that are not whole kobo', async () => {
+        await expect(ledgerService.post({
+            id: 'frac', type: 'deposit',
+            lines: [ledgerService.debit(ACCOUNTS.PAYSTACK_FLOAT, 10.5), ledgerService.credit(ACCOUNTS.user('u1'), 10.5)]
+        })).rejects.toThrow('must be integer kobo');
+    });
+
+    it('rejects unknown accounts and single-line entries', () => {
+        expect(() => ledgerService.describeAccount('nowhere:x')).toThrow('LEDGER: Unknown account');
+        expect(() => ledgerService._prepare([ledgerService.debit(ACCOUNTS.FEES, 1)])).toThrow('at least two lines');
+    });
+
+    it('refuses to post the same entry id twice', async () => {
+        const entry = {
+            id: 'deposit_dup', type: 'deposit',
+            lines: [ledgerService.debit(ACCOUNTS.PAYSTACK_FLOAT, 700), ledgerService.credit(ACCOUNTS.user('u1'), 700)]
+        };
+        await ledgerService.post(entry);
+        await expect(ledgerService.post(entry)).rejects.toThrow('ALREADY_EXISTS');
+
+        expect((await ledgerService.getAccount('user:u1')).balance).toBe(700);
+    });
+
+    it('pages account entries newest first', async () => {
+        const now = jest.spyOn(Date, 'now');
+        for (let i = 1; i <= 3; i++) {
+            now.mockReturnValue(1000 * i);
+            await ledgerService.post({
+                id: `e${i}`, type: 'deposit',
+                lines: [ledgerService.debit(ACCOUNTS.PAYSTACK_FLOAT, i), ledgerService.credit(ACCOUNTS.user('u1'), i)]
+            });
+        }
+        now.mockRestore();
+
+        const first = await ledgerService.getAccountEntries('user:u1', { limit: 2 });
+        expect(first.entries.map(e => e.id)).toEqual(['e3', 'e2']);
+        expect(first.hasMore).toBe(true);
+
+        const second = await ledgerService.getAccountEntries('user:u1', { limit: 2, before: first.nextCursor });
+        expect(second.entries.map(e => e.id)).toEqual(['e1']);
+        expect(second.hasMore).toBe(false);
+    });
+});
+
+describe('verifyWallet', () => {
+    it('reports drift between a wallet and its ledger account', async () => {
+        firebase._seed('wallets/u1', { userId: 'u1', balance: 5000, pendingBalance: 0 });
+        await ledgerService.post({
+            id: 'credit_x', type: 'deposit',
+            lines: [ledgerService.debit(ACCOUNTS.PAYSTACK_FLOAT, 4000), ledgerService.credit(ACCOUNTS.user('u1'), 4000)]
+        });
+
+        const report = await ledgerService.verifyWallet('u1');
+        expect(report.inBalance).toBe(false);
+        expect(report.balance).toEqual({ wallet: 5000, ledger: 4000, drift: 1000 });
+    });
+
+    it('sums the platform accounts for the admin wallet', async () => {
+        firebase._seed('wallets/admin', { userId: 'admin', balance: 900 });
+        await ledgerService.post({
+            id: 'release_o1', type: 'escrow_release',
+            lines: [
+                ledgerService.debit(ACCOUNTS.escrow('b1'), 1000),
+                ledgerService.credit(ACCOUNTS.COMMISSION, 1000)
+            ]
+        });
+        await ledgerService.post({
+            id: 'promo_o1', type: 'escrow_release',
+            lines: [ledgerService.debit(ACCOUNTS.PROMOTIONS, 100), ledgerService.credit(ACCOUNTS.user('s1'), 100)]
+        });
+
+        const report = await ledgerService.verifyWallet('admin');
+        expect(report.balance.ledger).toBe(900);
+        expect(report.inBalance).toBe(true);
+    });
+
+    it('seeds an opening balance once', async () => {
+        firebase._seed('wallets/u2', { userId: 'u2', balance: 2500 });
+
+        expect(await ledgerService.seedOpeningBalance('u2')).toEqual({ skipped: false, balance: 2500 });
+        expect(await ledgerService.seedOpeningBalance('u2')).toEqual({ skipped: true });
+        expect((await ledgerService.verifyWallet('u2')).inBalance).toBe(true);
+    });
+});
@@ -0,0 +1,278 @@
+'use strict';
+
+// ─── order-pricing.service.js ─────────────────────────────────────────────────
+// What a cart costs, worked out only from what we store — never from prices,
+// fees, discounts or seller ids the app sends.
+//
+//   unit price    products/{id}.price (naira) less the product's own discount %
+//   delivery fee  the seller's users/{id}.deliveryFee (kobo); pickup is free
+//   discount      the coupon in `couponCode`, if any (coupon.service.js);
+//                 `platformDiscount` is the part of it the platform funds
+//   commission    on what the seller sells for: total + platformDiscount
+//
+// Lines are grouped by each product's real sellerId — one order per seller.
+// A seller id the app claims for a line must match it.
+//
+// Checkout (POST /orders/quote) prices the cart and returns a signed quote
+// token: an HMAC over the buyer, an expiry and a digest of every priced line,
+// coupon and total. Order creation prices the cart again and must produce the same
+// digest — if a price, fee or stock-relevant detail changed in between, the
+// buyer gets the new quote instead of an order.
+//
+// Needs ORDER_QUOTE_SECRET. Amounts are kobo.
+
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const couponService = require('./coupon.service');
+const { toKobo, applyDiscount, commissionFor } = require('../utils/money');
+
+const QUOTE_SECRET = process.env.ORDER_QUOTE_SECRET;
+const QUOTE_TTL_MS = 15 * 60 * 1000;
+const MAX_LINES = 50;
+const MAX_QUANTITY = 100;
+const DELIVERY_METHODS = ['delivery', 'pickup'];
+
+if (!QUOTE_SECRET) {
+    console.error('❌ ORDER_QUOTE_SECRET is not configured — checkout quotes cannot be signed');
+}
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+class OrderPricingService {
+    constructor() {
+        this.MAX_LINES = MAX_LINES;
+        this.MAX_QUANTITY = MAX_QUANTITY;
+    }
+
+    /**
+     * Kobo a buyer pays per unit: the naira list price less the product's own
+     * discount %, applied after conversion so it rounds once.
+     */
+    unitPrice(product) {
+        return applyDiscount(toKobo(product.price), product.discount);
+    }
+
+    /**
+     * The cart part of an order request, in either shape:
+     *   { products: [{ productId, quantity }], deliveryMethod }          one seller
+     *   { subOrders: [{ sellerId, items: [...], deliveryMethod, ... }] } bundle
+     * plus an optional `couponCode`. Anything else on the lines (price, name,
+     * fees, discount) is dropped.
+     *
+     * @returns {{ lines: Array<{ productId, quantity, sellerId? }>, deliveryMethods: object, deliveryMethod?: string, couponCode: string|null }}
+     */
+    cartFromBody(body = {}) {
+        const couponCode = body.couponCode ? String(body.couponCode) : null;
+
+        if (Array.isArray(body.subOrders)) {
+            const lines = [];
+            const deliveryMethods = {};
+            for (const subOrder of body.subOrders) {
+                if (!subOrder?.sellerId) throw new Error('CART: Each sub-order needs a sellerId');
+                if (!Array.isArray(subOrder.items) || !subOrder.items.length) {
+                    throw new Error('CART: Each sub-order needs items');
+                }
+                deliveryMethods[subOrder.sellerId] ??= subOrder.deliveryMethod;
+                subOrder.items.forEach(item => lines.push({
+                    productId: item?.productId,
+                    quantity: item?.quantity,
+                    sellerId: subOrder.sellerId
+                }));
+            }
+            return { lines, deliveryMethods, couponCode };
+        }
+
+        const lines = (Array.isArray(body.products) ? body.products : [])
+            .map(item => ({ productId: item?.productId, quantity: item?.quantity }));
+        return { lines, deliveryMethods: {}, deliveryMethod: body.deliveryMethod, couponCode };
+    }
+
+    /**
+     * Price a cart. Reads through `transaction` when given (before any of
+     * its writes), so the prices and stock checked are the ones committed.
+     * `buyerId` lets a coupon's per-buyer cap be checked too.
+     *
+     * @returns {Promise<{ groups: Array, total: number, coupon: object|null, products: Map<string, object> }>}
+     *   one group per seller, sorted by sellerId:
+     *   { sellerId, sellerName, deliveryMethod, items, subtotal, discount,
+     *     platformDiscount, deliveryFee, total, commission }
+     *   coupon: { code, scope, discount, platformDiscount }
+     */
+    async price(cart, { transaction = null, buyerId = null } = {}) {
+        const read = (ref) => (transaction ? transaction.get(ref) : ref.get());
+        const { lines = [], deliveryMethods = {}, deliveryMethod, couponCode = null } = cart;
+
+        if (!lines.length) throw new Error('CART: Your cart is empty');
+        if (lines.length > MAX_LINES) throw new Error(`CART: A cart can have at most ${MAX_LINES} items`);
+
+        // Same product twice → one line; its claimed seller must agree
+        const wanted = new Map();
+        for (const line of lines) {
+            const quantity = Number(line.quantity);
+            if (!line.productId || typeof line.productId !== 'string') throw new Error('CART: Product ID is missing');
+            if (!Number.isInteger(quantity) || quantity < 1) throw new Error('CART: Quantity must be a whole number of at least 1');
+
+            const existing = wanted.get(line.productId);
+            if (existing && line.sellerId && existing.sellerId && existing.sellerId !== line.sellerId) {
+                throw new Error('CART: Invalid product selection');
+            }
+            wanted.set(line.productId, {
+                quantity: (existing?.quantity || 0) + quantity,
+                sellerId: existing?.sellerId || line.sellerId || null
+            });
+        }
+
+        const productSnaps = await Promise.all(
+            [...wanted.keys()].map(id => read(db.collection('products').doc(id)))
+        );
+        const products = new Map();
+        const bySeller = new Map();
+        for (const snap of productSnaps) {
+            const product = snap.exists ? { id: snap.id, ...snap.data() } : null;
+            const line = wanted.get(snap.id);
+            if (!product || (product.status && product.status !== 'active')) {
+                throw new Error(`CART: A product in your cart is no longer available (${snap.id})`);
+            }
+            if (line.sellerId && line.sellerId !== product.sellerId) {
+                throw new Error(`CART: ${product.name} is not sold by this seller`);
+            }
+            if (line.quantity > MAX_QUANTITY) {
+                throw new Error(`CART: You can order at most ${MAX_QUANTITY} of ${product.name}`);
+            }
+            if ((product.stock || 0) < line.quantity) {
+                throw new Error(`CART: Insufficient stock for ${product.name}`);
+            }
+            products.set(product.id, product);
+
+            const listPrice = toKobo(product.price);
+            const price = this.unitPrice(product);
+            if (!bySeller.has(product.sellerId)) bySeller.set(product.sellerId, []);
+            bySeller.get(product.sellerId).push({
+                productId: product.id,
+                productName: product.name,
+                imageUrl: product.imageUrls?.[0] || null,
+                quantity: line.quantity,
+                listPrice,
+                price,
+                lineTotal: price * line.quantity
+            });
+        }
+
+        const sellerIds = [...bySeller.keys()].sort();
+        const [sellerSnaps, coupon] = await Promise.all([
+            Promise.all(sellerIds.map(id => read(db.collection('users').doc(id)))),
+            couponCode ? couponService.forCheckout(couponCode, { transaction, buyerId }) : null
+        ]);
+        const discounts = coupon
+            ? couponService.discountsFor(coupon, sellerIds.map(sellerId => ({
+                sellerId,
+                items: bySeller.get(sellerId).map(item => ({
+                    lineTotal: item.lineTotal,
+                    category: products.get(item.productId).category
+                }))
+            })))
+            : sellerIds.map(() => 0);
+
+        const groups = sellerSnaps.map((snap, i) => {
+            const seller = snap.exists ? snap.data() : null;
+            const sellerName = seller?.businessName || seller?.name || 'This shop';
+            if (!seller || seller.isSuspended) throw new Error(`CART: ${sellerName} is currently inactive`);
+
+            const method = deliveryMethods[snap.id] || deliveryMethod || 'delivery';
+            if (!DELIVERY_METHODS.includes(method)) {
+                throw new Error(`CART: deliveryMethod must be ${DELIVERY_METHODS.join(' or ')}`);
+            }
+
+            const items = bySeller.get(snap.id).sort((a, b) => a.productId.localeCompare(b.productId));
+            const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+            const deliveryFee = method === 'pickup' ? 0 : (seller.deliveryFee || 0);
+            const discount = discounts[i];
+            const platformDiscount = coupon?.scope === 'platform' ? discount : 0;
+            const total = subtotal - discount + deliveryFee;
+            return {
+                sellerId: snap.id,
+                sellerName,
+                deliveryMethod: method,
+                items,
+                subtotal,
+                discount,
+                platformDiscount,
+                deliveryFee,
+                total,
+                commission: commissionFor(total + platformDiscount)
+            };
+        });
+
+        const sum = (field) => groups.reduce((total, g) => total + g[field], 0);
+        return {
+            groups,
+            total: sum('total'),
+            coupon: coupon && {
+                code: coupon.code,
+                scope: coupon.scope,
+                discount: sum('discount'),
+                platformDiscount: sum('platformDiscount')
+            },
+            products
+        };
+    }
+
+    // ─── Signed quotes ────────────────────────────────────────────────────────
+
+    /**
+     * Hash of everything the buyer is agreeing to pay, independent of the
+     * order lines were sent in.
+     */
+    _digest(buyerId, pricing) {
+        const canonical = pricing.groups.map(g => [
+            g.sellerId, g.deliveryMethod, g.subtotal, g.discount, g.platformDiscount, g.deliveryFee, g.total,
+            g.items.map(i => [i.productId, i.quantity, i.price])
+        ]);
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([buyerId, canonical, pricing.coupon?.code ?? null, pricing.total]))
+            .digest('base64url');
+    }
+
+    _sign(payload) {
+        if (!QUOTE_SECRET) throw new Error('QUOTE: Checkout is not available right now');
+        return crypto.createHmac('sha256', QUOTE_SECRET).update(payload).digest('base64url');
+    }
+
+    /**
+     * @returns {{ quoteToken: string, expiresAt: number }}
+     */
+    sign(buyerId, pricing) {
+        const expiresAt = Date.now() + QUOTE_TTL_MS;
+        const payload = base64url(JSON.stringify({ buyerId, digest: this._digest(buyerId, pricing), expiresAt }));
+        return { quoteToken: `${payload}.${this._sign(payload)}`, expiresAt };
+    }
+
+    /**
+     * Check a quote token against a fresh pricing of the same cart. Throws
+     * `QUOTE:` when the token is missing, forged, expired or someone else's;
+     * returns false when it's genuine but the prices have moved since.
+     */
+    matches(quoteToken, buyerId, pricing) {
+        if (!quoteToken || typeof quoteToken !== 'string') throw new Error('QUOTE: A checkout quote is required');
+
+        const [payload, signature] = quoteToken.split('.');
+        const expected = this._sign(payload || '');
+        if (!signature || signature.length !== expected.length
+            || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new Error('QUOTE: Invalid checkout quote');
+        }
+
+        let quote;
+        try {
+            quote = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('QUOTE: Invalid checkout quote');
+        }
+        if (quote.buyerId !== buyerId) throw new Error('QUOTE: Invalid checkout quote');
+        if (!(quote.expiresAt > Date.now())) throw new Error('QUOTE: Your checkout quote has expired — please review your cart again');
+
+        return quote.digest === this._digest(buyerId, pricing);
+    }
+}
+
+module.exports = new OrderPricingService();
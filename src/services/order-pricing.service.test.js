@@ -0,0 +1,119 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+
+process.env.ORDER_QUOTE_SECRET = 'quote_test_secret';
+
+const firebase = require('../config/firebase');
+const orderPricingService = require('./order-pricing.service');
+
+const price = (body, options) => orderPricingService.price(orderPricingService.cartFromBody(body), options);
+
+beforeEach(() => {
+    firebase._seed('users/s1', { name: 'Chidi', businessName: 'Chidi Stores', deliveryFee: 150_000 });
+    firebase._seed('users/s2', { name: 'Ngozi', deliveryFee: 200_000 });
+    firebase._seed('products/p1', { name: 'Rice 5kg', sellerId: 's1', price: 4500, stock: 10, status: 'active' });
+    firebase._seed('products/p2', { name: 'Palm oil', sellerId: 's1', price: 2999.99, discount: 10, stock: 3, status: 'active' });
+    firebase._seed('products/p3', { name: 'Yam', sellerId: 's2', price: 1200, stock: 5 });
+});
+
+describe('cart pricing', () => {
+    it('prices every line from the stored product and fee, ignoring what the app sends', async () => {
+        const pricing = await price({
+            products: [
+                { productId: 'p1', quantity: 2, price: 1, discount: 99 },
+                { productId: 'p2', quantity: 1 }
+            ],
+            deliveryFee: 0,
+            discount: 5000
+        });
+
+        const [group] = pricing.groups;
+        expect(group).toMatchObject({
+            sellerId: 's1', sellerName: 'Chidi Stores', deliveryMethod: 'delivery',
+            subtotal: 900_000 + 269_999, discount: 0, deliveryFee: 150_000, total: 1_319_999, commission: 66_000
+        });
+        expect(group.items.map(i => [i.productId, i.listPrice, i.price])).toEqual([
+            ['p1', 450_000, 450_000], ['p2', 299_999, 269_999]
+        ]);
+        expect(pricing.total).toBe(1_319_999);
+    });
+
+    it('splits a bundle into one group per real seller and charges pickup nothing', async () => {
+        const pricing = await price({
+            subOrders: [
+                { sellerId: 's2', items: [{ productId: 'p3', quantity: 1 }], deliveryMethod: 'pickup', deliveryFee: 100 },
+                { sellerId: 's1', items: [{ productId: 'p1', quantity: 1 }, { productId: 'p1', quantity: 1 }] }
+            ]
+        });
+
+        expect(pricing.groups.map(g => [g.sellerId, g.subtotal, g.deliveryFee, g.total])).toEqual([
+            ['s1', 900_000, 150_000, 1_050_000],
+            ['s2', 120_000, 0, 120_000]
+        ]);
+        expect(pricing.total).toBe(1_170_000);
+    });
+
+    it('refuses a line claimed for the wrong seller', async () => {
+        await expect(price({ subOrders: [{ sellerId: 's2', items: [{ productId: 'p1', quantity: 1 }] }] }))
+            .rejects.toThrow('CART: Rice 5kg is not sold by this seller');
+    });
+
+    it('refuses missing, inactive or short-stocked products and bad quantities', async () => {
+        firebase._seed('products/p4', { name: 'Beans', sellerId: 's1', price: 100, stock: 9, status: 'draft' });
+
+        await expect(price({ products: [] })).rejects.toThrow('CART: Your cart is empty');
+        await expect(price({ products: [{ productId: 'nope', quantity: 1 }] })).rejects.toThrow('no longer available');
+        await expect(price({ products: [{ productId: 'p4', quantity: 1 }] })).rejects.toThrow('no longer available');
+        await expect(price({ products: [{ productId: 'p2', quantity: 4 }] })).rejects.toThrow('Insufficient stock for Palm oil');
+        await expect(price({ products: [{ productId: 'p1', quantity: 1.5 }] })).rejects.toThrow('whole number');
+        await expect(price({ products: [{ productId: 'p1', quantity: 1 }], deliveryMethod: 'drone' }))
+            .rejects.toThrow('deliveryMethod must be');
+    });
+
+    it('refuses a suspended seller', async () => {
+        firebase._seed('users/s2', { name: 'Ngozi', isSuspended: true });
+
+        await expect(price({ products: [{ productId: 'p3', quantity: 1 }] })).rejects.toThrow('CART: Ngozi is currently inactive');
+    });
+});
+
+describe('signed quotes', () => {
+    const cart = { products: [{ productId: 'p1', quantity: 2 }] };
+
+    it('holds for the same buyer and the same prices', async () => {
+        const { quoteToken, expiresAt } = orderPricingService.sign('u1', await price(cart));
+
+        expect(expiresAt).toBeGreaterThan(Date.now());
+        expect(orderPricingService.matches(quoteToken, 'u1', await price(cart))).toBe(true);
+    });
+
+    it('goes stale when a price or fee moves', async () => {
+        const { quoteToken } = orderPricingService.sign('u1', await price(cart));
+        firebase._seed('users/s1', { name: 'Chidi', deliveryFee: 250_000 });
+
+        expect(orderPricingService.matches(quoteToken, 'u1', await price(cart))).toBe(false);
+    });
+
+    it("rejects a missing, tampered or someone else's token", async () => {
+        const pricing = await price(cart);
+        const { quoteToken } = orderPricingService.sign('u1', pricing);
+        const [payload, signature] = quoteToken.split('.');
+        const forged = Buffer.from(JSON.stringify({
+            ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')), buyerId: 'u2'
+        })).toString('base64url');
+
+        expect(() => orderPricingService.matches(undefined, 'u1', pricing)).toThrow('QUOTE: A checkout quote is required');
+        expect(() => orderPricingService.matches(`${forged}.${signature}`, 'u2', pricing)).toThrow('QUOTE: Invalid checkout quote');
+        expect(() => orderPricingService.matches(quoteToken, 'u2', pricing)).toThrow('QUOTE: Invalid checkout quote');
+    });
+
+    it('expires after fifteen minutes', async () => {
+        const pricing = await price(cart);
+        const { quoteToken, expiresAt } = orderPricingService.sign('u1', pricing);
+        jest.spyOn(Date, 'now').mockReturnValue(expiresAt);
+
+        expect(() => orderPricingService.matches(quoteToken, 'u1', pricing)).toThrow('QUOTE: Your checkout quote has expired');
+    });
+});
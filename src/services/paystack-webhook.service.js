@@ -0,0 +1,171 @@
+'use strict';
+
+// ─── paystack-webhook.service.js ──────────────────────────────────────────────
+// What each Paystack event does to our data. Called by webhook-event.service.js
+// for live deliveries, retries and admin replays alike, so every handler must
+// be idempotent and must THROW when it fails — a swallowed error would mark
+// the event processed and it would never be retried.
+
+const walletService = require('./wallet.service');
+const withdrawalService = require('./withdrawal.service');
+const virtualAccountService = require('./virtual-account.service');
+const depositReversalService = require('./deposit-reversal.service');
+const unappliedDepositService = require('./unapplied-deposit.service');
+const { sendDepositAlert } = require('./email.service');
+const { formatNaira } = require('../utils/money');
+
+class PaystackWebhookService {
+    /**
+     * @returns {Promise<boolean>} false when the event type is not handled
+     */
+    async handle(event) {
+        switch (event.event) {
+            case 'charge.success':
+                await this.handleChargeSuccess(event);
+                return true;
+
+            case 'transfer.success':
+                await this.handleTransferSuccess(event);
+                return true;
+
+            case 'transfer.failed':
+            case 'transfer.reversed':
+                await this.handleTransferFailed(event);
+                return true;
+
+            case 'dedicatedaccount.assign.success':
+            case 'dedicatedaccount.assign.failed':
+                await virtualAccountService.handleAssignment(event);
+                return true;
+
+            case 'refund.pending':
+            case 'refund.processing':
+            case 'refund.processed':
+            case 'refund.failed':
+                await depositReversalService.handleRefund(event);
+                return true;
+
+            case 'charge.dispute.create':
+            case 'charge.dispute.remind':
+            case 'charge.dispute.resolve':
+                await depositReversalService.handleDispute(event);
+                return true;
+
+            default:
+                console.log('ℹ️ Unhandled event type:', event.event);
+                return false;
+        }
+    }
+
+    /**
+     * Successful payment — card top-up or bank transfer into a DVA
+     */
+    async handleChargeSuccess(event) {
+        // Bank transfer into a user's dedicated account — no userId in metadata,
+        // the owner is found from the Paystack customer / receiving NUBAN
+        if (event.data.channel === 'dedicated_nuban') {
+            await virtualAccountService.handleTransferDeposit(event);
+            return;
+        }
+
+        // Paystack amounts are kobo — same unit as the wallet, no conversion
+        const { amount, customer, reference, metadata } = event.data;
+
+        console.log(`✅ Payment Success: ${formatNaira(amount)} from ${customer.email}`);
+
+        // Extract userId from metadata
+        const userId = metadata?.userId || metadata?.user_id;
+
+        if (!userId) {
+            console.error('❌ No userId in payment metadata');
+            return;
+        }
+
+        const creditMetadata = {
+            customerEmail: customer.email,
+            customerName: `${customer.first_name} ${customer.last_name}`,
+            paymentMethod: 'paystack',
+            type: 'deposit'
+        };
+
+        // The charge has settled — if the balance grew past the KYC headroom
+        // checked at initialize-deposit, park it rather than fail the event
+        let result;
+        try {
+            result = await walletService.creditWallet(userId, amount, reference, creditMetadata);
+        } catch (err) {
+            if (!err.message.startsWith('KYC_LIMIT')) throw err;
+            await unappliedDepositService.park(userId, {
+                reference, amount, channel: event.data.channel || 'card', reason: err.message, creditMetadata
+            });
+            console.warn(`⚠️ Deposit ${reference} parked — over ${userId}'s KYC balance limit`);
+            return;
+        }
+
+        if (result.alreadyProcessed) {
+            console.log('⚠️ Payment already credited:', reference);
+            return;
+        }
+
+        // Email must not fail the event — the wallet is already credited
+        try {
+            await sendDepositAlert(
+                customer.email,
+                customer.first_name || 'Customer',
+                amount
+            );
+        } catch (emailError) {
+            console.error('📧 Email notification failed:', emailError);
+        }
+
+        console.log(`💰 Wallet credited successfully: ${userId} - ${formatNaira(amount)}`);
+    }
+
+    /**
+     * Successful transfer (withdrawal)
+     * Withdrawals live under wallets/{userId}/transactions — not the top-level
+     * `transactions` collection this used to search, which never matched.
+     */
+    async handleTransferSuccess(event) {
+        const { amount, recipient, reference, transfer_code } = event.data;
+
+        console.log(`✅ Transfer Success: ${formatNaira(amount)} to ${recipient?.details?.account_number}`);
+        await this.settleTransfer(reference, { outcome: 'success', transferCode: transfer_code });
+    }
+
+    /**
+     * Failed/reversed transfer — refunds amount + fee via settleWithdrawal
+     */
+    async handleTransferFailed(event) {
+        const { amount, reference, transfer_code } = event.data;
+        const outcome = event.event === 'transfer.reversed' ? 'reversed' : 'failed';
+
+        console.log(`❌ Transfer ${outcome}: ${formatNaira(amount)} - ${reference}`);
+        await this.settleTransfer(reference, {
+            outcome,
+            reason: `Paystack ${event.event}`,
+            transferCode: transfer_code
+        });
+    }
+
+    async settleTransfer(reference, { outcome, reason = null, transferCode = null }) {
+        const txnDoc = await withdrawalService.findByReference(reference);
+        if (!txnDoc) {
+            console.warn(`⚠️ No withdrawal found for transfer ${reference}`);
+            return;
+        }
+
+        const userId = txnDoc.data().userId || txnDoc.ref.parent.parent.id;
+        const result = await walletService.settleWithdrawal(userId, txnDoc.id, { outcome, reason, transferCode });
+
+        if (result.alreadySettled) {
+            console.log(`⚠️ Withdrawal ${txnDoc.id} already ${result.status}`);
+            return;
+        }
+
+        await withdrawalService.notifyOutcome(userId, txnDoc.id, result);
+        console.log(`📝 Withdrawal ${txnDoc.id} → ${result.status}`);
+    }
+}
+
+module.exports = new PaystackWebhookService();
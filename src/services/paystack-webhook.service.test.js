@@ -0,0 +1,69 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const paystackWebhookService = require('./paystack-webhook.service');
+const walletService = require('./wallet.service');
+const { KYC_TIERS } = require('../constants/KycTiers');
+
+const MAX_BALANCE = KYC_TIERS[1].maxBalance;
+
+const cardCharge = (reference, amount) => ({
+    event: 'charge.success',
+    data: {
+        reference,
+        amount,
+        channel: 'card',
+        customer: { email: 'ada@example.com', first_name: 'Ada', last_name: 'Obi' },
+        metadata: { userId: 'u1' }
+    }
+});
+
+beforeEach(() => {
+    firebase._seed('users/u1', { name: 'Ada Obi', email: 'ada@example.com', kycTier: 1 });
+});
+
+describe('card deposits (charge.success)', () => {
+    it('credits the wallet once however often the event arrives', async () => {
+        await paystackWebhookService.handle(cardCharge('card_1', 500_000));
+        await paystackWebhookService.handle(cardCharge('card_1', 500_000));
+
+        expect(firebase._read('wallets/u1').balance).toBe(500_000);
+    });
+
+    it('parks a settled charge that would pass the KYC balance limit instead of failing', async () => {
+        await walletService.creditWallet('u1', MAX_BALANCE - 100_000, 'dep_before', { type: 'deposit' });
+
+        await expect(paystackWebhookService.handle(cardCharge('card_over', 500_000))).resolves.toBe(true);
+
+        expect(firebase._read('wallets/u1').balance).toBe(MAX_BALANCE - 100_000);
+        expect(firebase._read('unappliedDeposits/card_over')).toMatchObject({
+            userId: 'u1',
+            amount: 500_000,
+            channel: 'card',
+            status: 'pending_review',
+            creditMetadata: { type: 'deposit', paymentMethod: 'paystack', customerEmail: 'ada@example.com' }
+        });
+        expect(firebase._list('system_alerts')[0].type).toBe('DEPOSIT_OVER_LIMIT');
+    });
+
+    it('parks a retried over-limit charge only once', async () => {
+        await walletService.creditWallet('u1', MAX_BALANCE, 'dep_full', { type: 'deposit' });
+
+        await paystackWebhookService.handle(cardCharge('card_again', 10_000));
+        await paystackWebhookService.handle(cardCharge('card_again', 10_000));
+
+        expect(firebase._list('unappliedDeposits')).toHaveLength(1);
+        expect(firebase._list('system_alerts')).toHaveLength(1);
+    });
+
+    it('still throws on other failures so the event is retried', async () => {
+        jest.spyOn(walletService, 'creditWallet').mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+        await expect(paystackWebhookService.handle(cardCharge('card_err', 10_000))).rejects.toThrow('Firestore unavailable');
+        expect(firebase._list('unappliedDeposits')).toHaveLength(0);
+    });
+});
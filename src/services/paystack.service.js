@@ -1,13 +1,23 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const { db } = require('../config/firebase');
+const { assertKobo } = require('../utils/money');
+const { PAYSTACK } = require('../config/providers');
 
 /**
  * PRODUCTION-GRADE PAYSTACK INTEGRATION - FIXED
+ * All amounts in and out are integer kobo — Paystack's own unit — so nothing
+ * here multiplies or divides by 100.
  */
 
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+// Base URL comes from config/providers.js — live API, or the local stand-in
+// (scripts/fake-providers) when PROVIDERS_MODE=fake
+const PAYSTACK_SECRET_KEY = PAYSTACK.secretKey;
+const PAYSTACK_BASE_URL = PAYSTACK.baseUrl;
+
+// Without a timeout a hung Paystack call would hang the request (and any
+// withdrawal lock) forever
+const http = axios.create({ timeout: PAYSTACK.timeoutMs });
 
 if (!PAYSTACK_SECRET_KEY) {
     console.error('❌ PAYSTACK_SECRET_KEY is not configured');
@@ -16,14 +26,16 @@ if (!PAYSTACK_SECRET_KEY) {
 class PaystackService {
     /**
      * Initialize payment transaction
+     * @param {number} amount  kobo
      */
     async initializePayment(email, amount, metadata = {}) {
         try {
-            const response = await axios.post(
+            assertKobo(amount);
+            const response = await http.post(
                 `${PAYSTACK_BASE_URL}/transaction/initialize`,
                 {
                     email,
-                    amount: amount * 100,
+                    amount,
                     currency: 'NGN',
                     callback_url: metadata.callback_url || 'elitehubng://payment-callback',
                     metadata: {
@@ -78,7 +90,7 @@ class PaystackService {
      */
     async verifyPayment(reference) {
         try {
-            const response = await axios.get(
+            const response = await http.get(
                 `${PAYSTACK_BASE_URL}/transaction/verify/${reference}`,
                 {
                     headers: {
@@ -98,13 +110,13 @@ class PaystackService {
                 verifiedAt: Date.now(),
                 gatewayResponse: data.gateway_response,
                 paidAt: data.paid_at,
-                amount: data.amount / 100
+                amount: data.amount
             });
 
             return {
                 success: data.status === 'success',
                 status: data.status,
-                amount: data.amount / 100,
+                amount: data.amount,
                 reference: data.reference,
                 customer: data.customer
             };
@@ -131,7 +143,7 @@ class PaystackService {
      */
     async createTransferRecipient(name, accountNumber, bankCode) {
         try {
-            const response = await axios.post(
+            const response = await http.post(
                 `${PAYSTACK_BASE_URL}/transferrecipient`,
                 {
                     type: 'nuban',
@@ -165,18 +177,25 @@ class PaystackService {
 
     /**
      * Initiate transfer (withdrawal)
+     * @param {number} amountKobo
+     */
+    /**
+     * @param {string} [reference]  our withdrawal reference — Paystack echoes it
+     *   on transfer webhooks and accepts it on /transfer/verify, so a lost
+     *   response can still be traced. Lowercase a-z, 0-9, '-' and '_' only.
      */
-    async initiateTransfer(recipientCode, amount, reason = 'Wallet withdrawal') {
+    async initiateTransfer(recipientCode, amountKobo, reason = 'Wallet withdrawal', reference = undefined) {
     try {
-        const amountKobo = Math.round(amount * 100); // Ensure integer
+        assertKobo(amountKobo);
 
-        const response = await axios.post(
+        const response = await http.post(
             `${PAYSTACK_BASE_URL}/transfer`,
             {
                 source: 'balance',
                 reason,
                 amount: amountKobo,
-                recipient: recipientCode
+                recipient: recipientCode,
+                ...(reference && { reference })
             },
             {
                 headers: {
@@ -210,7 +229,7 @@ class PaystackService {
      */
     async getBanks() {
         try {
-            const response = await axios.get(
+            const response = await http.get(
                 `${PAYSTACK_BASE_URL}/bank`,
                 {
                     headers: {
@@ -301,7 +320,7 @@ class PaystackService {
                 throw new Error('Bank code is required');
             }
 
-            const response = await axios.get(
+            const response = await http.get(
                 `${PAYSTACK_BASE_URL}/bank/resolve`,
                 {
                     params: {
@@ -340,11 +359,90 @@ class PaystackService {
     }
 
     /**
-     * Check transfer status
+     * Create a Paystack customer — required before a dedicated account
+     * can be assigned. Paystack needs a phone number for Nigerian DVAs.
+     */
+    async createCustomer({ email, firstName, lastName, phone, metadata = {} }) {
+        try {
+            const response = await http.post(
+                `${PAYSTACK_BASE_URL}/customer`,
+                {
+                    email,
+                    first_name: firstName,
+                    last_name: lastName,
+                    phone,
+                    metadata
+                },
+                {
+                    headers: {
+                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            if (!response.data.status) {
+                throw new Error(response.data.message || 'Failed to create customer');
+            }
+
+            return {
+                success: true,
+                customerCode: response.data.data.customer_code,
+                customerId: response.data.data.id
+            };
+        } catch (error) {
+            console.error('Create customer error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.message || 'Failed to create Paystack customer');
+        }
+    }
+
+    /**
+     * Request a dedicated NUBAN for a customer. Some banks answer with the
+     * account straight away, others only via the dedicatedaccount.assign.*
+     * webhook — `accountNumber` is null in that case.
+     */
+    async createDedicatedAccount(customerCode, preferredBank) {
+        try {
+            const response = await http.post(
+                `${PAYSTACK_BASE_URL}/dedicated_account`,
+                {
+                    customer: customerCode,
+                    ...(preferredBank && { preferred_bank: preferredBank })
+                },
+                {
+                    headers: {
+                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            if (!response.data.status) {
+                throw new Error(response.data.message || 'Failed to create dedicated account');
+            }
+
+            const { data } = response.data;
+            return {
+                success: true,
+                id: data.id,
+                accountNumber: data.account_number || null,
+                accountName: data.account_name || null,
+                bankName: data.bank?.name || null,
+                bankSlug: data.bank?.slug || null,
+                active: !!data.active
+            };
+        } catch (error) {
+            console.error('Create dedicated account error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.message || 'Failed to create dedicated account');
+        }
+    }
+
+    /**
+     * Check transfer status by transfer code (or Paystack transfer id)
      */
     async verifyTransfer(transferCode) {
         try {
-            const response = await axios.get(
+            const response = await http.get(
                 `${PAYSTACK_BASE_URL}/transfer/${transferCode}`,
                 {
                     headers: {
@@ -360,10 +458,45 @@ class PaystackService {
             return {
                 success: true,
                 status: response.data.data.status,
-                amount: response.data.data.amount / 100,
+                amount: response.data.data.amount,
+                recipient: response.data.data.recipient
+            };
+        } catch (error) {
+            console.error('Transfer verification error:', error.response?.data || error.message);
+            throw new Error('Transfer verification failed');
+        }
+    }
+
+    /**
+     * Check transfer status by the reference we sent in initiateTransfer.
+     * `notFound: true` means Paystack never received the transfer.
+     */
+    async verifyTransferByReference(reference) {
+        try {
+            const response = await http.get(
+                `${PAYSTACK_BASE_URL}/transfer/verify/${encodeURIComponent(reference)}`,
+                {
+                    headers: {
+                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`
+                    }
+                }
+            );
+
+            if (!response.data.status) {
+                throw new Error('Transfer verification failed');
+            }
+
+            return {
+                success: true,
+                status: response.data.data.status,
+                amount: response.data.data.amount,
+                transferCode: response.data.data.transfer_code,
                 recipient: response.data.data.recipient
             };
         } catch (error) {
+            if (error.response?.status === 404) {
+                return { success: false, notFound: true };
+            }
             console.error('Transfer verification error:', error.response?.data || error.message);
             throw new Error('Transfer verification failed');
         }
@@ -0,0 +1,221 @@
+'use strict';
+
+// ─── pin.service.js ───────────────────────────────────────────────────────────
+// 4-digit transaction PIN guarding every wallet debit a user starts
+// (bills, checkout, subscriptions, withdrawals).
+//
+//   securitySettings/{userId}
+//     isPinEnabled        true once a PIN is set
+//     pinHash             bcrypt hash — the PIN itself is never stored or logged
+//     pinFailedAttempts   consecutive wrong entries; reset on success
+//     pinLockedUntil      end of the current PIN lockout, if any
+//
+// MAX_PIN_ATTEMPTS wrong entries in a row lock the PIN for PIN_LOCK_MINUTES.
+// That lockout lives on securitySettings so it holds whatever state the wallet
+// is in. The wallet is also locked (isLocked) for the same spell unless it's
+// already locked; that lock is lifted lazily by the next verify after it
+// expires — locks set for any other reason (reconciliation, admin, security
+// alerts) are never touched here.
+
+const bcrypt = require('bcryptjs');
+const { db, admin } = require('../config/firebase');
+const pushNotificationService = require('./push-notification.service');
+
+const PIN_PATTERN      = /^\d{4}$/;
+const BCRYPT_ROUNDS    = 10;
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 30;
+const PIN_LOCK_REASON  = 'PIN_ATTEMPTS: Too many wrong PIN attempts';
+
+// Sequences like these are the first thing anyone guesses
+const WEAK_PINS = new Set(['0000', '1111', '2222', '3333', '4444', '5555',
+    '6666', '7777', '8888', '9999', '1234', '4321', '0123', '9876']);
+
+class PinService {
+    _settingsRef(userId) {
+        return db.collection('securitySettings').doc(userId);
+    }
+
+    validatePinFormat(pin) {
+        if (typeof pin !== 'string' || !PIN_PATTERN.test(pin)) {
+            throw new Error('PIN must be exactly 4 digits');
+        }
+        if (WEAK_PINS.has(pin)) {
+            throw new Error('PIN is too easy to guess. Choose a less obvious PIN');
+        }
+    }
+
+    async getStatus(userId) {
+        const [settingsSnap, walletSnap] = await Promise.all([
+            this._settingsRef(userId).get(),
+            db.collection('wallets').doc(userId).get()
+        ]);
+        const settings = settingsSnap.exists ? settingsSnap.data() : {};
+        const wallet = walletSnap.exists ? walletSnap.data() : {};
+        const lockedUntil = this._pinLockedUntil(settings, wallet);
+
+        return {
+            isPinEnabled: !!(settings.isPinEnabled && settings.pinHash),
+            attemptsRemaining: MAX_PIN_ATTEMPTS - (settings.pinFailedAttempts || 0),
+            lockedUntil: lockedUntil > Date.now() ? lockedUntil : null
+        };
+    }
+
+    /**
+     * First-time PIN. Refuses to overwrite — use changePin / resetPin.
+     */
+    async setPin(userId, pin) {
+        this.validatePinFormat(pin);
+        const pinHash = await bcrypt.hash(pin, BCRYPT_ROUNDS);
+
+        await db.runTransaction(async (t) => {
+            const ref = this._settingsRef(userId);
+            const snap = await t.get(ref);
+            if (snap.exists && snap.data().pinHash) {
+                throw new Error('PIN already set. Use change PIN instead');
+            }
+            t.set(ref, this._freshPinFields(pinHash), { merge: true });
+        });
+    }
+
+    /**
+     * Change with the current PIN. A wrong current PIN counts as a failed attempt.
+     */
+    async changePin(userId, currentPin, newPin) {
+        this.validatePinFormat(newPin);
+        if (currentPin === newPin) throw new Error('New PIN must be different from the current PIN');
+
+        const check = await this.verifyPin(userId, currentPin);
+        if (!check.valid) return check;
+
+        const pinHash = await bcrypt.hash(newPin, BCRYPT_ROUNDS);
+        await this._settingsRef(userId).set(this._freshPinFields(pinHash), { merge: true });
+        return { valid: true };
+    }
+
+    /**
+     * Forgotten PIN — caller has already verified an email OTP. Also lifts an
+     * active PIN lock, since the user just proved who they are.
+     */
+    async resetPin(userId, newPin) {
+        this.validatePinFormat(newPin);
+        const pinHash = await bcrypt.hash(newPin, BCRYPT_ROUNDS);
+
+        await this._settingsRef(userId).set(this._freshPinFields(pinHash), { merge: true });
+
+        const walletRef = db.collection('wallets').doc(userId);
+        const walletSnap = await walletRef.get();
+        if (walletSnap.exists && this._isPinLock(walletSnap.data())) {
+            await walletRef.update(this._unlockFields());
+        }
+    }
+
+    /**
+     * Check a PIN for a debit.
+     * @returns {Promise<{ valid: boolean, reason?: 'not_set'|'locked'|'missing'|'invalid',
+     *   attemptsRemaining?: number, lockedUntil?: number }>}
+     */
+    async verifyPin(userId, pin) {
+        const settingsRef = this._settingsRef(userId);
+        const walletRef = db.collection('wallets').doc(userId);
+
+        const [settingsSnap, walletSnap] = await Promise.all([settingsRef.get(), walletRef.get()]);
+        const settings = settingsSnap.exists ? settingsSnap.data() : {};
+        if (!settings.isPinEnabled || !settings.pinHash) return { valid: false, reason: 'not_set' };
+
+        const wallet = walletSnap.exists ? walletSnap.data() : {};
+        const lockedUntil = this._pinLockedUntil(settings, wallet);
+        if (lockedUntil > Date.now()) return { valid: false, reason: 'locked', lockedUntil };
+        if (this._isPinLock(wallet)) await walletRef.update(this._unlockFields());
+
+        // No PIN sent is a client bug, not a guess — don't count it
+        if (!pin) return { valid: false, reason: 'missing' };
+
+        const matches = typeof pin === 'string' && PIN_PATTERN.test(pin)
+            && await bcrypt.compare(pin, settings.pinHash);
+
+        if (matches) {
+            if (settings.pinFailedAttempts) await settingsRef.update({ pinFailedAttempts: 0 });
+            return { valid: true };
+        }
+
+        return this._recordFailure(userId);
+    }
+
+    async _recordFailure(userId) {
+        const settingsRef = this._settingsRef(userId);
+        const walletRef = db.collection('wallets').doc(userId);
+
+        const result = await db.runTransaction(async (t) => {
+            const [settingsSnap, walletSnap] = await Promise.all([t.get(settingsRef), t.get(walletRef)]);
+            const attempts = (settingsSnap.data()?.pinFailedAttempts || 0) + 1;
+
+            if (attempts < MAX_PIN_ATTEMPTS) {
+                t.update(settingsRef, { pinFailedAttempts: attempts, lastFailedPinAt: Date.now() });
+                return { valid: false, reason: 'invalid', attemptsRemaining: MAX_PIN_ATTEMPTS - attempts };
+            }
+
+            const lockedUntil = Date.now() + PIN_LOCK_MINUTES * 60 * 1000;
+            t.update(settingsRef, { pinFailedAttempts: 0, pinLockedUntil: lockedUntil, lastFailedPinAt: Date.now() });
+
+            // Don't overwrite a stronger lock (reconciliation, security alert) —
+            // the PIN stays locked through pinLockedUntil either way
+            const wallet = walletSnap.exists ? walletSnap.data() : null;
+            if (wallet && !wallet.isLocked) {
+                t.update(walletRef, {
+                    isLocked: true,
+                    lockReason: PIN_LOCK_REASON,
+                    lockedAt: Date.now(),
+                    lockedUntil,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            return { valid: false, reason: 'locked', lockedUntil };
+        });
+
+        if (result.reason === 'locked') {
+            pushNotificationService.sendPushToUser(
+                userId,
+                '🔒 Wallet Locked',
+                `Too many wrong PIN attempts. Your wallet is locked for ${PIN_LOCK_MINUTES} minutes. Reset your PIN if you've forgotten it.`,
+                { screen: 'SecurityScreen', type: 'pin_lock' }
+            ).catch(() => {});
+        }
+        return result;
+    }
+
+    _isPinLock(wallet) {
+        return !!(wallet?.isLocked && wallet.lockReason === PIN_LOCK_REASON);
+    }
+
+    /**
+     * When the PIN lockout ends (0 if there isn't one). Wallets locked before
+     * pinLockedUntil existed carry it as lockedUntil.
+     */
+    _pinLockedUntil(settings, wallet) {
+        return Math.max(settings.pinLockedUntil || 0, this._isPinLock(wallet) ? wallet.lockedUntil || 0 : 0);
+    }
+
+    _freshPinFields(pinHash) {
+        return {
+            isPinEnabled: true,
+            pinHash,
+            pinFailedAttempts: 0,
+            pinLockedUntil: null,
+            pinUpdatedAt: Date.now()
+        };
+    }
+
+    _unlockFields() {
+        return {
+            isLocked: false,
+            lockReason: null,
+            lockedUntil: null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+    }
+}
+
+module.exports = new PinService();
+module.exports.MAX_PIN_ATTEMPTS = MAX_PIN_ATTEMPTS;
+module.exports.PIN_LOCK_MINUTES = PIN_LOCK_MINUTES;
@@ -0,0 +1,87 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+
+const firebase = require('../config/firebase');
+const pinService = require('./pin.service');
+
+const { MAX_PIN_ATTEMPTS, PIN_LOCK_MINUTES } = pinService;
+
+async function guessWrong(userId, times) {
+    let result;
+    for (let i = 0; i < times; i++) result = await pinService.verifyPin(userId, '9090');
+    return result;
+}
+
+beforeEach(async () => {
+    firebase._seed('wallets/u1', { userId: 'u1', balance: 0, isLocked: false, lockReason: null });
+    await pinService.setPin('u1', '2580');
+});
+
+describe('transaction PIN', () => {
+    it('stores only a hash and accepts the right PIN', async () => {
+        expect(firebase._read('securitySettings/u1').pinHash).not.toContain('2580');
+        expect(await pinService.verifyPin('u1', '2580')).toEqual({ valid: true });
+    });
+
+    it('rejects weak and malformed PINs', async () => {
+        await expect(pinService.setPin('u2', '1234')).rejects.toThrow('too easy to guess');
+        await expect(pinService.setPin('u2', '12a4')).rejects.toThrow('exactly 4 digits');
+        await expect(pinService.setPin('u1', '3690')).rejects.toThrow('PIN already set');
+    });
+
+    it('counts wrong guesses and resets the count on success', async () => {
+        expect(await pinService.verifyPin('u1', '9090'))
+            .toEqual({ valid: false, reason: 'invalid', attemptsRemaining: MAX_PIN_ATTEMPTS - 1 });
+        await pinService.verifyPin('u1', '2580');
+        expect(firebase._read('securitySettings/u1').pinFailedAttempts).toBe(0);
+    });
+
+    it('does not count a missing PIN as a guess', async () => {
+        expect(await pinService.verifyPin('u1', undefined)).toEqual({ valid: false, reason: 'missing' });
+        expect(firebase._read('securitySettings/u1').pinFailedAttempts).toBe(0);
+    });
+
+    it('locks the PIN and the wallet after too many wrong guesses', async () => {
+        const result = await guessWrong('u1', MAX_PIN_ATTEMPTS);
+
+        expect(result.reason).toBe('locked');
+        expect(firebase._read('securitySettings/u1').pinLockedUntil).toBe(result.lockedUntil);
+        expect(firebase._read('wallets/u1')).toMatchObject({ isLocked: true, lockedUntil: result.lockedUntil });
+        expect(await pinService.verifyPin('u1', '2580')).toMatchObject({ valid: false, reason: 'locked' });
+    });
+
+    it('still locks the PIN when the wallet is already locked for another reason', async () => {
+        firebase._seed('wallets/u1', { userId: 'u1', isLocked: true, lockReason: 'Reconciliation drift (report r1)' });
+
+        const result = await guessWrong('u1', MAX_PIN_ATTEMPTS);
+
+        expect(result.reason).toBe('locked');
+        expect(await pinService.verifyPin('u1', '2580')).toMatchObject({ reason: 'locked' });
+        expect(firebase._read('wallets/u1').lockReason).toBe('Reconciliation drift (report r1)');
+        expect((await pinService.getStatus('u1')).lockedUntil).toBe(result.lockedUntil);
+    });
+
+    it('lifts the lock once it has run out', async () => {
+        const { lockedUntil } = await guessWrong('u1', MAX_PIN_ATTEMPTS);
+        jest.spyOn(Date, 'now').mockReturnValue(lockedUntil + 1);
+
+        expect(await pinService.verifyPin('u1', '2580')).toEqual({ valid: true });
+        expect(firebase._read('wallets/u1')).toMatchObject({ isLocked: false, lockReason: null });
+    });
+
+    it('lifts an active lock on reset', async () => {
+        await guessWrong('u1', MAX_PIN_ATTEMPTS);
+        await pinService.resetPin('u1', '3690');
+
+        expect(await pinService.verifyPin('u1', '3690')).toEqual({ valid: true });
+        expect(firebase._read('wallets/u1').isLocked).toBe(false);
+    });
+
+    it('reports the lock for the configured spell', async () => {
+        const before = Date.now();
+        const { lockedUntil } = await guessWrong('u1', MAX_PIN_ATTEMPTS);
+        expect(lockedUntil - before).toBeGreaterThanOrEqual(PIN_LOCK_MINUTES * 60 * 1000);
+    });
+});
@@ -10,6 +10,7 @@
 //  • All dispute helpers preserved with improved channelId routing.
 
 const { db, admin } = require('../config/firebase');
+const { formatNaira } = require('../utils/money');
 
 // ─── Notification channels (Android) ─────────────────────────────────────────
 const CHANNEL_IDS = {
@@ -282,7 +283,7 @@ class PushNotificationService {
   }
 
   // ──────────────────────────────────────────────────────────────────────────
-  // Wallet / transaction notifications
+  // Wallet / transaction notifications (amounts are kobo, as stored)
   // ──────────────────────────────────────────────────────────────────────────
 
   async sendTransactionAlert(userId, type, amount, orderId) {
@@ -297,7 +298,7 @@ class PushNotificationService {
       notifType = 'payment_released';
     } else if (type === 'refunded') {
       title = '💰 Refund Successful';
-      body = `₦${amount.toLocaleString()} has been credited back to your wallet for Order #${shortId}.`;
+      body = `${formatNaira(amount)} has been credited back to your wallet for Order #${shortId}.`;
       notifType = 'payment_refunded';
     } else {
       title = '💳 Wallet Update';
@@ -324,7 +325,7 @@ class PushNotificationService {
     return this.sendPushToUser(
       sellerId,
       '💸 Payment Released',
-      `₦${amount.toLocaleString()} for Order #${shortId} is now available in your balance.`,
+      `${formatNaira(amount)} for Order #${shortId} is now available in your balance.`,
       {
         screen: 'ProfileTab',
         params: { screen: 'Transactions' },
@@ -0,0 +1,253 @@
+'use strict';
+
+// ─── reconciliation.service.js ────────────────────────────────────────────────
+// Recomputes what every wallet SHOULD hold and records the ones that don't.
+//
+//   expected balance        = Σ completed credits − Σ debits
+//                             (wallets/{id}/transactions + typed docs in the
+//                              top-level `transactions` collection)
+//   expected pendingBalance = Σ running orders as buyer  (totalAmount)
+//                           + Σ running orders as seller (totalAmount − commission
+//                                                         + platformDiscount)
+//
+// All figures are integer kobo, so any non-zero drift is real — there is no
+// float tolerance.
+//
+// Debits count whatever their status: a failed/refunded debit is always
+// paired with its own refund credit, so dropping it would double-count.
+//
+// Results land in reconciliationReports/{reportId} with one doc per drifting
+// wallet under reconciliationReports/{reportId}/drifts/{userId}.
+
+const { db, admin } = require('../config/firebase');
+const ledgerService = require('./ledger.service');
+const firebaseService = require('./firebase.service');
+const { sellerAmountFor } = require('../utils/money');
+
+
+class ReconciliationService {
+    /**
+     * Σ of running-order escrow per user, split by role.
+     * One query for the whole run instead of two per wallet.
+     */
+    async _buildPendingMap() {
+        const snap = await db.collection('orders').where('status', '==', 'running').get();
+        const pending = new Map();
+        const add = (userId, amount) => {
+            if (!userId) return;
+            pending.set(userId, (pending.get(userId) || 0) + amount);
+        };
+
+        snap.forEach((doc) => {
+            const order = doc.data();
+            const total = order.totalAmount || 0;
+            add(order.buyerId, total);
+            add(order.sellerId, sellerAmountFor({
+                totalAmount: total, commission: order.commission || 0, platformDiscount: order.platformDiscount
+            }));
+        });
+        return pending;
+    }
+
+    _applyTransaction(totals, txn) {
+        if (txn.type === 'credit') {
+            if (txn.status === 'completed') totals.credits += txn.amount || 0;
+        } else if (txn.type === 'debit') {
+            // Withdrawals store the fee separately — totalDebit is what left the wallet
+            totals.debits += (txn.totalDebit ?? txn.amount) || 0;
+        }
+    }
+
+    async computeExpectedBalance(userId) {
+        const totals = { credits: 0, debits: 0, transactionCount: 0 };
+
+        const [walletTxns, legacyTxns] = await Promise.all([
+            db.collection('wallets').doc(userId).collection('transactions').get(),
+            db.collection('transactions').where('userId', '==', userId).get()
+        ]);
+
+        walletTxns.forEach((doc) => {
+            this._applyTransaction(totals, doc.data());
+            totals.transactionCount++;
+        });
+        // Top-level docs without a type are Paystack initialisation records, not movements
+        legacyTxns.forEach((doc) => {
+            const txn = doc.data();
+            if (txn.type !== 'credit' && txn.type !== 'debit') return;
+            this._applyTransaction(totals, txn);
+            totals.transactionCount++;
+        });
+
+        return {
+            expectedBalance: totals.credits - totals.debits,
+            transactionCount: totals.transactionCount
+        };
+    }
+
+    async reconcileWallet(userId, wallet, pendingMap) {
+        const { expectedBalance, transactionCount } = await this.computeExpectedBalance(userId);
+        const expectedPending = pendingMap.get(userId) || 0;
+        const actualBalance   = wallet.balance || 0;
+        const actualPending   = wallet.pendingBalance || 0;
+
+        let ledger = null;
+        try {
+            const check = await ledgerService.verifyWallet(userId);
+            ledger = { balance: check.balance.ledger, drift: check.balance.drift };
+        } catch (err) {
+            console.warn(`[Reconciliation] Ledger check failed for ${userId}:`, err.message);
+        }
+
+        const balanceDrift = actualBalance - expectedBalance;
+        const pendingDrift = actualPending - expectedPending;
+
+        return {
+            userId,
+            actualBalance, expectedBalance, balanceDrift,
+            actualPending, expectedPending, pendingDrift,
+            ledgerBalance: ledger ? ledger.balance : null,
+            ledgerDrift:   ledger ? ledger.drift   : null,
+            transactionCount,
+            isLocked: !!wallet.isLocked,
+            hasDrift: balanceDrift !== 0
+                   || pendingDrift !== 0
+                   || (ledger !== null && ledger.drift !== 0)
+        };
+    }
+
+    /**
+     * Full run over every wallet.
+     * @param {{ autoLock?: boolean, triggeredBy?: string }} options
+     */
+    async run({ autoLock = process.env.RECONCILIATION_AUTO_LOCK === 'true', triggeredBy = 'cron' } = {}) {
+        const reportRef = db.collection('reconciliationReports').doc();
+        const startedAt = Date.now();
+
+        await reportRef.set({
+            id: reportRef.id, status: 'running', triggeredBy, autoLock,
+            startedAt, walletsChecked: 0, driftCount: 0
+        });
+
+        try {
+            const [walletsSnap, pendingMap] = await Promise.all([
+                db.collection('wallets').get(),
+                this._buildPendingMap()
+            ]);
+
+            let walletsChecked = 0;
+            let failedChecks   = 0;
+            let totalBalanceDrift = 0;
+            const lockedUserIds = [];
+            const driftUserIds  = [];
+
+            for (const walletDoc of walletsSnap.docs) {
+                const userId = walletDoc.id;
+                try {
+                    const result = await this.reconcileWallet(userId, walletDoc.data(), pendingMap);
+                    walletsChecked++;
+                    if (!result.hasDrift) continue;
+
+                    driftUserIds.push(userId);
+                    totalBalanceDrift += result.balanceDrift;
+
+                    // Never auto-lock the platform wallet — it would block commission credits
+                    const shouldLock = autoLock && userId !== 'admin' && !result.isLocked;
+                    if (shouldLock) {
+                        await this.lockWallet(userId, reportRef.id);
+                        lockedUserIds.push(userId);
+                    }
+
+                    await reportRef.collection('drifts').doc(userId).set({
+                        ...result,
+                        reportId: reportRef.id,
+                        locked: shouldLock || result.isLocked,
+                        autoLocked: shouldLock,
+                        createdAt: Date.now()
+                    });
+                } catch (err) {
+                    failedChecks++;
+                    console.error(`[Reconciliation] ${userId} failed:`, err.message);
+                }
+            }
+
+            const summary = {
+                status: 'completed',
+                completedAt: Date.now(),
+                durationMs: Date.now() - startedAt,
+                walletsChecked,
+                failedChecks,
+                driftCount: driftUserIds.length,
+                driftUserIds: driftUserIds.slice(0, 500),
+                totalBalanceDrift,
+                lockedUserIds
+            };
+            await reportRef.update(summary);
+
+            if (driftUserIds.length > 0) {
+                await firebaseService.broadcastAdminAlert(
+                    'WALLET_DRIFT',
+                    `Reconciliation found ${driftUserIds.length} wallet(s) out of balance` +
+                    (lockedUserIds.length ? `; ${lockedUserIds.length} locked.` : '.'),
+                    'high'
+                );
+            }
+
+            return { id: reportRef.id, ...summary };
+        } catch (error) {
+            await reportRef.update({ status: 'failed', error: error.message, completedAt: Date.now() });
+            throw error;
+        }
+    }
+
+    async lockWallet(userId, reportId) {
+        await db.collection('wallets').doc(userId).update({
+            isLocked: true,
+            lockReason: `Reconciliation drift (report ${reportId})`,
+            lockedAt: Date.now(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    /**
+     * Lock wallets flagged in a report. With no userIds, locks every drift.
+     */
+    async lockDrifts(reportId, userIds = null) {
+        const driftsRef = db.collection('reconciliationReports').doc(reportId).collection('drifts');
+        const snap = await driftsRef.get();
+        if (snap.empty) return { locked: [] };
+
+        const locked = [];
+        for (const doc of snap.docs) {
+            const drift = doc.data();
+            if (userIds && !userIds.includes(doc.id)) continue;
+            if (drift.locked || doc.id === 'admin') continue;
+
+            await this.lockWallet(doc.id, reportId);
+            await doc.ref.update({ locked: true, lockedAt: Date.now() });
+            locked.push(doc.id);
+        }
+        return { locked };
+    }
+
+    async listReports(limit = 20) {
+        const snap = await db.collection('reconciliationReports')
+            .orderBy('startedAt', 'desc')
+            .limit(Math.min(parseInt(limit) || 20, 100))
+            .get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    }
+
+    async getReportDrifts(reportId) {
+        const reportSnap = await db.collection('reconciliationReports').doc(reportId).get();
+        if (!reportSnap.exists) return null;
+
+        const driftsSnap = await reportSnap.ref.collection('drifts').get();
+        const drifts = driftsSnap.docs
+            .map(d => d.data())
+            .sort((a, b) => Math.abs(b.balanceDrift) - Math.abs(a.balanceDrift));
+
+        return { report: { id: reportSnap.id, ...reportSnap.data() }, drifts };
+    }
+}
+
+module.exports = new ReconciliationService();
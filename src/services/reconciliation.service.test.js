@@ -0,0 +1,72 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const walletService = require('./wallet.service');
+const reconciliationService = require('./reconciliation.service');
+
+describe('wallet reconciliation', () => {
+    it('finds nothing wrong with wallets moved through the wallet service', async () => {
+        await walletService.creditWallet('u1', 300_000, 'dep_1', { type: 'deposit' });
+        await walletService.debitWallet('u1', 120_000, 'Spend', { reference: 'spend_1' });
+
+        const report = await reconciliationService.run({ autoLock: false });
+
+        expect(report.status).toBe('completed');
+        expect(report.walletsChecked).toBe(1);
+        expect(report.driftCount).toBe(0);
+    });
+
+    it('counts running orders into the expected pending balances', async () => {
+        await walletService.creditWallet('buyer', 1_000_000, 'dep_b', { type: 'deposit' });
+        await walletService.processOrderPayment('buyer', 'seller', 'order_1', 600_000, 30_000);
+        firebase._seed('orders/order_1', {
+            buyerId: 'buyer', sellerId: 'seller', status: 'running', totalAmount: 600_000, commission: 30_000
+        });
+
+        const pending = await reconciliationService._buildPendingMap();
+        expect(pending.get('buyer')).toBe(600_000);
+        expect(pending.get('seller')).toBe(570_000);
+
+        const buyer = await reconciliationService.reconcileWallet('buyer', firebase._read('wallets/buyer'), pending);
+        expect(buyer).toMatchObject({ expectedBalance: 400_000, pendingDrift: 0, hasDrift: false });
+    });
+
+    it('reports and locks a wallet whose balance was changed outside the service', async () => {
+        await walletService.creditWallet('u1', 300_000, 'dep_1', { type: 'deposit' });
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), balance: 310_000 });
+
+        const report = await reconciliationService.run({ autoLock: true, triggeredBy: 'test' });
+
+        expect(report.driftUserIds).toEqual(['u1']);
+        expect(report.totalBalanceDrift).toBe(10_000);
+        expect(report.lockedUserIds).toEqual(['u1']);
+        expect(firebase._read('wallets/u1').isLocked).toBe(true);
+
+        const { drifts } = await reconciliationService.getReportDrifts(report.id);
+        expect(drifts[0]).toMatchObject({ userId: 'u1', balanceDrift: 10_000, ledgerDrift: 10_000, autoLocked: true });
+    });
+
+    it('never locks the platform wallet', async () => {
+        firebase._seed('wallets/admin', { userId: 'admin', balance: 5_000 });
+
+        const report = await reconciliationService.run({ autoLock: true });
+
+        expect(report.driftUserIds).toEqual(['admin']);
+        expect(report.lockedUserIds).toEqual([]);
+        expect(firebase._read('wallets/admin').isLocked).toBeUndefined();
+    });
+
+    it('locks flagged wallets from a report on request', async () => {
+        await walletService.creditWallet('u1', 100_000, 'dep_1', { type: 'deposit' });
+        firebase._seed('wallets/u1', { ...firebase._read('wallets/u1'), balance: 90_000 });
+        const report = await reconciliationService.run({ autoLock: false });
+
+        expect(await reconciliationService.lockDrifts(report.id)).toEqual({ locked: ['u1'] });
+        expect(await reconciliationService.lockDrifts(report.id)).toEqual({ locked: [] });
+        expect(firebase._read('wallets/u1').lockReason).toContain(report.id);
+    });
+});
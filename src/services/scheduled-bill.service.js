@@ -0,0 +1,405 @@
+'use strict';
+
+// ─── scheduled-bill.service.js ────────────────────────────────────────────────
+// One-off and recurring bill payments (airtime, data, electricity, TV).
+//
+//   scheduledBills/{id}              schedule, next run, running totals
+//   scheduledBills/{id}/runs/{slot}  one doc per run, keyed by the slot time
+//
+// jobs/scheduledBills.js calls runDue(). Each due schedule is claimed in a
+// transaction that writes the run doc and moves nextRunAt forward, so a slot
+// runs at most once even if two instances sweep together. The purchase goes
+// through billService.purchase() — the same debit → VTPass → refund path as
+// the bill routes.
+//
+// A run that can't be paid for (balance, KYC limit, locked wallet) is
+// `skipped` and the user is told; MAX_CONSECUTIVE_MISSES skipped or failed
+// runs in a row pause the schedule. Slots missed while the server was down
+// are not caught up — the schedule resumes at its next future slot.
+//
+// Needs a composite index on scheduledBills: status ASC, nextRunAt ASC.
+// Amounts are kobo.
+
+const { db } = require('../config/firebase');
+const billService = require('./bill.service');
+const beneficiaryService = require('./beneficiary.service');
+const walletService = require('./wallet.service');
+const walletHoldService = require('./wallet-hold.service');
+const pushNotificationService = require('./push-notification.service');
+const { assertKobo, toNaira, formatNaira } = require('../utils/money');
+const { normalizePhone, normalizeNetwork } = require('../utils/phone');
+
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+const MIN_AMOUNTS = { airtime: 5000, electricity: 50000 };   // kobo, same as the purchase routes
+const MAX_ACTIVE_SCHEDULES = 20;
+const MAX_CONSECUTIVE_MISSES = 3;
+const MAX_LABEL_LENGTH = 60;
+const RUN_BATCH_SIZE = 25;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recipient fields each bill type needs (amount comes separately)
+const REQUIRED_FIELDS = {
+    airtime: ['network', 'phone'],
+    data: ['network', 'variation_code', 'phone'],
+    electricity: ['provider', 'meterNumber', 'meterType'],
+    tv_subscription: ['provider', 'smartCardNumber', 'package']
+};
+const OPTIONAL_FIELDS = { data: ['plan'] };
+
+// Errors that mean "couldn't pay this time" rather than "something broke"
+const SKIP_ERRORS = [
+    { test: (m) => m === 'Insufficient balance', reason: 'Insufficient wallet balance' },
+    { test: (m) => m.startsWith('KYC_LIMIT'), reason: 'Verification level limit reached' },
+    { test: (m) => m.startsWith('CRITICAL_LOCK'), reason: 'Wallet is locked' }
+];
+
+const BILL_LABELS = {
+    airtime: 'airtime',
+    data: 'data',
+    electricity: 'electricity',
+    tv_subscription: 'TV subscription'
+};
+
+class ScheduledBillService {
+    _ref(scheduleId) {
+        return db.collection('scheduledBills').doc(scheduleId);
+    }
+
+    /**
+     * Next slot after `from`. Monthly schedules keep their day of the month,
+     * falling back to the last day in shorter months.
+     */
+    nextSlot(schedule, from) {
+        switch (schedule.frequency) {
+            case 'daily':
+                return from + DAY_MS;
+            case 'weekly':
+                return from + 7 * DAY_MS;
+            case 'monthly': {
+                const d = new Date(from);
+                const year = d.getUTCFullYear();
+                const month = d.getUTCMonth() + 1;
+                const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+                return Date.UTC(
+                    year, month, Math.min(schedule.dayOfMonth, lastDay),
+                    d.getUTCHours(), d.getUTCMinutes()
+                );
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * First slot after `now`, skipping any missed ones. null when the
+     * schedule has nothing left to run.
+     */
+    _followingSlot(schedule, slot, now = Date.now()) {
+        let next = this.nextSlot(schedule, slot);
+        while (next !== null && next <= now) next = this.nextSlot(schedule, next);
+        if (next !== null && schedule.endAt && next > schedule.endAt) return null;
+        return next;
+    }
+
+    async create(userId, input) {
+        const { billType, frequency, beneficiaryId } = input;
+        if (!REQUIRED_FIELDS[billType]) {
+            throw new Error(`SCHEDULE: billType must be one of ${Object.keys(REQUIRED_FIELDS).join(', ')}`);
+        }
+        if (!FREQUENCIES.includes(frequency)) {
+            throw new Error(`SCHEDULE: frequency must be one of ${FREQUENCIES.join(', ')}`);
+        }
+
+        const amount = assertKobo(input.amount);
+        if (amount <= 0) throw new Error('SCHEDULE: Amount must be greater than zero');
+        if (MIN_AMOUNTS[billType] && amount < MIN_AMOUNTS[billType]) {
+            throw new Error(`SCHEDULE: Minimum amount is ${formatNaira(MIN_AMOUNTS[billType])}`);
+        }
+
+        const source = beneficiaryId
+            ? { ...input, ...await beneficiaryService.toPurchaseFields(userId, beneficiaryId, billType) }
+            : input;
+        const fields = {};
+        for (const field of REQUIRED_FIELDS[billType]) {
+            const value = String(source[field] ?? '').trim();
+            if (!value) throw new Error(`SCHEDULE: ${field} is required`);
+            fields[field] = value;
+        }
+        for (const field of OPTIONAL_FIELDS[billType] || []) {
+            if (source[field]) fields[field] = String(source[field]).trim();
+        }
+        if (fields.phone) {
+            fields.phone = normalizePhone(fields.phone);
+            if (!fields.phone) throw new Error('SCHEDULE: Invalid phone number');
+        }
+        if (fields.network) {
+            fields.network = normalizeNetwork(fields.network);
+            if (!fields.network) throw new Error('SCHEDULE: network must be mtn, glo, airtel or 9mobile');
+        }
+
+        const now = Date.now();
+        const startAt = input.startAt ? new Date(input.startAt).getTime() : now + 60 * 1000;
+        const endAt = input.endAt ? new Date(input.endAt).getTime() : null;
+        if (!Number.isFinite(startAt) || startAt <= now) {
+            throw new Error('SCHEDULE: startAt must be in the future');
+        }
+        if (endAt !== null && (!Number.isFinite(endAt) || endAt < startAt)) {
+            throw new Error('SCHEDULE: endAt must be after startAt');
+        }
+
+        const label = String(input.label ?? '').trim();
+        if (label.length > MAX_LABEL_LENGTH) {
+            throw new Error(`SCHEDULE: Label must be ${MAX_LABEL_LENGTH} characters or fewer`);
+        }
+
+        const active = await db.collection('scheduledBills')
+            .where('userId', '==', userId)
+            .where('status', '==', 'active')
+            .count()
+            .get();
+        if (active.data().count >= MAX_ACTIVE_SCHEDULES) {
+            throw new Error(`SCHEDULE: You can have up to ${MAX_ACTIVE_SCHEDULES} active scheduled payments`);
+        }
+
+        const ref = db.collection('scheduledBills').doc();
+        const schedule = {
+            id: ref.id,
+            userId,
+            billType,
+            fields,
+            amount,
+            frequency,
+            label: label || null,
+            beneficiaryId: beneficiaryId || null,
+            dayOfMonth: new Date(startAt).getUTCDate(),
+            startAt,
+            endAt,
+            nextRunAt: startAt,
+            status: 'active',
+            runCount: 0,
+            consecutiveMisses: 0,
+            lastRunAt: null,
+            lastRunStatus: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        await ref.set(schedule);
+        return schedule;
+    }
+
+    async list(userId) {
+        const snap = await db.collection('scheduledBills')
+            .where('userId', '==', userId)
+            .orderBy('createdAt', 'desc')
+            .limit(100)
+            .get();
+        return snap.docs
+            .map(doc => doc.data())
+            .filter(schedule => schedule.status !== 'cancelled');
+    }
+
+    /**
+     * Schedule plus its most recent runs. null if missing or not the user's.
+     */
+    async get(userId, scheduleId, { runLimit = 20 } = {}) {
+        const snap = await this._ref(scheduleId).get();
+        if (!snap.exists || snap.data().userId !== userId) return null;
+
+        const runs = await this._ref(scheduleId).collection('runs')
+            .orderBy('scheduledFor', 'desc')
+            .limit(Math.min(runLimit, 100))
+            .get();
+        return { ...snap.data(), runs: runs.docs.map(doc => doc.data()) };
+    }
+
+    /**
+     * @param {'paused'|'active'|'cancelled'} status
+     * Resuming picks the next future slot; a finished schedule can't be resumed.
+     */
+    async setStatus(userId, scheduleId, status) {
+        if (!['paused', 'active', 'cancelled'].includes(status)) {
+            throw new Error('SCHEDULE: status must be paused, active or cancelled');
+        }
+
+        const ref = this._ref(scheduleId);
+        return db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(ref);
+            if (!snap.exists || snap.data().userId !== userId) {
+                throw new Error('SCHEDULE: Scheduled payment not found');
+            }
+            const schedule = snap.data();
+            if (['completed', 'cancelled'].includes(schedule.status)) {
+                throw new Error(`SCHEDULE: This scheduled payment is already ${schedule.status}`);
+            }
+
+            const now = Date.now();
+            const fields = { status, updatedAt: now };
+            if (status === 'active' && schedule.status !== 'active') {
+                const nextRunAt = schedule.nextRunAt > now
+                    ? schedule.nextRunAt
+                    : this._followingSlot(schedule, schedule.nextRunAt ?? now, now);
+                if (nextRunAt === null) throw new Error('SCHEDULE: This scheduled payment has no runs left');
+                Object.assign(fields, { nextRunAt, consecutiveMisses: 0 });
+            }
+            if (status === 'cancelled') fields.cancelledAt = now;
+
+            transaction.update(ref, fields);
+            return { ...schedule, ...fields };
+        });
+    }
+
+    // ─── Running ──────────────────────────────────────────────────────────────
+
+    /**
+     * Claim the schedule's current slot: write the run doc and move
+     * nextRunAt on. Returns null when someone else got there first.
+     */
+    async _claim(scheduleId, now) {
+        const ref = this._ref(scheduleId);
+        return db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(ref);
+            const schedule = snap.data();
+            if (!snap.exists || schedule.status !== 'active' || schedule.nextRunAt > now) return null;
+
+            const slot = schedule.nextRunAt;
+            const runRef = ref.collection('runs').doc(String(slot));
+            const runSnap = await transaction.get(runRef);
+            if (runSnap.exists) return null;
+
+            const nextRunAt = this._followingSlot(schedule, slot, now);
+            transaction.set(runRef, {
+                scheduledFor: slot,
+                status: 'running',
+                amount: schedule.amount,
+                startedAt: now
+            });
+            transaction.update(ref, {
+                nextRunAt,
+                ...(nextRunAt === null && { status: 'completed', completedAt: now }),
+                runCount: (schedule.runCount || 0) + 1,
+                lastRunAt: now,
+                updatedAt: now
+            });
+            return { schedule, runRef, finalRun: nextRunAt === null };
+        });
+    }
+
+    /**
+     * Pay one claimed slot.
+     * @returns {Promise<{ status: 'completed'|'pending'|'failed'|'skipped'|'error', reason?: string }>}
+     */
+    async _execute(schedule) {
+        const { userId, billType, fields, amount } = schedule;
+
+        const [wallet, { charge }] = await Promise.all([
+            walletService.getWallet(userId),
+            billService.quote(billType, fields, amount)
+        ]);
+        if (walletHoldService.availableBalance(wallet) < charge) {
+            return { status: 'skipped', reason: 'Insufficient wallet balance' };
+        }
+
+        try {
+            const built = billService.buildPurchase(billType, { ...fields, amount: toNaira(amount) });
+            const purchase = await billService.purchase(userId, {
+                ...built,
+                amount,
+                metadata: { ...built.metadata, scheduledBillId: schedule.id }
+            });
+            return {
+                status: purchase.status,
+                requestId: purchase.requestId,
+                transactionId: purchase.transactionId,
+                ...(purchase.status === 'failed' && { reason: 'Provider error. Amount refunded to wallet.' })
+            };
+        } catch (error) {
+            const skip = SKIP_ERRORS.find(s => s.test(error.message || ''));
+            if (skip) return { status: 'skipped', reason: skip.reason };
+            return { status: 'error', reason: error.message };
+        }
+    }
+
+    async _runOne(scheduleId, now) {
+        const claim = await this._claim(scheduleId, now);
+        if (!claim) return null;
+
+        const { schedule, runRef, finalRun } = claim;
+        const outcome = await this._execute(schedule);
+        const missed = ['skipped', 'failed', 'error'].includes(outcome.status);
+        const consecutiveMisses = missed ? (schedule.consecutiveMisses || 0) + 1 : 0;
+        const pause = missed && !finalRun && consecutiveMisses >= MAX_CONSECUTIVE_MISSES;
+
+        await runRef.update({
+            status: outcome.status,
+            reason: outcome.reason || null,
+            requestId: outcome.requestId || null,
+            transactionId: outcome.transactionId || null,
+            finishedAt: Date.now()
+        });
+        await this._ref(scheduleId).update({
+            lastRunStatus: outcome.status,
+            consecutiveMisses,
+            ...(pause && { status: 'paused', pausedReason: outcome.reason || 'Repeated failures' }),
+            updatedAt: Date.now()
+        });
+
+        await this._notify(schedule, outcome, { paused: pause });
+        return outcome;
+    }
+
+    /**
+     * Cron entry point: every active schedule whose slot has come.
+     */
+    async runDue() {
+        const now = Date.now();
+        const snap = await db.collection('scheduledBills')
+            .where('status', '==', 'active')
+            .where('nextRunAt', '<=', now)
+            .orderBy('nextRunAt', 'asc')
+            .limit(RUN_BATCH_SIZE)
+            .get();
+
+        const summary = { due: snap.size, completed: 0, pending: 0, failed: 0, skipped: 0, errors: 0 };
+
+        for (const doc of snap.docs) {
+            try {
+                const outcome = await this._runOne(doc.id, now);
+                if (!outcome) continue;
+                if (outcome.status === 'error') summary.errors++;
+                else summary[outcome.status]++;
+            } catch (err) {
+                summary.errors++;
+                console.error(`[ScheduledBills] ${doc.id} run failed:`, err.message);
+            }
+        }
+        return summary;
+    }
+
+    async _notify(schedule, outcome, { paused }) {
+        const what = `${schedule.label ? `${schedule.label} — ` : ''}${formatNaira(schedule.amount)} ${BILL_LABELS[schedule.billType]}`;
+        const messages = {
+            completed: ['✅ Scheduled Payment Sent', `Your scheduled ${what} payment was successful.`],
+            pending: ['⏳ Scheduled Payment Processing', `Your scheduled ${what} payment is processing.`],
+            failed: ['↩️ Scheduled Payment Failed', `Your scheduled ${what} payment failed and the amount was refunded.`],
+            skipped: ['⚠️ Scheduled Payment Skipped', `Your scheduled ${what} payment was skipped: ${outcome.reason}.`],
+            error: ['⚠️ Scheduled Payment Failed', `Your scheduled ${what} payment could not be completed.`]
+        };
+        const [title, body] = messages[outcome.status];
+        const suffix = paused
+            ? ` It has been paused after ${MAX_CONSECUTIVE_MISSES} missed payments.`
+            : '';
+
+        try {
+            await pushNotificationService.sendPushToUser(schedule.userId, title, body + suffix, {
+                screen: 'ProfileTab',
+                params: { screen: 'Transactions' },
+                type: 'scheduled_bill',
+                scheduleId: schedule.id
+            });
+        } catch (err) {
+            console.warn('[ScheduledBills] Push notification failed:', err.message);
+        }
+    }
+}
+
+module.exports = new ScheduledBillService();
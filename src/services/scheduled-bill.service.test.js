@@ -0,0 +1,128 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const scheduledBillService = require('./scheduled-bill.service');
+const walletService = require('./wallet.service');
+const vtpassService = require('./vtpass.service');
+const pushNotificationService = require('./push-notification.service');
+
+const AMOUNT = 100_000; // ₦1,000 airtime
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Move the clock so the next slot is due
+function advanceClock(ms) {
+    const now = Date.now() + ms;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+}
+
+const schedule = (id) => firebase._read(`scheduledBills/${id}`);
+const runs = (id) => firebase._list(`scheduledBills/${id}/runs`);
+const balance = () => firebase._read('wallets/u1').balance;
+
+function createAirtime(frequency = 'daily') {
+    return scheduledBillService.create('u1', {
+        billType: 'airtime', frequency, amount: AMOUNT, network: 'MTN', phone: '0803 123 4567', label: 'Tolu'
+    });
+}
+
+beforeEach(async () => {
+    jest.spyOn(pushNotificationService, 'sendPushToUser').mockResolvedValue(true);
+    jest.spyOn(vtpassService, 'pay').mockImplementation(async (payload, requestId) => ({
+        status: 'delivered', requestId, code: '000', transactionId: `vt_${requestId}`
+    }));
+
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1 });
+    await walletService.creditWallet('u1', 250_000, 'dep_1', { type: 'deposit' });
+});
+
+describe('scheduled bill payments', () => {
+    it('pays each due slot once and moves to the next', async () => {
+        const { id } = await createAirtime('daily');
+        expect(schedule(id).fields).toEqual({ network: 'mtn', phone: '08031234567' });
+
+        advanceClock(MINUTE);
+        const first = await scheduledBillService.runDue();
+        const again = await scheduledBillService.runDue();
+
+        expect(first).toMatchObject({ due: 1, completed: 1 });
+        expect(again.due).toBe(0);
+        expect(balance()).toBe(150_000);
+        expect(runs(id)).toEqual([expect.objectContaining({ status: 'completed', amount: AMOUNT })]);
+        expect(schedule(id)).toMatchObject({ runCount: 1, lastRunStatus: 'completed', nextRunAt: schedule(id).startAt + DAY });
+    });
+
+    it('completes a one-off schedule after its run', async () => {
+        const { id } = await createAirtime('once');
+
+        advanceClock(MINUTE);
+        await scheduledBillService.runDue();
+
+        expect(schedule(id)).toMatchObject({ status: 'completed', nextRunAt: null });
+    });
+
+    it('skips without debiting when the balance is short, and pauses after three misses', async () => {
+        const { id } = await createAirtime('daily');
+        await walletService.debitWallet('u1', 200_000, 'Spend', { reference: 'spend_1' });
+
+        advanceClock(MINUTE);
+        for (let day = 0; day < 3; day++) {
+            expect(await scheduledBillService.runDue()).toMatchObject({ skipped: 1 });
+            advanceClock(DAY);
+        }
+
+        expect(vtpassService.pay).not.toHaveBeenCalled();
+        expect(balance()).toBe(50_000);
+        expect(schedule(id)).toMatchObject({ status: 'paused', consecutiveMisses: 3, pausedReason: 'Insufficient wallet balance' });
+        expect(pushNotificationService.sendPushToUser).toHaveBeenLastCalledWith(
+            'u1', '⚠️ Scheduled Payment Skipped', expect.stringContaining('paused after 3'), expect.any(Object)
+        );
+    });
+
+    it('refunds a run VTPass fails', async () => {
+        vtpassService.pay.mockImplementation(async () => {
+            const error = new Error('VTPASS: TRANSACTION FAILED');
+            error.vtpass = { status: 'failed', code: '016', description: 'TRANSACTION FAILED' };
+            throw error;
+        });
+        const { id } = await createAirtime('daily');
+
+        advanceClock(MINUTE);
+        expect(await scheduledBillService.runDue()).toMatchObject({ failed: 1 });
+
+        expect(balance()).toBe(250_000);
+        expect(runs(id)[0]).toMatchObject({ status: 'failed', reason: 'Provider error. Amount refunded to wallet.' });
+        expect(schedule(id).consecutiveMisses).toBe(1);
+    });
+
+    it('resumes a paused schedule at its next future slot', async () => {
+        const { id } = await createAirtime('daily');
+        await scheduledBillService.setStatus('u1', id, 'paused');
+
+        advanceClock(3 * DAY);
+        expect((await scheduledBillService.runDue()).due).toBe(0);
+        const resumed = await scheduledBillService.setStatus('u1', id, 'active');
+
+        expect(resumed.nextRunAt).toBeGreaterThan(Date.now());
+        expect(resumed.nextRunAt - schedule(id).startAt).toBe(3 * DAY);
+    });
+
+    it('keeps the day of the month, falling back to the last day', () => {
+        const jan31 = Date.UTC(2026, 0, 31, 9, 0);
+        const feb28 = scheduledBillService.nextSlot({ frequency: 'monthly', dayOfMonth: 31 }, jan31);
+
+        expect(new Date(feb28).toISOString()).toBe('2026-02-28T09:00:00.000Z');
+        expect(new Date(scheduledBillService.nextSlot({ frequency: 'monthly', dayOfMonth: 31 }, feb28)).toISOString())
+            .toBe('2026-03-31T09:00:00.000Z');
+    });
+
+    it('refuses amounts below the airtime minimum', async () => {
+        await expect(scheduledBillService.create('u1', {
+            billType: 'airtime', frequency: 'daily', amount: 4_999, network: 'mtn', phone: '08031234567'
+        })).rejects.toThrow('SCHEDULE: Minimum amount');
+    });
+});
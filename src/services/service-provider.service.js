@@ -3,12 +3,21 @@ const { db, admin } = require('../config/firebase');
 const { client } = require('../config/redis');
 const pushNotificationService = require('./push-notification.service');
 const reviewService = require('./review.service');
+const ledgerService = require('./ledger.service');
+const walletHoldService = require('./wallet-hold.service');
+const { toNaira } = require('../utils/money');
 
 const SUBSCRIPTION_PLANS = {
-    MONTHLY: { price: 2000, duration: 30, label: "Monthly - ₦2,000" },
-    YEARLY: { price: 10000, duration: 365, label: "Yearly - ₦10,000" }
+    MONTHLY: { priceKobo: 200_000,   duration: 30,  label: "Monthly - ₦2,000" },
+    YEARLY:  { priceKobo: 1_000_000, duration: 365, label: "Yearly - ₦10,000" }
 };
 
+// Plans as the app sees them — price in naira
+const PUBLIC_PLANS = Object.fromEntries(
+    Object.entries(SUBSCRIPTION_PLANS).map(([key, { priceKobo, ...plan }]) =>
+        [key, { ...plan, price: toNaira(priceKobo) }])
+);
+
 const CACHE_KEYS = {
     PROVIDER_LIST: (category, filters) => `providers:${category}:${JSON.stringify(filters)}`,
     PROVIDER_PROFILE: (providerId) => `provider:profile:${providerId}`,
@@ -224,7 +233,11 @@ class ServiceProviderService {
                     throw new Error('Profile must be at least 70% complete');
                 }
 
-                if ((wallet.balance || 0) < selectedPlan.price) {
+                if (wallet.isLocked) {
+                    throw new Error('Wallet is currently locked. Please contact support.');
+                }
+
+                if (walletHoldService.availableBalance(wallet) < selectedPlan.priceKobo) {
                     throw new Error('Insufficient wallet balance');
                 }
 
@@ -233,13 +246,13 @@ class ServiceProviderService {
                 transaction.update(providerRef, {
                     subscriptionExpiresAt: expiresAt,
                     subscriptionType: plan.toLowerCase(),
-                    subscriptionPrice: selectedPlan.price,
+                    subscriptionPrice: selectedPlan.priceKobo,
                     lastSubscriptionDate: Date.now(),
                     updatedAt: Date.now()
                 });
 
                 transaction.update(walletRef, {
-                    balance: admin.firestore.FieldValue.increment(-selectedPlan.price),
+                    balance: admin.firestore.FieldValue.increment(-selectedPlan.priceKobo),
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
 
@@ -248,12 +261,21 @@ class ServiceProviderService {
                     userId: providerId,
                     type: 'debit',
                     category: 'subscription',
-                    amount: selectedPlan.price,
+                    amount: selectedPlan.priceKobo,
                     description: `Service Provider ${selectedPlan.label}`,
                     timestamp: Date.now(),
                     status: 'completed',
                     metadata: { plan, expiresAt, reference: txnRef.id }
                 });
+
+                ledgerService.postAtomic(transaction, {
+                    id: `subscription_${txnRef.id}`, type: 'subscription', reference: txnRef.id,
+                    lines: [
+                        ledgerService.debit(ledgerService.ACCOUNTS.user(providerId), selectedPlan.priceKobo),
+                        ledgerService.credit(ledgerService.ACCOUNTS.SUBSCRIPTIONS, selectedPlan.priceKobo)
+                    ],
+                    metadata: { providerId, plan }
+                });
             });
 
             await this._invalidateProviderCache(providerId);
@@ -306,7 +328,7 @@ class ServiceProviderService {
                 remainingDays: Math.ceil(Math.max(0, expiresAt - now) / 86400000),
                 subscriptionType: provider.subscriptionType,
                 profileCompletionPercentage: provider.profileCompletionPercentage || 0,
-                plans: SUBSCRIPTION_PLANS
+                plans: PUBLIC_PLANS
             };
 
             await client.setEx(cacheKey, CACHE_TTL.SUBSCRIPTION, JSON.stringify(status));
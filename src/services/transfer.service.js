@@ -0,0 +1,148 @@
+'use strict';
+
+// ─── transfer.service.js ──────────────────────────────────────────────────────
+// Peer-to-peer wallet transfers between EliteHub users.
+//
+//   1. resolve  — sender types a phone, email or referral code; we answer with
+//                 the recipient's name and a 5-minute confirmation token
+//   2. send     — sender confirms the name and submits the token + amount with
+//                 their transaction PIN (middleware/transactionPin.js)
+//
+// The token binds sender → recipient, so the money can only go to the person
+// whose name was shown. Limits come from KYC tiers (kyc.service.js); the money
+// moves in walletService.transferBetweenWallets.
+
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const { client } = require('../config/redis');
+const walletService = require('./wallet.service');
+const emailService = require('./email.service');
+const pushNotificationService = require('./push-notification.service');
+const { formatNaira } = require('../utils/money');
+const { phoneVariants } = require('../utils/phone');
+
+const CONFIRMATION_TTL = 300; // 5 minutes to confirm the recipient
+const MIN_TRANSFER_KOBO = 10_000; // ₦100
+const MAX_NOTE_LENGTH = 100;
+
+class TransferService {
+    async _findUserId(identifier) {
+        const value = String(identifier || '').trim();
+        if (!value) return null;
+
+        if (value.includes('@')) {
+            const snap = await db.collection('users')
+                .where('email', 'in', [...new Set([value, value.toLowerCase()])])
+                .limit(1)
+                .get();
+            return snap.empty ? null : snap.docs[0].id;
+        }
+
+        if (/^[+\d][\d\s-]{6,}$/.test(value)) {
+            // Phones are stored as typed at signup — try every spelling
+            const snap = await db.collection('users')
+                .where('phone', 'in', phoneVariants(value))
+                .limit(1)
+                .get();
+            if (!snap.empty) return snap.docs[0].id;
+        }
+
+        const codeSnap = await db.collection('referralCodes').doc(value.toUpperCase()).get();
+        return codeSnap.exists ? codeSnap.data().uid : null;
+    }
+
+    /**
+     * Step 1 — look the recipient up and hand back a confirmation token.
+     * @returns {Promise<{ recipient: { name: string }, confirmationToken: string, expiresIn: number } | null>}
+     */
+    async resolveRecipient(senderId, identifier) {
+        const recipientId = await this._findUserId(identifier);
+        if (!recipientId) return null;
+        if (recipientId === senderId) throw new Error('You cannot transfer to yourself');
+
+        const userSnap = await db.collection('users').doc(recipientId).get();
+        const user = userSnap.exists ? userSnap.data() : null;
+        if (!user || user.isActive === false || user.role === 'admin') return null;
+
+        const confirmationToken = crypto.randomBytes(16).toString('hex');
+        await client.setEx(
+            `p2p:confirm:${confirmationToken}`,
+            CONFIRMATION_TTL,
+            JSON.stringify({ senderId, recipientId, recipientName: user.name })
+        );
+
+        return {
+            recipient: { name: user.name, role: user.role },
+            confirmationToken,
+            expiresIn: CONFIRMATION_TTL
+        };
+    }
+
+    /**
+     * Step 2 — move the money. The token is consumed whether or not the
+     * transfer succeeds; a retry after failure needs a fresh resolve.
+     * @param {number} amount  kobo
+     */
+    async send(senderId, { confirmationToken, amount, note = '' }) {
+        if (!Number.isSafeInteger(amount) || amount < MIN_TRANSFER_KOBO) {
+            throw new Error(`Minimum transfer is ${formatNaira(MIN_TRANSFER_KOBO)}`);
+        }
+
+        // GET + DEL in one round trip so a double tap can't spend the token twice
+        const key = `p2p:confirm:${confirmationToken}`;
+        const [raw] = await client.multi().get(key).del(key).exec();
+        const confirmation = raw ? JSON.parse(raw) : null;
+        if (!confirmation || confirmation.senderId !== senderId) {
+            throw new Error('Recipient confirmation expired. Please look the recipient up again.');
+        }
+
+        const senderSnap = await db.collection('users').doc(senderId).get();
+        const sender = senderSnap.data() || {};
+        const recipientSnap = await db.collection('users').doc(confirmation.recipientId).get();
+        const recipient = recipientSnap.data() || {};
+
+        const reference = `p2p_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+        const cleanNote = String(note || '').trim().slice(0, MAX_NOTE_LENGTH);
+
+        await walletService.transferBetweenWallets(senderId, confirmation.recipientId, amount, {
+            reference,
+            note: cleanNote,
+            senderName: sender.name || 'EliteHub user',
+            recipientName: confirmation.recipientName
+        });
+
+        this._notify({ sender, senderId, recipient, recipientId: confirmation.recipientId, amount, reference, note: cleanNote });
+
+        return {
+            reference,
+            amount,
+            recipient: { name: confirmation.recipientName }
+        };
+    }
+
+    _notify({ sender, senderId, recipient, recipientId, amount, reference, note }) {
+        setImmediate(async () => {
+            const results = await Promise.allSettled([
+                pushNotificationService.sendPushToUser(
+                    senderId,
+                    '💸 Transfer Sent',
+                    `${formatNaira(amount)} sent to ${recipient.name}.`,
+                    { screen: 'ProfileTab', params: { screen: 'Transactions' }, type: 'p2p_transfer', reference }
+                ),
+                pushNotificationService.sendPushToUser(
+                    recipientId,
+                    '💰 Money Received',
+                    `${sender.name || 'An EliteHub user'} sent you ${formatNaira(amount)}.`,
+                    { screen: 'ProfileTab', params: { screen: 'Transactions' }, type: 'p2p_transfer', reference }
+                ),
+                sender.email && emailService.sendTransferSent(sender.email, sender.name, amount, recipient.name, reference),
+                recipient.email && emailService.sendTransferReceived(recipient.email, recipient.name, amount, sender.name || 'An EliteHub user', note)
+            ]);
+            results
+                .filter(r => r.status === 'rejected')
+                .forEach(r => console.warn('[P2P] Notification failed:', r.reason?.message));
+        });
+    }
+}
+
+module.exports = new TransferService();
@@ -0,0 +1,77 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const walletService = require('./wallet.service');
+const transferService = require('./transfer.service');
+const ledgerService = require('./ledger.service');
+const { KYC_TIERS } = require('../constants/KycTiers');
+
+beforeEach(async () => {
+    jest.spyOn(transferService, '_notify').mockImplementation(() => {});
+
+    firebase._seed('users/alice', { name: 'Alice', email: 'alice@example.com', phone: '08031234567', kycTier: 1 });
+    firebase._seed('users/bola', { name: 'Bola', email: 'bola@example.com', phone: '08037654321', kycTier: 1 });
+    await walletService.creditWallet('alice', 1_000_000, 'dep_alice', { type: 'deposit' });
+});
+
+describe('peer-to-peer transfers', () => {
+    it('finds the recipient by phone in any spelling and by email in any case', async () => {
+        const byPhone = await transferService.resolveRecipient('alice', '+234 803 765 4321');
+        const byEmail = await transferService.resolveRecipient('alice', 'Bola@Example.com');
+
+        expect(byPhone.recipient.name).toBe('Bola');
+        expect(byEmail.recipient.name).toBe('Bola');
+        await expect(transferService.resolveRecipient('alice', '08031234567')).rejects.toThrow('yourself');
+    });
+
+    it('moves the money and journals it in one go', async () => {
+        const { confirmationToken } = await transferService.resolveRecipient('alice', 'bola@example.com');
+        const result = await transferService.send('alice', { confirmationToken, amount: 250_000, note: 'Lunch' });
+
+        expect(firebase._read('wallets/alice').balance).toBe(750_000);
+        expect(firebase._read('wallets/bola').balance).toBe(250_000);
+        expect(firebase._read(`wallets/bola/transactions/${result.reference}`).metadata.note).toBe('Lunch');
+        expect((await ledgerService.verifyWallet('alice')).inBalance).toBe(true);
+        expect((await ledgerService.verifyWallet('bola')).inBalance).toBe(true);
+    });
+
+    it('spends a confirmation token once', async () => {
+        const { confirmationToken } = await transferService.resolveRecipient('alice', 'bola@example.com');
+        await transferService.send('alice', { confirmationToken, amount: 20_000 });
+
+        await expect(transferService.send('alice', { confirmationToken, amount: 20_000 }))
+            .rejects.toThrow('confirmation expired');
+        expect(firebase._read('wallets/bola').balance).toBe(20_000);
+    });
+
+    it('will not let someone else use the token', async () => {
+        const { confirmationToken } = await transferService.resolveRecipient('alice', 'bola@example.com');
+
+        await expect(transferService.send('bola', { confirmationToken, amount: 20_000 }))
+            .rejects.toThrow('confirmation expired');
+    });
+
+    it('refuses transfers below the minimum or above the balance', async () => {
+        const first = await transferService.resolveRecipient('alice', 'bola@example.com');
+        await expect(transferService.send('alice', { confirmationToken: first.confirmationToken, amount: 9_999 }))
+            .rejects.toThrow('Minimum transfer');
+
+        const second = await transferService.resolveRecipient('alice', 'bola@example.com');
+        await expect(transferService.send('alice', { confirmationToken: second.confirmationToken, amount: 1_000_001 }))
+            .rejects.toThrow('Insufficient balance');
+        expect(firebase._read('wallets/alice').balance).toBe(1_000_000);
+    });
+
+    it("refuses a transfer that would pass the recipient's limit without revealing it", async () => {
+        await walletService.creditWallet('bola', KYC_TIERS[1].maxBalance - 10_000, 'dep_bola', { type: 'deposit' });
+        const { confirmationToken } = await transferService.resolveRecipient('alice', 'bola@example.com');
+
+        await expect(transferService.send('alice', { confirmationToken, amount: 20_000 }))
+            .rejects.toThrow('KYC_LIMIT: Recipient cannot receive this amount right now');
+        expect(firebase._read('wallets/alice').balance).toBe(1_000_000);
+    });
+});
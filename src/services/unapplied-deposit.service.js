@@ -0,0 +1,136 @@
+'use strict';
+
+// ─── unapplied-deposit.service.js ─────────────────────────────────────────────
+// Deposits Paystack has settled that would take the wallet past its KYC
+// maxBalance. The money is already ours — a settled charge or bank transfer
+// can't be bounced back — so it must never just fail: it is parked in
+//
+//   unappliedDeposits/{reference}
+//     { reference, userId, amount, channel, reason, status: 'pending_review',
+//       senderName, creditMetadata, createdAt }
+//
+// for an admin, and the user is told why their money hasn't shown up.
+// `creditMetadata` is what creditWallet() would have been given. Amounts
+// are kobo.
+//
+// Once the user has headroom (tier upgrade, spending) an admin applies it:
+// the deposit is credited under its original reference and marked
+//   status: 'applied', appliedAt, appliedBy
+
+const { db } = require('../config/firebase');
+const walletService = require('./wallet.service');
+const pushNotificationService = require('./push-notification.service');
+const firebaseService = require('./firebase.service');
+const { formatNaira } = require('../utils/money');
+
+// Bank transfers into a dedicated account keep the alert type they've always had
+const describeChannel = (channel) => (channel === 'dedicated_nuban'
+    ? { alertType: 'DVA_DEPOSIT_OVER_LIMIT', label: 'Bank transfer' }
+    : { alertType: 'DEPOSIT_OVER_LIMIT', label: 'Payment' });
+
+class UnappliedDepositService {
+    _ref(reference) {
+        return db.collection('unappliedDeposits').doc(reference);
+    }
+
+    /**
+     * Park a settled deposit the wallet can't take. Safe to call again for
+     * the same reference (webhook retries) — only the first call records it.
+     *
+     * @returns {Promise<boolean>} false when it was already parked
+     */
+    async park(userId, { reference, amount, channel, reason, senderName = null, creditMetadata = {} }) {
+        const ref = this._ref(reference);
+        const created = await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(ref);
+            if (snap.exists) return false;
+            transaction.set(ref, {
+                reference,
+                userId,
+                amount,
+                channel,
+                reason,
+                status: 'pending_review',
+                senderName,
+                creditMetadata,
+                createdAt: Date.now()
+            });
+            return true;
+        });
+        if (!created) return false;
+
+        const { alertType, label } = describeChannel(channel);
+        await firebaseService.broadcastAdminAlert(
+            alertType,
+            `${label} ${reference} (${formatNaira(amount)}) for ${userId} exceeds their KYC balance limit and was not credited`,
+            'high',
+            userId
+        );
+
+        try {
+            await pushNotificationService.sendPushToUser(
+                userId,
+                '⚠️ Deposit On Hold',
+                `We received ${formatNaira(amount)} but it takes your wallet over its limit. Upgrade your verification level or contact support.`,
+                { screen: 'ProfileTab', params: { screen: 'Wallet' }, type: 'deposit_held', reference }
+            );
+        } catch (err) {
+            console.warn('[UnappliedDeposit] Push notification failed:', err.message);
+        }
+        return true;
+    }
+
+    /**
+     * Parked deposits, newest first.
+     * @param {{ status?: string, userId?: string, limit?: number }} [filters]
+     */
+    async list({ status = 'pending_review', userId, limit = 50 } = {}) {
+        let query = db.collection('unappliedDeposits');
+        if (status) query = query.where('status', '==', status);
+        if (userId) query = query.where('userId', '==', userId);
+
+        const snap = await query.orderBy('createdAt', 'desc').limit(Math.min(limit, 100)).get();
+        return snap.docs.map(doc => doc.data());
+    }
+
+    /**
+     * Credit a parked deposit now that the wallet can take it. Throws
+     * KYC_LIMIT while it still can't — the deposit stays parked.
+     *
+     * @returns {Promise<object>} the deposit, with alreadyApplied on a repeat
+     */
+    async apply(reference, { adminId }) {
+        const ref = this._ref(reference);
+        const snap = await ref.get();
+        if (!snap.exists) throw new Error('DEPOSIT: Deposit not found');
+        const deposit = snap.data();
+        if (deposit.status === 'applied') return { ...deposit, alreadyApplied: true };
+
+        // A replayed webhook may have credited it since it was parked
+        const txnSnap = await db.collection('wallets').doc(deposit.userId)
+            .collection('transactions').doc(reference).get();
+        if (!txnSnap.exists) {
+            await walletService.creditWallet(deposit.userId, deposit.amount, reference, {
+                ...deposit.creditMetadata,
+                type: deposit.creditMetadata?.type || 'deposit'
+            });
+        }
+
+        const applied = { status: 'applied', appliedAt: Date.now(), appliedBy: adminId };
+        await ref.update(applied);
+
+        try {
+            await pushNotificationService.sendPushToUser(
+                deposit.userId,
+                '💰 Wallet Funded',
+                `${formatNaira(deposit.amount)} that was on hold has been added to your wallet.`,
+                { screen: 'ProfileTab', params: { screen: 'Transactions' }, type: 'deposit', reference }
+            );
+        } catch (err) {
+            console.warn('[UnappliedDeposit] Push notification failed:', err.message);
+        }
+        return { ...deposit, ...applied, alreadyApplied: false };
+    }
+}
+
+module.exports = new UnappliedDepositService();
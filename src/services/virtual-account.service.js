@@ -0,0 +1,259 @@
+'use strict';
+
+// ─── virtual-account.service.js ───────────────────────────────────────────────
+// Paystack dedicated virtual accounts (DVA): every user gets their own NUBAN,
+// and any bank transfer into it lands in their wallet without card fees.
+//
+//   assign    POST /customer → POST /dedicated_account. Some banks return the
+//             account at once; otherwise it arrives on the
+//             dedicatedaccount.assign.success webhook.
+//   deposit   charge.success with channel 'dedicated_nuban' → creditWallet
+//
+// Storage:
+//   wallets/{userId}.dedicatedAccount   { status, accountNumber, accountName,
+//                                         bankName, bankSlug, customerCode, … }
+//   paystackCustomers/{customerCode}    { uid } — webhook lookup
+//   users/{userId}.paystackCustomerCode
+//
+// A transfer that would take the wallet past its KYC maxBalance can't be
+// bounced back, so it is parked for an admin (unapplied-deposit.service.js).
+
+const { db } = require('../config/firebase');
+const { client, deleteCachePattern } = require('../config/redis');
+const paystackService = require('./paystack.service');
+const walletService = require('./wallet.service');
+const unappliedDepositService = require('./unapplied-deposit.service');
+const pushNotificationService = require('./push-notification.service');
+const firebaseService = require('./firebase.service');
+const { sendDepositAlert } = require('./email.service');
+const { formatNaira } = require('../utils/money');
+
+// 'test-bank' in Paystack test mode
+const PREFERRED_BANK = process.env.PAYSTACK_DVA_BANK || 'wema-bank';
+const PENDING_RETRY_MS = 10 * 60 * 1000; // re-request if the webhook hasn't come within 10 min
+
+class VirtualAccountService {
+    /**
+     * Shape sent to the app — never exposes the customer code.
+     */
+    toPublic(account) {
+        if (!account) return null;
+        return {
+            status: account.status,
+            accountNumber: account.accountNumber || null,
+            accountName: account.accountName || null,
+            bankName: account.bankName || null
+        };
+    }
+
+    async getAccount(userId) {
+        const walletSnap = await db.collection('wallets').doc(userId).get();
+        return walletSnap.exists ? (walletSnap.data().dedicatedAccount || null) : null;
+    }
+
+    /**
+     * Assign the user a dedicated account, or return the one they have.
+     * Safe to call repeatedly — a pending request is only retried after
+     * PENDING_RETRY_MS.
+     */
+    async requestAccount(userId) {
+        const existing = await this.getAccount(userId);
+        if (existing?.status === 'active') return existing;
+        if (existing?.status === 'pending' && Date.now() - existing.requestedAt < PENDING_RETRY_MS) {
+            return existing;
+        }
+
+        const lockKey = `dva:assign:${userId}`;
+        const acquired = await client.set(lockKey, '1', { NX: true, EX: 30 });
+        if (!acquired) throw new Error('Account request already in progress');
+
+        try {
+            const userSnap = await db.collection('users').doc(userId).get();
+            if (!userSnap.exists) throw new Error('User not found');
+            const user = userSnap.data();
+            if (!user.phone) throw new Error('Add a phone number to your profile to get a bank account');
+
+            const customerCode = user.paystackCustomerCode || await this._createCustomer(userId, user);
+            const result = await paystackService.createDedicatedAccount(customerCode, PREFERRED_BANK);
+
+            const account = result.accountNumber
+                ? {
+                    status: 'active',
+                    accountNumber: result.accountNumber,
+                    accountName: result.accountName,
+                    bankName: result.bankName,
+                    bankSlug: result.bankSlug,
+                    paystackId: result.id,
+                    assignedAt: Date.now()
+                }
+                : { status: 'pending' };
+
+            return await this._saveAccount(userId, {
+                ...account,
+                customerCode,
+                requestedAt: Date.now()
+            });
+        } finally {
+            await client.del(lockKey).catch(() => {});
+        }
+    }
+
+    async _createCustomer(userId, user) {
+        const [firstName, ...rest] = (user.name || '').trim().split(/\s+/);
+        const { customerCode } = await paystackService.createCustomer({
+            email: user.email,
+            firstName: firstName || 'EliteHub',
+            lastName: rest.join(' ') || firstName || 'User',
+            phone: user.phone,
+            metadata: { userId }
+        });
+
+        const batch = db.batch();
+        batch.update(db.collection('users').doc(userId), { paystackCustomerCode: customerCode });
+        batch.set(db.collection('paystackCustomers').doc(customerCode), { uid: userId, createdAt: Date.now() });
+        await batch.commit();
+        return customerCode;
+    }
+
+    async _saveAccount(userId, fields) {
+        const walletRef = db.collection('wallets').doc(userId);
+        await walletService.ensureWalletExists(userId);
+        const current = (await walletRef.get()).data().dedicatedAccount || {};
+        const account = { ...current, ...fields, updatedAt: Date.now() };
+
+        await walletRef.update({ dedicatedAccount: account });
+        await walletService.invalidateWalletCache(userId);
+        await deleteCachePattern(`cache:user:${userId}:*`);
+        return account;
+    }
+
+    async _findUserId(customerCode, accountNumber) {
+        if (customerCode) {
+            const snap = await db.collection('paystackCustomers').doc(customerCode).get();
+            if (snap.exists) return snap.data().uid;
+        }
+        if (accountNumber) {
+            const snap = await db.collection('wallets')
+                .where('dedicatedAccount.accountNumber', '==', String(accountNumber))
+                .limit(1)
+                .get();
+            if (!snap.empty) return snap.docs[0].id;
+        }
+        return null;
+    }
+
+    // ─── Webhooks ─────────────────────────────────────────────────────────────
+
+    /**
+     * dedicatedaccount.assign.success / dedicatedaccount.assign.failed
+     */
+    async handleAssignment(event) {
+        const { customer, dedicated_account: dva, identification } = event.data || {};
+        const userId = await this._findUserId(customer?.customer_code);
+        if (!userId) {
+            console.warn(`⚠️ DVA assignment for unknown customer ${customer?.customer_code}`);
+            return;
+        }
+
+        if (event.event === 'dedicatedaccount.assign.failed' || !dva?.account_number) {
+            await this._saveAccount(userId, {
+                status: 'failed',
+                failReason: identification?.status || 'Assignment failed'
+            });
+            console.warn(`❌ DVA assignment failed for ${userId}`);
+            return;
+        }
+
+        const account = await this._saveAccount(userId, {
+            status: 'active',
+            accountNumber: dva.account_number,
+            accountName: dva.account_name,
+            bankName: dva.bank?.name || null,
+            bankSlug: dva.bank?.slug || null,
+            paystackId: dva.id || null,
+            failReason: null,
+            assignedAt: Date.now()
+        });
+
+        try {
+            await pushNotificationService.sendPushToUser(
+                userId,
+                '🏦 Your EliteHub Account Number',
+                `Fund your wallet by transfer to ${account.accountNumber} (${account.bankName}).`,
+                { screen: 'ProfileTab', params: { screen: 'Wallet' }, type: 'virtual_account' }
+            );
+        } catch (err) {
+            console.warn('[DVA] Push notification failed:', err.message);
+        }
+    }
+
+    /**
+     * charge.success paid by bank transfer into a dedicated account.
+     * Amount is kobo. Returns false when the account owner can't be found.
+     */
+    async handleTransferDeposit(event) {
+        const { amount, reference, customer, authorization = {}, metadata = {} } = event.data;
+        const accountNumber = authorization.receiver_bank_account_number || metadata.receiver_account_number;
+        const userId = await this._findUserId(customer?.customer_code, accountNumber);
+
+        if (!userId) {
+            await firebaseService.broadcastAdminAlert(
+                'DVA_UNMATCHED_DEPOSIT',
+                `Bank transfer ${reference} (${formatNaira(amount)}) into ${accountNumber || 'unknown account'} has no matching user`,
+                'high'
+            );
+            return false;
+        }
+
+        const senderName = authorization.sender_name || null;
+        const senderBank = authorization.sender_bank || null;
+
+        const creditMetadata = {
+            type: 'deposit',
+            paymentMethod: 'bank_transfer',
+            channel: 'dedicated_nuban',
+            description: `Bank Transfer${senderName ? ` from ${senderName}` : ''}`,
+            senderName,
+            senderBank,
+            narration: authorization.narration || null,
+            receiverAccountNumber: accountNumber || null
+        };
+
+        try {
+            const result = await walletService.creditWallet(userId, amount, reference, creditMetadata);
+            if (result.alreadyProcessed) return true;
+        } catch (err) {
+            if (!err.message.startsWith('KYC_LIMIT')) throw err;
+            await unappliedDepositService.park(userId, {
+                reference, amount, channel: 'dedicated_nuban', reason: err.message, senderName, creditMetadata
+            });
+            return true;
+        }
+
+        this._notifyDeposit(userId, amount, senderName);
+        console.log(`💰 DVA deposit credited: ${userId} - ${formatNaira(amount)}`);
+        return true;
+    }
+
+    _notifyDeposit(userId, amount, senderName) {
+        setImmediate(async () => {
+            try {
+                const userSnap = await db.collection('users').doc(userId).get();
+                const user = userSnap.exists ? userSnap.data() : {};
+                await Promise.allSettled([
+                    pushNotificationService.sendPushToUser(
+                        userId,
+                        '💰 Wallet Funded',
+                        `${formatNaira(amount)} received${senderName ? ` from ${senderName}` : ''}.`,
+                        { screen: 'ProfileTab', params: { screen: 'Transactions' }, type: 'deposit' }
+                    ),
+                    user.email && sendDepositAlert(user.email, user.name || 'Customer', amount)
+                ]);
+            } catch (err) {
+                console.warn('[DVA] Deposit notification failed:', err.message);
+            }
+        });
+    }
+}
+
+module.exports = new VirtualAccountService();
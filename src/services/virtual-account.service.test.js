@@ -0,0 +1,183 @@
+'use strict';
+
+// Runs against the fake Paystack (scripts/fake-providers): the services call
+// it over HTTP, and its signed webhooks come back through the real
+// /webhooks/paystack route.
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const firebase = require('../config/firebase');
+const { KYC_TIERS } = require('../constants/KycTiers');
+
+const MAX_BALANCE = KYC_TIERS[1].maxBalance;
+
+let apiServer;
+let fakeServer;
+let fakeApp;
+let sentWebhooks;
+let virtualAccountService;
+let unappliedDepositService;
+let walletService;
+let kycService;
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const close = (server) => new Promise(resolve => (server ? server.close(resolve) : resolve()));
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+// Deliveries are logged once the API has answered
+async function waitForWebhooks(count) {
+    const deadline = Date.now() + 5000;
+    while (sentWebhooks.length < count) {
+        if (Date.now() > deadline) throw new Error(`Expected ${count} webhooks, got ${sentWebhooks.length}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return sentWebhooks[0];
+}
+
+async function bankTransfer(accountNumber, amount) {
+    const before = sentWebhooks.length;
+    const { body } = await request(fakeApp)
+        .post('/__control/paystack/bank-transfer')
+        .send({ accountNumber, amount, senderName: 'CHIDI EZE' })
+        .expect(200);
+    await waitForWebhooks(before + 1);
+    return body.charge;
+}
+
+beforeAll(async () => {
+    // Each side needs the other's URL before its modules load
+    let apiApp;
+    apiServer = http.createServer((req, res) => apiApp(req, res));
+    await listen(apiServer);
+
+    process.env.PAYSTACK_SECRET_KEY = 'sk_test_fake';
+    process.env.FAKE_PAYSTACK_WEBHOOK_URL = `${urlOf(apiServer)}/api/v1/webhooks/paystack`;
+    process.env.FAKE_WEBHOOK_DELAY_MS = '0';
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { createFakeProviders } = require('../../scripts/fake-providers/server');
+    sentWebhooks = require('../../scripts/fake-providers/webhooks').sent;
+    fakeApp = createFakeProviders();
+    fakeServer = http.createServer(fakeApp);
+    await listen(fakeServer);
+    process.env.PAYSTACK_BASE_URL = `${urlOf(fakeServer)}/paystack`;
+
+    virtualAccountService = require('./virtual-account.service');
+    unappliedDepositService = require('./unapplied-deposit.service');
+    walletService = require('./wallet.service');
+    kycService = require('./kyc.service');
+
+    apiApp = express();
+    apiApp.use(express.json({
+        verify: (req, res, buf) => { req.rawBody = buf; }
+    }));
+    apiApp.use('/api/v1/webhooks', require('../routes/webhook.routes'));
+});
+
+afterAll(async () => {
+    await close(fakeServer);
+    await close(apiServer);
+});
+
+beforeEach(async () => {
+    jest.spyOn(virtualAccountService, '_notifyDeposit').mockImplementation(() => {});
+    await request(fakeApp).post('/__control/reset').expect(200);
+
+    firebase._seed('users/u1', { name: 'Ada Obi', email: 'ada@example.com', phone: '08031234567', kycTier: 1 });
+});
+
+describe('dedicated virtual accounts', () => {
+    it('assigns an account straight away when the bank returns one', async () => {
+        const account = await virtualAccountService.requestAccount('u1');
+
+        expect(account).toMatchObject({ status: 'active', accountName: 'ELITEHUB/ADA OBI' });
+        expect(account.accountNumber).toMatch(/^9\d{9}$/);
+        expect(firebase._read(`paystackCustomers/${account.customerCode}`).uid).toBe('u1');
+        expect(firebase._read('users/u1').paystackCustomerCode).toBe(account.customerCode);
+        await expect(virtualAccountService.requestAccount('u1')).resolves.toEqual(account);
+    });
+
+    it('activates a pending account on the dedicatedaccount.assign.success webhook', async () => {
+        await request(fakeApp)
+            .post('/__control/scenario')
+            .send({ operation: 'paystack.dedicated_account', mode: 'pending' })
+            .expect(200);
+
+        const pending = await virtualAccountService.requestAccount('u1');
+        expect(pending.status).toBe('pending');
+
+        const delivery = await waitForWebhooks(1);
+        expect(delivery).toMatchObject({ event: 'dedicatedaccount.assign.success', status: 200 });
+        expect(firebase._read('wallets/u1').dedicatedAccount).toMatchObject({
+            status: 'active', accountName: 'ELITEHUB/ADA OBI', customerCode: pending.customerCode
+        });
+    });
+
+    it('credits a bank transfer into the account', async () => {
+        const { accountNumber } = await virtualAccountService.requestAccount('u1');
+        const charge = await bankTransfer(accountNumber, 750_000);
+
+        expect(firebase._read('wallets/u1').balance).toBe(750_000);
+        expect(firebase._read(`wallets/u1/transactions/${charge.reference}`)).toMatchObject({
+            amount: 750_000,
+            metadata: { paymentMethod: 'bank_transfer', senderName: 'CHIDI EZE', receiverAccountNumber: accountNumber }
+        });
+    });
+
+    it('credits a redelivered transfer once', async () => {
+        const { accountNumber } = await virtualAccountService.requestAccount('u1');
+        const charge = await bankTransfer(accountNumber, 750_000);
+        const before = sentWebhooks.length;
+
+        await request(fakeApp)
+            .post('/__control/paystack/webhook')
+            .send({ event: 'charge.success', data: JSON.parse(firebase._list('webhookEvents')[0].rawBody).data })
+            .expect(200);
+        await waitForWebhooks(before + 1);
+
+        expect(firebase._read('wallets/u1').balance).toBe(750_000);
+        expect(firebase._list('webhookEvents')).toHaveLength(1);
+        expect(firebase._list('webhookEvents')[0]).toMatchObject({ status: 'processed', deliveries: 2 });
+        expect(firebase._read(`wallets/u1/transactions/${charge.reference}`).amount).toBe(750_000);
+    });
+
+    it('parks a transfer that would pass the KYC balance limit', async () => {
+        const { accountNumber } = await virtualAccountService.requestAccount('u1');
+        await walletService.creditWallet('u1', MAX_BALANCE - 100_000, 'dep_before', { type: 'deposit' });
+
+        const charge = await bankTransfer(accountNumber, 500_000);
+
+        expect(firebase._read('wallets/u1').balance).toBe(MAX_BALANCE - 100_000);
+        expect(firebase._read(`unappliedDeposits/${charge.reference}`)).toMatchObject({
+            userId: 'u1', amount: 500_000, channel: 'dedicated_nuban', status: 'pending_review', senderName: 'CHIDI EZE'
+        });
+        expect(firebase._list('webhookEvents')[0].status).toBe('processed');
+        expect(firebase._list('system_alerts')[0].type).toBe('DVA_DEPOSIT_OVER_LIMIT');
+    });
+
+    it('applies a parked transfer once the tier has room for it', async () => {
+        const { accountNumber } = await virtualAccountService.requestAccount('u1');
+        await walletService.creditWallet('u1', MAX_BALANCE, 'dep_full', { type: 'deposit' });
+        const charge = await bankTransfer(accountNumber, 500_000);
+
+        await expect(unappliedDepositService.apply(charge.reference, { adminId: 'admin1' }))
+            .rejects.toThrow('KYC_LIMIT');
+        expect(firebase._read(`unappliedDeposits/${charge.reference}`).status).toBe('pending_review');
+
+        await kycService.setTier('u1', 2, { adminId: 'admin1' });
+        const applied = await unappliedDepositService.apply(charge.reference, { adminId: 'admin1' });
+        const again = await unappliedDepositService.apply(charge.reference, { adminId: 'admin1' });
+
+        expect(applied).toMatchObject({ status: 'applied', appliedBy: 'admin1', alreadyApplied: false });
+        expect(again.alreadyApplied).toBe(true);
+        expect(firebase._read('wallets/u1').balance).toBe(MAX_BALANCE + 500_000);
+        expect(firebase._read(`wallets/u1/transactions/${charge.reference}`).metadata.senderName).toBe('CHIDI EZE');
+        expect(await unappliedDepositService.list()).toHaveLength(0);
+        expect(await unappliedDepositService.list({ status: 'applied', userId: 'u1' })).toHaveLength(1);
+    });
+});
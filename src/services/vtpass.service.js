@@ -1,912 +1,358 @@
-// services/wallet.service.js - PRODUCTION WALLET SERVICE v2.0
-// ATOMIC TRANSACTIONS | IDEMPOTENCY | NO MISSING TRANSACTIONS
-
-const { db, admin } = require('../config/firebase');
-const { client } = require('../config/redis');
-const emailService = require('./email.service');
-const paystackService = require('./paystack.service');
+const axios = require('axios');
+const crypto = require('crypto');
+const { VTPASS } = require('../config/providers');
+const { getCache, setCache, CACHE_KEYS, CACHE_TTL } = require('../config/redis');
 
 /**
- * 🎯 CORE PRINCIPLES
- * 1. ATOMIC: All operations use Firestore transactions
- * 2. IDEMPOTENT: Redis locks prevent duplicate processing
- * 3. AUDITABLE: Every operation logged with metadata
- * 4. RECOVERABLE: Failed operations can be retried safely
- * 5. CONSISTENT: Balance always matches transaction history
+ * VTPASS BILL PAYMENTS CLIENT
+ * Airtime, data, electricity, TV, exam PINs (WAEC / NECO / JAMB) and
+ * third-party motor insurance through the VTPass API.
+ * Amounts in and out are naira — VTPass's own unit — the routes convert to
+ * kobo for the wallet.
+ *
+ * Every purchase resolves to one of three outcomes:
+ *   delivered  value was given — complete the wallet transaction
+ *   pending    VTPass took the request but hasn't finished it, or we never
+ *              saw its answer — keep the money, requery with `requestId`
+ *   failed     nothing was given — refund. purchase*() throws in this case
+ *              (message prefixed `VTPASS:`) so callers can't mistake it
+ *              for a success
  */
 
-class WalletService {
+// Base URL comes from config/providers.js — sandbox, live, or the local
+// stand-in (scripts/fake-providers) when PROVIDERS_MODE=fake
+const VTPASS_BASE_URL = VTPASS.baseUrl;
+
+const http = axios.create({ timeout: VTPASS.timeoutMs });
+
+if (!VTPASS.apiKey || !VTPASS.secretKey) {
+    console.error('❌ VTPASS_API_KEY / VTPASS_SECRET_KEY are not configured');
+}
+
+// https://www.vtpass.com/documentation/response-codes/
+// Anything not listed here is treated as pending: VTPass may still have
+// processed the request, so only a requery can say it didn't.
+const FAILED_CODES = new Set([
+    '010', // variation code does not exist
+    '011', // invalid arguments
+    '012', // product does not exist
+    '013', // below minimum amount
+    '016', // transaction failed
+    '017', // above maximum amount
+    '018', // low wallet balance (ours, at VTPass)
+    '019', // likely duplicate — same biller within 30s, not processed
+    '021', // account locked
+    '022', // account suspended
+    '023', // API access not enabled
+    '024', // account inactive
+    '027', // IP not whitelisted
+    '028', // product not whitelisted
+    '030', // biller not reachable
+    '031', // below minimum quantity
+    '032', // above maximum quantity
+    '034', // service suspended
+    '035', // service inactive
+    '040', // transaction reversed
+    '085', // improper request_id
+    '087', // invalid credentials
+    '091'  // transaction not processed
+]);
+
+const PENDING_CODES = new Set([
+    '099', // transaction is processing
+    '089', // request is processing
+    '014', // request_id already exists — the first attempt is the one that counts
+    '083'  // system error
+]);
+
+const TRANSACTION_STATUS = {
+    delivered: 'delivered',
+    successful: 'delivered',
+    pending: 'pending',
+    initiated: 'pending',
+    processing: 'pending',
+    failed: 'failed',
+    reversed: 'failed'
+};
+
+class VTPassService {
     /**
-     * ✅ IDEMPOTENCY LOCK MANAGER
-     * Prevents duplicate transactions
+     * VTPass wants request_id to start with the current Lagos time as
+     * YYYYMMDDHHmm (12 digits), followed by anything unique.
      */
-    async _acquireLock(key, ttlSeconds = 60) {
-        const lockKey = `lock:${key}`;
-        const lockValue = `${Date.now()}_${Math.random()}`;
-        
-        // Try to acquire lock
-        const acquired = await client.set(lockKey, lockValue, {
-            NX: true,  // Only set if not exists
-            EX: ttlSeconds
-        });
-        
-        if (!acquired) {
-            const existingValue = await client.get(lockKey);
-            throw new Error(`LOCK_HELD: Operation in progress (${lockKey})`);
-        }
-        
-        return lockValue;
-    }
-
-    async _releaseLock(key, lockValue) {
-        const lockKey = `lock:${key}`;
-        
-        // Only release if we own the lock
-        const script = `
-            if redis.call("get", KEYS[1]) == ARGV[1] then
-                return redis.call("del", KEYS[1])
-            else
-                return 0
-            end
-        `;
-        
-        await client.eval(script, 1, lockKey, lockValue);
+    generateRequestId() {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Africa/Lagos',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(new Date()).map(p => [p.type, p.value])
+        );
+        const stamp = `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}`;
+        return `${stamp}${crypto.randomBytes(6).toString('hex')}`;
     }
 
     /**
-     * ✅ SECURITY GATE
-     * Ensures wallet is not locked
+     * Map a /pay or /requery body to delivered | pending | failed.
+     * Code 000 only means "request processed" — the real outcome is in
+     * content.transactions.status.
      */
-    async _verifyWalletStatus(userId) {
-        const walletRef = db.collection('wallets').doc(userId);
-        const walletDoc = await walletRef.get();
-        
-        if (!walletDoc.exists) {
-            throw new Error("WALLET_NOT_FOUND");
-        }
-        
-        const walletData = walletDoc.data();
-        
-        if (walletData.isLocked) {
-            throw new Error(
-                `WALLET_LOCKED: ${walletData.lockReason || 'Security hold'}`
-            );
+    mapOutcome(data = {}) {
+        const code = String(data.code ?? '');
+
+        if (code === '000') {
+            const status = String(data.content?.transactions?.status || '').toLowerCase();
+            return TRANSACTION_STATUS[status] || 'pending';
         }
-        
-        return walletData;
+        if (FAILED_CODES.has(code)) return 'failed';
+        if (PENDING_CODES.has(code)) return 'pending';
+        return 'pending';
+    }
+
+    _postHeaders() {
+        return {
+            'api-key': VTPASS.apiKey,
+            'secret-key': VTPASS.secretKey,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    _getHeaders() {
+        return {
+            'api-key': VTPASS.apiKey,
+            'public-key': VTPASS.publicKey
+        };
     }
 
     /**
-     * ✅ ENSURE WALLET EXISTS
-     * Creates wallet if missing (idempotent)
+     * Normalise a /pay or /requery response. `raw` is kept for the
+     * transaction record.
      */
-    async ensureWalletExists(userId) {
-        const walletRef = db.collection('wallets').doc(userId);
-        
-        try {
-            const walletDoc = await walletRef.get();
-            
-            if (walletDoc.exists()) {
-                return walletDoc.data();
-            }
-            
-            console.log(`🆕 Creating wallet for user: ${userId}`);
-            
-            const newWallet = {
-                userId,
-                balance: 0,
-                pendingBalance: 0,
-                currency: 'NGN',
-                isLocked: false,
-                lockReason: null,
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                version: 1
-            };
-            
-            await walletRef.set(newWallet);
-            console.log(`✅ Wallet created: ${userId}`);
-            
-            return newWallet;
-        } catch (error) {
-            console.error('❌ Ensure wallet error:', error);
-            throw error;
-        }
+    _result(requestId, data, status = this.mapOutcome(data)) {
+        const txn = data.content?.transactions || {};
+        const purchasedCode = data.purchased_code || null;
+        const token = data.token || data.mainToken
+            || (purchasedCode ? purchasedCode.replace(/^\s*token\s*:\s*/i, '').trim() : null);
+
+        return {
+            status,
+            requestId,
+            code: data.code ?? null,
+            description: data.response_description || null,
+            transactionId: txn.transactionId || null,
+            amount: data.amount ?? txn.amount ?? null,
+            productName: txn.product_name || null,
+            purchased_code: purchasedCode,
+            token: token || null,
+            units: data.units || data.mainTokenUnits || null,
+            customerName: data.customerName || null,
+            pins: this._pins(data),
+            certificateUrl: data.certUrl
+                || (purchasedCode?.match(/https?:\/\/\S+/) || [])[0]
+                || null,
+            raw: data
+        };
     }
 
     /**
-     * ✅ ATOMIC CREDIT
-     * Credit wallet with full idempotency
+     * Exam PINs from a /pay or /requery body, as [{ serial, pin }].
+     * WAEC / NECO send `cards` (or `tokens` for registration PINs), JAMB a
+     * single `Pin`; older responses only carry them in purchased_code.
      */
-    async creditWallet(userId, amount, reference, metadata = {}) {
-        const lockKey = `credit:${reference}`;
-        let lockValue;
-        
-        try {
-            // 1️⃣ IDEMPOTENCY CHECK
-            lockValue = await this._acquireLock(lockKey, 300); // 5 min lock
-            
-            // 2️⃣ SECURITY CHECK
-            await this._verifyWalletStatus(userId);
-            
-            // 3️⃣ VALIDATE
-            if (!amount || amount <= 0) {
-                throw new Error('INVALID_AMOUNT: Must be positive');
-            }
-            
-            // 4️⃣ ENSURE WALLET EXISTS
-            await this.ensureWalletExists(userId);
-            
-            const walletRef = db.collection('wallets').doc(userId);
-            const txnRef = walletRef.collection('transactions').doc(reference);
-            
-            // 5️⃣ ATOMIC TRANSACTION
-            await db.runTransaction(async (transaction) => {
-                // Check if already processed
-                const existingTxn = await transaction.get(txnRef);
-                if (existingTxn.exists() && existingTxn.data().status === 'completed') {
-                    throw new Error('ALREADY_PROCESSED');
-                }
-                
-                const walletSnap = await transaction.get(walletRef);
-                const currentBalance = walletSnap.data()?.balance || 0;
-                const currentVersion = walletSnap.data()?.version || 1;
-                
-                // Create transaction record
-                const txnData = {
-                    id: reference,
-                    userId,
-                    type: 'credit',
-                    category: metadata.category || 'deposit',
-                    amount: parseFloat(amount),
-                    description: metadata.description || `Credit - ${reference}`,
-                    status: 'completed',
-                    timestamp: Date.now(),
-                    completedAt: Date.now(),
-                    reference,
-                    metadata: {
-                        ...metadata,
-                        previousBalance: currentBalance,
-                        newBalance: currentBalance + amount,
-                        processedAt: new Date().toISOString(),
-                        source: 'wallet_service'
-                    },
-                    version: 1,
-                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                };
-                
-                // Update wallet
-                transaction.update(walletRef, {
-                    balance: admin.firestore.FieldValue.increment(amount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    version: currentVersion + 1
-                });
-                
-                // Create transaction
-                transaction.set(txnRef, txnData);
-            });
-            
-            // 6️⃣ CACHE INVALIDATION
-            await this.invalidateWalletCache(userId);
-            
-            console.log(`✅ Credited ₦${amount} to wallet ${userId}`);
-            
-            return {
-                success: true,
-                transactionId: reference,
-                newBalance: await this.getBalance(userId)
-            };
-            
-        } catch (error) {
-            if (error.message === 'ALREADY_PROCESSED') {
-                console.log(`⚠️ Credit already processed: ${reference}`);
-                return {
-                    success: true,
-                    alreadyProcessed: true,
-                    transactionId: reference
-                };
-            }
-            
-            console.error('❌ Credit wallet error:', error);
-            throw error;
-            
-        } finally {
-            if (lockValue) {
-                await this._releaseLock(lockKey, lockValue);
-            }
+    _pins(data) {
+        if (Array.isArray(data.cards) && data.cards.length) {
+            return data.cards.map(c => ({ serial: c.Serial || c.serial || null, pin: String(c.Pin || c.pin) }));
         }
+        if (Array.isArray(data.tokens) && data.tokens.length) {
+            return data.tokens.map(pin => ({ serial: null, pin: String(pin) }));
+        }
+        const stripLabel = (value) => String(value).replace(/^\s*pin\s*:\s*/i, '').trim();
+        if (data.Pin) return [{ serial: null, pin: stripLabel(data.Pin) }];
+
+        const code = data.purchased_code || '';
+        const pins = [...code.matchAll(/pin\s*:?\s*([0-9A-Za-z-]{6,})/gi)].map(m => m[1]);
+        if (!pins.length) return null;
+        const serials = [...code.matchAll(/serial\s*no\s*:?\s*([0-9A-Za-z-]+)/gi)].map(m => m[1]);
+        return pins.map((pin, i) => ({ serial: serials[i] || null, pin }));
     }
 
+    // ─── Core calls ──────────────────────────────────────────────────────────
+
     /**
-     * ✅ ATOMIC DEBIT
-     * Debit wallet with full idempotency
+     * POST /pay. Resolves to a delivered or pending result; throws on failed.
+     * A timeout or network error is pending, not failed — VTPass may well
+     * have given value before the connection dropped.
+     *
+     * @param {object} payload  serviceID, billersCode, variation_code, amount, phone, …
+     * @param {string} [requestId]  pass one to make a retry idempotent
      */
-    async debitWallet(userId, amount, description, metadata = {}) {
-        const idempotencyKey = metadata.idempotencyKey || 
-                              metadata.reference || 
-                              `db_${Date.now()}_${userId.slice(0, 4)}`;
-        const lockKey = `debit:${idempotencyKey}`;
-        let lockValue;
-        
+    async pay(payload, requestId = this.generateRequestId()) {
+        let data;
         try {
-            // 1️⃣ IDEMPOTENCY CHECK
-            lockValue = await this._acquireLock(lockKey, 300);
-            
-            // 2️⃣ SECURITY CHECK
-            await this._verifyWalletStatus(userId);
-            
-            // 3️⃣ VALIDATE
-            if (!amount || amount <= 0) {
-                throw new Error('INVALID_AMOUNT: Must be positive');
-            }
-            
-            const walletRef = db.collection('wallets').doc(userId);
-            const txnRef = walletRef.collection('transactions').doc(idempotencyKey);
-            
-            // 4️⃣ ATOMIC TRANSACTION
-            const result = await db.runTransaction(async (transaction) => {
-                // Check if already processed
-                const existingTxn = await transaction.get(txnRef);
-                if (existingTxn.exists() && existingTxn.data().status === 'completed') {
-                    throw new Error('ALREADY_PROCESSED');
-                }
-                
-                const walletSnap = await transaction.get(walletRef);
-                
-                if (!walletSnap.exists()) {
-                    throw new Error('WALLET_NOT_FOUND');
-                }
-                
-                const wallet = walletSnap.data();
-                const currentBalance = wallet.balance || 0;
-                
-                // BALANCE CHECK
-                if (currentBalance < amount) {
-                    throw new Error(
-                        `INSUFFICIENT_BALANCE: Available ₦${currentBalance.toFixed(2)}, Required ₦${amount.toFixed(2)}`
-                    );
-                }
-                
-                const currentVersion = wallet.version || 1;
-                
-                // Create transaction record
-                const txnData = {
-                    id: idempotencyKey,
-                    userId,
-                    type: 'debit',
-                    category: metadata.category || 'other',
-                    amount: parseFloat(amount),
-                    description: description || `Debit - ${idempotencyKey}`,
-                    status: metadata.status || 'completed',
-                    timestamp: Date.now(),
-                    completedAt: Date.now(),
-                    reference: idempotencyKey,
-                    relatedOrderId: metadata.orderId,
-                    relatedUserId: metadata.relatedUserId,
-                    metadata: {
-                        ...metadata,
-                        previousBalance: currentBalance,
-                        newBalance: currentBalance - amount,
-                        processedAt: new Date().toISOString(),
-                        source: 'wallet_service'
-                    },
-                    version: 1,
-                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                };
-                
-                // Update wallet
-                transaction.update(walletRef, {
-                    balance: admin.firestore.FieldValue.increment(-amount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    version: currentVersion + 1
-                });
-                
-                // Create transaction
-                transaction.set(txnRef, txnData);
-                
-                return {
-                    success: true,
-                    transaction: txnData,
-                    newBalance: currentBalance - amount
-                };
-            });
-            
-            // 5️⃣ CACHE INVALIDATION
-            await this.invalidateWalletCache(userId);
-            
-            console.log(`✅ Debited ₦${amount} from wallet ${userId}`);
-            
-            return result;
-            
+            const response = await http.post(
+                `${VTPASS_BASE_URL}/pay`,
+                { request_id: requestId, ...payload },
+                { headers: this._postHeaders() }
+            );
+            data = response.data || {};
         } catch (error) {
-            if (error.message === 'ALREADY_PROCESSED') {
-                console.log(`⚠️ Debit already processed: ${idempotencyKey}`);
-                return {
-                    success: true,
-                    alreadyProcessed: true,
-                    transactionId: idempotencyKey
-                };
+            if (error.response && error.response.status < 500 && error.response.data?.code) {
+                data = error.response.data;
+            } else {
+                console.error(`⚠️ VTPass pay ${requestId} — no answer:`, error.response?.data || error.message);
+                return this._result(requestId, { response_description: error.message }, 'pending');
             }
-            
-            console.error('❌ Debit wallet error:', error);
+        }
+
+        const result = this._result(requestId, data);
+        console.log(`💡 VTPass pay ${payload.serviceID} ${requestId}: ${result.code} → ${result.status}`);
+
+        if (result.status === 'failed') {
+            const error = new Error(`VTPASS: ${result.description || 'Transaction failed'}`);
+            error.vtpass = result;
             throw error;
-            
-        } finally {
-            if (lockValue) {
-                await this._releaseLock(lockKey, lockValue);
-            }
         }
+        return result;
     }
 
     /**
-     * ✅ GET WALLET BALANCE
-     * With caching for performance
+     * POST /requery — current outcome of an earlier pay().
+     * `notFound: true` (code 015) means VTPass never received it.
      */
-    async getBalance(userId) {
-        const cacheKey = `wallet:balance:${userId}`;
-        
+    async requery(requestId) {
         try {
-            // Try cache first
-            const cached = await client.get(cacheKey);
-            if (cached) {
-                return parseFloat(cached);
-            }
-            
-            // Get from Firestore
-            const walletRef = db.collection('wallets').doc(userId);
-            const walletDoc = await walletRef.get();
-            
-            if (!walletDoc.exists()) {
-                await this.ensureWalletExists(userId);
-                return 0;
+            const response = await http.post(
+                `${VTPASS_BASE_URL}/requery`,
+                { request_id: requestId },
+                { headers: this._postHeaders() }
+            );
+            const data = response.data || {};
+
+            if (String(data.code) === '015') {
+                return { ...this._result(requestId, data, 'failed'), notFound: true };
             }
-            
-            const balance = walletDoc.data().balance || 0;
-            
-            // Cache for 30 seconds
-            await client.setEx(cacheKey, 30, balance.toString());
-            
-            return balance;
-            
+            return this._result(requestId, data);
         } catch (error) {
-            console.error('❌ Get balance error:', error);
-            return 0;
+            console.error('VTPass requery error:', error.response?.data || error.message);
+            throw new Error('VTPass requery failed');
         }
     }
 
     /**
-     * ✅ GET FULL WALLET
-     * With recent transactions
+     * POST /merchant-verify — customer details for a meter or smartcard.
+     * VTPass answers 000 even for an unknown number, with content.error set.
      */
-    async getWallet(userId) {
-        const cacheKey = `wallet:full:${userId}`;
-        
+    async merchantVerify({ serviceID, billersCode, type }) {
+        let data;
         try {
-            // Try cache
-            const cached = await client.get(cacheKey);
-            if (cached) {
-                return JSON.parse(cached);
-            }
-            
-            // Ensure exists
-            await this.ensureWalletExists(userId);
-            
-            // Get wallet
-            const walletRef = db.collection('wallets').doc(userId);
-            const walletDoc = await walletRef.get();
-            const wallet = walletDoc.data();
-            
-            // Get recent transactions from sub-collection
-            const txnsSnapshot = await walletRef
-                .collection('transactions')
-                .orderBy('timestamp', 'desc')
-                .limit(50)
-                .get();
-            
-            const transactions = txnsSnapshot.docs.map(doc => ({
-                ...doc.data(),
-                id: doc.id
-            }));
-            
-            const walletData = {
-                ...wallet,
-                transactions
-            };
-            
-            // Cache for 5 minutes
-            await client.setEx(cacheKey, 300, JSON.stringify(walletData));
-            
-            return walletData;
-            
+            const response = await http.post(
+                `${VTPASS_BASE_URL}/merchant-verify`,
+                { serviceID, billersCode, ...(type && { type }) },
+                { headers: this._postHeaders() }
+            );
+            data = response.data || {};
         } catch (error) {
-            console.error('❌ Get wallet error:', error);
-            throw error;
+            console.error('VTPass verify error:', error.response?.data || error.message);
+            throw new Error('Verification service unavailable. Please try again.');
         }
-    }
 
-    /**
-     * ✅ INVALIDATE CACHE
-     * Clear all wallet caches
-     */
-    async invalidateWalletCache(userId) {
-        try {
-            const keys = [
-                `wallet:balance:${userId}`,
-                `wallet:full:${userId}`,
-                `wallet:stats:${userId}`
-            ];
-            
-            await Promise.all(keys.map(key => client.del(key)));
-        } catch (error) {
-            console.warn('⚠️ Cache invalidation error:', error);
+        if (String(data.code) !== '000') {
+            throw new Error(data.response_description || 'Verification failed');
+        }
+        if (data.content?.error) {
+            throw new Error(data.content.error);
         }
+        return data.content || {};
     }
 
     /**
-     * ✅ PROCESS ORDER PAYMENT (ESCROW)
-     * Atomic order payment with escrow lock
+     * GET /service-variations — plans / bouquets for a service, cached for
+     * an hour. Amounts are naira numbers.
      */
-    async processOrderPayment(buyerId, sellerId, orderId, totalAmount, commission) {
-        const lockKey = `order:payment:${orderId}`;
-        let lockValue;
-        
+    async getVariations(serviceID) {
+        const cacheKey = CACHE_KEYS.VTPASS_VARIATIONS(serviceID);
+        const cached = await getCache(cacheKey);
+        if (cached) return cached;
+
+        let data;
         try {
-            // 1️⃣ ACQUIRE LOCK
-            lockValue = await this._acquireLock(lockKey, 300);
-            
-            // 2️⃣ SECURITY CHECKS
-            await this._verifyWalletStatus(buyerId);
-            await this._verifyWalletStatus(sellerId);
-            
-            // 3️⃣ ENSURE WALLETS EXIST
-            await Promise.all([
-                this.ensureWalletExists(buyerId),
-                this.ensureWalletExists(sellerId)
-            ]);
-            
-            const buyerRef = db.collection('wallets').doc(buyerId);
-            const sellerRef = db.collection('wallets').doc(sellerId);
-            
-            // 4️⃣ ATOMIC TRANSACTION
-            await db.runTransaction(async (transaction) => {
-                const [buyerSnap, sellerSnap] = await Promise.all([
-                    transaction.get(buyerRef),
-                    transaction.get(sellerRef)
-                ]);
-                
-                const buyerWallet = buyerSnap.data();
-                const sellerWallet = sellerSnap.data();
-                
-                // Balance check
-                if (buyerWallet.balance < totalAmount) {
-                    throw new Error(
-                        `INSUFFICIENT_BALANCE: Available ₦${buyerWallet.balance.toFixed(2)}, Required ₦${totalAmount.toFixed(2)}`
-                    );
-                }
-                
-                const sellerAmount = totalAmount - commission;
-                
-                // Debit buyer (move to escrow)
-                const buyerTxnRef = buyerRef.collection('transactions').doc();
-                transaction.set(buyerTxnRef, {
-                    id: buyerTxnRef.id,
-                    userId: buyerId,
-                    type: 'debit',
-                    category: 'order_payment',
-                    amount: totalAmount,
-                    description: `Order #${orderId.slice(-6)} - Payment (Escrow)`,
-                    status: 'pending',
-                    timestamp: Date.now(),
-                    relatedOrderId: orderId,
-                    relatedUserId: sellerId,
-                    metadata: {
-                        orderId,
-                        commission,
-                        sellerAmount,
-                        paymentType: 'escrow_lock',
-                        previousBalance: buyerWallet.balance,
-                        newBalance: buyerWallet.balance - totalAmount
-                    },
-                    version: 1,
-                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-                
-                transaction.update(buyerRef, {
-                    balance: admin.firestore.FieldValue.increment(-totalAmount),
-                    pendingBalance: admin.firestore.FieldValue.increment(totalAmount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    version: admin.firestore.FieldValue.increment(1)
-                });
-                
-                // Pending credit for seller
-                const sellerTxnRef = sellerRef.collection('transactions').doc();
-                transaction.set(sellerTxnRef, {
-                    id: sellerTxnRef.id,
-                    userId: sellerId,
-                    type: 'credit',
-                    category: 'order_payment',
-                    amount: sellerAmount,
-                    description: `Order #${orderId.slice(-6)} - Pending Payment`,
-                    status: 'pending',
-                    timestamp: Date.now(),
-                    relatedOrderId: orderId,
-                    relatedUserId: buyerId,
-                    metadata: {
-                        orderId,
-                        commission,
-                        paymentType: 'escrow_pending',
-                        previousBalance: sellerWallet.balance,
-                        expectedBalance: sellerWallet.balance + sellerAmount
-                    },
-                    version: 1,
-                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-                
-                transaction.update(sellerRef, {
-                    pendingBalance: admin.firestore.FieldValue.increment(sellerAmount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    version: admin.firestore.FieldValue.increment(1)
-                });
-            });
-            
-            // 5️⃣ CACHE INVALIDATION
-            await Promise.all([
-                this.invalidateWalletCache(buyerId),
-                this.invalidateWalletCache(sellerId)
-            ]);
-            
-            console.log(`✅ Order payment processed: ${orderId}`);
-            
-            return {
-                success: true,
-                orderId,
-                message: 'Payment locked in escrow'
-            };
-            
+            const response = await http.get(
+                `${VTPASS_BASE_URL}/service-variations`,
+                { params: { serviceID }, headers: this._getHeaders() }
+            );
+            data = response.data || {};
         } catch (error) {
-            console.error(`❌ Process order payment error for ${orderId}:`, error);
-            throw error;
-            
-        } finally {
-            if (lockValue) {
-                await this._releaseLock(lockKey, lockValue);
-            }
+            console.error('VTPass variations error:', error.response?.data || error.message);
+            throw new Error('Failed to fetch service variations');
         }
-    }
 
-    /**
-     * ✅ RELEASE ESCROW
-     * Release funds to seller on delivery confirmation
-     */
-    async releaseEscrow(orderId, buyerId, sellerId, totalAmount, commission) {
-        const lockKey = `release:${orderId}`;
-        let lockValue;
-        
-        try {
-            // 1️⃣ ACQUIRE LOCK
-            lockValue = await this._acquireLock(lockKey, 300);
-            
-            const sellerAmount = totalAmount - commission;
-            const buyerRef = db.collection('wallets').doc(buyerId);
-            const sellerRef = db.collection('wallets').doc(sellerId);
-            const orderRef = db.collection('orders').doc(orderId);
-            
-            // 2️⃣ ATOMIC TRANSACTION
-            await db.runTransaction(async (transaction) => {
-                // Get fresh order data
-                const orderSnap = await transaction.get(orderRef);
-                
-                if (!orderSnap.exists()) {
-                    throw new Error('ORDER_NOT_FOUND');
-                }
-                
-                const orderData = orderSnap.data();
-                
-                // CRITICAL: Check if already delivered
-                if (orderData.status === 'delivered') {
-                    throw new Error('ALREADY_DELIVERED');
-                }
-                
-                // Status validation
-                if (orderData.status !== 'running') {
-                    throw new Error(
-                        `INVALID_STATUS: Expected 'running', got '${orderData.status}'`
-                    );
-                }
-                
-                // Get wallets
-                const [buyerSnap, sellerSnap] = await Promise.all([
-                    transaction.get(buyerRef),
-                    transaction.get(sellerRef)
-                ]);
-                
-                const buyerWallet = buyerSnap.data();
-                const sellerWallet = sellerSnap.data();
-                
-                // UPDATE ORDER STATUS FIRST (prevents race conditions)
-                transaction.update(orderRef, {
-                    status: 'delivered',
-                    buyerConfirmed: true,
-                    deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-                
-                // Release to seller
-                const sellerTxnRef = sellerRef.collection('transactions').doc();
-                transaction.set(sellerTxnRef, {
-                    id: sellerTxnRef.id,
-                    userId: sellerId,
-                    type: 'credit',
-                    category: 'order_release',
-                    amount: sellerAmount,
-                    description: `Order #${orderId.slice(-6)} - Payment Released`,
-                    status: 'completed',
-                    timestamp: Date.now(),
-                    completedAt: Date.now(),
-                    relatedOrderId: orderId,
-                    relatedUserId: buyerId,
-                    metadata: {
-                        orderId,
-                        commission,
-                        releaseType: 'delivery_confirmation',
-                        previousBalance: sellerWallet.balance,
-                        newBalance: sellerWallet.balance + sellerAmount
-                    },
-                    version: 1,
-                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-                
-                transaction.update(sellerRef, {
-                    balance: admin.firestore.FieldValue.increment(sellerAmount),
-                    pendingBalance: admin.firestore.FieldValue.increment(-sellerAmount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    version: admin.firestore.FieldValue.increment(1)
-                });
-                
-                // Clear escrow from buyer
-                transaction.update(buyerRef, {
-                    pendingBalance: admin.firestore.FieldValue.increment(-totalAmount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    version: admin.firestore.FieldValue.increment(1)
-                });
-            });
-            
-            // 3️⃣ CACHE INVALIDATION
-            await Promise.all([
-                this.invalidateWalletCache(buyerId),
-                this.invalidateWalletCache(sellerId)
-            ]);
-            
-            console.log(`✅ Released ₦${sellerAmount} to seller ${sellerId} for order ${orderId}`);
-            
-            return {
-                success: true,
-                amount: sellerAmount,
-                orderId
-            };
-            
-        } catch (error) {
-            if (error.message === 'ALREADY_DELIVERED') {
-                console.log(`⚠️ Order ${orderId} already delivered`);
-                return {
-                    success: true,
-                    alreadyProcessed: true,
-                    message: 'Payment already released'
-                };
-            }
-            
-            console.error(`❌ Release escrow error for ${orderId}:`, error);
-            throw error;
-            
-        } finally {
-            if (lockValue) {
-                await this._releaseLock(lockKey, lockValue);
-            }
+        if (!Array.isArray(data.content?.variations)) {
+            throw new Error(data.content?.errors || `Unknown service ${serviceID}`);
         }
+
+        const variations = data.content.variations.map(v => ({
+            variation_code: v.variation_code,
+            name: v.name,
+            amount: Number(v.variation_amount),
+            fixedPrice: v.fixedPrice === 'Yes'
+        }));
+
+        await setCache(cacheKey, variations, CACHE_TTL.LONG);
+        return variations;
+    }
+
+    // ─── What bill.routes.js calls ───────────────────────────────────────────
+
+    async purchaseAirtime({ serviceID, amount, phone, requestId }) {
+        return this.pay({ serviceID, amount, phone }, requestId);
+    }
+
+    async purchaseData({ serviceID, billersCode, variation_code, amount, phone, requestId }) {
+        return this.pay({ serviceID, billersCode, variation_code, amount, phone }, requestId);
     }
 
     /**
-     * ✅ REFUND ESCROW
-     * Refund buyer on order cancellation
+     * `variation_code` is the meter type: prepaid | postpaid.
+     * Prepaid tokens come back in `token` / `purchased_code`.
      */
-    async refundEscrow(orderId, buyerId, sellerId, totalAmount, commission, reason) {
-        const lockKey = `refund:${orderId}`;
-        let lockValue;
-        
-        try {
-            // 1️⃣ ACQUIRE LOCK
-            lockValue = await this._acquireLock(lockKey, 300);
-            
-            const sellerAmount = totalAmount - commission;
-            const buyerRef = db.collection('wallets').doc(buyerId);
-            const sellerRef = db.collection('wallets').doc(sellerId);
-            const orderRef = db.collection('orders').doc(orderId);
-            
-            // 2️⃣ ATOMIC TRANSACTION
-            await db.runTransaction(async (transaction) => {
-                // Verify order status
-                const orderSnap = await transaction.get(orderRef);
-                
-                if (!orderSnap.exists()) {
-                    throw new Error('ORDER_NOT_FOUND');
-                }
-                
-                const orderData = orderSnap.data();
-                
-                // Can't refund if already delivered
-                if (orderData.status === 'delivered') {
-                    throw new Error('CANNOT_REFUND_DELIVERED');
-                }
-                
-                // Refund buyer
-                const buyerTxnRef = buyerRef.collection('transactions').doc();
-                transaction.set(buyerTxnRef, {
-                    id: buyerTxnRef.id,
-                    userId: buyerId,
-                    type: 'credit',
-                    category: 'order_refund',
-                    amount: totalAmount,
-                    description: `Order #${orderId.slice(-6)} - Refund: ${reason}`,
-                    status: 'completed',
-                    timestamp: Date.now(),
-                    completedAt: Date.now(),
-                    relatedOrderId: orderId,
-                    relatedUserId: sellerId,
-                    metadata: {
-                        orderId,
-                        reason,
-                        refundType: 'order_cancellation'
-                    },
-                    version: 1,
-                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-                
-                transaction.update(buyerRef, {
-                    balance: admin.firestore.FieldValue.increment(totalAmount),
-                    pendingBalance: admin.firestore.FieldValue.increment(-totalAmount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    version: admin.firestore.FieldValue.increment(1)
-                });
-                
-                // Remove pending from seller
-                transaction.update(sellerRef, {
-                    pendingBalance: admin.firestore.FieldValue.increment(-sellerAmount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    version: admin.firestore.FieldValue.increment(1)
-                });
-                
-                // Update order status
-                transaction.update(orderRef, {
-                    status: 'cancelled',
-                    cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-            });
-            
-            // 3️⃣ CACHE INVALIDATION
-            await Promise.all([
-                this.invalidateWalletCache(buyerId),
-                this.invalidateWalletCache(sellerId)
-            ]);
-            
-            console.log(`✅ Refund processed for order ${orderId}`);
-            
-            return {
-                success: true,
-                refundAmount: totalAmount,
-                orderId
-            };
-            
-        } catch (error) {
-            console.error(`❌ Refund escrow error for ${orderId}:`, error);
-            throw error;
-            
-        } finally {
-            if (lockValue) {
-                await this._releaseLock(lockKey, lockValue);
-            }
-        }
+    async purchaseElectricity({ serviceID, billersCode, variation_code, amount, phone, requestId }) {
+        return this.pay({ serviceID, billersCode, variation_code, amount, phone }, requestId);
+    }
+
+    async purchaseTVSubscription({ serviceID, billersCode, variation_code, amount, phone, requestId }) {
+        return this.pay(
+            { serviceID, billersCode, variation_code, amount, phone, subscription_type: 'change' },
+            requestId
+        );
+    }
+
+    async getDataPlans(serviceID) {
+        return this.getVariations(serviceID);
+    }
+
+    async getTVBouquets(provider) {
+        return this.getVariations(provider);
+    }
+
+    async verifyMeterNumber({ serviceID, billersCode, type = 'prepaid' }) {
+        return this.merchantVerify({ serviceID, billersCode, type });
+    }
+
+    async verifySmartCard(serviceID, billersCode) {
+        return this.merchantVerify({ serviceID, billersCode });
     }
 
     /**
-     * ✅ WITHDRAWAL INITIALIZATION
-     * Atomic withdrawal with Paystack
+     * JAMB candidate behind a profile ID. `type` is the variation being
+     * bought (utme-mock, utme-no-mock, de).
      */
-    async initializeWithdrawal(userId, userEmail, userName, payload) {
-        const { amountKobo, accountNumber, bankCode, accountName } = payload;
-        const amountNaira = amountKobo / 100;
-        const reference = `wd_${Date.now()}_${userId.slice(0, 5)}`;
-        const lockKey = `withdraw:${reference}`;
-        let lockValue;
-        
-        try {
-            // 1️⃣ ACQUIRE LOCK
-            lockValue = await this._acquireLock(lockKey, 300);
-            
-            // 2️⃣ SECURITY CHECK
-            await this._verifyWalletStatus(userId);
-            
-            // 3️⃣ VALIDATE AMOUNT
-            if (amountNaira < 1000) {
-                throw new Error('MINIMUM_WITHDRAWAL: ₦1,000');
-            }
-            
-            // 4️⃣ CHECK BALANCE
-            const balance = await this.getBalance(userId);
-            if (balance < amountNaira) {
-                throw new Error(
-                    `INSUFFICIENT_BALANCE: Available ₦${balance.toFixed(2)}, Required ₦${amountNaira.toFixed(2)}`
-                );
-            }
-            
-            // 5️⃣ GET RECIPIENT CODE
-            const userRef = db.collection('users').doc(userId);
-            const userSnap = await userRef.get();
-            
-            if (!userSnap.exists() || !userSnap.data().paystackRecipientCode) {
-                throw new Error('BANK_DETAILS_MISSING: Please link your bank account');
-            }
-            
-            const recipientCode = userSnap.data().paystackRecipientCode;
-            
-            // 6️⃣ DEBIT WALLET (with withdrawal status)
-            await this.debitWallet(
-                userId,
-                amountNaira,
-                'Withdrawal to bank account',
-                {
-                    category: 'withdrawal',
-                    status: 'processing',
-                    reference,
-                    accountNumber,
-                    bankCode,
-                    accountName
-                }
-            );
-            
-            // 7️⃣ INITIATE PAYSTACK TRANSFER
-            const transfer = await paystackService.initiateTransfer(
-                recipientCode,
-                amountNaira,
-                `EliteHub Payout: ${reference}`
-            );
-            
-            // 8️⃣ EMAIL NOTIFICATION (non-blocking)
-            try {
-                await emailService.sendWithdrawalConfirmation(
-                    userEmail,
-                    userName,
-                    amountNaira,
-                    { accountName, bankName: 'Bank', accountNumber }
-                );
-            } catch (err) {
-                console.warn('📧 Email notification failed:', err.message);
-            }
-            
-            console.log(`✅ Withdrawal initiated: ${reference}`);
-            
-            return {
-                success: true,
-                reference: transfer.reference,
-                amount: amountNaira
-            };
-            
-        } catch (error) {
-            console.error(`❌ Withdrawal initialization error:`, error);
-            throw error;
-            
-        } finally {
-            if (lockValue) {
-                await this._releaseLock(lockKey, lockValue);
-            }
-        }
+    async verifyJambProfile(billersCode, type) {
+        return this.merchantVerify({ serviceID: 'jamb', billersCode, type });
     }
 }
 
-module.exports = new WalletService();
\ No newline at end of file
+module.exports = new VTPassService();
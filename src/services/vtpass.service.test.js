@@ -0,0 +1,111 @@
+'use strict';
+
+// Runs against the fake VTPass (scripts/fake-providers) over HTTP.
+
+jest.mock('../config/redis');
+
+const http = require('http');
+const request = require('supertest');
+
+let fakeApp;
+let fakeServer;
+let vtpassService;
+
+const airtime = { serviceID: 'mtn', amount: 500, phone: '08031234567' };
+
+function scenario(operation, mode) {
+    return request(fakeApp).post('/__control/scenario').send({ operation, mode }).expect(200);
+}
+
+beforeAll(async () => {
+    Object.assign(process.env, {
+        VTPASS_API_KEY: 'api_test', VTPASS_PUBLIC_KEY: 'pk_test', VTPASS_SECRET_KEY: 'sk_test'
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const { createFakeProviders } = require('../../scripts/fake-providers/server');
+    fakeApp = createFakeProviders();
+    fakeServer = http.createServer(fakeApp);
+    await new Promise(resolve => fakeServer.listen(0, '127.0.0.1', resolve));
+    process.env.VTPASS_BASE_URL = `http://127.0.0.1:${fakeServer.address().port}/vtpass`;
+
+    vtpassService = require('./vtpass.service');
+});
+
+afterAll(async () => {
+    await new Promise(resolve => fakeServer.close(resolve));
+});
+
+beforeEach(async () => {
+    await request(fakeApp).post('/__control/reset').expect(200);
+});
+
+describe('VTPass client', () => {
+    it('starts request ids with the Lagos time', () => {
+        jest.useFakeTimers().setSystemTime(Date.UTC(2026, 9, 19, 23, 30));
+        const requestId = vtpassService.generateRequestId();
+        jest.useRealTimers();
+
+        // 23:30 UTC is 00:30 the next day in Lagos
+        expect(requestId).toMatch(/^202610200030[0-9a-f]{12}$/);
+    });
+
+    it('maps response codes to delivered, pending or failed', () => {
+        const processed = (status) => ({ code: '000', content: { transactions: { status } } });
+
+        expect(vtpassService.mapOutcome(processed('delivered'))).toBe('delivered');
+        expect(vtpassService.mapOutcome(processed('initiated'))).toBe('pending');
+        expect(vtpassService.mapOutcome(processed('reversed'))).toBe('failed');
+        expect(vtpassService.mapOutcome({ code: '000' })).toBe('pending');
+        expect(vtpassService.mapOutcome({ code: '016' })).toBe('failed');
+        expect(vtpassService.mapOutcome({ code: '099' })).toBe('pending');
+        expect(vtpassService.mapOutcome({ code: '999' })).toBe('pending');
+    });
+
+    it('returns a delivered purchase', async () => {
+        const result = await vtpassService.pay(airtime, 'req_delivered');
+
+        expect(result).toMatchObject({ status: 'delivered', requestId: 'req_delivered', code: '000' });
+        expect(result.transactionId).toBeTruthy();
+    });
+
+    it('throws on a failed purchase, with the answer attached', async () => {
+        await scenario('vtpass.pay', 'failed');
+
+        const error = await vtpassService.pay(airtime, 'req_failed').catch(err => err);
+
+        expect(error.message).toBe('VTPASS: TRANSACTION FAILED');
+        expect(error.vtpass).toMatchObject({ status: 'failed', code: '016' });
+    });
+
+    it('treats an answer that never arrived as pending, not failed', async () => {
+        await scenario('vtpass.pay', 'error');
+        await expect(vtpassService.pay(airtime, 'req_500')).resolves.toMatchObject({ status: 'pending' });
+
+        await scenario('vtpass.pay', 'lost');
+        await expect(vtpassService.pay(airtime, 'req_lost')).resolves.toMatchObject({ status: 'pending' });
+    });
+
+    it('requeries a pending purchase to its final outcome', async () => {
+        await scenario('vtpass.pay', 'pending');
+        await expect(vtpassService.pay(airtime, 'req_pending')).resolves.toMatchObject({ status: 'pending', code: '099' });
+        await expect(vtpassService.requery('req_pending')).resolves.toMatchObject({ status: 'pending' });
+
+        await request(fakeApp).post('/__control/vtpass/transactions/req_pending').send({ status: 'delivered' }).expect(200);
+
+        await expect(vtpassService.requery('req_pending')).resolves.toMatchObject({ status: 'delivered' });
+    });
+
+    it('flags a request VTPass never received', async () => {
+        await expect(vtpassService.requery('req_unknown')).resolves.toMatchObject({ status: 'failed', notFound: true });
+    });
+
+    it('pulls the prepaid token out of an electricity purchase', async () => {
+        const result = await vtpassService.pay({
+            serviceID: 'ikeja-electric', billersCode: '1234567890', variation_code: 'prepaid', amount: 2000, phone: '08031234567'
+        }, 'req_token');
+
+        expect(result.token).toMatch(/^\d{4}(-\d{4}){4}$/);
+        expect(result.units).toMatch(/kWh$/);
+    });
+});
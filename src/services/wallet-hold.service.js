@@ -0,0 +1,177 @@
+'use strict';
+
+// ─── wallet-hold.service.js ───────────────────────────────────────────────────
+// Partial holds: ring-fence part of a balance (fraud review, chargeback) without
+// locking the whole wallet the way `isLocked` does.
+//
+//   available = balance − Σ active, unexpired holds
+//
+// Every debit path compares against availableBalance(wallet) instead of
+// wallet.balance. To keep that a pure function of the wallet doc each debit
+// already reads in its transaction, active holds are mirrored on the wallet:
+//
+//   wallets/{userId}.activeHolds            { [holdId]: { amount, expiresAt } }
+//   wallets/{userId}/holds/{holdId}         full record + audit trail
+//
+// Expired holds stop counting immediately; jobs/walletHolds.js later marks
+// them `expired` and drops them from the mirror. Amounts are kobo.
+
+const { db, admin } = require('../config/firebase');
+const { assertKobo, formatNaira } = require('../utils/money');
+
+const MAX_REASON_LENGTH = 500;
+const EXPIRE_BATCH_SIZE = 100;
+
+class WalletHoldService {
+    /**
+     * Σ of active holds that haven't expired, from a wallet document.
+     */
+    heldAmount(wallet, now = Date.now()) {
+        return Object.values(wallet?.activeHolds || {})
+            .filter(h => !h.expiresAt || h.expiresAt > now)
+            .reduce((sum, h) => sum + (h.amount || 0), 0);
+    }
+
+    /**
+     * Spendable balance — never negative, even if holds exceed the balance.
+     */
+    availableBalance(wallet, now = Date.now()) {
+        return Math.max(0, (wallet?.balance || 0) - this.heldAmount(wallet, now));
+    }
+
+    _holdsRef(userId) {
+        return db.collection('wallets').doc(userId).collection('holds');
+    }
+
+    /**
+     * @param {number} amount       kobo
+     * @param {number|null} expiresAt  ms timestamp; null = until released
+     */
+    async createHold(userId, { amount, reason, expiresAt = null, createdBy = null, reference = null }) {
+        assertKobo(amount, 'amount');
+        if (amount <= 0) throw new Error('HOLD: Amount must be greater than zero');
+        if (!reason || !String(reason).trim()) throw new Error('HOLD: A reason is required');
+        if (expiresAt !== null && (!Number.isFinite(expiresAt) || expiresAt <= Date.now())) {
+            throw new Error('HOLD: Expiry must be in the future');
+        }
+
+        const walletRef = db.collection('wallets').doc(userId);
+        const holdRef = this._holdsRef(userId).doc();
+
+        const hold = {
+            id: holdRef.id,
+            userId,
+            amount,
+            reason: String(reason).trim().slice(0, MAX_REASON_LENGTH),
+            reference,
+            status: 'active',
+            expiresAt,
+            createdBy,
+            createdAt: Date.now(),
+            releasedAt: null,
+            releasedBy: null,
+            releaseNote: null
+        };
+
+        await db.runTransaction(async (transaction) => {
+            const walletSnap = await transaction.get(walletRef);
+            if (!walletSnap.exists) throw new Error('Wallet not found');
+
+            transaction.set(holdRef, hold);
+            transaction.update(walletRef, {
+                [`activeHolds.${holdRef.id}`]: { amount, expiresAt },
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        console.log(`🔒 Hold ${holdRef.id} placed on ${userId}: ${formatNaira(amount)} — ${hold.reason}`);
+        return hold;
+    }
+
+    /**
+     * @param {'released'|'expired'} status
+     */
+    async releaseHold(userId, holdId, { releasedBy = null, note = '', status = 'released' } = {}) {
+        const walletRef = db.collection('wallets').doc(userId);
+        const holdRef = this._holdsRef(userId).doc(holdId);
+
+        return db.runTransaction(async (transaction) => {
+            const holdSnap = await transaction.get(holdRef);
+            if (!holdSnap.exists) throw new Error('Hold not found');
+
+            const hold = holdSnap.data();
+            if (hold.status !== 'active') {
+                return { ...hold, alreadyReleased: true };
+            }
+
+            const update = this.releaseWithin(transaction, walletRef, holdSnap, { status, releasedBy, note });
+            return { ...hold, ...update, alreadyReleased: false };
+        });
+    }
+
+    /**
+     * Write half of a release, for callers already inside a transaction that
+     * has read the hold (e.g. converting a chargeback hold into a debit).
+     * @param {'released'|'expired'|'converted'} status
+     */
+    releaseWithin(transaction, walletRef, holdSnap, { status = 'released', releasedBy = null, note = '' } = {}) {
+        const update = {
+            status,
+            releasedAt: Date.now(),
+            releasedBy,
+            releaseNote: String(note || '').slice(0, MAX_REASON_LENGTH) || null
+        };
+        transaction.update(holdSnap.ref, update);
+        transaction.update(walletRef, {
+            [`activeHolds.${holdSnap.id}`]: admin.firestore.FieldValue.delete(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return update;
+    }
+
+    /**
+     * @param {string} [status]  active | released | expired — all when omitted
+     */
+    async listHolds(userId, { status, limit = 50 } = {}) {
+        let query = this._holdsRef(userId);
+        if (status) query = query.where('status', '==', status);
+        const snap = await query.orderBy('createdAt', 'desc').limit(Math.min(limit, 100)).get();
+
+        const now = Date.now();
+        return snap.docs.map((doc) => {
+            const hold = doc.data();
+            // Past its expiry but not yet swept by the job
+            if (hold.status === 'active' && hold.expiresAt && hold.expiresAt <= now) {
+                return { ...hold, status: 'expired' };
+            }
+            return hold;
+        });
+    }
+
+    /**
+     * Cron entry point: flip overdue holds to `expired`.
+     * Needs a collection-group index on holds: status ASC, expiresAt ASC.
+     */
+    async expireDueHolds() {
+        const snap = await db.collectionGroup('holds')
+            .where('status', '==', 'active')
+            .where('expiresAt', '<=', Date.now())
+            .orderBy('expiresAt', 'asc')
+            .limit(EXPIRE_BATCH_SIZE)
+            .get();
+
+        let expired = 0;
+        for (const doc of snap.docs) {
+            try {
+                const userId = doc.data().userId || doc.ref.parent.parent.id;
+                const result = await this.releaseHold(userId, doc.id, { status: 'expired', note: 'Expired' });
+                if (!result.alreadyReleased) expired++;
+            } catch (err) {
+                console.error(`[Holds] Expiring ${doc.id} failed:`, err.message);
+            }
+        }
+        return { checked: snap.size, expired };
+    }
+}
+
+module.exports = new WalletHoldService();
@@ -0,0 +1,77 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const walletService = require('./wallet.service');
+const walletHoldService = require('./wallet-hold.service');
+
+beforeEach(async () => {
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1 });
+    await walletService.creditWallet('u1', 1_000_000, 'dep_1', { type: 'deposit' });
+});
+
+describe('wallet holds', () => {
+    it('ring-fences part of the balance from debits', async () => {
+        await walletHoldService.createHold('u1', { amount: 600_000, reason: 'Chargeback review' });
+        const wallet = firebase._read('wallets/u1');
+
+        expect(walletHoldService.heldAmount(wallet)).toBe(600_000);
+        expect(walletHoldService.availableBalance(wallet)).toBe(400_000);
+        await expect(walletService.debitWallet('u1', 400_001, 'Spend', { reference: 'spend_1' }))
+            .rejects.toThrow('Insufficient balance');
+
+        await walletService.debitWallet('u1', 400_000, 'Spend', { reference: 'spend_2' });
+        expect(firebase._read('wallets/u1').balance).toBe(600_000);
+    });
+
+    it('never reports a negative available balance', () => {
+        const wallet = { balance: 100, activeHolds: { h1: { amount: 500, expiresAt: null } } };
+        expect(walletHoldService.availableBalance(wallet)).toBe(0);
+    });
+
+    it('stops counting a hold once it expires', () => {
+        const wallet = { balance: 1_000, activeHolds: { h1: { amount: 400, expiresAt: 5_000 } } };
+
+        expect(walletHoldService.availableBalance(wallet, 4_999)).toBe(600);
+        expect(walletHoldService.availableBalance(wallet, 5_000)).toBe(1_000);
+    });
+
+    it('refuses holds without a reason, a positive amount or a future expiry', async () => {
+        await expect(walletHoldService.createHold('u1', { amount: 100, reason: ' ' })).rejects.toThrow('reason');
+        await expect(walletHoldService.createHold('u1', { amount: 0, reason: 'x' })).rejects.toThrow('greater than zero');
+        await expect(walletHoldService.createHold('u1', { amount: 100, reason: 'x', expiresAt: Date.now() - 1 }))
+            .rejects.toThrow('future');
+        await expect(walletHoldService.createHold('nobody', { amount: 100, reason: 'x' })).rejects.toThrow('Wallet not found');
+    });
+
+    it('releases a hold once and gives the money back', async () => {
+        const hold = await walletHoldService.createHold('u1', { amount: 600_000, reason: 'Review' });
+
+        const first = await walletHoldService.releaseHold('u1', hold.id, { releasedBy: 'admin1', note: 'Cleared' });
+        const again = await walletHoldService.releaseHold('u1', hold.id);
+
+        expect(first).toMatchObject({ status: 'released', releasedBy: 'admin1', alreadyReleased: false });
+        expect(again.alreadyReleased).toBe(true);
+        expect(firebase._read('wallets/u1').activeHolds).toEqual({});
+        expect(walletHoldService.availableBalance(firebase._read('wallets/u1'))).toBe(1_000_000);
+    });
+
+    it('marks overdue holds expired on the sweep', async () => {
+        const soon = Date.now() + 1_000;
+        const due = await walletHoldService.createHold('u1', { amount: 100_000, reason: 'Short', expiresAt: soon });
+        await walletHoldService.createHold('u1', { amount: 200_000, reason: 'Open-ended' });
+
+        jest.spyOn(Date, 'now').mockReturnValue(soon + 1);
+        expect((await walletHoldService.listHolds('u1', { status: 'active' })).map(h => h.status).sort())
+            .toEqual(['active', 'expired']);
+
+        const summary = await walletHoldService.expireDueHolds();
+
+        expect(summary).toEqual({ checked: 1, expired: 1 });
+        expect(firebase._read(`wallets/u1/holds/${due.id}`).status).toBe('expired');
+        expect(walletHoldService.heldAmount(firebase._read('wallets/u1'))).toBe(200_000);
+    });
+});
@@ -5,15 +5,42 @@
 // ✅ FIXED: Commission rate changed to 5% (was 10%)
 // ✅ Commission split: 5% total → tracked in admin wallet as platform earnings
 // ✅ Admin wallet doc: wallets/admin — created automatically if missing
+// ✅ Every balance mutation also posts a balanced entry to the journal
+//    (ledger.service.js) inside the same Firestore transaction
+// ✅ All amounts in and out of this service are integer kobo (utils/money.js);
+//    routes convert to/from naira at the API edge
+// ✅ KYC tier limits (constants/KycTiers.js) enforced inside the same
+//    transaction on credits, debits and withdrawals — see kyc.service.js
+// ✅ Debits check the available balance (balance minus partial holds,
+//    wallet-hold.service.js), not the raw balance
+// ✅ Bill debits carry the pricing margin (bill-pricing.service.js) to the
+//    admin wallet; the matching refund takes it back out
+// ✅ Platform-funded coupon discounts (order.platformDiscount, see
+//    coupon.service.js) are paid to the seller from the admin wallet when
+//    escrow is released — the buyer only ever escrows what they paid
 
 const { db, admin } = require('../config/firebase');
 const { client } = require('../config/redis');
 const emailService = require('./email.service');
 const paystackService = require('./paystack.service');
 const pushNotificationService = require('./push-notification.service');
-
-// ─── Platform commission rate ─────────────────────────────────────────────────
-const PLATFORM_COMMISSION_RATE = 0.05; // ✅ CHANGED from 0.10 → 0.05
+const ledgerService = require('./ledger.service');
+const kycService = require('./kyc.service');
+const walletHoldService = require('./wallet-hold.service');
+const { PLATFORM_COMMISSION_RATE, assertKobo, formatNaira, sellerAmountFor } = require('../utils/money');
+
+const { ACCOUNTS } = ledgerService;
+
+// ─── Journal contra accounts for generic credits / debits ─────────────────────
+// Keyed on metadata.type; anything unlisted falls back to the default.
+const CREDIT_CONTRA_ACCOUNTS = {
+    deposit:           ACCOUNTS.PAYSTACK_FLOAT,
+    withdrawal_refund: ACCOUNTS.PAYSTACK_FLOAT,
+    bill_refund:       ACCOUNTS.BILLS
+};
+const DEBIT_CONTRA_ACCOUNTS = {
+    bill_payment: ACCOUNTS.BILLS
+};
 
 class WalletService {
     async _verifyWalletStatus(userId) {
@@ -75,9 +102,62 @@ class WalletService {
         return adminRef;
     }
 
+    /**
+     * Move a bill pricing margin on the admin wallet, inside the caller's
+     * transaction after its reads. Positive credits the admin wallet (markup
+     * earned, discount handed back), negative debits it (discount given,
+     * markup refunded). The journal line is the caller's.
+     */
+    _postBillMargin(transaction, adminSnap, { userId, reference, margin }) {
+        assertKobo(margin, 'margin');
+        const adminRef = db.collection('wallets').doc('admin');
+        const id = `bill_margin_${reference}`;
+
+        if (!adminSnap.exists) {
+            transaction.set(adminRef, {
+                userId: 'admin', balance: margin,
+                pendingBalance: 0, isLocked: false, currency: 'NGN',
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                version: 1
+            });
+        } else {
+            transaction.update(adminRef, {
+                balance:   admin.firestore.FieldValue.increment(margin),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        transaction.set(adminRef.collection('transactions').doc(id), {
+            id, userId: 'admin',
+            type: margin > 0 ? 'credit' : 'debit',
+            category: 'bill_margin',
+            amount: Math.abs(margin),
+            description: `Bill margin: ${reference}`,
+            timestamp: Date.now(), status: 'completed',
+            metadata: { userId, reference }
+        });
+    }
+
+    /**
+     * Admin wallet statement line for a platform-funded coupon discount paid
+     * out on escrow release. The balance change and journal line are the
+     * caller's (netted with the commission).
+     */
+    _postPromoFunding(transaction, { orderId, buyerId, sellerId, platformDiscount }) {
+        const id = `promo_${orderId}`;
+        transaction.set(db.collection('wallets').doc('admin').collection('transactions').doc(id), {
+            id, userId: 'admin', type: 'debit', category: 'coupon_funding',
+            amount: platformDiscount,
+            description: `Coupon discount: Order #${orderId.slice(-6).toUpperCase()}`,
+            timestamp: Date.now(), status: 'completed',
+            metadata: { orderId, buyerId, sellerId }
+        });
+    }
+
     async creditWallet(userId, amount, reference, metadata = {}) {
         const lockKey = `payment:lock:${reference}`;
         try {
+            assertKobo(amount);
             const isProcessed = await client.get(lockKey);
             if (isProcessed) return { success: true, alreadyProcessed: true };
 
@@ -88,20 +168,61 @@ class WalletService {
             await db.runTransaction(async (transaction) => {
                 const walletDoc = await transaction.get(walletRef);
                 if (!walletDoc.exists) throw new Error('Wallet not found during transaction');
+
+                // Refunds only return money that was already here — no balance cap,
+                // and the failed debit's daily allowance is handed back
+                let refundedDebit = null;
+                if (kycService.isExemptCredit(metadata.type)) {
+                    if (metadata.originalTransaction) {
+                        const originalSnap = await transaction.get(
+                            walletRef.collection('transactions').doc(metadata.originalTransaction)
+                        );
+                        refundedDebit = originalSnap.exists ? originalSnap.data() : null;
+                    }
+                } else {
+                    const kyc = await kycService.loadForTransaction(transaction, userId);
+                    kycService.assertCanCredit(kyc, walletDoc.data().balance || 0, amount);
+                }
+
+                // A refunded bill hands back the margin its debit earned (or cost) —
+                // or, for one row of a bulk debit, the margin the caller names
+                const billMargin = metadata.type === 'bill_refund'
+                    ? (metadata.platformMargin ?? refundedDebit?.metadata?.platformMargin ?? 0)
+                    : 0;
+                const adminSnap = billMargin ? await transaction.get(db.collection('wallets').doc('admin')) : null;
+
+                if (refundedDebit?.metadata?.kycUsageDate) {
+                    kycService.releaseDebit(transaction, userId, refundedDebit.metadata.kycUsageDate, amount);
+                }
                 transaction.update(walletRef, {
                     balance: admin.firestore.FieldValue.increment(amount),
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
                 transaction.set(txnRef, {
-                    id: reference, type: 'credit', amount: parseFloat(amount),
+                    id: reference, type: 'credit', amount,
                     description: metadata.description || `Wallet Top-up - ${reference}`,
                     timestamp: Date.now(), status: 'completed',
                     metadata: { ...metadata, reference, processedAt: new Date().toISOString() }
                 });
+                const contra = CREDIT_CONTRA_ACCOUNTS[metadata.type] || ACCOUNTS.PAYSTACK_FLOAT;
+                const lines = [
+                    ledgerService.debit(contra, amount - billMargin),
+                    ledgerService.credit(ACCOUNTS.user(userId), amount)
+                ];
+                if (billMargin) {
+                    lines.push(ledgerService[billMargin > 0 ? 'debit' : 'credit'](ACCOUNTS.BILL_MARGIN, Math.abs(billMargin)));
+                    this._postBillMargin(transaction, adminSnap, { userId, reference, margin: -billMargin });
+                }
+                ledgerService.postAtomic(transaction, {
+                    id: `credit_${reference}`, type: metadata.type || 'deposit', reference,
+                    lines,
+                    metadata: { userId }
+                });
             });
 
             await client.setEx(lockKey, 86400, 'true');
             await this.invalidateWalletCache(userId);
+            if (metadata.type === 'bill_refund') await this.invalidateWalletCache('admin');
             return { success: true, alreadyProcessed: false };
         } catch (error) {
             console.error('❌ Credit wallet error:', error);
@@ -113,6 +234,7 @@ class WalletService {
         const reference = metadata.idempotencyKey || metadata.reference || `db_${Date.now()}_${userId.slice(0, 4)}`;
         const lockKey = `debit:lock:${reference}`;
         try {
+            assertKobo(amount);
             await this._verifyWalletStatus(userId);
             const cachedResult = await client.get(lockKey);
             if (cachedResult) return JSON.parse(cachedResult);
@@ -124,23 +246,47 @@ class WalletService {
                 const walletDoc = await transaction.get(walletRef);
                 if (!walletDoc.exists) throw new Error('Wallet not found');
                 const wallet = walletDoc.data();
-                if (wallet.balance < amount) throw new Error('Insufficient balance');
+                if (walletHoldService.availableBalance(wallet) < amount) throw new Error('Insufficient balance');
+                const kyc = await kycService.loadForTransaction(transaction, userId);
+                kycService.assertCanDebit(kyc, amount);
+                const billMargin = metadata.type === 'bill_payment' ? (metadata.platformMargin || 0) : 0;
+                const adminSnap = billMargin ? await transaction.get(db.collection('wallets').doc('admin')) : null;
+
                 const txnData = {
-                    id: reference, type: 'debit', amount: parseFloat(amount),
+                    id: reference, type: 'debit', amount,
                     description: description || `Debit - ${reference}`,
                     timestamp: Date.now(), status: metadata.status || 'completed',
-                    metadata: { ...metadata, reference, processedAt: new Date().toISOString() }
+                    metadata: {
+                        ...metadata, reference, processedAt: new Date().toISOString(),
+                        kycUsageDate: kyc.dateKey
+                    }
                 };
+                kycService.recordDebit(transaction, kyc, amount);
                 transaction.update(walletRef, {
                     balance: admin.firestore.FieldValue.increment(-amount),
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
                 transaction.set(txnRef, txnData);
+                const contra = DEBIT_CONTRA_ACCOUNTS[metadata.type] || ACCOUNTS.GENERAL;
+                const lines = [
+                    ledgerService.debit(ACCOUNTS.user(userId), amount),
+                    ledgerService.credit(contra, amount - billMargin)
+                ];
+                if (billMargin) {
+                    lines.push(ledgerService[billMargin > 0 ? 'credit' : 'debit'](ACCOUNTS.BILL_MARGIN, Math.abs(billMargin)));
+                    this._postBillMargin(transaction, adminSnap, { userId, reference, margin: billMargin });
+                }
+                ledgerService.postAtomic(transaction, {
+                    id: `debit_${reference}`, type: metadata.type || metadata.category || 'debit', reference,
+                    lines,
+                    metadata: { userId }
+                });
                 return { success: true, transaction: txnData };
             });
 
             await client.setEx(lockKey, 86400, JSON.stringify(result));
             await this.invalidateWalletCache(userId);
+            if (metadata.platformMargin) await this.invalidateWalletCache('admin');
             return result;
         } catch (error) {
             console.error('❌ Debit wallet error:', error);
@@ -173,7 +319,7 @@ class WalletService {
         const balanceKey = `wallet:balance:${userId}`;
         try {
             const cached = await client.get(balanceKey);
-            if (cached) return parseFloat(cached);
+            if (cached) return parseInt(cached, 10);
             const walletRef = db.collection('wallets').doc(userId);
             const walletDoc = await walletRef.get();
             if (!walletDoc.exists) { await this.ensureWalletExists(userId); return 0; }
@@ -186,9 +332,20 @@ class WalletService {
         }
     }
 
-    async processOrderPayment(buyerId, sellerId, orderId, totalAmount, commission) {
+    /**
+     * Balance minus active holds, read fresh (holds can change at any time).
+     */
+    async getAvailableBalance(userId) {
+        const walletDoc = await db.collection('wallets').doc(userId).get();
+        return walletDoc.exists ? walletHoldService.availableBalance(walletDoc.data()) : 0;
+    }
+
+    async processOrderPayment(buyerId, sellerId, orderId, totalAmount, commission, platformDiscount = 0) {
         const lockKey = `order:payment:${orderId}`;
         try {
+            assertKobo(totalAmount, 'totalAmount');
+            assertKobo(commission, 'commission');
+            assertKobo(platformDiscount, 'platformDiscount');
             await this._verifyWalletStatus(buyerId);
             const isProcessed = await client.get(lockKey);
             if (isProcessed) return { success: true, alreadyProcessed: true };
@@ -198,52 +355,93 @@ class WalletService {
             const buyerRef  = db.collection('wallets').doc(buyerId);
             const sellerRef = db.collection('wallets').doc(sellerId);
 
+            // Orders placed through createOrder are paid in their own
+            // transaction — the escrow debit doc is the durable record
+            let alreadyPaid = false;
             await db.runTransaction(async (transaction) => {
-                const [buyerDoc] = await Promise.all([
+                const [buyerDoc, sellerDoc, paidDoc] = await Promise.all([
                     transaction.get(buyerRef),
-                    transaction.get(sellerRef)
+                    transaction.get(sellerRef),
+                    transaction.get(buyerRef.collection('transactions').doc(`pay_${orderId}`))
                 ]);
-                const buyerWallet = buyerDoc.data();
-                if (buyerWallet.balance < totalAmount) throw new Error('Insufficient balance');
-
-                const buyerTxnRef = buyerRef.collection('transactions').doc(`pay_${orderId}`);
-                transaction.set(buyerTxnRef, {
-                    id: `pay_${orderId}`, userId: buyerId, type: 'debit', category: 'order_payment',
-                    amount: totalAmount,
-                    description: `Order #${orderId.slice(-6).toUpperCase()} - Escrow Hold`,
-                    timestamp: Date.now(), status: 'pending',
-                    metadata: { orderId, commission, paymentType: 'order_escrow', reference: `pay_${orderId}` }
-                });
-                transaction.update(buyerRef, {
-                    balance: admin.firestore.FieldValue.increment(-totalAmount),
-                    pendingBalance: admin.firestore.FieldValue.increment(totalAmount),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-
-                const sellerTxnId  = `order_${orderId}`;
-                const sellerTxnRef = sellerRef.collection('transactions').doc(sellerTxnId);
-                transaction.set(sellerTxnRef, {
-                    id: sellerTxnId, userId: sellerId, type: 'credit', category: 'order_payment',
-                    amount: totalAmount - commission,
-                    description: `Order #${orderId.slice(-6).toUpperCase()} - Pending Delivery`,
-                    timestamp: Date.now(), status: 'pending',
-                    metadata: { orderId, commission, paymentType: 'order_pending', reference: sellerTxnId }
-                });
-                transaction.update(sellerRef, {
-                    pendingBalance: admin.firestore.FieldValue.increment(totalAmount - commission),
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                alreadyPaid = paidDoc.exists;
+                if (alreadyPaid) return;
+                this.holdOrderPayment(transaction, buyerDoc.data(), {
+                    buyerId, sellerId, orderId, totalAmount, commission, platformDiscount,
+                    sellerWallet: sellerDoc.exists ? sellerDoc.data() : null
                 });
             });
 
             await client.setEx(lockKey, 86400, 'true');
             await Promise.all([this.invalidateWalletCache(buyerId), this.invalidateWalletCache(sellerId)]);
-            return { success: true, alreadyProcessed: false };
+            return { success: true, alreadyProcessed: alreadyPaid };
         } catch (error) {
             console.error(`❌ Process order payment error for ${orderId}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Move an order's total from the buyer's balance into escrow and show the
+     * seller their pending payout — written in the caller's transaction after
+     * its reads, so the order and its payment commit or fail together.
+     * `buyerWallet` and `sellerWallet` are the wallets as read in that
+     * transaction; a seller without a wallet yet gets one. A caller holding
+     * several orders in one transaction checks their combined total first.
+     */
+    holdOrderPayment(transaction, buyerWallet, {
+        buyerId, sellerId, orderId, totalAmount, commission, platformDiscount = 0, sellerWallet = null
+    }) {
+        if (!buyerWallet) throw new Error('Wallet not found');
+        if (buyerWallet.isLocked) {
+            throw new Error(`CRITICAL_LOCK: Wallet is disabled. Reason: ${buyerWallet.lockReason || 'Unspecified security violation'}`);
+        }
+        if (walletHoldService.availableBalance(buyerWallet) < totalAmount) throw new Error('Insufficient balance');
+
+        const buyerRef     = db.collection('wallets').doc(buyerId);
+        const sellerRef    = db.collection('wallets').doc(sellerId);
+        const sellerAmount = sellerAmountFor({ totalAmount, commission, platformDiscount });
+
+        const buyerTxnRef = buyerRef.collection('transactions').doc(`pay_${orderId}`);
+        transaction.set(buyerTxnRef, {
+            id: `pay_${orderId}`, userId: buyerId, type: 'debit', category: 'order_payment',
+            amount: totalAmount,
+            description: `Order #${orderId.slice(-6).toUpperCase()} - Escrow Hold`,
+            timestamp: Date.now(), status: 'pending',
+            metadata: { orderId, commission, paymentType: 'order_escrow', reference: `pay_${orderId}` }
+        });
+        transaction.update(buyerRef, {
+            balance: admin.firestore.FieldValue.increment(-totalAmount),
+            pendingBalance: admin.firestore.FieldValue.increment(totalAmount),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        const sellerTxnId  = `order_${orderId}`;
+        const sellerTxnRef = sellerRef.collection('transactions').doc(sellerTxnId);
+        transaction.set(sellerTxnRef, {
+            id: sellerTxnId, userId: sellerId, type: 'credit', category: 'order_payment',
+            amount: sellerAmount,
+            description: `Order #${orderId.slice(-6).toUpperCase()} - Pending Delivery`,
+            timestamp: Date.now(), status: 'pending',
+            metadata: { orderId, commission, platformDiscount, paymentType: 'order_pending', reference: sellerTxnId }
+        });
+        if (sellerWallet) {
+            transaction.update(sellerRef, {
+                pendingBalance: admin.firestore.FieldValue.increment(sellerAmount),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } else {
+            transaction.set(sellerRef, {
+                userId: sellerId, balance: 0, pendingBalance: sellerAmount, isLocked: false, lockReason: null,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                version: 1
+            });
+        }
+
+        this.postEscrowHold(transaction, { orderId, buyerId, sellerId, totalAmount, commission });
+    }
+
     // ─────────────────────────────────────────────────────────────────────────────
     // ✅ CRITICAL FIX: releaseEscrow now credits admin wallet with commission.
     //
@@ -258,7 +456,7 @@ class WalletService {
     // ─────────────────────────────────────────────────────────────────────────────
     async releaseEscrow(orderId, buyerId, sellerId, totalAmount, commission) {
         const lockKey     = `release:lock:${orderId}`;
-        const sellerAmount = totalAmount - commission;
+        let sellerAmount  = totalAmount - commission;
 
         try {
             const isProcessed = await client.get(lockKey);
@@ -294,6 +492,10 @@ class WalletService {
                 if (orderData.status !== 'running')   throw new Error(`Invalid order status: ${orderData.status}`);
                 if (!sellerDoc.exists || !buyerDoc.exists) throw new Error("Wallet not found");
 
+                // Coupon discount the platform funds — paid to the seller from the admin wallet
+                const platformDiscount = orderData.platformDiscount || 0;
+                sellerAmount = sellerAmountFor({ totalAmount, commission, platformDiscount });
+
                 // ── PHASE 2: WRITES ───────────────────────────────────────────
 
                 // 1. Mark order delivered
@@ -328,13 +530,14 @@ class WalletService {
                         category: 'order_release', amount: sellerAmount,
                         description: `Order #${orderId.slice(-6).toUpperCase()} - Payment Released`,
                         timestamp: Date.now(), status: 'completed', completedAt: Date.now(),
-                        metadata: { orderId, commission, paymentType: 'order_released',
+                        metadata: { orderId, commission, platformDiscount, paymentType: 'order_released',
                             reference: `order_${orderId}`, fallbackCreated: true }
                     });
                 }
 
-                // 4. ✅ Credit admin wallet with commission (idempotent)
+                // 4. ✅ Credit admin wallet with commission, less any coupon it funds (idempotent)
                 if (!adminCommSnap.exists) {
+                    const adminNet = commission - platformDiscount;
                     transaction.set(adminCommTxnRef, {
                         id:          `commission_${orderId}`,
                         userId:      'admin',
@@ -353,10 +556,12 @@ class WalletService {
                         }
                     });
 
+                    if (platformDiscount) this._postPromoFunding(transaction, { orderId, buyerId, sellerId, platformDiscount });
+
                     // Ensure admin wallet doc exists, then increment
                     if (!adminDoc.exists) {
                         transaction.set(adminRef, {
-                            userId: 'admin', balance: commission,
+                            userId: 'admin', balance: adminNet,
                             pendingBalance: 0, isLocked: false, currency: 'NGN',
                             createdAt: admin.firestore.FieldValue.serverTimestamp(),
                             updatedAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -364,7 +569,7 @@ class WalletService {
                         });
                     } else {
                         transaction.update(adminRef, {
-                            balance:   admin.firestore.FieldValue.increment(commission),
+                            balance:   admin.firestore.FieldValue.increment(adminNet),
                             updatedAt: admin.firestore.FieldValue.serverTimestamp()
                         });
                     }
@@ -383,6 +588,9 @@ class WalletService {
                     updatedAt:      admin.firestore.FieldValue.serverTimestamp()
                 });
 
+                // 7. Journal: escrow (+ platform-funded discount) → seller + platform commission
+                this.postEscrowRelease(transaction, { orderId, buyerId, sellerId, totalAmount, commission, platformDiscount });
+
                 return { success: true, alreadyProcessed: false, amount: sellerAmount };
             });
 
@@ -394,7 +602,7 @@ class WalletService {
                 pushNotificationService.sendPushToUser(buyerId, "Order Completed! 🛍️",
                     `Your order #${orderId.slice(-6).toUpperCase()} has been finalised.`, { screen: "OrdersTab" }),
                 pushNotificationService.sendPushToUser(sellerId, "💸 Payment Released",
-                    `₦${sellerAmount.toLocaleString()} has been added to your balance.`, { screen: "OrdersTab" })
+                    `${formatNaira(sellerAmount)} has been added to your balance.`, { screen: "OrdersTab" })
             ]);
 
             return result;
@@ -411,7 +619,6 @@ class WalletService {
     // ─────────────────────────────────────────────────────────────────────────────
     async refundEscrow(orderId, buyerId, sellerId, totalAmount, commission, reason) {
         const lockKey      = `refund:lock:${orderId}`;
-        const sellerAmount = totalAmount - commission;
 
         try {
             const isProcessed = await client.get(lockKey);
@@ -438,6 +645,11 @@ class WalletService {
                 if (orderStatus !== 'running' && orderStatus !== 'cancelled') {
                     throw new Error(`Invalid order status for refund: ${orderStatus}`);
                 }
+                // Seller's pending share includes any platform-funded discount; the
+                // admin wallet never paid it, so there is nothing to hand back there
+                const sellerAmount = sellerAmountFor({
+                    totalAmount, commission, platformDiscount: orderDoc.data().platformDiscount
+                });
 
                 transaction.update(orderRef, {
                     status: 'cancelled', cancelReason: reason,
@@ -490,6 +702,8 @@ class WalletService {
                     pendingBalance: admin.firestore.FieldValue.increment(-sellerAmount),
                     updatedAt:      admin.firestore.FieldValue.serverTimestamp()
                 });
+
+                this.postEscrowRefund(transaction, { orderId, buyerId, sellerId, totalAmount, reason });
             });
 
             await this.invalidateWalletCache(buyerId);
@@ -516,7 +730,8 @@ class WalletService {
         const sellerRef    = db.collection('wallets').doc(order.sellerId);
         const buyerRef     = db.collection('wallets').doc(order.buyerId);
         const adminRef     = db.collection('wallets').doc('admin');           // ✅
-        const sellerAmount = order.totalAmount - order.commission;
+        const platformDiscount = order.platformDiscount || 0;
+        const sellerAmount = sellerAmountFor(order);
 
         // Seller
         transaction.update(sellerRef, {
@@ -548,16 +763,26 @@ class WalletService {
             timestamp: Date.now(), status: 'completed',
             metadata: { orderId: order.id, resolution: 'release', commissionRate: PLATFORM_COMMISSION_RATE }
         }, { merge: true });
+        if (platformDiscount) {
+            this._postPromoFunding(transaction, {
+                orderId: order.id, buyerId: order.buyerId, sellerId: order.sellerId, platformDiscount
+            });
+        }
         transaction.update(adminRef, {
-            balance:   admin.firestore.FieldValue.increment(order.commission),
+            balance:   admin.firestore.FieldValue.increment(order.commission - platformDiscount),
             updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
+
+        this.postEscrowRelease(transaction, {
+            orderId: order.id, buyerId: order.buyerId, sellerId: order.sellerId,
+            totalAmount: order.totalAmount, commission: order.commission, platformDiscount
+        });
     }
 
     async refundEscrowAtomic(transaction, order, reason) {
         const buyerRef  = db.collection('wallets').doc(order.buyerId);
         const sellerRef = db.collection('wallets').doc(order.sellerId);
-        const sellerPendingDeduction = order.totalAmount - order.commission;
+        const sellerPendingDeduction = sellerAmountFor(order);
 
         transaction.update(buyerRef, {
             balance:        admin.firestore.FieldValue.increment(order.totalAmount),
@@ -578,12 +803,201 @@ class WalletService {
             metadata: { orderId: order.id, reason }
         });
         // No admin commission on refund — buyer gets 100% back
+
+        this.postEscrowRefund(transaction, {
+            orderId: order.id, buyerId: order.buyerId, sellerId: order.sellerId,
+            totalAmount: order.totalAmount, reason
+        });
+    }
+
+    // ─── Journal postings shared by the escrow flows ─────────────────────────────
+    // Called inside the caller's Firestore transaction, after all reads.
+
+    postEscrowHold(transaction, { orderId, buyerId, sellerId, totalAmount, commission }) {
+        return ledgerService.postAtomic(transaction, {
+            id: `escrow_hold_${orderId}`, type: 'order_payment', reference: orderId,
+            lines: [
+                ledgerService.debit(ACCOUNTS.user(buyerId), totalAmount),
+                ledgerService.credit(ACCOUNTS.escrow(buyerId), totalAmount)
+            ],
+            metadata: { orderId, buyerId, sellerId, commission }
+        });
+    }
+
+    postEscrowRelease(transaction, { orderId, buyerId, sellerId, totalAmount, commission, platformDiscount = 0 }) {
+        const lines = [
+            ledgerService.debit(ACCOUNTS.escrow(buyerId), totalAmount),
+            ledgerService.credit(ACCOUNTS.user(sellerId), sellerAmountFor({ totalAmount, commission, platformDiscount })),
+            ledgerService.credit(ACCOUNTS.COMMISSION, commission)
+        ];
+        if (platformDiscount) lines.push(ledgerService.debit(ACCOUNTS.PROMOTIONS, platformDiscount));
+
+        return ledgerService.postAtomic(transaction, {
+            id: `escrow_release_${orderId}`, type: 'escrow_release', reference: orderId,
+            lines,
+            metadata: { orderId, buyerId, sellerId, commission, platformDiscount, commissionRate: PLATFORM_COMMISSION_RATE }
+        });
+    }
+
+    postEscrowRefund(transaction, { orderId, buyerId, sellerId, totalAmount, reason }) {
+        return ledgerService.postAtomic(transaction, {
+            id: `escrow_refund_${orderId}`, type: 'escrow_refund', reference: orderId,
+            lines: [
+                ledgerService.debit(ACCOUNTS.escrow(buyerId), totalAmount),
+                ledgerService.credit(ACCOUNTS.user(buyerId), totalAmount)
+            ],
+            metadata: { orderId, buyerId, sellerId, reason: reason || null }
+        });
+    }
+
+    /**
+     * Withdrawal journal: user → Paystack float (+ fee to platform:fees).
+     * Pass reversal=true to post the mirror entry when the transfer fails.
+     */
+    postWithdrawal(transaction, { userId, reference, amount, fee = 0, reversal = false }) {
+        const [userSide, otherSide] = reversal ? ['credit', 'debit'] : ['debit', 'credit'];
+        const lines = [
+            ledgerService[userSide](ACCOUNTS.user(userId), amount + fee),
+            ledgerService[otherSide](ACCOUNTS.PAYSTACK_FLOAT, amount)
+        ];
+        if (fee > 0) lines.push(ledgerService[otherSide](ACCOUNTS.FEES, fee));
+
+        return ledgerService.postAtomic(transaction, {
+            id: `${reversal ? 'withdrawal_reversal' : 'withdrawal'}_${reference}`,
+            type: reversal ? 'withdrawal_reversal' : 'withdrawal',
+            reference, lines, metadata: { userId, fee }
+        });
+    }
+
+    /**
+     * Close out a withdrawal once Paystack has a final answer.
+     *   'success'             → status completed
+     *   'failed' / 'reversed' → amount + fee back to the wallet, mirror journal
+     *                           entry, KYC daily allowance handed back
+     * Webhook, status job and status endpoint may race on the same reference:
+     * whoever commits first settles it, the others get alreadySettled.
+     * A transfer Paystack reverses after reporting success is still refunded.
+     */
+    async settleWithdrawal(userId, reference, { outcome, reason = null, transferCode = null }) {
+        const walletRef = db.collection('wallets').doc(userId);
+        const txnRef = walletRef.collection('transactions').doc(reference);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const txnSnap = await transaction.get(txnRef);
+            if (!txnSnap.exists || !txnSnap.data().metadata?.withdrawal) {
+                throw new Error(`Withdrawal ${reference} not found`);
+            }
+            const txn = txnSnap.data();
+
+            const open = txn.status === 'processing' || txn.status === 'pending';
+            const lateReversal = txn.status === 'completed' && outcome === 'reversed';
+            if (!open && !lateReversal) return { alreadySettled: true, status: txn.status, txn };
+
+            const codeField = transferCode ? { paystackTransferCode: transferCode } : {};
+
+            if (outcome === 'success') {
+                transaction.update(txnRef, { status: 'completed', completedAt: Date.now(), ...codeField });
+                return { alreadySettled: false, status: 'completed', txn };
+            }
+
+            const fee = txn.fee || 0;
+            const totalDebit = txn.totalDebit ?? (txn.amount + fee);
+
+            transaction.update(walletRef, {
+                balance:   admin.firestore.FieldValue.increment(totalDebit),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(txnRef, {
+                status: 'failed',
+                paystackStatus: outcome,
+                failReason: reason || `Transfer ${outcome}`,
+                failedAt: Date.now(),
+                refunded: true,
+                ...codeField
+            });
+            transaction.set(walletRef.collection('transactions').doc(`refund_${reference}`), {
+                id: `refund_${reference}`, userId, type: 'credit', category: 'withdrawal_refund',
+                amount: totalDebit,
+                description: `Auto-refund: withdrawal ${outcome} (${reference})`,
+                timestamp: Date.now(), status: 'completed',
+                metadata: { originalReference: reference, reason: reason || null }
+            });
+            this.postWithdrawal(transaction, { userId, reference, amount: txn.amount, fee, reversal: true });
+            if (txn.metadata.kycUsageDate) {
+                kycService.releaseDebit(transaction, userId, txn.metadata.kycUsageDate, totalDebit);
+            }
+            return { alreadySettled: false, status: 'failed', refunded: totalDebit, txn };
+        });
+
+        if (!result.alreadySettled) await this.invalidateWalletCache(userId);
+        return result;
+    }
+
+    /**
+     * Take a card refund or lost chargeback back out of the wallet.
+     * Debits at most the current balance — whatever the user already spent
+     * comes back as `shortfall` for admins to recover. `holdId` (the hold
+     * placed when the refund/dispute opened) is converted in the same
+     * transaction so the amount isn't ring-fenced twice.
+     * @param {number} amount  kobo
+     */
+    async reverseDeposit(userId, depositReference, amount, { reference, reason, holdId = null }) {
+        assertKobo(amount);
+        const walletRef = db.collection('wallets').doc(userId);
+        const txnRef = walletRef.collection('transactions').doc(reference);
+        const holdRef = holdId ? walletRef.collection('holds').doc(holdId) : null;
+
+        const result = await db.runTransaction(async (transaction) => {
+            const [walletSnap, txnSnap, holdSnap] = await Promise.all([
+                transaction.get(walletRef),
+                transaction.get(txnRef),
+                holdRef ? transaction.get(holdRef) : Promise.resolve(null)
+            ]);
+            if (!walletSnap.exists) throw new Error('Wallet not found');
+            if (txnSnap.exists) {
+                const { amount: debited, metadata } = txnSnap.data();
+                return { alreadyProcessed: true, debited, shortfall: metadata.shortfall || 0 };
+            }
+
+            const debited = Math.min(amount, Math.max(0, walletSnap.data().balance || 0));
+            const shortfall = amount - debited;
+
+            if (holdSnap?.exists && holdSnap.data().status === 'active') {
+                walletHoldService.releaseWithin(transaction, walletRef, holdSnap, { status: 'converted', note: reason });
+            }
+            if (debited > 0) {
+                transaction.update(walletRef, {
+                    balance:   admin.firestore.FieldValue.increment(-debited),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                ledgerService.postAtomic(transaction, {
+                    id: `deposit_reversal_${reference}`, type: 'deposit_reversal', reference,
+                    lines: [
+                        ledgerService.debit(ACCOUNTS.user(userId), debited),
+                        ledgerService.credit(ACCOUNTS.PAYSTACK_FLOAT, debited)
+                    ],
+                    metadata: { userId, depositReference, shortfall }
+                });
+            }
+            // Written even when nothing could be debited — it's the audit trail
+            transaction.set(txnRef, {
+                id: reference, userId, type: 'debit', category: 'deposit_reversal',
+                amount: debited,
+                description: `${reason} (deposit ${depositReference})`,
+                timestamp: Date.now(), status: 'completed',
+                metadata: { depositReference, requestedAmount: amount, shortfall, reason, reference }
+            });
+            return { alreadyProcessed: false, debited, shortfall };
+        });
+
+        if (!result.alreadyProcessed) await this.invalidateWalletCache(userId);
+        return result;
     }
 
     async initializeWithdrawal(userId, userEmail, userName, payload) {
         const { amountKobo, accountNumber, bankCode, accountName } = payload;
-        const amountNaira = amountKobo / 100;
-        const reference   = `wd_${Date.now()}_${userId.slice(0, 5)}`;
+        // Lowercase — Paystack rejects transfer references with capitals
+        const reference   = `wd_${Date.now()}_${userId.slice(0, 5)}`.toLowerCase();
         const lockKey     = `withdraw:lock:${reference}`;
 
         try {
@@ -592,7 +1006,7 @@ class WalletService {
             const result = await db.runTransaction(async (transaction) => {
                 const walletRef = db.collection('wallets').doc(userId);
                 const userRef   = db.collection('users').doc(userId);
-                const txnRef    = db.collection('transactions').doc(`txn_${reference}`);
+                const txnRef    = walletRef.collection('transactions').doc(reference);
 
                 const [walletSnap, userSnap] = await Promise.all([
                     transaction.get(walletRef),
@@ -601,7 +1015,11 @@ class WalletService {
 
                 if (!walletSnap.exists) throw new Error('Wallet not found');
                 const wallet = walletSnap.data();
-                if (wallet.balance < amountNaira) throw new Error('Insufficient balance');
+                if (walletHoldService.availableBalance(wallet) < amountKobo) throw new Error('Insufficient balance');
+
+                const kyc = await kycService.loadForTransaction(transaction, userId);
+                kycService.assertCanWithdraw(kyc, amountKobo);
+                kycService.assertCanDebit(kyc, amountKobo);
 
                 const userData = userSnap.data();
                 if (!userData.paystackRecipientCode) {
@@ -609,41 +1027,133 @@ class WalletService {
                 }
 
                 transaction.set(txnRef, {
-                    id: reference, userId, type: 'debit', amount: amountNaira,
+                    id: reference, userId, type: 'debit', amount: amountKobo,
                     description: `Withdrawal to ${accountName} (${bankCode})`,
                     status: 'processing', timestamp: Date.now(),
-                    metadata: { withdrawal: true, accountNumber, bankCode, accountName, reference }
+                    metadata: {
+                        withdrawal: true, accountNumber, bankCode, accountName, reference,
+                        kycUsageDate: kyc.dateKey
+                    }
                 });
+                kycService.recordDebit(transaction, kyc, amountKobo);
                 transaction.update(walletRef, {
-                    balance:   admin.firestore.FieldValue.increment(-amountNaira),
+                    balance:   admin.firestore.FieldValue.increment(-amountKobo),
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
+                this.postWithdrawal(transaction, { userId, reference, amount: amountKobo });
 
                 return { recipientCode: userData.paystackRecipientCode };
             });
 
             const transfer = await paystackService.initiateTransfer(
-                result.recipientCode, amountNaira, `EliteHub Payout: ${reference}`
+                result.recipientCode, amountKobo, `EliteHub Payout: ${reference}`, reference
             );
+            await db.collection('wallets').doc(userId).collection('transactions').doc(reference).update({
+                paystackTransferCode: transfer.transferCode,
+                paystackTransferReference: transfer.reference,
+                transferInitiatedAt: Date.now()
+            });
 
             await client.setEx(lockKey, 86400, 'true');
             await this.invalidateWalletCache(userId);
 
             try {
-                await emailService.sendWithdrawalConfirmation(userEmail, userName, amountNaira, {
+                await emailService.sendWithdrawalConfirmation(userEmail, userName, amountKobo, {
                     accountName, bankName: 'Verified Bank', accountNumber
                 });
             } catch (err) {
                 console.warn('📧 Notification failed but withdrawal succeeded:', err.message);
             }
 
-            return { success: true, reference: transfer.reference, amount: amountNaira };
+            return { success: true, reference: transfer.reference, amount: amountKobo };
         } catch (error) {
             console.error(`❌ Withdrawal Initialization Error for ${userId}:`, error.message);
             throw error;
         }
     }
 
+    /**
+     * Wallet-to-wallet transfer. One Firestore transaction writes the sender's
+     * debit, the recipient's credit and the journal entry, and checks both
+     * sides' KYC limits (sender daily debit, recipient max balance).
+     * @param {number} amount  kobo
+     */
+    async transferBetweenWallets(senderId, recipientId, amount, { reference, note = '', senderName, recipientName }) {
+        assertKobo(amount);
+        if (senderId === recipientId) throw new Error('You cannot transfer to yourself');
+
+        const senderRef    = db.collection('wallets').doc(senderId);
+        const recipientRef = db.collection('wallets').doc(recipientId);
+        await this.ensureWalletExists(recipientId);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const [senderSnap, recipientSnap] = await Promise.all([
+                transaction.get(senderRef),
+                transaction.get(recipientRef)
+            ]);
+            const [senderKyc, recipientKyc] = await Promise.all([
+                kycService.loadForTransaction(transaction, senderId),
+                kycService.loadForTransaction(transaction, recipientId)
+            ]);
+
+            if (!senderSnap.exists) throw new Error('Wallet not found');
+            const sender = senderSnap.data();
+            const recipient = recipientSnap.data();
+            if (sender.isLocked) {
+                throw new Error(`CRITICAL_LOCK: Wallet is disabled. Reason: ${sender.lockReason || 'Unspecified security violation'}`);
+            }
+            if (recipient.isLocked) throw new Error('Recipient wallet cannot receive transfers right now');
+            if (walletHoldService.availableBalance(sender) < amount) throw new Error('Insufficient balance');
+
+            kycService.assertCanDebit(senderKyc, amount);
+            try {
+                kycService.assertCanCredit(recipientKyc, recipient.balance || 0, amount);
+            } catch (err) {
+                // Don't leak the recipient's balance / tier to the sender
+                throw new Error('KYC_LIMIT: Recipient cannot receive this amount right now');
+            }
+
+            const now = Date.now();
+            const debitTxn = {
+                id: reference, userId: senderId, type: 'debit', category: 'p2p_transfer',
+                amount, description: `Transfer to ${recipientName}`,
+                timestamp: now, status: 'completed',
+                metadata: { reference, counterpartyId: recipientId, note, kycUsageDate: senderKyc.dateKey }
+            };
+            const creditTxn = {
+                id: reference, userId: recipientId, type: 'credit', category: 'p2p_transfer',
+                amount, description: `Transfer from ${senderName}`,
+                timestamp: now, status: 'completed',
+                metadata: { reference, counterpartyId: senderId, note }
+            };
+
+            transaction.update(senderRef, {
+                balance: admin.firestore.FieldValue.increment(-amount),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(recipientRef, {
+                balance: admin.firestore.FieldValue.increment(amount),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.create(senderRef.collection('transactions').doc(reference), debitTxn);
+            transaction.create(recipientRef.collection('transactions').doc(reference), creditTxn);
+            kycService.recordDebit(transaction, senderKyc, amount);
+            ledgerService.postAtomic(transaction, {
+                id: `p2p_${reference}`, type: 'p2p_transfer', reference,
+                lines: [
+                    ledgerService.debit(ACCOUNTS.user(senderId), amount),
+                    ledgerService.credit(ACCOUNTS.user(recipientId), amount)
+                ],
+                metadata: { senderId, recipientId }
+            });
+
+            return { success: true, transaction: debitTxn };
+        });
+
+        await Promise.all([this.invalidateWalletCache(senderId), this.invalidateWalletCache(recipientId)]);
+        return result;
+    }
+
     async invalidateWalletCache(userId) {
         try {
             const keys = [`wallet:cache:${userId}`, `wallet:balance:${userId}`];
@@ -0,0 +1,88 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const redis = require('../config/redis');
+const walletService = require('./wallet.service');
+const ledgerService = require('./ledger.service');
+
+const balanceOf = (accountId) => ledgerService.getAccount(accountId).then(account => account.balance);
+
+describe('wallet movements post to the ledger', () => {
+    it('keeps a wallet and its ledger account in step through a credit and a debit', async () => {
+        await walletService.creditWallet('u1', 1_000_000, 'dep_1', { type: 'deposit' });
+        await walletService.debitWallet('u1', 250_000, 'Spend', { reference: 'spend_1' });
+
+        expect(firebase._read('wallets/u1').balance).toBe(750_000);
+        expect(await balanceOf('user:u1')).toBe(750_000);
+        expect(await balanceOf('paystack:float')).toBe(1_000_000);
+        expect(await balanceOf('platform:general')).toBe(250_000);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('credits a reference once', async () => {
+        await walletService.creditWallet('u1', 50_000, 'dep_dup', { type: 'deposit' });
+        const again = await walletService.creditWallet('u1', 50_000, 'dep_dup', { type: 'deposit' });
+
+        expect(again.alreadyProcessed).toBe(true);
+        expect(firebase._read('wallets/u1').balance).toBe(50_000);
+        expect(await balanceOf('user:u1')).toBe(50_000);
+    });
+
+    it('writes nothing when a debit would overdraw', async () => {
+        await walletService.creditWallet('u1', 10_000, 'dep_small', { type: 'deposit' });
+
+        await expect(walletService.debitWallet('u1', 10_001, 'Too much', { reference: 'big' }))
+            .rejects.toThrow('Insufficient balance');
+        expect(firebase._read('wallets/u1').balance).toBe(10_000);
+        expect(await ledgerService.getJournalEntry('debit_big')).toBeNull();
+    });
+
+    it('holds an order in escrow and releases it to the seller and the platform', async () => {
+        await walletService.creditWallet('buyer', 2_000_000, 'dep_b', { type: 'deposit' });
+        firebase._seed('orders/order_0001', { buyerId: 'buyer', sellerId: 'seller', status: 'running' });
+
+        await walletService.processOrderPayment('buyer', 'seller', 'order_0001', 1_000_000, 50_000);
+        expect(firebase._read('wallets/buyer')).toMatchObject({ balance: 1_000_000, pendingBalance: 1_000_000 });
+        expect(firebase._read('wallets/seller').pendingBalance).toBe(950_000);
+        expect(await balanceOf('escrow:buyer')).toBe(1_000_000);
+
+        await walletService.releaseEscrow('order_0001', 'buyer', 'seller', 1_000_000, 50_000);
+
+        expect(firebase._read('wallets/seller')).toMatchObject({ balance: 950_000, pendingBalance: 0 });
+        expect(firebase._read('wallets/admin').balance).toBe(50_000);
+        expect(await balanceOf('escrow:buyer')).toBe(0);
+        for (const userId of ['buyer', 'seller', 'admin']) {
+            expect((await ledgerService.verifyWallet(userId)).inBalance).toBe(true);
+        }
+    });
+
+    it('does not pay again for an order whose escrow debit already exists', async () => {
+        await walletService.creditWallet('buyer', 2_000_000, 'dep_p', { type: 'deposit' });
+        await walletService.processOrderPayment('buyer', 'seller', 'order_0003', 600_000, 30_000);
+        await redis.client.del('order:payment:order_0003');
+
+        const again = await walletService.processOrderPayment('buyer', 'seller', 'order_0003', 600_000, 30_000);
+
+        expect(again.alreadyProcessed).toBe(true);
+        expect(firebase._read('wallets/buyer')).toMatchObject({ balance: 1_400_000, pendingBalance: 600_000 });
+        expect(await balanceOf('escrow:buyer')).toBe(600_000);
+    });
+
+    it('refunds escrow to the buyer without paying commission', async () => {
+        await walletService.creditWallet('buyer', 500_000, 'dep_r', { type: 'deposit' });
+        firebase._seed('orders/order_0002', { buyerId: 'buyer', sellerId: 'seller', status: 'running' });
+
+        await walletService.processOrderPayment('buyer', 'seller', 'order_0002', 400_000, 20_000);
+        await walletService.refundEscrow('order_0002', 'buyer', 'seller', 400_000, 20_000, 'Cancelled');
+
+        expect(firebase._read('wallets/buyer')).toMatchObject({ balance: 500_000, pendingBalance: 0 });
+        expect(firebase._read('wallets/seller').pendingBalance).toBe(0);
+        expect(firebase._read('wallets/admin')).toBeUndefined();
+        expect(await balanceOf('escrow:buyer')).toBe(0);
+        expect((await ledgerService.verifyWallet('buyer')).inBalance).toBe(true);
+    });
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+// ─── webhook-event.service.js ─────────────────────────────────────────────────
+// Durable store for verified provider webhooks. Every delivery is written
+// raw to webhookEvents/{eventId} before anything acts on it, so a handler
+// failure is retried instead of lost.
+//
+//   received ─┬─► processing ─► processed
+//             │        │
+//             │        └─► failed ─(backoff)─► processing … ─► dead (admins alerted)
+//             └── redelivery of a known event id is a duplicate, not a new row
+//
+// `nextAttemptAt` is set whenever an event might need picking up again —
+// on receipt, on failure, and as the lease expiry while processing — so
+// jobs/webhookRetry.js finds received-but-crashed, failed and stuck events
+// with a single query. Needs a composite index on webhookEvents:
+// status ASC, nextAttemptAt ASC.
+
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+const paystackWebhookService = require('./paystack-webhook.service');
+const firebaseService = require('./firebase.service');
+
+const HANDLERS = {
+    paystack: paystackWebhookService
+};
+
+// Delay before retry n (1-based); the live delivery is attempt 1
+const RETRY_BACKOFF_MS = [
+    1 * 60 * 1000,
+    5 * 60 * 1000,
+    15 * 60 * 1000,
+    60 * 60 * 1000,
+    6 * 60 * 60 * 1000
+];
+const MAX_ATTEMPTS = RETRY_BACKOFF_MS.length + 1;
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+const RECEIVED_GRACE_MS = 2 * 60 * 1000;   // live processing gets this long before the job steps in
+const RETRY_BATCH_SIZE = 20;
+const MAX_ERROR_LENGTH = 1000;
+
+class WebhookEventService {
+    /**
+     * Stable id per provider event, so redeliveries land on the same doc.
+     * Paystack has no event id: event type + data.id is unique (a transfer
+     * can be both transfer.success and later transfer.reversed).
+     */
+    eventIdFor(provider, event, rawBody) {
+        const subject = event?.data?.id ?? event?.data?.reference;
+        if (event?.event && subject !== undefined && subject !== null) {
+            return `${provider}_${event.event}_${subject}`.replace(/[^\w.-]/g, '_');
+        }
+        const hash = crypto.createHash('sha256').update(rawBody).digest('hex').slice(0, 32);
+        return `${provider}_${hash}`;
+    }
+
+    _ref(eventId) {
+        return db.collection('webhookEvents').doc(eventId);
+    }
+
+    /**
+     * Persist a verified delivery. Throws if Firestore is unavailable — the
+     * route then answers non-2xx so the provider redelivers.
+     * @returns {Promise<{ id: string, duplicate: boolean, status: string }>}
+     */
+    async record(provider, event, rawBody) {
+        const raw = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || JSON.stringify(event));
+        const id = this.eventIdFor(provider, event, raw);
+        const now = Date.now();
+
+        try {
+            await this._ref(id).create({
+                id,
+                provider,
+                event: event?.event || 'unknown',
+                reference: event?.data?.reference || null,
+                rawBody: raw,
+                status: 'received',
+                attempts: 0,
+                lastError: null,
+                errors: [],
+                receivedAt: now,
+                deliveries: 1,
+                nextAttemptAt: now + RECEIVED_GRACE_MS,
+                processedAt: null
+            });
+            return { id, duplicate: false, status: 'received' };
+        } catch (error) {
+            if (error.code !== 6) throw error; // 6 = ALREADY_EXISTS
+            const snap = await this._ref(id).get();
+            await this._ref(id).update({
+                deliveries: admin.firestore.FieldValue.increment(1),
+                lastDeliveredAt: now
+            });
+            return { id, duplicate: true, status: snap.data().status };
+        }
+    }
+
+    /**
+     * Run the handler for a stored event. Never throws — the outcome is
+     * written to the event doc and returned.
+     * @param {{ force?: boolean, trigger?: 'live'|'retry'|'manual' }} [options]
+     */
+    async process(eventId, { force = false, trigger = 'live' } = {}) {
+        const ref = this._ref(eventId);
+        const now = Date.now();
+
+        let doc;
+        try {
+            doc = await db.runTransaction(async (transaction) => {
+                const snap = await transaction.get(ref);
+                if (!snap.exists) throw new Error('WEBHOOK: Event not found');
+
+                const data = snap.data();
+                if (data.status === 'processed' && !force) return { skip: 'processed', data };
+                if (data.status === 'dead' && trigger !== 'manual') return { skip: 'dead', data };
+                if (data.status === 'processing' && data.lockedUntil > now) return { skip: 'processing', data };
+
+                const leaseUntil = now + PROCESSING_LEASE_MS;
+                transaction.update(ref, {
+                    status: 'processing',
+                    attempts: admin.firestore.FieldValue.increment(1),
+                    lastAttemptAt: now,
+                    lastTrigger: trigger,
+                    lockedUntil: leaseUntil,
+                    nextAttemptAt: leaseUntil
+                });
+                return { data: { ...data, attempts: (data.attempts || 0) + 1 } };
+            });
+        } catch (error) {
+            console.error(`[Webhooks] Could not claim ${eventId}:`, error.message);
+            return { id: eventId, status: 'unknown', error: error.message };
+        }
+
+        if (doc.skip) return { id: eventId, status: doc.data.status, skipped: doc.skip };
+
+        const { data } = doc;
+        const handler = HANDLERS[data.provider];
+
+        try {
+            if (!handler) throw new Error(`No handler for provider ${data.provider}`);
+            const handled = await handler.handle(JSON.parse(data.rawBody));
+
+            await ref.update({
+                status: 'processed',
+                handled,
+                processedAt: Date.now(),
+                lastError: null,
+                lockedUntil: null,
+                nextAttemptAt: null
+            });
+            return { id: eventId, status: 'processed', attempts: data.attempts };
+        } catch (error) {
+            return this._recordFailure(ref, data, error, trigger);
+        }
+    }
+
+    async _recordFailure(ref, data, error, trigger) {
+        const message = String(error?.message || error).slice(0, MAX_ERROR_LENGTH);
+        const exhausted = data.attempts >= MAX_ATTEMPTS;
+        const status = exhausted ? 'dead' : 'failed';
+        const nextAttemptAt = exhausted ? null : Date.now() + RETRY_BACKOFF_MS[data.attempts - 1];
+
+        console.error(`❌ Webhook ${data.id} attempt ${data.attempts} failed:`, message);
+
+        await ref.update({
+            status,
+            lastError: message,
+            errors: admin.firestore.FieldValue.arrayUnion({
+                attempt: data.attempts, trigger, message, at: Date.now()
+            }),
+            lockedUntil: null,
+            nextAttemptAt
+        }).catch(err => console.error(`[Webhooks] Could not record failure for ${data.id}:`, err.message));
+
+        // Manual replays report back to the admin directly — no broadcast
+        if (exhausted && trigger !== 'manual') {
+            await firebaseService.broadcastAdminAlert(
+                'WEBHOOK_DEAD',
+                `${data.provider} ${data.event} (${data.reference || data.id}) failed ${data.attempts} times: ${message}`,
+                'high'
+            );
+        }
+
+        return { id: data.id, status, attempts: data.attempts, error: message, nextAttemptAt };
+    }
+
+    /**
+     * Cron entry point: everything due for another attempt.
+     */
+    async retryDue() {
+        const snap = await db.collection('webhookEvents')
+            .where('status', 'in', ['received', 'failed', 'processing'])
+            .where('nextAttemptAt', '<=', Date.now())
+            .orderBy('nextAttemptAt', 'asc')
+            .limit(RETRY_BATCH_SIZE)
+            .get();
+
+        const summary = { checked: snap.size, processed: 0, failed: 0, skipped: 0 };
+        for (const doc of snap.docs) {
+            const result = await this.process(doc.id, { trigger: 'retry' });
+            if (result.skipped) summary.skipped++;
+            else if (result.status === 'processed') summary.processed++;
+            else summary.failed++;
+        }
+        return summary;
+    }
+
+    /**
+     * Admin replay. Already-processed events need `force` — handlers are
+     * idempotent, but replaying a success should be a deliberate choice.
+     */
+    async replay(eventId, { adminId = null, force = false } = {}) {
+        const snap = await this._ref(eventId).get();
+        if (!snap.exists) throw new Error('WEBHOOK: Event not found');
+        if (snap.data().status === 'processed' && !force) {
+            throw new Error('WEBHOOK: Event already processed. Pass force: true to replay it anyway.');
+        }
+
+        await this._ref(eventId).update({
+            replays: admin.firestore.FieldValue.arrayUnion({ by: adminId, at: Date.now(), force })
+        });
+        return this.process(eventId, { force, trigger: 'manual' });
+    }
+
+    /**
+     * Newest first. rawBody is left out of the list — fetch one event for it.
+     */
+    async list({ status, event, limit = 50, before } = {}) {
+        let query = db.collection('webhookEvents');
+        if (status) query = query.where('status', '==', status);
+        if (event) query = query.where('event', '==', event);
+        query = query.orderBy('receivedAt', 'desc');
+        if (before) query = query.startAfter(Number(before));
+
+        const snap = await query.limit(Math.min(limit, 100)).get();
+        return snap.docs.map((doc) => {
+            const { rawBody, errors, ...summary } = doc.data();
+            return summary;
+        });
+    }
+
+    async get(eventId) {
+        const snap = await this._ref(eventId).get();
+        if (!snap.exists) return null;
+
+        const data = snap.data();
+        let payload = null;
+        try {
+            payload = JSON.parse(data.rawBody);
+        } catch (err) {
+            payload = null;
+        }
+        return { ...data, payload };
+    }
+}
+
+module.exports = new WebhookEventService();
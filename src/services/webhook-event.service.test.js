@@ -0,0 +1,120 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const webhookEventService = require('./webhook-event.service');
+const paystackWebhookService = require('./paystack-webhook.service');
+
+const charge = (reference, amount = 500_000) => ({
+    event: 'charge.success',
+    data: {
+        id: 9001,
+        reference,
+        amount,
+        channel: 'card',
+        customer: { email: 'ada@example.com' },
+        metadata: { userId: 'u1' }
+    }
+});
+
+async function deliver(event) {
+    const stored = await webhookEventService.record('paystack', event, Buffer.from(JSON.stringify(event)));
+    return { stored, result: await webhookEventService.process(stored.id) };
+}
+
+// Move the clock so the next backoff is due
+function advanceClock(ms) {
+    const now = Date.now() + ms;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+}
+
+beforeEach(() => {
+    firebase._seed('users/u1', { name: 'Ada', email: 'ada@example.com', kycTier: 1 });
+});
+
+describe('webhook event store', () => {
+    it('stores the raw delivery and credits the deposit', async () => {
+        const { stored, result } = await deliver(charge('card_1'));
+
+        expect(stored).toEqual({ id: 'paystack_charge.success_9001', duplicate: false, status: 'received' });
+        expect(result.status).toBe('processed');
+        expect(firebase._read(`webhookEvents/${stored.id}`)).toMatchObject({
+            status: 'processed', attempts: 1, reference: 'card_1', nextAttemptAt: null
+        });
+        expect(firebase._read('wallets/u1').balance).toBe(500_000);
+    });
+
+    it('treats a redelivery as a duplicate of the same event', async () => {
+        await deliver(charge('card_1'));
+        const again = await webhookEventService.record('paystack', charge('card_1'), JSON.stringify(charge('card_1')));
+
+        expect(again).toMatchObject({ duplicate: true, status: 'processed' });
+        expect(firebase._list('webhookEvents')).toHaveLength(1);
+        expect(firebase._list('webhookEvents')[0].deliveries).toBe(2);
+    });
+
+    it('keeps a failed event and credits it on the retry', async () => {
+        jest.spyOn(paystackWebhookService, 'handle').mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+        const { stored, result } = await deliver(charge('card_1'));
+        expect(result).toMatchObject({ status: 'failed', attempts: 1, error: 'Firestore unavailable' });
+        expect(firebase._read('wallets/u1')).toBeUndefined();
+
+        expect(await webhookEventService.retryDue()).toMatchObject({ checked: 0 });
+
+        advanceClock(60 * 1000);
+        expect(await webhookEventService.retryDue()).toMatchObject({ checked: 1, processed: 1 });
+        expect(firebase._read(`webhookEvents/${stored.id}`)).toMatchObject({ status: 'processed', attempts: 2 });
+        expect(firebase._read('wallets/u1').balance).toBe(500_000);
+    });
+
+    it('gives up after the last backoff and alerts admins', async () => {
+        jest.spyOn(paystackWebhookService, 'handle').mockRejectedValue(new Error('Still broken'));
+        const { stored } = await deliver(charge('card_1'));
+
+        for (const wait of [1, 5, 15, 60, 360]) {
+            advanceClock(wait * 60 * 1000);
+            await webhookEventService.retryDue();
+        }
+
+        expect(firebase._read(`webhookEvents/${stored.id}`)).toMatchObject({ status: 'dead', attempts: 6, nextAttemptAt: null });
+        expect(firebase._read(`webhookEvents/${stored.id}`).errors).toHaveLength(6);
+        expect(firebase._list('system_alerts').map(a => a.type)).toEqual(['WEBHOOK_DEAD']);
+    });
+
+    it('replays a dead event on an admin request', async () => {
+        jest.spyOn(paystackWebhookService, 'handle').mockRejectedValueOnce(new Error('Broken'));
+        const { stored } = await deliver(charge('card_1'));
+        firebase._seed(`webhookEvents/${stored.id}`, { ...firebase._read(`webhookEvents/${stored.id}`), status: 'dead' });
+
+        const result = await webhookEventService.replay(stored.id, { adminId: 'admin1' });
+
+        expect(result.status).toBe('processed');
+        expect(firebase._read(`webhookEvents/${stored.id}`).replays[0]).toMatchObject({ by: 'admin1', force: false });
+        expect(firebase._read('wallets/u1').balance).toBe(500_000);
+    });
+
+    it('needs force to replay a processed event, and still credits once', async () => {
+        const { stored } = await deliver(charge('card_1'));
+
+        await expect(webhookEventService.replay(stored.id)).rejects.toThrow('already processed');
+        await expect(webhookEventService.replay('missing')).rejects.toThrow('WEBHOOK: Event not found');
+
+        const result = await webhookEventService.replay(stored.id, { adminId: 'admin1', force: true });
+        expect(result.status).toBe('processed');
+        expect(firebase._read('wallets/u1').balance).toBe(500_000);
+    });
+
+    it('lists events without their raw body', async () => {
+        await deliver(charge('card_1'));
+
+        const [event] = await webhookEventService.list({ status: 'processed' });
+
+        expect(event).toMatchObject({ event: 'charge.success', reference: 'card_1' });
+        expect(event.rawBody).toBeUndefined();
+        expect((await webhookEventService.get(event.id)).payload.data.reference).toBe('card_1');
+    });
+});
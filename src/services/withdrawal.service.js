@@ -0,0 +1,199 @@
+'use strict';
+
+// ─── withdrawal.service.js ────────────────────────────────────────────────────
+// Follows a withdrawal from `processing` to a final state when the Paystack
+// transfer webhook never arrives.
+//
+//   success                                    → completed
+//   failed / reversed / abandoned / rejected…  → refunded (walletService.settleWithdrawal)
+//   anything else (pending, otp, received)     → left alone, checked again later
+//
+// Withdrawals live at wallets/{userId}/transactions/{reference} with
+// metadata.withdrawal = true. The sweep is a collection-group query and needs
+// a composite index on transactions: metadata.withdrawal ASC, status ASC,
+// timestamp ASC (collection group scope).
+
+const { db } = require('../config/firebase');
+const { client } = require('../config/redis');
+const paystackService = require('./paystack.service');
+const walletService = require('./wallet.service');
+const pushNotificationService = require('./push-notification.service');
+const firebaseService = require('./firebase.service');
+const { formatNaira } = require('../utils/money');
+
+const STUCK_AFTER_MS   = 15 * 60 * 1000;      // give the webhook 15 minutes first
+const ALERT_AFTER_MS   = 24 * 60 * 60 * 1000; // still unresolved after a day → admins
+const SWEEP_BATCH_SIZE = 50;
+const LIVE_CHECK_TTL   = 60;                  // status endpoint re-checks Paystack at most once a minute
+
+const FAILED_STATUSES = ['failed', 'reversed', 'abandoned', 'rejected', 'blocked'];
+
+class WithdrawalService {
+    /**
+     * Locate a withdrawal by our reference (new transfers) or by the reference
+     * Paystack generated for transfers created before we started sending ours.
+     */
+    async findByReference(reference) {
+        const byId = await db.collectionGroup('transactions')
+            .where('id', '==', reference)
+            .where('metadata.withdrawal', '==', true)
+            .limit(1)
+            .get();
+        if (!byId.empty) return byId.docs[0];
+
+        const byPaystackRef = await db.collectionGroup('transactions')
+            .where('paystackTransferReference', '==', reference)
+            .limit(1)
+            .get();
+        return byPaystackRef.empty ? null : byPaystackRef.docs[0];
+    }
+
+    /**
+     * Ask Paystack about one withdrawal and settle it if the answer is final.
+     * @returns {Promise<{ status: string, settled: boolean }>}
+     */
+    async checkWithdrawal(docSnap) {
+        const txn = docSnap.data();
+        const userId = txn.userId || docSnap.ref.parent.parent.id;
+        const reference = docSnap.id;
+
+        const transfer = txn.paystackTransferCode
+            ? await paystackService.verifyTransfer(txn.paystackTransferCode)
+            : await paystackService.verifyTransferByReference(txn.paystackTransferReference || reference);
+
+        if (transfer.notFound) {
+            await this._alertIfStale(docSnap, 'Paystack has no transfer for this reference');
+            return { status: txn.status, settled: false };
+        }
+
+        let outcome = null;
+        if (transfer.status === 'success') outcome = 'success';
+        else if (FAILED_STATUSES.includes(transfer.status)) outcome = transfer.status === 'reversed' ? 'reversed' : 'failed';
+
+        if (!outcome) {
+            await this._alertIfStale(docSnap, `Transfer still ${transfer.status}`);
+            return { status: txn.status, settled: false };
+        }
+
+        const result = await walletService.settleWithdrawal(userId, reference, {
+            outcome,
+            reason: outcome === 'success' ? null : `Paystack transfer ${transfer.status}`,
+            transferCode: transfer.transferCode || txn.paystackTransferCode || null
+        });
+
+        if (!result.alreadySettled) await this.notifyOutcome(userId, reference, result);
+        return { status: result.status, settled: !result.alreadySettled };
+    }
+
+    /**
+     * Cron entry point: every withdrawal processing for longer than STUCK_AFTER_MS.
+     */
+    async sweepStuckWithdrawals() {
+        const snap = await db.collectionGroup('transactions')
+            .where('metadata.withdrawal', '==', true)
+            .where('status', '==', 'processing')
+            .where('timestamp', '<=', Date.now() - STUCK_AFTER_MS)
+            .orderBy('timestamp', 'asc')
+            .limit(SWEEP_BATCH_SIZE)
+            .get();
+
+        const summary = { checked: 0, completed: 0, refunded: 0, pending: 0, errors: 0 };
+
+        for (const doc of snap.docs) {
+            summary.checked++;
+            try {
+                const { status, settled } = await this.checkWithdrawal(doc);
+                if (!settled) summary.pending++;
+                else if (status === 'completed') summary.completed++;
+                else summary.refunded++;
+            } catch (err) {
+                summary.errors++;
+                console.error(`[Withdrawals] ${doc.id} check failed:`, err.message);
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Status for GET /wallet/withdrawals/:reference. A processing withdrawal
+     * older than a minute is re-checked with Paystack (throttled per reference).
+     * Amounts are kobo.
+     */
+    async getStatus(userId, reference) {
+        const ref = db.collection('wallets').doc(userId).collection('transactions').doc(reference);
+        let snap = await ref.get();
+        if (!snap.exists || !snap.data().metadata?.withdrawal) return null;
+
+        const txn = snap.data();
+        const startedAt = txn.transferInitiatedAt || txn.timestamp;
+        if (txn.status === 'processing' && Date.now() - startedAt > 60 * 1000) {
+            const throttled = await client.set(`withdrawal:check:${reference}`, '1', { NX: true, EX: LIVE_CHECK_TTL })
+                .then(ok => !ok)
+                .catch(() => false);
+            if (!throttled) {
+                try {
+                    const result = await this.checkWithdrawal(snap);
+                    if (result.settled) snap = await ref.get();
+                } catch (err) {
+                    console.warn(`[Withdrawals] Live check for ${reference} failed:`, err.message);
+                }
+            }
+        }
+
+        const data = snap.data();
+        return {
+            reference,
+            status: data.status,
+            amount: data.amount,
+            fee: data.fee || 0,
+            totalDebit: data.totalDebit ?? data.amount,
+            refunded: !!data.refunded,
+            failReason: data.failReason || null,
+            bankName: data.metadata.bankName || null,
+            accountName: data.metadata.accountName || null,
+            accountNumber: data.metadata.accountNumber
+                ? `******${String(data.metadata.accountNumber).slice(-4)}`
+                : null,
+            createdAt: data.timestamp,
+            completedAt: data.completedAt || null,
+            failedAt: data.failedAt || null
+        };
+    }
+
+    async notifyOutcome(userId, reference, result) {
+        const { txn } = result;
+        try {
+            if (result.status === 'completed') {
+                await pushNotificationService.sendPushToUser(
+                    userId,
+                    '✅ Withdrawal Successful',
+                    `${formatNaira(txn.amount)} has been sent to your bank account.`,
+                    { screen: 'ProfileTab', params: { screen: 'Transactions' }, type: 'withdrawal', reference }
+                );
+            } else {
+                await pushNotificationService.sendPushToUser(
+                    userId,
+                    '↩️ Withdrawal Reversed',
+                    `Your withdrawal of ${formatNaira(txn.amount)} could not be completed. ${formatNaira(result.refunded)} has been returned to your wallet.`,
+                    { screen: 'ProfileTab', params: { screen: 'Transactions' }, type: 'withdrawal', reference }
+                );
+            }
+        } catch (err) {
+            console.warn('[Withdrawals] Push notification failed:', err.message);
+        }
+    }
+
+    async _alertIfStale(docSnap, detail) {
+        const txn = docSnap.data();
+        if (txn.stuckAlertedAt || Date.now() - txn.timestamp < ALERT_AFTER_MS) return;
+
+        await firebaseService.broadcastAdminAlert(
+            'WITHDRAWAL_STUCK',
+            `Withdrawal ${docSnap.id} (${formatNaira(txn.totalDebit ?? txn.amount)}) unresolved for over 24h: ${detail}`,
+            'high'
+        );
+        await docSnap.ref.update({ stuckAlertedAt: Date.now() });
+    }
+}
+
+module.exports = new WithdrawalService();
@@ -0,0 +1,107 @@
+'use strict';
+
+jest.mock('../config/firebase');
+jest.mock('../config/redis');
+jest.mock('./email.service');
+
+const firebase = require('../config/firebase');
+const paystackService = require('./paystack.service');
+const walletService = require('./wallet.service');
+const withdrawalService = require('./withdrawal.service');
+const ledgerService = require('./ledger.service');
+const kycService = require('./kyc.service');
+
+const WITHDRAW = 1_500_000;
+const REF = 'wd_1000_u1';
+
+// The reference is built from Date.now() — pin it so tests can name it
+async function withdraw(at) {
+    jest.spyOn(Date, 'now').mockReturnValueOnce(at);
+    const result = await walletService.initializeWithdrawal('u1', 'ada@example.com', 'Ada', {
+        amountKobo: WITHDRAW, accountNumber: '0123456789', bankCode: '058', accountName: 'Ada Obi'
+    });
+    Date.now.mockRestore();
+    return result;
+}
+
+beforeEach(async () => {
+    jest.spyOn(paystackService, 'initiateTransfer').mockImplementation(async (recipient, amount, reason, reference) => ({
+        transferCode: `TRF_${reference}`, reference
+    }));
+
+    firebase._seed('users/u1', { name: 'Ada', kycTier: 1, paystackRecipientCode: 'RCP_1' });
+    await walletService.creditWallet('u1', 2_000_000, 'dep_1', { type: 'deposit' });
+});
+
+describe('withdrawals', () => {
+    it('debits the wallet and posts to the Paystack float when the transfer starts', async () => {
+        const result = await withdraw(1000);
+
+        expect(result.reference).toBe(REF);
+        expect(firebase._read('wallets/u1').balance).toBe(500_000);
+        expect(firebase._read(`wallets/u1/transactions/${REF}`)).toMatchObject({
+            status: 'processing', paystackTransferCode: `TRF_${REF}`
+        });
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+        expect((await kycService.getSummary('u1')).usedToday).toBe(WITHDRAW);
+    });
+
+    it('refuses more than the tier allows in one withdrawal', async () => {
+        await walletService.creditWallet('u1', 1_000_000, 'dep_2', { type: 'deposit' });
+
+        await expect(walletService.initializeWithdrawal('u1', 'a@b.c', 'Ada', {
+            amountKobo: 2_000_001, accountNumber: '0123456789', bankCode: '058', accountName: 'Ada Obi'
+        })).rejects.toThrow('KYC_LIMIT');
+        expect(paystackService.initiateTransfer).not.toHaveBeenCalled();
+        expect(firebase._read('wallets/u1').balance).toBe(3_000_000);
+    });
+
+    it('completes on success without moving money again', async () => {
+        await withdraw(1000);
+        const result = await walletService.settleWithdrawal('u1', REF, { outcome: 'success' });
+
+        expect(result.status).toBe('completed');
+        expect(firebase._read('wallets/u1').balance).toBe(500_000);
+    });
+
+    it('refunds a failed transfer once and hands back the daily allowance', async () => {
+        await withdraw(1000);
+
+        const first = await walletService.settleWithdrawal('u1', REF, { outcome: 'failed', reason: 'Bank down' });
+        const again = await walletService.settleWithdrawal('u1', REF, { outcome: 'failed' });
+
+        expect(first).toMatchObject({ status: 'failed', refunded: WITHDRAW });
+        expect(again.alreadySettled).toBe(true);
+        expect(firebase._read('wallets/u1').balance).toBe(2_000_000);
+        expect((await kycService.getSummary('u1')).usedToday).toBe(0);
+        expect((await ledgerService.verifyWallet('u1')).inBalance).toBe(true);
+    });
+
+    it('refunds a transfer Paystack reverses after reporting success', async () => {
+        await withdraw(1000);
+        await walletService.settleWithdrawal('u1', REF, { outcome: 'success' });
+        const result = await walletService.settleWithdrawal('u1', REF, { outcome: 'reversed' });
+
+        expect(result.status).toBe('failed');
+        expect(firebase._read('wallets/u1').balance).toBe(2_000_000);
+    });
+
+    it('settles stuck withdrawals from Paystack on the sweep', async () => {
+        await walletService.creditWallet('u1', 1_000_000, 'dep_2', { type: 'deposit' });
+        await withdraw(1000);
+        await withdraw(2000);
+        for (const reference of [REF, 'wd_2000_u1']) {
+            const path = `wallets/u1/transactions/${reference}`;
+            firebase._seed(path, { ...firebase._read(path), timestamp: 1000 });
+        }
+        jest.spyOn(paystackService, 'verifyTransfer').mockImplementation(async (code) => ({
+            status: code === `TRF_${REF}` ? 'success' : 'pending'
+        }));
+
+        const summary = await withdrawalService.sweepStuckWithdrawals();
+
+        expect(summary).toMatchObject({ checked: 2, completed: 1, pending: 1, errors: 0 });
+        expect(firebase._read(`wallets/u1/transactions/${REF}`).status).toBe('completed');
+        expect(firebase._read('wallets/u1/transactions/wd_2000_u1').status).toBe('processing');
+    });
+});
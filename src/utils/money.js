@@ -0,0 +1,199 @@
+'use strict';
+
+// ─── money.js ─────────────────────────────────────────────────────────────────
+// Every amount we STORE is an integer number of kobo (₦1 = 100 kobo):
+// wallets, wallet transactions, orders, commissions, journal lines,
+// state-manager commissions and bill payments. Naira only exists at the edges —
+// request bodies coming in, JSON responses / push / email text going out.
+//
+// Rounding rules (the only places a fraction of a kobo can appear):
+//   toKobo()    naira → kobo, half away from zero  (₦10.005 → 1001)
+//   percentOf() rate × kobo,  half away from zero  (5% of 1010 → 51)
+//   applyDiscount() price after a % discount, half away from zero
+//   splitEvenly()   n shares that always sum to the original; leftover kobo
+//                   go one each to the first shares
+//   splitByWeight() shares in proportion to weights, same leftover rule
+// Nothing else may produce a non-integer — assertKobo() guards the writes.
+
+const KOBO_PER_NAIRA = 100;
+
+// 5% platform commission on every order — shared by order creation and escrow
+const PLATFORM_COMMISSION_RATE = 0.05;
+
+/**
+ * Round half away from zero. Math.round() rounds -0.5 up to 0, which would
+ * make a refund and its charge disagree by a kobo.
+ */
+function roundHalfAway(n) {
+    return Math.sign(n) * Math.round(Math.abs(n));
+}
+
+/**
+ * Naira (number or numeric string) → integer kobo.
+ * Shifts by string exponent so ₦1.005 becomes 100.5 kobo (not 100.49999…)
+ * before rounding.
+ */
+function toKobo(naira) {
+    const n = Number(naira);
+    if (!Number.isFinite(n)) throw new Error(`MONEY: Invalid naira amount ${naira}`);
+    const shifted = Number(`${n}e2`);
+    return roundHalfAway(Number.isFinite(shifted) ? shifted : n * KOBO_PER_NAIRA);
+}
+
+/**
+ * Integer kobo → naira for API responses and display. Exact to 2 dp.
+ */
+function toNaira(kobo) {
+    return (Number(kobo) || 0) / KOBO_PER_NAIRA;
+}
+
+/**
+ * Fraction of a kobo amount (commission, fees) rounded to the nearest kobo.
+ * @param {number} kobo
+ * @param {number} rate  e.g. 0.05 for 5%
+ */
+function percentOf(kobo, rate) {
+    return roundHalfAway(kobo * rate);
+}
+
+/**
+ * Platform commission on an order total (kobo in, kobo out).
+ */
+function commissionFor(totalKobo) {
+    return percentOf(totalKobo, PLATFORM_COMMISSION_RATE);
+}
+
+/**
+ * Unit price after a percentage discount (0–100), rounded to the nearest kobo.
+ */
+function applyDiscount(kobo, discountPercent) {
+    if (!discountPercent) return kobo;
+    return roundHalfAway(kobo * (1 - discountPercent / 100));
+}
+
+/**
+ * Split kobo into `parts` integer shares that sum exactly to the input.
+ *   splitEvenly(101, 2) → [51, 50]
+ */
+function splitEvenly(kobo, parts) {
+    const base = Math.floor(kobo / parts);
+    const remainder = kobo - base * parts;
+    return Array.from({ length: parts }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+/**
+ * Split kobo into integer shares proportional to `weights`, summing exactly
+ * to the input. Zero weights get nothing.
+ *   splitByWeight(100, [1, 2]) → [34, 66]
+ */
+function splitByWeight(kobo, weights) {
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (!totalWeight) return weights.map(() => 0);
+    const shares = weights.map(w => Math.floor(kobo * w / totalWeight));
+    let remainder = kobo - shares.reduce((sum, s) => sum + s, 0);
+    for (let i = 0; remainder > 0; i = (i + 1) % shares.length) {
+        if (weights[i] > 0) { shares[i]++; remainder--; }
+    }
+    return shares;
+}
+
+/**
+ * What the seller is owed for an order: the buyer's total plus any coupon
+ * discount the platform funds, less commission.
+ */
+function sellerAmountFor({ totalAmount, commission, platformDiscount = 0 }) {
+    return totalAmount + (platformDiscount || 0) - commission;
+}
+
+function isKobo(value) {
+    return Number.isSafeInteger(value);
+}
+
+function assertKobo(value, label = 'amount') {
+    if (!isKobo(value)) throw new Error(`MONEY: ${label} must be integer kobo, got ${value}`);
+    return value;
+}
+
+/**
+ * "₦1,250.50" — for notification and email copy. Drops .00 on whole naira.
+ */
+function formatNaira(kobo) {
+    const naira = toNaira(kobo);
+    return `₦${naira.toLocaleString('en-NG', {
+        minimumFractionDigits: Number.isInteger(naira) ? 0 : 2,
+        maximumFractionDigits: 2
+    })}`;
+}
+
+/**
+ * Shallow copy of a stored document with the listed kobo fields converted to
+ * naira. Missing / non-numeric fields are left alone.
+ */
+function fieldsToNaira(doc, fields) {
+    if (!doc) return doc;
+    const out = { ...doc };
+    for (const field of fields) {
+        if (typeof out[field] === 'number') out[field] = toNaira(out[field]);
+    }
+    return out;
+}
+
+// Money fields per stored shape — used by the API serialisers
+const WALLET_MONEY_FIELDS      = ['balance', 'pendingBalance', 'heldBalance', 'availableBalance'];
+const TRANSACTION_MONEY_FIELDS = ['amount', 'fee', 'totalDebit'];
+const ORDER_MONEY_FIELDS       = ['totalAmount', 'commission', 'deliveryFee', 'discount', 'platformDiscount', 'subtotal'];
+const DRIFT_MONEY_FIELDS       = [
+    'actualBalance', 'expectedBalance', 'balanceDrift',
+    'actualPending', 'expectedPending', 'pendingDrift',
+    'ledgerBalance', 'ledgerDrift', 'totalBalanceDrift'
+];
+
+const walletToNaira      = (wallet) => fieldsToNaira(wallet, WALLET_MONEY_FIELDS);
+const transactionToNaira = (txn)    => fieldsToNaira(txn, TRANSACTION_MONEY_FIELDS);
+
+function orderToNaira(order) {
+    if (!order) return order;
+    const out = fieldsToNaira(order, ORDER_MONEY_FIELDS);
+    if (Array.isArray(order.products)) {
+        out.products = order.products.map(p => fieldsToNaira(p, ['price']));
+    }
+    return out;
+}
+
+/**
+ * Journal entry (journalEntries/{id}) or account entry
+ * (ledgerAccounts/{id}/entries/{id}) with its line amounts in naira.
+ */
+function entryToNaira(entry) {
+    if (!entry) return entry;
+    const out = fieldsToNaira(entry, ['total', 'delta']);
+    if (Array.isArray(entry.lines)) {
+        out.lines = entry.lines.map(l => fieldsToNaira(l, ['amount']));
+    }
+    return out;
+}
+
+module.exports = {
+    KOBO_PER_NAIRA,
+    PLATFORM_COMMISSION_RATE,
+    toKobo,
+    toNaira,
+    percentOf,
+    commissionFor,
+    applyDiscount,
+    splitEvenly,
+    splitByWeight,
+    sellerAmountFor,
+    isKobo,
+    assertKobo,
+    formatNaira,
+    fieldsToNaira,
+    walletToNaira,
+    transactionToNaira,
+    orderToNaira,
+    entryToNaira,
+    WALLET_MONEY_FIELDS,
+    TRANSACTION_MONEY_FIELDS,
+    ORDER_MONEY_FIELDS,
+    DRIFT_MONEY_FIELDS
+};
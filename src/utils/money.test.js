@@ -0,0 +1,91 @@
+'use strict';
+
+const {
+    toKobo, toNaira, percentOf, commissionFor, applyDiscount, splitEvenly,
+    isKobo, assertKobo, formatNaira, orderToNaira, entryToNaira
+} = require('./money');
+
+describe('toKobo', () => {
+    it('converts naira to whole kobo', () => {
+        expect(toKobo(1250)).toBe(125000);
+        expect(toKobo('99.99')).toBe(9999);
+        expect(toKobo(0.1 + 0.2)).toBe(30);
+    });
+
+    it('rounds half a kobo away from zero', () => {
+        expect(toKobo(10.005)).toBe(1001);
+        expect(toKobo(1.005)).toBe(101);
+        expect(toKobo(-10.005)).toBe(-1001);
+    });
+
+    it('rejects values that are not numbers', () => {
+        expect(() => toKobo('abc')).toThrow('MONEY: Invalid naira amount');
+        expect(() => toKobo(Infinity)).toThrow('MONEY:');
+    });
+});
+
+describe('kobo arithmetic', () => {
+    it('converts back to naira exactly', () => {
+        expect(toNaira(125050)).toBe(1250.5);
+        expect(toNaira(undefined)).toBe(0);
+    });
+
+    it('rounds percentages and commission to the nearest kobo', () => {
+        expect(percentOf(1010, 0.05)).toBe(51);
+        expect(percentOf(-1010, 0.05)).toBe(-51);
+        expect(commissionFor(1_000_000)).toBe(50_000);
+        expect(commissionFor(999)).toBe(50);
+    });
+
+    it('applies a percentage discount to a unit price', () => {
+        expect(applyDiscount(10_000, 0)).toBe(10_000);
+        expect(applyDiscount(10_000, 15)).toBe(8_500);
+        expect(applyDiscount(999, 50)).toBe(500);
+    });
+
+    it('splits an amount into shares that add back up', () => {
+        expect(splitEvenly(101, 2)).toEqual([51, 50]);
+        expect(splitEvenly(100, 3)).toEqual([34, 33, 33]);
+        const shares = splitEvenly(1_000_003, 7);
+        expect(shares.reduce((a, b) => a + b, 0)).toBe(1_000_003);
+    });
+});
+
+describe('kobo guards', () => {
+    it('accepts only safe integers', () => {
+        expect(isKobo(100)).toBe(true);
+        expect(isKobo(0)).toBe(true);
+        expect(isKobo(1.5)).toBe(false);
+        expect(isKobo('100')).toBe(false);
+        expect(isKobo(Number.MAX_SAFE_INTEGER + 1)).toBe(false);
+    });
+
+    it('throws with the field name', () => {
+        expect(assertKobo(500, 'fee')).toBe(500);
+        expect(() => assertKobo(5.5, 'fee')).toThrow('MONEY: fee must be integer kobo, got 5.5');
+    });
+});
+
+describe('serialisers', () => {
+    it('formats naira for copy', () => {
+        expect(formatNaira(125000)).toBe('₦1,250');
+        expect(formatNaira(125050)).toBe('₦1,250.50');
+    });
+
+    it('converts the money fields of an order and its products', () => {
+        const order = orderToNaira({
+            id: 'o1', totalAmount: 150000, commission: 7500, quantity: 2,
+            products: [{ productId: 'p1', price: 75000, quantity: 2 }]
+        });
+        expect(order).toEqual({
+            id: 'o1', totalAmount: 1500, commission: 75, quantity: 2,
+            products: [{ productId: 'p1', price: 750, quantity: 2 }]
+        });
+    });
+
+    it('converts journal line amounts', () => {
+        const entry = entryToNaira({ id: 'e1', total: 500, lines: [{ account: 'user:u1', side: 'credit', amount: 500 }] });
+        expect(entry.total).toBe(5);
+        expect(entry.lines[0].amount).toBe(5);
+    });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+// ─── phone.js ─────────────────────────────────────────────────────────────────
+// Nigerian mobile numbers. Users type them every which way — 0803 123 4567,
+// +2348031234567, 2348031234567, 8031234567 — and VTPass wants the 11-digit
+// local form, so everything is normalised to that before it's used.
+//
+// The network is inferred from the prefix (NCC allocations). Numbers can be
+// ported between networks while keeping their prefix, so a detected network
+// is a strong hint, not a fact — callers let the user override it (see
+// bill.service.js lookupPhone / rememberPortedNumber).
+//
+// Networks use VTPass's serviceIDs: mtn, glo, airtel, etisalat (9mobile).
+
+const NETWORKS = ['mtn', 'glo', 'airtel', 'etisalat'];
+
+const NETWORK_LABELS = {
+    mtn: 'MTN',
+    glo: 'Glo',
+    airtel: 'Airtel',
+    etisalat: '9mobile'
+};
+
+// What users call a network → serviceID
+const NETWORK_ALIASES = {
+    '9mobile': 'etisalat',
+    'globacom': 'glo'
+};
+
+// Local-form prefixes. Five-digit entries (ex-Visafone 0702x ranges) are
+// checked before the four-digit ones.
+const PREFIXES = {
+    mtn: ['07025', '07026', '0703', '0704', '0706', '0803', '0806', '0810', '0813', '0814', '0816', '0903', '0906', '0913', '0916'],
+    glo: ['0705', '0805', '0807', '0811', '0815', '0905', '0915'],
+    airtel: ['0701', '0708', '0802', '0808', '0812', '0901', '0902', '0904', '0907', '0911', '0912'],
+    etisalat: ['0809', '0817', '0818', '0908', '0909']
+};
+
+const PREFIX_NETWORK = new Map(
+    Object.entries(PREFIXES).flatMap(([network, prefixes]) => prefixes.map(p => [p, network]))
+);
+
+/**
+ * Any common spelling → 0XXXXXXXXXX, or null when it isn't a Nigerian
+ * mobile number. Spaces, dashes, dots and brackets are ignored.
+ */
+function normalizePhone(input) {
+    if (input === undefined || input === null) return null;
+    const raw = String(input).trim();
+    if (!/^\+?[\d\s\-.()]+$/.test(raw)) return null;
+
+    const digits = raw.replace(/\D/g, '');
+    let local;
+    if (digits.length === 13 && digits.startsWith('234')) local = digits.slice(3);
+    else if (digits.length === 14 && digits.startsWith('2340')) local = digits.slice(4);
+    else if (digits.length === 11 && digits.startsWith('0')) local = digits.slice(1);
+    else if (digits.length === 10) local = digits;
+    else return null;
+
+    return /^[789][01]\d{8}$/.test(local) ? `0${local}` : null;
+}
+
+/**
+ * 0XXXXXXXXXX → +234XXXXXXXXXX (null when not a valid number).
+ */
+function toInternational(input) {
+    const phone = normalizePhone(input);
+    return phone ? `+234${phone.slice(1)}` : null;
+}
+
+/**
+ * The same number as it may have been stored: as typed, local, +234, 234
+ * and bare. For lookups against fields that were never normalised.
+ */
+function phoneVariants(input) {
+    const typed = String(input).trim();
+    const phone = normalizePhone(input);
+    if (!phone) return [typed];
+    const local = phone.slice(1);
+    return [...new Set([typed, phone, `+234${local}`, `234${local}`, local])];
+}
+
+/**
+ * Network a number was allocated to, from its prefix. Null when the number
+ * is invalid or the prefix isn't one we know.
+ */
+function detectNetwork(input) {
+    const phone = normalizePhone(input);
+    if (!phone) return null;
+    return PREFIX_NETWORK.get(phone.slice(0, 5)) || PREFIX_NETWORK.get(phone.slice(0, 4)) || null;
+}
+
+/**
+ * 'MTN', '9mobile', ' Airtel ' → VTPass serviceID, or null if unknown.
+ */
+function normalizeNetwork(input) {
+    const name = String(input ?? '').trim().toLowerCase();
+    const network = NETWORK_ALIASES[name] || name;
+    return NETWORKS.includes(network) ? network : null;
+}
+
+module.exports = {
+    NETWORKS,
+    NETWORK_LABELS,
+    normalizePhone,
+    toInternational,
+    phoneVariants,
+    detectNetwork,
+    normalizeNetwork
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const {
+    normalizePhone, toInternational, phoneVariants, detectNetwork, normalizeNetwork
+} = require('./phone');
+
+describe('normalizePhone', () => {
+    it('brings every common spelling to the 11-digit local form', () => {
+        for (const input of ['08031234567', '0803 123 4567', '+2348031234567', '2348031234567',
+            '+234 (0) 803-123-4567', '8031234567', '0803.123.4567']) {
+            expect(normalizePhone(input)).toBe('08031234567');
+        }
+    });
+
+    it('rejects anything that is not a Nigerian mobile number', () => {
+        for (const input of [null, undefined, '', '0803123456', '080312345678', '01234567890',
+            '+4478031234567', '0803abc4567', '06031234567']) {
+            expect(normalizePhone(input)).toBeNull();
+        }
+    });
+
+    it('gives the international form and every stored spelling', () => {
+        expect(toInternational('0803 123 4567')).toBe('+2348031234567');
+        expect(toInternational('123')).toBeNull();
+        expect(phoneVariants(' +2348031234567 ')).toEqual([
+            '+2348031234567', '08031234567', '2348031234567', '8031234567'
+        ]);
+    });
+});
+
+describe('detectNetwork', () => {
+    it('maps NCC prefixes to VTPass service ids', () => {
+        expect(detectNetwork('08031234567')).toBe('mtn');
+        expect(detectNetwork('+2348051234567')).toBe('glo');
+        expect(detectNetwork('0802 123 4567')).toBe('airtel');
+        expect(detectNetwork('09091234567')).toBe('etisalat');
+    });
+
+    it('checks five-digit ranges before four-digit ones', () => {
+        expect(detectNetwork('07025123456')).toBe('mtn');
+        expect(detectNetwork('07021234567')).toBeNull();
+    });
+
+    it('returns null for an invalid number', () => {
+        expect(detectNetwork('12345')).toBeNull();
+    });
+});
+
+describe('normalizeNetwork', () => {
+    it('accepts what users call a network', () => {
+        expect(normalizeNetwork(' MTN ')).toBe('mtn');
+        expect(normalizeNetwork('9mobile')).toBe('etisalat');
+        expect(normalizeNetwork('Globacom')).toBe('glo');
+        expect(normalizeNetwork('Vodafone')).toBeNull();
+        expect(normalizeNetwork(undefined)).toBeNull();
+    });
+});